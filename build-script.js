@@ -1,5 +1,53 @@
-import { existsSync, mkdirSync, readdirSync, copyFileSync, lstatSync } from 'fs';
+import { existsSync, mkdirSync, readdirSync, copyFileSync, lstatSync, readFileSync, writeFileSync } from 'fs';
 import { join } from 'path';
+import { SearchIndex } from './js/components/SearchIndex.js';
+import { ReadingTime } from './js/components/ReadingTime.js';
+import { getPublishedArticles, validateArticleStatus } from './js/components/ArticleStatus.js';
+import { buildFeeds, injectFeedLinks } from './scripts/feeds.js';
+import { addArticlesToSitemap } from './scripts/sitemap.js';
+import { compileArticleSources, writeArticlesData, ARTICLES_DIR } from './scripts/articles.js';
+import { compileCaseStudySources, writeCaseStudiesData, CASE_STUDIES_DIR } from './scripts/case-studies.js';
+import { writeProjectPages, writeCaseStudyPages } from './scripts/project-pages.js';
+import { refreshGithubMetadata, readGithubCache, enrichProjects, GITHUB_CACHE_DATA } from './scripts/github.js';
+
+// Compile content/articles/*.md into data/articles.json before it is copied
+const compiledArticles = compileArticleSources();
+if (compiledArticles) {
+  if (compiledArticles.errors.length > 0) {
+    compiledArticles.errors.forEach(error => console.error(error.message));
+    console.error(`Build failed: ${compiledArticles.errors.length} problem(s) in ${ARTICLES_DIR}`);
+    process.exit(1);
+  }
+  writeArticlesData(compiledArticles.data);
+  console.log(`Compiled ${compiledArticles.data.articles.length} articles from ${ARTICLES_DIR}`);
+}
+
+// Same for data/case-studies/*.md into data/case-studies.json
+const compiledCaseStudies = compileCaseStudySources();
+if (compiledCaseStudies) {
+  if (compiledCaseStudies.errors.length > 0) {
+    compiledCaseStudies.errors.forEach(error => console.error(error.message));
+    console.error(`Build failed: ${compiledCaseStudies.errors.length} problem(s) in ${CASE_STUDIES_DIR}`);
+    process.exit(1);
+  }
+  writeCaseStudiesData(compiledCaseStudies.data);
+  console.log(`Compiled ${compiledCaseStudies.data.caseStudies.length} case studies from ${CASE_STUDIES_DIR}`);
+}
+
+// Refresh stars, languages, last commit and license for each project's
+// repository. Problems are only warnings: the cached data is used instead.
+if (process.env.GITHUB_METADATA === 'off') {
+  console.log(`Skipping GitHub metadata (GITHUB_METADATA=off); using ${GITHUB_CACHE_DATA} as is`);
+} else {
+  const github = await refreshGithubMetadata();
+  github.failed.forEach(({ repository, error }) => {
+    console.warn(`Warning: GitHub metadata for ${repository} unavailable (${error.message}); using cached data`);
+  });
+  if (github.skipped.length > 0) {
+    console.warn(`Warning: GitHub unreachable; ${github.skipped.length} more repositories use cached data`);
+  }
+  console.log(`Fetched GitHub metadata for ${github.updated.length} repositories`);
+}
 
 // Create dist directory if it doesn't exist
 if (!existsSync('dist')) {
@@ -50,6 +98,77 @@ itemsToCopy.forEach(item => {
 
 console.log(`Successfully copied ${copiedCount} files and directories to dist/`);
 
+// Articles feed the public data, search index, feeds and sitemap below
+const articlesData = JSON.parse(readFileSync(join(process.cwd(), 'data', 'articles.json'), 'utf8'));
+
+// Hand-entered reading times drift from the content; BlogSystem shows the computed value
+const readingTime = new ReadingTime(articlesData.readingSpeed);
+readingTime.findMismatches(articlesData.articles || []).forEach(({ id, stored, computed }) => {
+  console.warn(`Warning: data/articles.json "${id}" has readingTime ${stored} but its content reads in ${computed} min`);
+});
+(articlesData.articles || []).forEach(article => {
+  validateArticleStatus(article).forEach(problem => {
+    console.warn(`Warning: data/articles.json "${article.id}" ${problem}`);
+  });
+});
+
+// Drafts and scheduled articles stay out of everything dist/ serves; they are
+// only previewable against the source data (local development). Scheduled
+// articles go public on the first build after their publishAt.
+const publishedArticles = getPublishedArticles(articlesData.articles || []);
+
+const { previewToken, ...publicData } = articlesData;
+writeFileSync(
+  join(process.cwd(), 'dist', 'data', 'articles.json'),
+  `${JSON.stringify({ ...publicData, articles: publishedArticles }, null, 2)}\n`
+);
+console.log(`Published ${publishedArticles.length} of ${(articlesData.articles || []).length} articles`);
+
+const searchIndex = SearchIndex.build(publishedArticles);
+writeFileSync(join(process.cwd(), 'dist', 'data', 'search-index.json'), JSON.stringify(searchIndex));
+console.log(`Built search index for ${searchIndex.documents.length} articles (${searchIndex.terms.size} terms)`);
+
+// Generate RSS, Atom and JSON feeds and advertise them from index.html
+const feeds = buildFeeds(publishedArticles);
+Object.entries(feeds).forEach(([fileName, content]) => {
+  writeFileSync(join(process.cwd(), 'dist', fileName), content);
+});
+
+const indexPath = join(process.cwd(), 'dist', 'index.html');
+writeFileSync(indexPath, injectFeedLinks(readFileSync(indexPath, 'utf8')));
+console.log(`Generated feeds: ${Object.keys(feeds).join(', ')}`);
+
+// /projects/:id pages carry per-project Open Graph meta for link previews;
+// the app itself takes over once the page loads
+const projectsData = JSON.parse(readFileSync(join(process.cwd(), 'data', 'projects.json'), 'utf8'));
+const projects = projectsData.projects || [];
+
+// The built projects.json carries each project's cached GitHub metadata
+const projectsWithGithub = enrichProjects(projects, readGithubCache());
+writeFileSync(
+  join(process.cwd(), 'dist', 'data', 'projects.json'),
+  `${JSON.stringify({ ...projectsData, projects: projectsWithGithub }, null, 2)}\n`
+);
+console.log(`Added GitHub metadata to ${projectsWithGithub.filter(project => project.github).length} projects`);
+
+const skippedProjects = writeProjectPages(join(process.cwd(), 'dist'), readFileSync(indexPath, 'utf8'), projects);
+skippedProjects.forEach(id => {
+  console.warn(`Warning: data/projects.json project id ${JSON.stringify(id)} cannot be used in a URL; no page generated`);
+});
+console.log(`Generated ${projects.length - skippedProjects.length} project pages`);
+
+// Case studies are prerendered into their pages so crawlers see the content
+const caseStudiesPath = join(process.cwd(), 'data', 'case-studies.json');
+const caseStudies = existsSync(caseStudiesPath)
+  ? JSON.parse(readFileSync(caseStudiesPath, 'utf8')).caseStudies || []
+  : [];
+const caseStudyPages = writeCaseStudyPages(join(process.cwd(), 'dist'), readFileSync(indexPath, 'utf8'), projectsData, caseStudies);
+console.log(`Generated ${caseStudyPages} case study pages`);
+
+const sitemapPath = join(process.cwd(), 'dist', 'sitemap.xml');
+writeFileSync(sitemapPath, addArticlesToSitemap(readFileSync(sitemapPath, 'utf8'), publishedArticles));
+console.log(`Added ${publishedArticles.length} published articles to sitemap.xml`);
+
 // Helper function to copy directory recursively
 function copyDirectory(src, dest) {
   if (!existsSync(dest)) {
@@ -2,6 +2,16 @@
  * AnimationEngine - Manages scroll-triggered animations, hover effects, parallax scrolling, and micro-interactions
  * Requirements: 7.1, 7.2, 7.3, 7.4
  */
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+// Timing for list layout transitions (FLIP)
+const LAYOUT_DURATION = 300;
+const LAYOUT_EASING = 'cubic-bezier(0.2, 0, 0.2, 1)';
+
+// Elements that get hover effects when they are added to the page
+const INTERACTIVE = 'button, .project-card, .article-card, .skill-item';
+
 export class AnimationEngine {
   constructor() {
     this.scrollObserver = null;
@@ -227,6 +237,142 @@ export class AnimationEngine {
     }
   }
 
+  /**
+   * Scroll animations and hover effects for elements added after init(),
+   * and for the matching elements inside them
+   */
+  enhanceElements(elements) {
+    const within = (element, selector) => [
+      ...(element.matches(selector) ? [element] : []),
+      ...element.querySelectorAll(selector)
+    ];
+
+    elements.forEach(element => {
+      within(element, '.fade-in:not([data-animation-added])').forEach(fadeIn => {
+        this.addScrollAnimation(fadeIn);
+        fadeIn.dataset.animationAdded = 'true';
+      });
+      within(element, INTERACTIVE).forEach(interactive => this.addHoverEffect(interactive));
+    });
+  }
+
+  /**
+   * KeyedList hooks that enhance list items as they are mounted
+   */
+  createListHooks() {
+    return {
+      mount: elements => this.enhanceElements(elements),
+      unmount: elements => elements.forEach(element => this.scrollObserver?.unobserve(element))
+    };
+  }
+
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia?.(REDUCED_MOTION).matches);
+  }
+
+  /**
+   * Layout transitions need the Web Animations API and a reader who has
+   * not asked for reduced motion
+   */
+  canAnimateLayout() {
+    return typeof Element !== 'undefined' &&
+      typeof Element.prototype.animate === 'function' &&
+      !this.prefersReducedMotion();
+  }
+
+  /**
+   * Record where `elements` are before a list update, for
+   * animateLayoutChange(). Null when layout transitions are off.
+   */
+  captureLayout(elements) {
+    if (!this.canAnimateLayout()) return null;
+
+    const layout = new Map();
+    elements.forEach(element => layout.set(element, element.getBoundingClientRect()));
+    return layout;
+  }
+
+  /**
+   * FLIP transition after a keyed list update. Elements from `layout` that
+   * moved slide over from their old position, `entered` elements fade in and
+   * `exited` elements fade out where they were before being removed. The
+   * container must be positioned. Without a layout, exited elements are
+   * removed straight away.
+   */
+  animateLayoutChange(container, layout, { entered = [], exited = [] } = {}) {
+    if (!layout || !this.canAnimateLayout()) {
+      exited.forEach(element => element.remove());
+      return;
+    }
+
+    const timing = { duration: LAYOUT_DURATION, easing: LAYOUT_EASING };
+    const containerRect = container.getBoundingClientRect();
+
+    // Take leaving elements out of the flow, pinned where they were
+    exited.forEach(element => {
+      const rect = layout.get(element);
+      element.getAnimations?.().forEach(animation => animation.cancel());
+      if (!rect) {
+        element.remove();
+        return;
+      }
+
+      element.classList.add('is-exiting');
+      element.setAttribute('aria-hidden', 'true');
+      Object.assign(element.style, {
+        position: 'absolute',
+        top: `${rect.top - containerRect.top - container.clientTop + container.scrollTop}px`,
+        left: `${rect.left - containerRect.left - container.clientLeft + container.scrollLeft}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+        margin: '0',
+        pointerEvents: 'none'
+      });
+
+      const animation = element.animate([
+        { opacity: 1, transform: 'scale(1)' },
+        { opacity: 0, transform: 'scale(0.95)' }
+      ], { ...timing, fill: 'forwards' });
+      animation.onfinish = () => element.remove();
+      animation.oncancel = () => element.remove();
+    });
+
+    // Measure every survivor before animating any of them
+    const moves = [];
+    layout.forEach((before, element) => {
+      if (exited.includes(element) || !element.isConnected) return;
+      element.getAnimations?.().forEach(animation => animation.cancel());
+      moves.push([element, before, element.getBoundingClientRect()]);
+    });
+
+    moves.forEach(([element, before, after]) => {
+      const dx = before.left - after.left;
+      const dy = before.top - after.top;
+      if (dx === 0 && dy === 0) return;
+      element.animate([
+        { transform: `translate(${dx}px, ${dy}px)` },
+        { transform: 'translate(0, 0)' }
+      ], timing);
+    });
+
+    entered.forEach(element => {
+      element.animate([
+        { opacity: 0, transform: 'scale(0.95)' },
+        { opacity: 1, transform: 'scale(1)' }
+      ], timing);
+    });
+  }
+
+  /**
+   * KeyedList transition that runs animateLayoutChange() on every update
+   */
+  createLayoutTransition() {
+    return {
+      capture: elements => this.captureLayout(elements),
+      play: (container, layout, changes) => this.animateLayoutChange(container, layout, changes)
+    };
+  }
+
   /**
    * Clean up resources
    */
@@ -0,0 +1,59 @@
+/**
+ * ArticleStatus - Publication state of blog articles
+ *
+ * Articles may set `status` to 'draft', 'scheduled' or 'published' and an
+ * optional ISO `publishAt` timestamp. Articles without a status are
+ * published. Scheduled articles go live once `publishAt` has passed; a
+ * published article with a future `publishAt` waits until then as well.
+ * Shared by BlogSystem and the build, so it has no DOM dependencies.
+ */
+export const ARTICLE_STATUSES = ['draft', 'scheduled', 'published'];
+
+function getPublishTime(article) {
+  if (article.publishAt === undefined || article.publishAt === null || article.publishAt === '') return null;
+  const time = new Date(article.publishAt).getTime();
+  return Number.isNaN(time) ? NaN : time;
+}
+
+/**
+ * Effective status at `now`: 'draft', 'scheduled' or 'published'
+ */
+export function getArticleStatus(article, now = new Date()) {
+  const status = article.status ?? 'published';
+  if (status === 'draft' || !ARTICLE_STATUSES.includes(status)) return 'draft';
+
+  const publishTime = getPublishTime(article);
+  // A scheduled article without a publishAt never goes live
+  if (status === 'scheduled' && publishTime === null) return 'scheduled';
+  // An unreadable publishAt holds the article back rather than publishing it early
+  if (Number.isNaN(publishTime) || (publishTime !== null && publishTime > now.getTime())) return 'scheduled';
+
+  return 'published';
+}
+
+export function isPublished(article, now = new Date()) {
+  return getArticleStatus(article, now) === 'published';
+}
+
+export function getPublishedArticles(articles, now = new Date()) {
+  return articles.filter(article => isPublished(article, now));
+}
+
+/**
+ * Problems with an article's status fields, as messages for the build output
+ */
+export function validateArticleStatus(article) {
+  const problems = [];
+  const status = article.status ?? 'published';
+
+  if (!ARTICLE_STATUSES.includes(status)) {
+    problems.push(`unknown status "${status}" (expected ${ARTICLE_STATUSES.join(', ')}); it is treated as a draft`);
+  }
+  if (Number.isNaN(getPublishTime(article))) {
+    problems.push(`publishAt "${article.publishAt}" is not a valid date`);
+  } else if (status === 'scheduled' && getPublishTime(article) === null) {
+    problems.push('is scheduled but has no publishAt, so it will never be published');
+  }
+
+  return problems;
+}
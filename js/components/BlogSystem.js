@@ -1,19 +1,131 @@
 // Blog System Component
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { HtmlSanitizer, html } from './HtmlSanitizer.js';
+import { SyntaxHighlighter } from './SyntaxHighlighter.js';
+import { SearchIndex } from './SearchIndex.js';
+import { ReadingTime } from './ReadingTime.js';
+import { RelatedArticles } from './RelatedArticles.js';
+import { getArticleStatus } from './ArticleStatus.js';
+import { FeaturedCarousel } from './FeaturedCarousel.js';
+import { ReadingHistory } from './ReadingHistory.js';
+import { KeyedList } from './KeyedList.js';
+
+// Sort modes for the article list. "relevance" only applies while searching.
+const ARTICLE_SORTS = {
+  relevance: 'Best match',
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  title: 'Title A–Z',
+  'reading-time': 'Shortest read',
+  featured: 'Featured first'
+};
+
+const isArticleSort = mode => Object.prototype.hasOwnProperty.call(ARTICLE_SORTS, mode);
+
 export class BlogSystem {
-  constructor(containerElement, articlesData) {
+  constructor(containerElement, articlesData, options = {}) {
     this.container = containerElement;
     this.articles = articlesData.articles || [];
     this.categories = articlesData.categories || [];
+    this.series = articlesData.series || [];
     this.currentFilter = 'all';
     this.searchQuery = '';
+    this.selectedTags = [];
+    this.tagMode = 'all';
+    // null follows the default: relevance while searching, newest otherwise
+    this.sortMode = null;
+    this.currentPage = 1;
+    this.pageSize = options.pageSize || 9;
+    this.pagination = options.pagination === 'infinite' ? 'infinite' : 'pages';
+    this.loadMoreObserver = null;
+    this.router = options.router || null;
+    this.basePath = options.basePath || '/blog';
+    this.openedFromList = false;
+    this.searchIndexUrl = options.searchIndexUrl || null;
+    this.searchIndex = null;
+    this.searchIndexPromise = null;
+    this.searchMatches = new Map();
+    this.listTitle = null;
+    this.tocMinHeadings = options.tocMinHeadings || 2;
+    this.tocObserver = null;
+    this.updateReadingProgress = this.updateReadingProgress.bind(this);
+    this.trackReadingProgress = this.trackReadingProgress.bind(this);
+    // Opened articles and reading positions, kept in this browser only
+    this.readingHistory = options.readingHistory || new ReadingHistory();
+    this.currentArticleId = null;
+    this.syntaxHighlighter = new SyntaxHighlighter();
+    this.markdownRenderer = new MarkdownRenderer({
+      headingIds: [2, 3],
+      highlight: (code, info) => this.syntaxHighlighter.renderCodeBlock(code, info)
+    });
+    this.sanitizer = new HtmlSanitizer();
+    this.readingTime = new ReadingTime({ ...articlesData.readingSpeed, ...options.readingSpeed });
+    this.readingStats = new Map();
+    this.relatedArticles = new RelatedArticles(this.articles);
+    this.relatedLimit = options.relatedLimit ?? 3;
+    // ?preview=<previewToken> shows drafts and scheduled articles
+    this.previewToken = options.previewToken || null;
+    this.previewMode = this.isPreviewRequested();
+    // Ids in spotlight order once set through setFeaturedArticles(); the
+    // articles' own featured flags are left as loaded
+    this.featuredOrder = null;
+    this.featuredCarousel = null;
+    this.featuredOptions = options.featured || {};
+    // KeyedList hooks told about article cards as they are mounted and unmounted
+    this.listHooks = options.listHooks || [];
+    this.articleList = null;
     
     this.init();
   }
 
   init() {
+    if (this.previewMode) this.createPreviewBanner();
     this.createSearchAndFilters();
+    this.createFeaturedSection();
+    this.renderReadingHistory();
     this.renderArticleList();
     this.setupEventListeners();
+    this.setupRouting();
+  }
+
+  setupRouting() {
+    if (!this.router) return;
+
+    // Shared links carry the active facets in the query string
+    const query = this.router.getQuery();
+    if (['category', 'tag', 'page', 'sort'].some(name => query.has(name))) {
+      const category = query.get('category');
+      this.restoreListState({
+        filter: this.categories.some(cat => cat.id === category) ? category : 'all',
+        tags: query.getAll('tag'),
+        tagMode: query.get('match') === 'any' ? 'any' : 'all',
+        sort: query.get('sort'),
+        page: parseInt(query.get('page'), 10) || 1
+      });
+    }
+
+    // Reloading on a list entry keeps the filter and query the reader left
+    const savedState = this.router.getState().blogList;
+    if (savedState) this.restoreListState(savedState);
+
+    // Moving between an article and a series page swaps views directly;
+    // the list only comes back when the URL leaves the blog
+    const leaveView = (state) => {
+      if (!this.router.getCurrentPath().startsWith(`${this.basePath}/`)) {
+        this.showArticleList(state.blogList);
+      }
+    };
+
+    this.router.add(
+      `${this.basePath}/series/:id`,
+      (params, state) => this.showSeriesById(params.id, state),
+      leaveView
+    );
+    this.router.add(
+      `${this.basePath}/:slug`,
+      (params, state) => this.showArticleBySlug(params.slug, state),
+      leaveView
+    );
   }
 
   createSearchAndFilters() {
@@ -46,78 +158,584 @@ export class BlogSystem {
       filtersContainer.appendChild(button);
     });
     
+    const sortControl = document.createElement('label');
+    sortControl.className = 'sort-control';
+    sortControl.innerHTML = html`
+      <span class="sort-label">Sort by</span>
+      <select class="blog-sort">
+        ${Object.entries(ARTICLE_SORTS).map(([mode, label]) => html`<option value="${mode}">${label}</option>`)}
+      </select>
+    `;
+    searchContainer.appendChild(sortControl);
+
     controlsContainer.appendChild(searchContainer);
     controlsContainer.appendChild(filtersContainer);
+    controlsContainer.appendChild(this.createTagCloud());
     this.container.insertBefore(controlsContainer, this.container.firstChild);
   }
 
+  createFeaturedSection() {
+    const featuredContainer = document.createElement('div');
+    featuredContainer.className = 'blog-featured';
+    this.container.insertBefore(featuredContainer, this.container.firstChild);
+
+    this.featuredCarousel = new FeaturedCarousel(featuredContainer, {
+      label: 'Featured articles',
+      renderSlide: article => this.createFeaturedSlide(article),
+      ...this.featuredOptions
+    });
+    this.renderFeatured();
+  }
+
+  renderFeatured() {
+    this.featuredCarousel?.setItems(this.getFeaturedArticles());
+  }
+
+  /**
+   * Featured articles readers can see, in spotlight order: the order given
+   * to setFeaturedArticles(), otherwise newest first
+   */
+  getFeaturedArticles() {
+    const featured = this.getVisibleArticles().filter(article => this.isFeatured(article));
+    if (this.featuredOrder) {
+      return this.featuredOrder
+        .map(id => featured.find(article => article.id === id))
+        .filter(Boolean);
+    }
+    return featured.sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate));
+  }
+
+  /**
+   * Feature exactly the given articles, in that order. Unknown ids are ignored.
+   */
+  setFeaturedArticles(articleIds) {
+    const ids = [...new Set(articleIds)].filter(id => this.articles.some(article => article.id === id));
+    this.featuredOrder = ids;
+    this.renderFeatured();
+    return this.getFeaturedArticles();
+  }
+
+  isFeatured(article) {
+    return this.featuredOrder ? this.featuredOrder.includes(article.id) : Boolean(article.featured);
+  }
+
+  createFeaturedSlide(article) {
+    const categoryName = this.categories.find(cat => cat.id === article.category)?.name || article.category;
+    return html`
+      <article class="featured-article">
+        <p class="featured-label">Featured article</p>
+        <div class="featured-meta">
+          <span class="article-category">${categoryName}</span>
+          <span class="article-date">${new Date(article.publishedDate).toLocaleDateString()}</span>
+          <span class="reading-time">${this.getReadingStats(article).minutes} min read</span>
+          ${this.createStatusBadge(article)}
+        </div>
+        <h3 class="featured-title"><a href="${this.getArticleUrl(article)}" class="article-nav-link" data-article-id="${article.id}">${article.title}</a></h3>
+        <p class="featured-excerpt">${article.excerpt}</p>
+      </article>
+    `;
+  }
+
+  isPreviewRequested() {
+    const token = new URLSearchParams(window.location.search).get('preview');
+    return Boolean(this.previewToken && token === this.previewToken);
+  }
+
+  createPreviewBanner() {
+    const banner = document.createElement('p');
+    banner.className = 'blog-preview-banner';
+    banner.setAttribute('role', 'status');
+    banner.textContent = 'Preview mode: drafts and scheduled articles are visible.';
+    this.container.appendChild(banner);
+  }
+
+  /**
+   * Articles readers can see now. Drafts and scheduled articles are only
+   * listed in preview mode.
+   */
+  getVisibleArticles() {
+    if (this.previewMode) return this.articles;
+    const now = new Date();
+    return this.articles.filter(article => getArticleStatus(article, now) === 'published');
+  }
+
+  getArticleById(articleId) {
+    return this.getVisibleArticles().find(article => article.id === articleId);
+  }
+
+  createStatusBadge(article) {
+    const status = getArticleStatus(article);
+    if (status === 'published') return '';
+    if (status === 'draft') return html`<span class="article-status status-draft">Draft</span>`;
+
+    const publishAt = new Date(article.publishAt);
+    const label = Number.isNaN(publishAt.getTime()) ? 'Scheduled' : `Scheduled for ${publishAt.toLocaleString()}`;
+    return html`<span class="article-status status-scheduled">${label}</span>`;
+  }
+
+  /**
+   * Count articles per tag. Tags are matched case-insensitively and shown
+   * with the spelling of their first occurrence.
+   */
+  getTagCounts() {
+    const counts = new Map();
+    this.getVisibleArticles().forEach(article => {
+      new Set((article.tags || []).map(tag => tag.toLowerCase())).forEach(key => {
+        const label = article.tags.find(tag => tag.toLowerCase() === key);
+        const entry = counts.get(key) || { tag: label, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  createTagCloud() {
+    const tagCloud = document.createElement('div');
+    tagCloud.className = 'tag-cloud';
+
+    const tagCounts = this.getTagCounts();
+    const maxCount = Math.max(1, ...tagCounts.map(entry => entry.count));
+
+    tagCloud.innerHTML = html`
+      <div class="tag-cloud-header">
+        <span class="tag-cloud-title" id="tag-cloud-title">Tags</span>
+        <div class="tag-mode" role="group" aria-label="Combine selected tags">
+          <button type="button" class="tag-mode-btn active" data-mode="all" aria-pressed="true">Match all</button>
+          <button type="button" class="tag-mode-btn" data-mode="any" aria-pressed="false">Match any</button>
+        </div>
+        <button type="button" class="clear-tags-btn" hidden>Clear tags</button>
+      </div>
+      <div class="tag-facets" role="group" aria-labelledby="tag-cloud-title">
+        ${tagCounts.map(({ tag, count }) => html`
+          <button type="button" class="tag-facet tag-weight-${Math.ceil((count / maxCount) * 4)}" data-tag="${tag}" aria-pressed="false">
+            ${tag} <span class="tag-count" aria-label="${count} articles">${count}</span>
+          </button>
+        `)}
+      </div>
+    `;
+
+    return tagCloud;
+  }
+
+  isTagSelected(tag) {
+    return this.selectedTags.some(selected => selected.toLowerCase() === tag.toLowerCase());
+  }
+
+  toggleTag(tag) {
+    const tags = this.isTagSelected(tag)
+      ? this.selectedTags.filter(selected => selected.toLowerCase() !== tag.toLowerCase())
+      : [...this.selectedTags, tag];
+    this.filterByTags(tags, this.tagMode);
+  }
+
+  /**
+   * Show articles with all (mode 'all') or any (mode 'any') of the given tags
+   */
+  filterByTags(tags, mode = this.tagMode) {
+    this.selectedTags = [...tags];
+    this.tagMode = mode === 'any' ? 'any' : 'all';
+    this.currentPage = 1;
+    this.updateFacetControls();
+    this.renderArticleList();
+    this.syncListUrl();
+  }
+
+  clearTags() {
+    this.filterByTags([], this.tagMode);
+  }
+
+  updateFacetControls() {
+    this.container.querySelectorAll('.blog-filter-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.category === this.currentFilter);
+    });
+
+    this.container.querySelectorAll('.tag-facet').forEach(btn => {
+      const selected = this.isTagSelected(btn.dataset.tag);
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-pressed', String(selected));
+    });
+
+    this.container.querySelectorAll('.tag-mode-btn').forEach(btn => {
+      const active = btn.dataset.mode === this.tagMode;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+
+    const clearButton = this.container.querySelector('.clear-tags-btn');
+    if (clearButton) clearButton.hidden = this.selectedTags.length === 0;
+  }
+
+  updateSortControl() {
+    const select = this.container.querySelector('.blog-sort');
+    if (!select) return;
+
+    const relevance = select.querySelector('option[value="relevance"]');
+    relevance.disabled = !this.searchQuery.trim();
+    relevance.hidden = relevance.disabled;
+    select.value = this.getSortMode();
+  }
+
+  /**
+   * The sort in effect: the chosen one, or relevance while searching and
+   * newest first otherwise
+   */
+  getSortMode() {
+    const searching = Boolean(this.searchQuery.trim());
+    if (this.sortMode && (this.sortMode !== 'relevance' || searching)) return this.sortMode;
+    return searching ? 'relevance' : 'newest';
+  }
+
+  sortBy(mode) {
+    this.sortMode = isArticleSort(mode) ? mode : null;
+    this.currentPage = 1;
+    this.renderArticleList();
+    this.syncListUrl();
+  }
+
+  sortArticles(articles, mode = this.getSortMode()) {
+    const byDate = (a, b) => new Date(b.publishedDate) - new Date(a.publishedDate);
+    const compare = {
+      relevance: (a, b) => (this.searchMatches.get(b.id)?.score ?? 0) - (this.searchMatches.get(a.id)?.score ?? 0),
+      newest: byDate,
+      oldest: (a, b) => -byDate(a, b),
+      title: (a, b) => String(a.title).localeCompare(String(b.title), undefined, { sensitivity: 'base', numeric: true }),
+      'reading-time': (a, b) => this.getReadingStats(a).minutes - this.getReadingStats(b).minutes,
+      featured: (a, b) => Number(this.isFeatured(b)) - Number(this.isFeatured(a))
+    }[mode] || byDate;
+
+    // Ties fall back to newest first
+    return [...articles].sort((a, b) => compare(a, b) || byDate(a, b));
+  }
+
+  syncListUrl() {
+    // Article URLs have their own path; facets only describe the list
+    if (!this.router || this.container.querySelector('.article-view')) return;
+
+    this.router.updateQuery({
+      category: this.currentFilter === 'all' ? null : this.currentFilter,
+      tag: this.selectedTags,
+      match: this.selectedTags.length > 1 && this.tagMode === 'any' ? 'any' : null,
+      sort: this.sortMode,
+      page: this.currentPage > 1 ? this.currentPage : null
+    });
+  }
+
+  /**
+   * Cards are kept per article id and only rebuilt when their markup
+   * changes (search highlights, read badge), so paging, filtering and
+   * searching leave focus and state on the remaining cards alone.
+   */
   renderArticleList() {
-    let articlesContainer = this.container.querySelector('.articles-grid');
-    if (!articlesContainer) {
-      articlesContainer = document.createElement('div');
-      articlesContainer.className = 'articles-grid';
-      this.container.appendChild(articlesContainer);
+    if (!this.articleList) {
+      let articlesContainer = this.container.querySelector('.articles-grid');
+      if (!articlesContainer) {
+        articlesContainer = document.createElement('div');
+        articlesContainer.className = 'articles-grid';
+        this.container.appendChild(articlesContainer);
+      }
+      // Whatever was in the grid before is replaced; the list owns it from here
+      articlesContainer.replaceChildren();
+      this.articleList = new KeyedList(articlesContainer, {
+        key: article => article.id,
+        signature: article => this.renderArticleCard(article),
+        create: (article, markup) => this.createArticleCard(article, markup),
+        hooks: this.listHooks
+      });
     }
+    const articlesContainer = this.articleList.container;
+    this.updateSortControl();
+    articlesContainer.querySelector(':scope > .no-articles')?.remove();
     
+    if (this.searchQuery.trim() && !this.searchIndex) {
+      // The prebuilt index is fetched on first use; results follow once it arrives
+      const pending = this.loadSearchIndex();
+      if (!this.searchIndex) {
+        pending.then(() => this.renderArticleList());
+        this.articleList.render([]);
+        articlesContainer.insertAdjacentHTML('beforeend', '<p class="no-articles">Searching…</p>');
+        return;
+      }
+    }
+
     const filteredArticles = this.getFilteredArticles();
-    articlesContainer.innerHTML = '';
     
     if (filteredArticles.length === 0) {
-      articlesContainer.innerHTML = '<p class="no-articles">No articles found.</p>';
+      this.articleList.render([]);
+      articlesContainer.insertAdjacentHTML('beforeend', '<p class="no-articles">No articles found.</p>');
+      this.renderPagination(0);
       return;
     }
+
+    const totalPages = Math.ceil(filteredArticles.length / this.pageSize);
+    this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+
+    // Infinite scroll keeps every loaded page; numbered pages show one at a time
+    const start = this.pagination === 'infinite' ? 0 : (this.currentPage - 1) * this.pageSize;
+    const end = this.currentPage * this.pageSize;
     
-    filteredArticles.forEach(article => {
-      const articleCard = this.createArticleCard(article);
-      articlesContainer.appendChild(articleCard);
-    });
+    this.articleList.render(filteredArticles.slice(start, end));
+
+    this.renderPagination(totalPages);
   }
 
-  createArticleCard(article) {
+  renderPagination(totalPages) {
+    let paginationContainer = this.container.querySelector('.blog-pagination');
+    if (!paginationContainer) {
+      paginationContainer = document.createElement('nav');
+      paginationContainer.className = 'blog-pagination';
+      paginationContainer.setAttribute('aria-label', 'Article pages');
+      this.container.querySelector('.articles-grid').after(paginationContainer);
+    }
+
+    if (this.loadMoreObserver) {
+      this.loadMoreObserver.disconnect();
+      this.loadMoreObserver = null;
+    }
+
+    if (totalPages <= 1 || (this.pagination === 'infinite' && this.currentPage >= totalPages)) {
+      paginationContainer.innerHTML = '';
+      return;
+    }
+
+    if (this.pagination === 'infinite') {
+      paginationContainer.innerHTML = html`
+        <div class="load-more-sentinel" aria-hidden="true"></div>
+        <button type="button" class="load-more-btn">Load more articles</button>
+      `;
+      this.observeLoadMore(paginationContainer.querySelector('.load-more-sentinel'));
+      return;
+    }
+
+    const page = this.currentPage;
+    paginationContainer.innerHTML = html`
+      <button type="button" class="page-btn page-prev" data-page="${page - 1}" aria-label="Previous page" ${page === 1 ? html`disabled` : ''}>‹</button>
+      ${this.getPageNumbers(page, totalPages).map(number => (number === null
+        ? html`<span class="page-ellipsis" aria-hidden="true">…</span>`
+        : html`<button type="button" class="page-btn${number === page ? ' active' : ''}" data-page="${number}" aria-label="Page ${number}" ${number === page ? html`aria-current="page"` : ''}>${number}</button>`))}
+      <button type="button" class="page-btn page-next" data-page="${page + 1}" aria-label="Next page" ${page === totalPages ? html`disabled` : ''}>›</button>
+    `;
+  }
+
+  /**
+   * Page numbers to show, with null marking a gap: 1 … 4 5 6 … 12
+   */
+  getPageNumbers(current, total) {
+    if (total <= 7) {
+      return Array.from({ length: total }, (_, i) => i + 1);
+    }
+
+    const start = Math.max(2, Math.min(current - 1, total - 4));
+    const end = Math.min(total - 1, Math.max(current + 1, 5));
+    const pages = [1];
+
+    if (start > 2) pages.push(null);
+    for (let number = start; number <= end; number++) pages.push(number);
+    if (end < total - 1) pages.push(null);
+    pages.push(total);
+
+    return pages;
+  }
+
+  observeLoadMore(sentinel) {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.loadMoreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadMore();
+      }
+    }, { rootMargin: '200px 0px' });
+    this.loadMoreObserver.observe(sentinel);
+  }
+
+  goToPage(page) {
+    this.currentPage = page;
+    this.renderArticleList();
+    this.syncListUrl();
+    this.container.querySelector('.articles-grid').scrollIntoView?.({ block: 'start' });
+  }
+
+  loadMore() {
+    this.currentPage++;
+    this.renderArticleList();
+    this.syncListUrl();
+  }
+
+  createArticleCard(article, markup = this.renderArticleCard(article)) {
     const card = document.createElement('article');
     card.className = 'article-card';
     card.dataset.articleId = article.id;
+    card.innerHTML = markup;
     
+    return card;
+  }
+
+  renderArticleCard(article) {
     const categoryName = this.categories.find(cat => cat.id === article.category)?.name || article.category;
+    const match = this.searchMatches.get(article.id);
+    const terms = match ? match.terms : [];
+    const seriesContext = this.getSeriesContext(article);
     
-    card.innerHTML = `
+    return html`
       <div class="article-meta">
         <span class="article-category">${categoryName}</span>
         <span class="article-date">${new Date(article.publishedDate).toLocaleDateString()}</span>
-        <span class="reading-time">${article.readingTime} min read</span>
+        <span class="reading-time">${this.getReadingStats(article).minutes} min read</span>
+        ${this.createStatusBadge(article)}
+        ${this.readingHistory.hasRead(article.id) ? html`<span class="read-badge" title="You have read this article">Read</span>` : ''}
       </div>
-      <h3 class="article-title">${article.title}</h3>
-      <p class="article-excerpt">${article.excerpt}</p>
+      ${seriesContext && this.createSeriesLabel(seriesContext)}
+      <h3 class="article-title"><a href="${this.getArticleUrl(article)}" class="article-link">${this.renderHighlighted(SearchIndex.highlight(article.title, terms))}</a></h3>
+      <p class="article-excerpt">${this.renderHighlighted(SearchIndex.highlight(article.excerpt, terms))}</p>
+      ${match && this.createMatchSnippet(article, match)}
       <div class="article-tags">
-        ${article.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+        ${article.tags.map(tag => this.createTagButton(tag))}
       </div>
       <button class="read-article-btn">Read Article</button>
     `;
-    
-    return card;
+  }
+
+  /**
+   * "Continue reading" link to the last unfinished article and the control
+   * to forget the reading history. Empty when there is no history.
+   */
+  renderReadingHistory() {
+    let historyContainer = this.container.querySelector('.reading-history');
+    if (!historyContainer) {
+      historyContainer = document.createElement('div');
+      historyContainer.className = 'reading-history';
+      this.container.appendChild(historyContainer);
+    }
+
+    if (this.readingHistory.isEmpty()) {
+      historyContainer.innerHTML = '';
+      return;
+    }
+
+    const visibleIds = new Set(this.getVisibleArticles().map(article => article.id));
+    const resume = this.readingHistory.getContinueReading(id => visibleIds.has(id));
+    const article = resume && this.getArticleById(resume.id);
+
+    historyContainer.innerHTML = html`
+      ${article ? html`
+        <p class="continue-reading">
+          <span class="continue-reading-label">Continue reading</span>
+          <a href="${this.getArticleUrl(article)}" class="continue-reading-link" data-article-id="${article.id}">${article.title}</a>
+          <span class="continue-reading-progress">${Math.round(resume.progress * 100)}% read</span>
+        </p>
+      ` : ''}
+      <button type="button" class="clear-history-btn">Clear reading history</button>
+    `;
+  }
+
+  clearReadingHistory() {
+    this.readingHistory.clear();
+    this.renderReadingHistory();
+    this.renderArticleList();
+  }
+
+  /**
+   * Word count and reading time computed from the article's Markdown
+   */
+  getReadingStats(article) {
+    if (!this.readingStats.has(article.id)) {
+      this.readingStats.set(article.id, this.readingTime.analyze(article.content));
+    }
+    return this.readingStats.get(article.id);
+  }
+
+  createTagButton(tag) {
+    const selected = this.isTagSelected(tag);
+    return html`<button type="button" class="tag${selected ? ' active' : ''}" data-tag="${tag}" aria-pressed="${String(selected)}" title="Show articles tagged ${tag}">${tag}</button>`;
+  }
+
+  renderHighlighted(segments) {
+    return segments.map(segment => (segment.match ? html`<mark>${segment.text}</mark>` : segment.text));
+  }
+
+  createMatchSnippet(article, match) {
+    // Only show body text when the title and excerpt do not explain the match
+    if (!match.fields.includes('content') || match.fields.some(field => field === 'title' || field === 'excerpt')) {
+      return '';
+    }
+
+    const segments = SearchIndex.snippet(SearchIndex.getFieldText(article, 'content'), match.terms);
+    return segments.length ? html`<p class="article-snippet">${this.renderHighlighted(segments)}</p>` : '';
+  }
+
+  /**
+   * Load the prebuilt search index, falling back to indexing the loaded
+   * articles when no URL is configured or the request fails
+   */
+  loadSearchIndex() {
+    if (this.searchIndex) return Promise.resolve(this.searchIndex);
+    if (this.searchIndexPromise) return this.searchIndexPromise;
+
+    const buildLocally = () => {
+      this.searchIndex = SearchIndex.build(this.getVisibleArticles());
+      return this.searchIndex;
+    };
+
+    if (!this.searchIndexUrl) {
+      return Promise.resolve(buildLocally());
+    }
+
+    this.searchIndexPromise = Promise.resolve()
+      .then(() => fetch(this.searchIndexUrl))
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        const index = SearchIndex.fromJSON(data);
+        const articleIds = new Set(this.getVisibleArticles().map(article => article.id));
+        // The build indexes published articles only; an index for a different
+        // set (another articles.json, or drafts shown in preview) would hide or invent results
+        if (index.documents.length !== articleIds.size ||
+            !index.documents.every(doc => articleIds.has(doc.id))) {
+          throw new Error('Search index is out of date');
+        }
+        this.searchIndex = index;
+        return index;
+      })
+      .catch(error => {
+        console.warn('Failed to load search index, indexing articles locally:', error);
+        return buildLocally();
+      });
+
+    return this.searchIndexPromise;
   }
 
   getFilteredArticles() {
-    let filtered = this.articles;
+    let filtered = this.getVisibleArticles();
+    this.searchMatches = new Map();
     
     // Apply category filter
     if (this.currentFilter !== 'all') {
       filtered = filtered.filter(article => article.category === this.currentFilter);
     }
     
-    // Apply search filter
-    if (this.searchQuery.trim()) {
-      const query = this.searchQuery.toLowerCase();
-      filtered = filtered.filter(article => 
-        article.title.toLowerCase().includes(query) ||
-        article.excerpt.toLowerCase().includes(query) ||
-        article.content.toLowerCase().includes(query) ||
-        article.tags.some(tag => tag.toLowerCase().includes(query))
-      );
+    // Apply tag facets
+    if (this.selectedTags.length > 0) {
+      const selected = this.selectedTags.map(tag => tag.toLowerCase());
+      const combine = this.tagMode === 'any' ? 'some' : 'every';
+      filtered = filtered.filter(article => {
+        const articleTags = (article.tags || []).map(tag => tag.toLowerCase());
+        return selected[combine](tag => articleTags.includes(tag));
+      });
     }
     
-    // Sort by date (newest first)
-    return filtered.sort((a, b) => new Date(b.publishedDate) - new Date(a.publishedDate));
+    // Apply search filter, ranked by relevance
+    const results = this.searchQuery.trim() && this.searchIndex
+      ? this.searchIndex.search(this.searchQuery)
+      : null;
+
+    if (results) {
+      results.forEach(result => this.searchMatches.set(result.id, result));
+      filtered = filtered.filter(article => this.searchMatches.has(article.id));
+    }
+    
+    return this.sortArticles(filtered);
   }
 
   setupEventListeners() {
@@ -126,14 +744,85 @@ export class BlogSystem {
         this.handleFilterClick(e.target);
       }
       
+      const articleLink = e.target.closest('.article-link');
+      if (articleLink && !(e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+        // Modified clicks keep the native behaviour (open in a new tab)
+        e.preventDefault();
+        this.openArticle(articleLink.closest('.article-card').dataset.articleId);
+      }
+
+      const navLink = e.target.closest('.article-nav-link, .series-link');
+      if (navLink && !(e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+        e.preventDefault();
+        if (navLink.dataset.seriesId) {
+          this.openSeries(navLink.dataset.seriesId);
+        } else {
+          this.openArticle(navLink.dataset.articleId);
+        }
+      }
+
       if (e.target.classList.contains('read-article-btn')) {
         const articleCard = e.target.closest('.article-card');
         const articleId = articleCard.dataset.articleId;
-        this.renderArticle(articleId);
+        this.openArticle(articleId);
       }
       
+      const tagButton = e.target.closest('.tag[data-tag], .tag-facet');
+      if (tagButton) {
+        if (tagButton.closest('.article-view')) {
+          this.showTag(tagButton.dataset.tag);
+        } else {
+          this.toggleTag(tagButton.dataset.tag);
+        }
+      }
+
+      const pageButton = e.target.closest('.page-btn');
+      if (pageButton && !pageButton.disabled) {
+        this.goToPage(parseInt(pageButton.dataset.page, 10));
+      }
+
+      if (e.target.classList.contains('load-more-btn')) {
+        this.loadMore();
+      }
+
+      if (e.target.classList.contains('tag-mode-btn')) {
+        this.filterByTags(this.selectedTags, e.target.dataset.mode);
+      }
+
+      if (e.target.classList.contains('clear-tags-btn')) {
+        this.clearTags();
+      }
+
+      const continueLink = e.target.closest('.continue-reading-link');
+      if (continueLink && !(e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+        e.preventDefault();
+        this.openArticle(continueLink.dataset.articleId, { resume: true });
+      }
+
+      if (e.target.classList.contains('clear-history-btn')) {
+        this.clearReadingHistory();
+      }
+
       if (e.target.classList.contains('back-to-list-btn')) {
-        this.renderArticleList();
+        this.handleBackToList();
+      }
+
+      if (e.target.classList.contains('copy-code-btn')) {
+        this.copyCodeBlock(e.target);
+      }
+
+      // Section, TOC and footnote links scroll within the article instead of
+      // changing the hash, which would re-enter the route via popstate
+      const sectionLink = e.target.closest('.article-view a[href^="#"]');
+      if (sectionLink && !(e.metaKey || e.ctrlKey || e.shiftKey || e.altKey)) {
+        e.preventDefault();
+        this.scrollToSection(sectionLink.getAttribute('href').slice(1));
+      }
+    });
+    
+    this.container.addEventListener('change', (e) => {
+      if (e.target.classList.contains('blog-sort')) {
+        this.sortBy(e.target.value);
       }
     });
     
@@ -142,9 +831,14 @@ export class BlogSystem {
     const searchBtn = this.container.querySelector('.search-btn');
     
     if (searchInput) {
+      // Start fetching the index as soon as the reader shows intent to search
+      searchInput.addEventListener('focus', () => this.loadSearchIndex(), { once: true });
+
       searchInput.addEventListener('input', (e) => {
         this.searchQuery = e.target.value;
+        this.currentPage = 1;
         this.renderArticleList();
+        this.syncListUrl();
       });
       
       searchInput.addEventListener('keypress', (e) => {
@@ -167,62 +861,590 @@ export class BlogSystem {
     button.classList.add('active');
     
     this.currentFilter = button.dataset.category;
+    this.currentPage = 1;
     this.renderArticleList();
+    this.syncListUrl();
   }
 
   filterByCategory(category) {
     this.currentFilter = category;
+    this.currentPage = 1;
     this.renderArticleList();
     
     this.container.querySelectorAll('.blog-filter-btn').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.category === category);
     });
+    this.syncListUrl();
   }
 
   searchArticles(query) {
     this.searchQuery = query;
+    this.currentPage = 1;
+    this.renderArticleList();
+    this.syncListUrl();
+  }
+
+  getArticleUrl(article) {
+    return `${this.basePath}/${encodeURIComponent(article.slug || article.id)}`;
+  }
+
+  getArticleBySlug(slug) {
+    const articles = this.getVisibleArticles();
+    return articles.find(article => article.slug === slug) ||
+      articles.find(article => article.id === slug);
+  }
+
+  getListState() {
+    return {
+      filter: this.currentFilter,
+      query: this.searchQuery,
+      tags: this.selectedTags,
+      tagMode: this.tagMode,
+      sort: this.sortMode,
+      page: this.currentPage,
+      scrollY: window.scrollY || 0
+    };
+  }
+
+  restoreListState(listState) {
+    this.currentFilter = listState.filter || 'all';
+    this.searchQuery = listState.query || '';
+    this.selectedTags = listState.tags || [];
+    this.tagMode = listState.tagMode === 'any' ? 'any' : 'all';
+    this.sortMode = isArticleSort(listState.sort) ? listState.sort : null;
+    this.currentPage = listState.page || 1;
+
+    const searchInput = this.container.querySelector('.blog-search');
+    if (searchInput) searchInput.value = this.searchQuery;
+
+    this.updateFacetControls();
     this.renderArticleList();
   }
 
+  /**
+   * Open an article; `resume` scrolls back to where the reader left off
+   */
+  openArticle(articleId, { resume = false } = {}) {
+    const article = this.getArticleById(articleId);
+    if (!article) return;
+
+    if (!this.router) {
+      this.renderArticle(articleId);
+      if (resume) this.resumeReading(articleId);
+      return;
+    }
+
+    this.saveListState();
+    this.router.navigate(this.getArticleUrl(article), { articleId, fromList: true, ...(resume ? { resume } : {}) });
+  }
+
+  openSeries(seriesId) {
+    if (!this.getSeries(seriesId)) return;
+
+    if (!this.router) {
+      this.renderSeries(seriesId);
+      return;
+    }
+
+    this.saveListState();
+    this.router.navigate(this.getSeriesUrl(seriesId), { seriesId, fromList: true });
+  }
+
+  saveListState() {
+    // Remember the list entry so the back button can put it back as it was.
+    // Entries for articles and series pages keep the list state they were opened with.
+    if (this.container.querySelector('.article-view')) return;
+    this.router.saveState({ blogList: this.getListState() });
+  }
+
+  showSeriesById(seriesId, state = {}) {
+    if (!this.getSeries(seriesId)) {
+      this.router.navigate('/', {}, { replace: true });
+      return;
+    }
+
+    this.openedFromList = Boolean(state.fromList);
+    this.renderSeries(seriesId);
+    this.container.scrollIntoView?.({ block: 'start' });
+  }
+
+  showArticleBySlug(slug, state = {}) {
+    const article = this.getArticleBySlug(slug);
+    if (!article) {
+      this.router.navigate('/', {}, { replace: true });
+      return;
+    }
+
+    this.openedFromList = Boolean(state.fromList);
+    this.renderArticle(article.id);
+
+    if (state.resume) {
+      this.resumeReading(article.id);
+      return;
+    }
+
+    // Shared section links (/blog/slug#heading) open at that heading
+    const section = this.getArticleSection(window.location.hash.slice(1));
+    (section || this.container).scrollIntoView?.({ block: 'start' });
+  }
+
+  handleBackToList() {
+    if (!this.router) {
+      this.showArticleList();
+    } else if (this.openedFromList) {
+      // Going back pops the article entry and restores the saved list state
+      window.history.back();
+    } else {
+      // Landed directly on an article, so there is no list entry to return to
+      this.router.navigate('/#blog');
+    }
+  }
+
+  /**
+   * Leave the article view for the list filtered to a single tag
+   */
+  showTag(tag) {
+    this.currentFilter = 'all';
+    this.searchQuery = '';
+    this.selectedTags = [tag];
+    this.currentPage = 1;
+
+    const searchInput = this.container.querySelector('.blog-search');
+    if (searchInput) searchInput.value = '';
+    this.updateFacetControls();
+
+    if (this.router) {
+      const params = new URLSearchParams({ tag });
+      this.router.navigate(`/?${params}#blog`);
+    } else {
+      this.showArticleList();
+    }
+  }
+
+  showArticleList(listState = null) {
+    this.teardownArticleView();
+    const articleView = this.container.querySelector('.article-view');
+    if (articleView) articleView.remove();
+
+    Array.from(this.container.children).forEach(child => {
+      child.hidden = false;
+    });
+
+    if (this.listTitle !== null) {
+      document.title = this.listTitle;
+      this.listTitle = null;
+    }
+
+    this.renderReadingHistory();
+
+    if (listState) {
+      this.restoreListState(listState);
+      window.scrollTo(0, listState.scrollY || 0);
+    } else {
+      this.renderArticleList();
+      this.container.scrollIntoView?.({ block: 'start' });
+    }
+  }
+
   renderArticle(articleId) {
-    const article = this.articles.find(a => a.id === articleId);
+    const article = this.getArticleById(articleId);
     if (!article) return;
     
     const categoryName = this.categories.find(cat => cat.id === article.category)?.name || article.category;
-    
-    this.container.innerHTML = `
-      <div class="article-view">
-        <button class="back-to-list-btn">← Back to Articles</button>
-        <article class="full-article">
-          <header class="article-header">
-            <div class="article-meta">
-              <span class="article-category">${categoryName}</span>
-              <span class="article-date">${new Date(article.publishedDate).toLocaleDateString()}</span>
-              <span class="reading-time">${article.readingTime} min read</span>
-            </div>
-            <h1 class="article-title">${article.title}</h1>
-            <div class="article-tags">
-              ${article.tags.map(tag => `<span class="tag">${tag}</span>`).join('')}
+    const readingStats = this.getReadingStats(article);
+    const seriesContext = this.getSeriesContext(article);
+
+    this.prepareView(`${article.title} | Blog`);
+
+    // Heading ids must not collide with ids elsewhere on the page (#projects, #contact, ...)
+    const reservedIds = Array.from(document.querySelectorAll('[id]'), element => element.id);
+    const content = this.parseMarkdown(article.content, { reservedIds });
+    const headings = this.markdownRenderer.headings;
+    const showToc = headings.length >= this.tocMinHeadings;
+
+    // Other parts of the series are already linked, so they are not repeated
+    const visibleIds = new Set(this.getVisibleArticles().map(visible => visible.id));
+    const related = this.relatedArticles.getRelated(article, {
+      limit: this.relatedLimit,
+      exclude: [
+        ...(seriesContext ? seriesContext.parts.map(part => part.id) : []),
+        ...this.articles.filter(other => !visibleIds.has(other.id)).map(other => other.id)
+      ]
+    });
+
+    const articleView = document.createElement('div');
+    articleView.className = 'article-view';
+    articleView.innerHTML = html`
+      <div class="reading-progress" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+        <div class="reading-progress-bar"></div>
+      </div>
+      <button class="back-to-list-btn">← Back to Articles</button>
+      <div class="article-layout${showToc ? ' has-toc' : ''}">
+        <div class="article-main">
+          <article class="full-article">
+            <header class="article-header">
+              ${seriesContext && this.createSeriesLabel(seriesContext)}
+              <div class="article-meta">
+                <span class="article-category">${categoryName}</span>
+                <span class="article-date">${new Date(article.publishedDate).toLocaleDateString()}</span>
+                <span class="reading-time">${readingStats.minutes} min read</span>
+                <span class="word-count">${readingStats.wordCount.toLocaleString()} words</span>
+                ${this.createStatusBadge(article)}
+              </div>
+              <h1 class="article-title">${article.title}</h1>
+              <div class="article-tags">
+                ${article.tags.map(tag => this.createTagButton(tag))}
+              </div>
+            </header>
+            <div class="article-content">
+              ${content}
             </div>
-          </header>
-          <div class="article-content">
-            ${this.parseMarkdown(article.content)}
-          </div>
-        </article>
+            ${seriesContext && this.createSeriesNavigation(seriesContext)}
+          </article>
+          ${related.length > 0 && this.createRelatedArticles(related)}
+        </div>
+        ${showToc ? this.createTableOfContents(headings) : ''}
       </div>
     `;
+    this.container.appendChild(articleView);
+
+    articleView.querySelectorAll('.article-content h2[id], .article-content h3[id]').forEach(heading => {
+      const text = headings.find(item => item.id === heading.id)?.text;
+      if (text === undefined) return;
+      const anchor = document.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.href = `#${encodeURIComponent(heading.id)}`;
+      anchor.setAttribute('aria-label', `Link to section: ${text}`);
+      anchor.textContent = '#';
+      heading.appendChild(anchor);
+    });
+
+    if (showToc) this.observeHeadings(articleView);
+    this.readingHistory.markOpened(article.id);
+    this.currentArticleId = article.id;
+    window.addEventListener('scroll', this.trackReadingProgress, { passive: true });
+    window.addEventListener('resize', this.updateReadingProgress);
+    this.updateReadingProgress();
+  }
+
+  /**
+   * Swap the list for a detail view. The list stays in the DOM (hidden) so
+   * its controls and listeners survive.
+   */
+  prepareView(title) {
+    this.teardownArticleView();
+    const existingView = this.container.querySelector('.article-view');
+    if (existingView) existingView.remove();
+    Array.from(this.container.children).forEach(child => {
+      child.hidden = true;
+    });
+
+    if (this.listTitle === null) this.listTitle = document.title;
+    document.title = title;
+  }
+
+  getSeriesUrl(seriesId) {
+    return `${this.basePath}/series/${encodeURIComponent(seriesId)}`;
+  }
+
+  /**
+   * Series metadata with its articles in reading order, or null when no
+   * article belongs to it
+   */
+  getSeries(seriesId) {
+    const parts = this.getVisibleArticles()
+      .filter(article => article.series?.id === seriesId)
+      .sort((a, b) => (a.series.part ?? Infinity) - (b.series.part ?? Infinity) ||
+        new Date(a.publishedDate) - new Date(b.publishedDate));
+    if (parts.length === 0) return null;
+
+    const meta = this.series.find(series => series.id === seriesId);
+    return { id: seriesId, title: seriesId, description: '', ...meta, parts };
+  }
+
+  getSeriesContext(article) {
+    if (!article.series?.id) return null;
+
+    const series = this.getSeries(article.series.id);
+    const index = series.parts.indexOf(article);
+    return {
+      series,
+      parts: series.parts,
+      index,
+      previous: series.parts[index - 1] || null,
+      next: series.parts[index + 1] || null
+    };
+  }
+
+  createSeriesLabel({ series, parts, index }) {
+    return html`
+      <p class="series-label">
+        Part ${index + 1} of ${parts.length} in
+        <a class="series-link" href="${this.getSeriesUrl(series.id)}" data-series-id="${series.id}">${series.title}</a>
+      </p>
+    `;
+  }
+
+  createSeriesNavigation({ series, previous, next }) {
+    const link = (article, direction) => html`
+      <a class="article-nav-link series-${direction}" href="${this.getArticleUrl(article)}" data-article-id="${article.id}">
+        <span class="series-nav-direction">${direction === 'previous' ? '← Previous' : 'Next →'}</span>
+        <span class="series-nav-title">${article.title}</span>
+      </a>
+    `;
+
+    return html`
+      <nav class="series-nav" aria-label="${series.title} series">
+        ${previous ? link(previous, 'previous') : html`<span class="series-nav-placeholder"></span>`}
+        <a class="series-link series-overview-link" href="${this.getSeriesUrl(series.id)}" data-series-id="${series.id}">All parts</a>
+        ${next ? link(next, 'next') : html`<span class="series-nav-placeholder"></span>`}
+      </nav>
+    `;
+  }
+
+  createRelatedArticles(related) {
+    return html`
+      <section class="related-articles" aria-labelledby="related-articles-title">
+        <h2 class="related-articles-title" id="related-articles-title">Related articles</h2>
+        <ul class="related-list">
+          ${related.map(({ article, sharedTags }) => html`
+            <li class="related-item">
+              <a class="article-nav-link related-link" href="${this.getArticleUrl(article)}" data-article-id="${article.id}">${article.title}</a>
+              <p class="related-excerpt">${article.excerpt}</p>
+              ${sharedTags.length > 0 && html`<p class="related-tags">Also tagged ${sharedTags.join(', ')}</p>`}
+            </li>
+          `)}
+        </ul>
+      </section>
+    `;
+  }
+
+  renderSeries(seriesId) {
+    const series = this.getSeries(seriesId);
+    if (!series) return;
+
+    this.prepareView(`${series.title} | Blog`);
+
+    const view = document.createElement('div');
+    view.className = 'article-view series-view';
+    view.innerHTML = html`
+      <button class="back-to-list-btn">← Back to Articles</button>
+      <section class="series-overview" aria-labelledby="series-title">
+        <header class="article-header">
+          <p class="series-label">Series · ${series.parts.length} ${series.parts.length === 1 ? 'part' : 'parts'}</p>
+          <h1 class="article-title" id="series-title">${series.title}</h1>
+          ${series.description && html`<p class="series-description">${series.description}</p>`}
+        </header>
+        <ol class="series-parts">
+          ${series.parts.map((article, index) => html`
+            <li class="series-part" data-article-id="${article.id}">
+              <span class="series-part-number">Part ${index + 1}</span>
+              <a class="article-nav-link" href="${this.getArticleUrl(article)}" data-article-id="${article.id}">${article.title}</a>
+              <p class="series-part-excerpt">${article.excerpt}</p>
+              <span class="reading-time">${this.getReadingStats(article).minutes} min read</span>
+            </li>
+          `)}
+        </ol>
+      </section>
+    `;
+    this.container.appendChild(view);
+  }
+
+  /**
+   * Nested list of h2 sections with their h3 subsections
+   */
+  createTableOfContents(headings) {
+    const sections = [];
+    headings.forEach(heading => {
+      const parent = sections[sections.length - 1];
+      if (heading.level > 2 && parent) {
+        parent.children.push(heading);
+      } else {
+        sections.push({ ...heading, children: [] });
+      }
+    });
+
+    const link = ({ id, text }) => html`<a class="toc-link" href="#${encodeURIComponent(id)}" data-heading-id="${id}">${text}</a>`;
+
+    return html`
+      <nav class="article-toc" aria-label="Table of contents">
+        <p class="article-toc-title">On this page</p>
+        <ol class="toc-list">
+          ${sections.map(section => html`
+            <li class="toc-item">
+              ${link(section)}
+              ${section.children.length > 0 ? html`
+                <ol class="toc-sublist">
+                  ${section.children.map(child => html`<li class="toc-item">${link(child)}</li>`)}
+                </ol>
+              ` : ''}
+            </li>
+          `)}
+        </ol>
+      </nav>
+    `;
+  }
+
+  observeHeadings(articleView) {
+    if (!('IntersectionObserver' in window)) return;
+
+    // Same approach as NavigationManager.setupSectionObserver: the heading
+    // crossing the band below the fixed header is the current section
+    this.tocObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          this.setActiveHeading(entry.target.id);
+        }
+      });
+    }, {
+      threshold: 0,
+      rootMargin: '-80px 0px -70% 0px'
+    });
+
+    articleView.querySelectorAll('.article-content h2[id], .article-content h3[id]').forEach(heading => {
+      this.tocObserver.observe(heading);
+    });
+  }
+
+  setActiveHeading(id) {
+    this.container.querySelectorAll('.article-view .toc-link').forEach(link => {
+      const active = link.dataset.headingId === id;
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  getArticleSection(id) {
+    if (!id) return null;
+    let decoded = id;
+    try {
+      decoded = decodeURIComponent(id);
+    } catch {
+      // Keep the raw fragment
+    }
+    const article = this.container.querySelector('.article-view .full-article');
+    return article ? Array.from(article.querySelectorAll('[id]')).find(element => element.id === decoded) || null : null;
+  }
+
+  scrollToSection(id) {
+    const section = this.getArticleSection(id);
+    if (!section) return;
+
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    section.scrollIntoView?.({ behavior: reduceMotion ? 'auto' : 'smooth', block: 'start' });
+    if (section.matches('h2, h3')) this.setActiveHeading(section.id);
+    this.router?.updateHash(section.id);
+  }
+
+  /**
+   * Share of the article body scrolled past, from 0 to 1
+   */
+  getReadingProgress() {
+    const article = this.container.querySelector('.article-view .full-article');
+    if (!article) return 0;
+
+    const rect = article.getBoundingClientRect();
+    const scrollable = rect.height - window.innerHeight;
+    if (scrollable <= 0) {
+      return rect.bottom <= window.innerHeight ? 1 : 0;
+    }
+    return Math.min(1, Math.max(0, -rect.top / scrollable));
+  }
+
+  updateReadingProgress() {
+    const progressBar = this.container.querySelector('.article-view .reading-progress');
+    if (!progressBar) return;
+
+    const progress = this.getReadingProgress();
+    progressBar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+    progressBar.querySelector('.reading-progress-bar').style.transform = `scaleX(${progress})`;
+  }
+
+  // Scroll handler for the article view: moves the progress bar and
+  // remembers the position for "continue reading"
+  trackReadingProgress() {
+    this.updateReadingProgress();
+    if (this.currentArticleId) {
+      this.readingHistory.saveProgress(this.currentArticleId, this.getReadingProgress());
+    }
+  }
+
+  /**
+   * Scroll the open article back to the saved reading position
+   */
+  resumeReading(articleId) {
+    const article = this.container.querySelector('.article-view .full-article');
+    const entry = this.readingHistory.getEntry(articleId);
+    if (!article || !entry) return;
+
+    // Inverse of getReadingProgress()
+    const rect = article.getBoundingClientRect();
+    const scrollable = Math.max(0, rect.height - window.innerHeight);
+    const top = rect.top + (window.scrollY || 0) + entry.progress * scrollable;
+    window.scrollTo(0, Math.max(0, Math.round(top)));
+    this.updateReadingProgress();
+  }
+
+  teardownArticleView() {
+    if (this.tocObserver) {
+      this.tocObserver.disconnect();
+      this.tocObserver = null;
+    }
+    this.currentArticleId = null;
+    window.removeEventListener('scroll', this.trackReadingProgress);
+    window.removeEventListener('resize', this.updateReadingProgress);
+  }
+
+  copyCodeBlock(button) {
+    const code = button.closest('.code-block')?.querySelector('code');
+    if (!code) return Promise.resolve(false);
+
+    const showResult = (copied) => {
+      button.textContent = copied ? 'Copied!' : 'Copy failed';
+      button.classList.toggle('copied', copied);
+      clearTimeout(button.resetTimeout);
+      button.resetTimeout = setTimeout(() => {
+        button.textContent = 'Copy';
+        button.classList.remove('copied');
+      }, 2000);
+      return copied;
+    };
+
+    const text = code.textContent;
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text)
+        .then(() => showResult(true))
+        .catch(() => showResult(this.copyWithSelection(text)));
+    }
+    return Promise.resolve(showResult(this.copyWithSelection(text)));
+  }
+
+  copyWithSelection(text) {
+    // Fallback for browsers without the async Clipboard API
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'absolute';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      return document.execCommand('copy');
+    } catch (error) {
+      console.warn('Failed to copy code block:', error);
+      return false;
+    } finally {
+      document.body.removeChild(textarea);
+    }
   }
 
-  parseMarkdown(content) {
-    // Simple markdown parser for basic formatting
-    return content
-      .replace(/^# (.*$)/gim, '<h1>$1</h1>')
-      .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-      .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-      .replace(/\*\*(.*)\*\*/gim, '<strong>$1</strong>')
-      .replace(/\*(.*)\*/gim, '<em>$1</em>')
-      .replace(/\n\n/gim, '</p><p>')
-      .replace(/^(.*)$/gim, '<p>$1</p>')
-      .replace(/<p><\/p>/gim, '');
+  parseMarkdown(content, options = {}) {
+    // Articles may embed raw HTML, so the rendered output goes through the allow-list
+    return this.sanitizer.sanitize(this.markdownRenderer.render(content, options), options);
   }
 }
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * CaseStudy - Markup for a project's long-form case study
+ *
+ * Shared by ProjectGallery (the /projects/:id/case-study view) and the
+ * build, which prerenders the same markup into the page for crawlers.
+ * Markdown fields go through `renderMarkdown`, which must return SafeHtml:
+ * the browser sanitizes the rendered HTML, the build escapes raw HTML.
+ */
+import { html } from './HtmlSanitizer.js';
+
+export function getCaseStudyPath(projectId, basePath = '/projects') {
+  return `${basePath}/${encodeURIComponent(projectId)}/case-study`;
+}
+
+export function renderCaseStudy(project, caseStudy, { renderMarkdown, categoryName = project.category, backUrl = '/#projects' }) {
+  const facts = [
+    ['Role', caseStudy.role],
+    ['Timeline', caseStudy.timeline],
+    ['Team', caseStudy.team],
+    ['Technologies', (project.technologies || []).join(', ')]
+  ].filter(([, value]) => value);
+
+  const sections = [
+    ['The problem', caseStudy.problem],
+    ['Architecture', caseStudy.architecture]
+  ].filter(([, value]) => value);
+
+  return html`
+    <article class="case-study-view" aria-labelledby="case-study-title">
+      <a href="${backUrl}" class="back-to-projects-btn">← All projects</a>
+      <header class="case-study-header">
+        <p class="case-study-eyebrow">Case study${categoryName ? html` · ${categoryName}` : ''}</p>
+        <h2 id="case-study-title" class="case-study-title">${project.title}</h2>
+        <p class="case-study-summary">${caseStudy.summary || project.description}</p>
+        ${facts.length > 0 ? html`
+          <dl class="case-study-facts">
+            ${facts.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+          </dl>
+        ` : ''}
+        ${project.liveUrl || project.githubUrl ? html`
+          <div class="project-links">
+            ${project.liveUrl ? html`<a href="${project.liveUrl}" target="_blank" rel="noopener noreferrer" class="project-link">Live Demo</a>` : ''}
+            ${project.githubUrl ? html`<a href="${project.githubUrl}" target="_blank" rel="noopener noreferrer" class="project-link">Source Code</a>` : ''}
+          </div>
+        ` : ''}
+      </header>
+      ${caseStudy.metrics?.length > 0 ? html`
+        <ul class="case-study-metrics" aria-label="Results">
+          ${caseStudy.metrics.map(metric => html`
+            <li class="case-study-metric">
+              <span class="metric-value">${metric.value}</span>
+              <span class="metric-label">${metric.label}</span>
+              ${metric.detail ? html`<span class="metric-detail">${metric.detail}</span>` : ''}
+            </li>
+          `)}
+        </ul>
+      ` : ''}
+      ${sections.map(([title, markdown]) => html`
+        <section class="case-study-section">
+          <h3>${title}</h3>
+          ${renderMarkdown(markdown)}
+        </section>
+      `)}
+      ${caseStudy.outcomes?.length > 0 ? html`
+        <section class="case-study-section case-study-outcomes">
+          <h3>Outcomes</h3>
+          <ul>${caseStudy.outcomes.map(outcome => html`<li>${outcome}</li>`)}</ul>
+        </section>
+      ` : ''}
+      <div class="case-study-body">${renderMarkdown(caseStudy.content || '')}</div>
+    </article>
+  `;
+}
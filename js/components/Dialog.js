@@ -0,0 +1,173 @@
+/**
+ * Dialog - Accessible modal dialog shared by the project and timeline modals
+ *
+ * Wraps markup built by the caller (`.modal-overlay > .modal-content`):
+ * - marks `.modal-content` as an aria-modal dialog labelled by its heading
+ * - keeps Tab/Shift+Tab inside the dialog and makes the rest of the page inert
+ * - closes on Escape, on `.modal-close` and on clicks on the overlay
+ * - locks page scrolling through ScrollLock
+ * - returns focus to the element that opened it
+ * Dialogs can stack; only the top one reacts to Escape.
+ */
+import { lockScroll } from './ScrollLock.js';
+
+const FOCUSABLE = [
+  'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])', 'textarea:not([disabled])', 'iframe', '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+const openDialogs = [];
+let titleCounter = 0;
+
+export class Dialog {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.dialog = element.querySelector(options.dialogSelector || '.modal-content') || element;
+    this.overlay = element.querySelector(options.overlaySelector || '.modal-overlay');
+    this.onClose = options.onClose || null;
+    this.label = options.label || null;
+    this.isOpen = false;
+    this.trigger = null;
+    this.inertElements = [];
+    this.releaseScroll = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Show the dialog. Focus goes back to `trigger` (by default the element
+   * focused now) when it closes.
+   */
+  open(trigger = document.activeElement) {
+    if (this.isOpen) return this;
+    this.isOpen = true;
+    this.trigger = trigger && trigger !== document.body ? trigger : null;
+
+    this.setupAccessibility();
+    if (!this.element.isConnected) document.body.appendChild(this.element);
+
+    this.makeBackgroundInert();
+    this.releaseScroll = lockScroll();
+    openDialogs.push(this);
+
+    this.element.addEventListener('click', this.handleClick);
+    document.addEventListener('keydown', this.handleKeydown);
+
+    this.dialog.focus();
+    return this;
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.element.removeEventListener('click', this.handleClick);
+    openDialogs.splice(openDialogs.indexOf(this), 1);
+
+    this.restoreBackground();
+    this.releaseScroll();
+    this.releaseScroll = null;
+    this.element.remove();
+
+    if (this.trigger && this.trigger.isConnected) {
+      this.trigger.focus();
+    }
+    this.trigger = null;
+
+    if (this.onClose) this.onClose();
+  }
+
+  setupAccessibility() {
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('tabindex', '-1');
+
+    if (this.label) {
+      this.dialog.setAttribute('aria-label', this.label);
+    } else {
+      const title = this.dialog.querySelector('h1, h2, h3');
+      if (title) {
+        if (!title.id) title.id = `dialog-title-${++titleCounter}`;
+        this.dialog.setAttribute('aria-labelledby', title.id);
+      }
+    }
+
+    this.dialog.querySelectorAll('.modal-close').forEach(button => {
+      if (!button.hasAttribute('type')) button.setAttribute('type', 'button');
+      if (!button.hasAttribute('aria-label')) button.setAttribute('aria-label', 'Close dialog');
+    });
+  }
+
+  // Everything outside the dialog stops taking focus, clicks and the
+  // attention of screen readers while it is open
+  makeBackgroundInert() {
+    this.inertElements = Array.from(document.body.children).filter(child =>
+      child !== this.element && !child.hasAttribute('inert') && child.tagName !== 'SCRIPT');
+    this.inertElements.forEach(child => {
+      child.setAttribute('inert', '');
+      child.setAttribute('aria-hidden', 'true');
+    });
+  }
+
+  restoreBackground() {
+    this.inertElements.forEach(child => {
+      child.removeAttribute('inert');
+      child.removeAttribute('aria-hidden');
+    });
+    this.inertElements = [];
+  }
+
+  getFocusableElements() {
+    return Array.from(this.dialog.querySelectorAll(FOCUSABLE))
+      .filter(element => !element.hidden && !element.closest('[hidden], [inert]'));
+  }
+
+  handleKeydown(e) {
+    if (openDialogs[openDialogs.length - 1] !== this) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      return;
+    }
+
+    if (e.key === 'Tab') {
+      this.trapFocus(e);
+    }
+  }
+
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) {
+      e.preventDefault();
+      this.dialog.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const outside = !this.dialog.contains(active);
+
+    if (e.shiftKey && (active === first || active === this.dialog || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleClick(e) {
+    if (e.target.closest('.modal-close') || (this.overlay && e.target === this.overlay)) {
+      this.close();
+    }
+  }
+
+  static getOpenDialogs() {
+    return [...openDialogs];
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * FeaturedCarousel - Rotating spotlight for featured articles and projects
+ *
+ * Follows the WAI-ARIA carousel pattern: previous/next buttons, one dot per
+ * slide, Arrow/Home/End keys while focus is inside, and a pause/play
+ * button. Autoplay stops while the pointer or focus is on the carousel and
+ * never starts when the reader prefers reduced motion. Slide markup comes
+ * from `renderSlide(item)`, so each section keeps its own card design.
+ */
+import { html } from './HtmlSanitizer.js';
+
+const REDUCED_MOTION = '(prefers-reduced-motion: reduce)';
+
+export class FeaturedCarousel {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.label = options.label || 'Featured';
+    this.renderSlide = options.renderSlide || (item => html`${String(item)}`);
+    this.getItemId = options.getItemId || (item => item.id);
+    this.interval = options.interval || 6000;
+    this.autoplay = options.autoplay !== false;
+    this.items = [];
+    this.currentIndex = 0;
+    this.element = null;
+    this.timer = null;
+    this.playing = false;
+    this.hovered = false;
+    this.focused = false;
+
+    this.motionQuery = window.matchMedia?.(REDUCED_MOTION) || null;
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+    this.motionQuery?.addEventListener?.('change', this.handleMotionChange);
+  }
+
+  prefersReducedMotion() {
+    return Boolean(this.motionQuery?.matches);
+  }
+
+  setItems(items) {
+    const currentId = this.items[this.currentIndex] && this.getItemId(this.items[this.currentIndex]);
+    this.items = [...items];
+    // Stay on the same slide when it is still featured
+    const index = this.items.findIndex(item => this.getItemId(item) === currentId);
+    this.currentIndex = index === -1 ? 0 : index;
+    this.render();
+  }
+
+  getCurrentItem() {
+    return this.items[this.currentIndex] || null;
+  }
+
+  render() {
+    this.stop();
+    if (this.element) this.element.remove();
+    this.element = null;
+
+    if (this.items.length === 0) return;
+
+    const multiple = this.items.length > 1;
+    const element = document.createElement('section');
+    element.className = 'featured-carousel';
+    element.setAttribute('aria-roledescription', 'carousel');
+    element.setAttribute('aria-label', this.label);
+
+    element.innerHTML = html`
+      ${multiple ? html`
+        <div class="carousel-controls">
+          <button type="button" class="carousel-toggle"></button>
+          <button type="button" class="carousel-prev" aria-label="Previous slide">‹</button>
+          <button type="button" class="carousel-next" aria-label="Next slide">›</button>
+        </div>
+      ` : ''}
+      <div class="carousel-slides" aria-live="polite">
+        ${this.items.map((item, index) => html`
+          <div class="carousel-slide" role="group" aria-roledescription="slide"
+            aria-label="${index + 1} of ${this.items.length}" data-item-id="${this.getItemId(item)}">
+            ${this.renderSlide(item)}
+          </div>
+        `)}
+      </div>
+      ${multiple ? html`
+        <div class="carousel-dots" role="group" aria-label="Choose slide">
+          ${this.items.map((item, index) => html`
+            <button type="button" class="carousel-dot" data-index="${index}" aria-label="Slide ${index + 1}"></button>
+          `)}
+        </div>
+      ` : ''}
+    `;
+
+    this.element = element;
+    this.setupEventListeners();
+    this.container.appendChild(element);
+    this.showSlide(this.currentIndex);
+
+    if (multiple && this.autoplay && !this.prefersReducedMotion()) {
+      this.play();
+    } else {
+      this.updateToggle();
+    }
+  }
+
+  setupEventListeners() {
+    const element = this.element;
+
+    element.addEventListener('click', (e) => {
+      if (e.target.closest('.carousel-prev')) this.prev();
+      if (e.target.closest('.carousel-next')) this.next();
+      if (e.target.closest('.carousel-toggle')) {
+        if (this.playing) this.pause(); else this.play();
+      }
+      const dot = e.target.closest('.carousel-dot');
+      if (dot) this.goTo(parseInt(dot.dataset.index, 10));
+    });
+
+    element.addEventListener('keydown', (e) => {
+      if (this.items.length < 2 || e.target.matches('input, textarea, select')) return;
+      const actions = {
+        ArrowLeft: () => this.prev(),
+        ArrowRight: () => this.next(),
+        Home: () => this.goTo(0),
+        End: () => this.goTo(this.items.length - 1)
+      };
+      if (!actions[e.key]) return;
+      e.preventDefault();
+      actions[e.key]();
+      // Keep focus on the dots when moving with the keyboard from there
+      if (e.target.classList.contains('carousel-dot')) {
+        element.querySelectorAll('.carousel-dot')[this.currentIndex]?.focus();
+      }
+    });
+
+    // Rotation pauses while the reader is looking at or interacting with a slide
+    element.addEventListener('mouseenter', () => { this.hovered = true; this.updateLiveRegion(); });
+    element.addEventListener('mouseleave', () => { this.hovered = false; this.updateLiveRegion(); });
+    element.addEventListener('focusin', () => { this.focused = true; this.updateLiveRegion(); });
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(e.relatedTarget)) {
+        this.focused = false;
+        this.updateLiveRegion();
+      }
+    });
+  }
+
+  goTo(index) {
+    if (this.items.length === 0) return;
+    const count = this.items.length;
+    this.showSlide(((index % count) + count) % count);
+  }
+
+  next() {
+    this.goTo(this.currentIndex + 1);
+  }
+
+  prev() {
+    this.goTo(this.currentIndex - 1);
+  }
+
+  showSlide(index) {
+    this.currentIndex = index;
+    if (!this.element) return;
+
+    this.element.querySelectorAll('.carousel-slide').forEach((slide, slideIndex) => {
+      const active = slideIndex === index;
+      slide.hidden = !active;
+      slide.classList.toggle('active', active);
+    });
+    this.element.querySelectorAll('.carousel-dot').forEach((dot, dotIndex) => {
+      if (dotIndex === index) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  play() {
+    if (this.items.length < 2) return;
+    this.stop();
+    this.playing = true;
+    this.timer = setInterval(() => this.tick(), this.interval);
+    this.updateToggle();
+  }
+
+  pause() {
+    this.stop();
+    this.updateToggle();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.playing = false;
+  }
+
+  isPaused() {
+    return !this.playing || this.hovered || this.focused;
+  }
+
+  tick() {
+    if (!this.element || !this.element.isConnected) {
+      // Removed from the page without destroy()
+      this.stop();
+      return;
+    }
+    if (this.hovered || this.focused || this.element.closest('[hidden]')) return;
+    this.next();
+  }
+
+  handleMotionChange(event) {
+    if (event.matches) this.pause();
+  }
+
+  updateToggle() {
+    const toggle = this.element?.querySelector('.carousel-toggle');
+    if (toggle) {
+      toggle.textContent = this.playing ? '❚❚' : '▶';
+      toggle.setAttribute('aria-label', this.playing ? 'Stop automatic slide show' : 'Start automatic slide show');
+    }
+    this.updateLiveRegion();
+  }
+
+  // Announce slide changes only when they are not happening on their own
+  updateLiveRegion() {
+    this.element?.querySelector('.carousel-slides')
+      ?.setAttribute('aria-live', this.isPaused() ? 'polite' : 'off');
+  }
+
+  destroy() {
+    this.stop();
+    this.motionQuery?.removeEventListener?.('change', this.handleMotionChange);
+    if (this.element) this.element.remove();
+    this.element = null;
+  }
+}
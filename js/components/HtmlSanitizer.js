@@ -0,0 +1,223 @@
+/**
+ * HtmlSanitizer - Escaping `html` template tag for component markup and an
+ * allow-list sanitizer for HTML that comes from rendered Markdown
+ */
+
+import { SyntaxHighlighter } from './SyntaxHighlighter.js';
+
+const URL_ATTRIBUTE = /\s(?:href|src|action|formaction|poster|cite|xlink:href)\s*=\s*["']?$/i;
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+// Elements whose contents are dropped entirely rather than unwrapped
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+  'noscript', 'template', 'link', 'meta', 'base', 'form', 'svg', 'math'
+]);
+
+const DEFAULT_ALLOWED_TAGS = {
+  a: ['href', 'title', 'id', 'class', 'aria-label', 'data-footnote-ref', 'data-footnote-backref'],
+  abbr: ['title'],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  button: ['class', 'type', 'aria-label'],
+  code: ['class'],
+  del: [],
+  details: ['open'],
+  div: ['class', 'data-language'],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+  hr: [],
+  i: [],
+  img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+  kbd: [],
+  li: ['id'],
+  mark: [],
+  ol: ['start'],
+  p: [],
+  pre: ['class'],
+  s: [],
+  section: ['class', 'data-footnotes'],
+  span: ['class', 'data-line'],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: ['class'],
+  table: [], thead: [], tbody: [], tr: [],
+  th: ['align'], td: ['align'],
+  ul: []
+};
+
+// Class names the Markdown renderer and syntax highlighter emit. Anything else
+// is dropped so content cannot pick up the app's own styling or behaviour hooks.
+const DEFAULT_ALLOWED_CLASSES = {
+  a: ['footnote-backref'],
+  button: ['copy-code-btn'],
+  code: [/^language-[\w+#.-]+$/],
+  div: ['code-block', 'code-block-header'],
+  pre: ['line-numbers'],
+  section: ['footnotes'],
+  span: ['token', 'code-line', 'highlighted', 'code-block-language'],
+  sup: ['footnote-ref']
+};
+
+// Token types only count alongside `token`, since some (e.g. tag) are also app
+// classes. Taken from the grammars so new token types are never stripped.
+const TOKEN_TYPES = new Set(SyntaxHighlighter.getTokenTypes());
+
+/**
+ * Markup that has already been escaped or sanitized and may be interpolated
+ * into another `html` template without further escaping
+ */
+export class SafeHtml {
+  constructor(value) {
+    this.value = String(value);
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * Tagged template literal that escapes every interpolated value. Arrays are
+ * flattened, nested `html` results are kept as-is, and values interpolated
+ * into URL attributes (href, src, ...) are checked against safe protocols.
+ */
+export function html(strings, ...values) {
+  let result = strings[0];
+
+  values.forEach((value, index) => {
+    const inUrlAttribute = URL_ATTRIBUTE.test(result);
+    result += HtmlSanitizer.interpolate(value, inUrlAttribute) + strings[index + 1];
+  });
+
+  return new SafeHtml(result);
+}
+
+export class HtmlSanitizer {
+  constructor(options = {}) {
+    this.allowedTags = options.allowedTags || DEFAULT_ALLOWED_TAGS;
+    this.allowedClasses = options.allowedClasses || DEFAULT_ALLOWED_CLASSES;
+  }
+
+  static escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Mark a string as trusted markup. Only use for strings the component
+   * built itself or that have been through `sanitize`.
+   */
+  static trust(markup) {
+    return new SafeHtml(markup);
+  }
+
+  static interpolate(value, inUrlAttribute = false) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => HtmlSanitizer.interpolate(item, inUrlAttribute)).join('');
+    }
+    if (value instanceof SafeHtml) return value.toString();
+    if (inUrlAttribute) return HtmlSanitizer.escape(HtmlSanitizer.safeUrl(value));
+    return HtmlSanitizer.escape(value);
+  }
+
+  /**
+   * Return the URL when it is relative or uses an allowed protocol,
+   * otherwise an inert '#'
+   */
+  static safeUrl(url) {
+    const value = String(url ?? '').trim();
+    // Browsers ignore control characters and whitespace inside the scheme
+    const normalized = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+
+    if (!scheme) return value;
+    if (SAFE_PROTOCOLS.includes(`${scheme[1].toLowerCase()}:`)) return value;
+    if (SAFE_DATA_IMAGE.test(normalized)) return value;
+    return '#';
+  }
+
+  /**
+   * Sanitize an HTML string against the allow-list and return it as SafeHtml.
+   * Ids in `reservedIds` (those already on the page) and repeated ids are dropped.
+   */
+  sanitize(markup, { reservedIds = [] } = {}) {
+    const template = document.createElement('template');
+    template.innerHTML = String(markup ?? '');
+    this.usedIds = new Set(reservedIds);
+    this.sanitizeChildren(template.content);
+    return new SafeHtml(template.innerHTML);
+  }
+
+  /**
+   * The class names of `value` allowed on `tag`, space-separated
+   */
+  filterClasses(tag, value) {
+    const allowed = this.allowedClasses[tag] || [];
+    const classes = String(value).split(/\s+/).filter(Boolean);
+    const isToken = tag === 'span' && classes.includes('token');
+
+    return classes.filter(name => (isToken && TOKEN_TYPES.has(name)) ||
+      allowed.some(rule => (rule instanceof RegExp ? rule.test(name) : rule === name))).join(' ');
+  }
+
+  sanitizeChildren(parent) {
+    Array.from(parent.childNodes).forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        this.sanitizeElement(node);
+      } else if (node.nodeType !== Node.TEXT_NODE) {
+        // Comments, processing instructions and CDATA never reach the page
+        node.remove();
+      }
+    });
+  }
+
+  sanitizeElement(element) {
+    const tag = element.localName;
+
+    if (DROPPED_ELEMENTS.has(tag)) {
+      element.remove();
+      return;
+    }
+
+    const allowedAttributes = this.allowedTags[tag];
+    if (!allowedAttributes) {
+      // Unknown elements are unwrapped so their text content survives
+      this.sanitizeChildren(element);
+      element.replaceWith(...element.childNodes);
+      return;
+    }
+
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (!allowedAttributes.includes(name)) {
+        element.removeAttribute(attribute.name);
+      } else if (name === 'class') {
+        const classes = this.filterClasses(tag, attribute.value);
+        if (classes) element.setAttribute(attribute.name, classes);
+        else element.removeAttribute(attribute.name);
+      } else if (name === 'id') {
+        if (this.usedIds.has(attribute.value)) element.removeAttribute(attribute.name);
+        else this.usedIds.add(attribute.value);
+      } else if (name === 'href' || name === 'src' || name === 'cite') {
+        element.setAttribute(attribute.name, HtmlSanitizer.safeUrl(attribute.value));
+      }
+    });
+
+    if (tag === 'a' && /^https?:/i.test(element.getAttribute('href') || '')) {
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    this.sanitizeChildren(element);
+  }
+}
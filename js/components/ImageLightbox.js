@@ -0,0 +1,350 @@
+/**
+ * ImageLightbox - Project screenshot viewer used inside the project modal
+ *
+ * Shows one image at a time with a caption, a thumbnail strip and
+ * previous/next buttons. Arrow/Home/End keys and horizontal swipes move
+ * between images; pinching, Ctrl+wheel (trackpad pinch), double-click and
+ * the +/-/0 keys zoom, and dragging pans a zoomed image. Full-size images
+ * are fetched through LazyImageLoader when they are first shown, and the
+ * neighbours of the current image are fetched ahead of time.
+ */
+import { html } from './HtmlSanitizer.js';
+import { LazyImageLoader } from './LazyImageLoader.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 0.5;
+const SWIPE_DISTANCE = 50;
+
+let sharedLoader = null;
+
+// The lightbox loads its own images, so the default loader must not go
+// looking for every lazy image on the page
+const getDefaultLoader = () => {
+  if (!sharedLoader) sharedLoader = new LazyImageLoader({ autoObserve: false });
+  return sharedLoader;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export class ImageLightbox {
+  constructor(containerElement, images, options = {}) {
+    this.container = containerElement;
+    this.images = ImageLightbox.normalizeImages(images, options.alt);
+    this.label = options.label || 'Image gallery';
+    this.loader = options.imageLoader || getDefaultLoader();
+    this.preload = options.preload ?? 1;
+    this.keyTarget = options.keyTarget || null;
+    this.currentIndex = 0;
+    this.element = null;
+    this.requested = new Set();
+
+    this.scale = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.render();
+  }
+
+  /**
+   * Accept plain URLs (the original `images` format) as well as
+   * `{ src, caption, alt, thumbnail }` objects; entries without a source are dropped
+   */
+  static normalizeImages(images, fallbackAlt = '') {
+    return (Array.isArray(images) ? images : [])
+      .map(image => (typeof image === 'string' ? { src: image } : image))
+      .filter(image => image && typeof image.src === 'string' && image.src.trim() !== '')
+      .map(image => ({
+        src: image.src,
+        thumbnail: typeof image.thumbnail === 'string' && image.thumbnail ? image.thumbnail : image.src,
+        caption: typeof image.caption === 'string' ? image.caption.trim() : '',
+        alt: typeof image.alt === 'string' ? image.alt : (image.caption || fallbackAlt || '')
+      }));
+  }
+
+  render() {
+    if (this.element) this.element.remove();
+    this.element = null;
+    if (this.images.length === 0) return;
+
+    const count = this.images.length;
+    const multiple = count > 1;
+    const element = document.createElement('div');
+    element.className = 'image-lightbox';
+    element.setAttribute('role', 'region');
+    element.setAttribute('aria-roledescription', 'image gallery');
+    element.setAttribute('aria-label', this.label);
+    element.tabIndex = 0;
+
+    element.innerHTML = html`
+      <div class="lightbox-stage">
+        ${this.images.map((image, index) => html`
+          <figure class="lightbox-slide" data-index="${index}" hidden>
+            <div class="lightbox-viewport">
+              <img class="lightbox-image" data-src="${image.src}" alt="${image.alt}" draggable="false">
+            </div>
+            ${image.caption ? html`<figcaption class="lightbox-caption">${image.caption}</figcaption>` : ''}
+          </figure>
+        `)}
+        ${multiple ? html`
+          <button type="button" class="lightbox-prev" aria-label="Previous image">‹</button>
+          <button type="button" class="lightbox-next" aria-label="Next image">›</button>
+        ` : ''}
+      </div>
+      <div class="lightbox-toolbar">
+        <span class="lightbox-counter" aria-live="polite"></span>
+        <div class="lightbox-zoom" role="group" aria-label="Zoom">
+          <button type="button" class="lightbox-zoom-out" aria-label="Zoom out">−</button>
+          <button type="button" class="lightbox-zoom-reset" aria-label="Reset zoom">100%</button>
+          <button type="button" class="lightbox-zoom-in" aria-label="Zoom in">+</button>
+        </div>
+      </div>
+      ${multiple ? html`
+        <div class="lightbox-thumbnails" role="group" aria-label="Choose image">
+          ${this.images.map((image, index) => html`
+            <button type="button" class="lightbox-thumb" data-index="${index}" aria-label="Image ${index + 1} of ${count}">
+              <img src="${image.thumbnail}" alt="" loading="lazy">
+            </button>
+          `)}
+        </div>
+      ` : ''}
+    `;
+
+    this.element = element;
+    this.setupEventListeners();
+    this.container.appendChild(element);
+    this.showImage(this.currentIndex);
+  }
+
+  setupEventListeners() {
+    const element = this.element;
+
+    element.addEventListener('click', (e) => {
+      if (e.target.closest('.lightbox-prev')) this.prev();
+      if (e.target.closest('.lightbox-next')) this.next();
+      if (e.target.closest('.lightbox-zoom-in')) this.zoomBy(ZOOM_STEP);
+      if (e.target.closest('.lightbox-zoom-out')) this.zoomBy(-ZOOM_STEP);
+      if (e.target.closest('.lightbox-zoom-reset')) this.resetZoom();
+      const thumb = e.target.closest('.lightbox-thumb');
+      if (thumb) this.goTo(parseInt(thumb.dataset.index, 10));
+    });
+
+    (this.keyTarget || element).addEventListener('keydown', this.handleKeydown);
+
+    const stage = element.querySelector('.lightbox-stage');
+    stage.addEventListener('dblclick', (e) => {
+      if (!e.target.closest('.lightbox-viewport')) return;
+      if (this.scale > MIN_SCALE) this.resetZoom(); else this.setZoom(2);
+    });
+    stage.addEventListener('wheel', (e) => {
+      // Browsers report trackpad pinches as wheel events with ctrlKey set
+      if (!e.ctrlKey || !e.target.closest('.lightbox-viewport')) return;
+      e.preventDefault();
+      this.setZoom(this.scale * Math.exp(-e.deltaY / 100));
+    }, { passive: false });
+
+    stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    ['pointerup', 'pointercancel'].forEach(type => {
+      stage.addEventListener(type, (e) => this.handlePointerUp(e));
+    });
+  }
+
+  handleKeydown(e) {
+    if (e.target.matches?.('input, textarea, select')) return;
+    const last = this.images.length - 1;
+    const actions = {
+      ArrowLeft: () => this.prev(),
+      ArrowRight: () => this.next(),
+      Home: () => this.goTo(0),
+      End: () => this.goTo(last),
+      '+': () => this.zoomBy(ZOOM_STEP),
+      '=': () => this.zoomBy(ZOOM_STEP),
+      '-': () => this.zoomBy(-ZOOM_STEP),
+      '0': () => this.resetZoom()
+    };
+    if (!actions[e.key] || e.ctrlKey || e.metaKey || e.altKey) return;
+    e.preventDefault();
+    actions[e.key]();
+  }
+
+  goTo(index) {
+    if (this.images.length === 0 || Number.isNaN(index)) return;
+    this.showImage((index + this.images.length) % this.images.length);
+  }
+
+  next() {
+    this.goTo(this.currentIndex + 1);
+  }
+
+  prev() {
+    this.goTo(this.currentIndex - 1);
+  }
+
+  showImage(index) {
+    if (!this.element) return;
+    // Unzoom the image being left so it is back to normal when revisited
+    this.resetZoom();
+    this.currentIndex = index;
+
+    this.element.querySelectorAll('.lightbox-slide').forEach((slide, slideIndex) => {
+      slide.hidden = slideIndex !== index;
+    });
+    this.element.querySelectorAll('.lightbox-thumb').forEach((thumb, thumbIndex) => {
+      if (thumbIndex === index) {
+        thumb.setAttribute('aria-current', 'true');
+        thumb.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+      } else {
+        thumb.removeAttribute('aria-current');
+      }
+    });
+
+    const image = this.images[index];
+    const counter = this.element.querySelector('.lightbox-counter');
+    counter.textContent = this.images.length > 1
+      ? `Image ${index + 1} of ${this.images.length}${image.caption ? `: ${image.caption}` : ''}`
+      : image.caption;
+
+    this.loadImage(index);
+    this.getAdjacentIndexes(index).forEach(adjacent => this.loadImage(adjacent));
+  }
+
+  getCurrentImage() {
+    return this.images[this.currentIndex] || null;
+  }
+
+  /**
+   * Indexes within `preload` steps of `index`, wrapping like the navigation does
+   */
+  getAdjacentIndexes(index) {
+    const count = this.images.length;
+    const indexes = new Set();
+    for (let step = 1; step <= Math.min(this.preload, count - 1); step++) {
+      indexes.add((index + step) % count);
+      indexes.add((index - step + count) % count);
+    }
+    indexes.delete(index);
+    return [...indexes];
+  }
+
+  loadImage(index) {
+    if (this.requested.has(index)) return;
+    const img = this.element.querySelectorAll('.lightbox-image')[index];
+    if (!img) return;
+    this.requested.add(index);
+    // LazyImageLoader swaps in an error placeholder itself
+    Promise.resolve(this.loader.loadImage(img)).catch(() => {});
+  }
+
+  setZoom(scale) {
+    this.scale = clamp(scale, MIN_SCALE, MAX_SCALE);
+    if (this.scale === MIN_SCALE) {
+      this.offsetX = 0;
+      this.offsetY = 0;
+    }
+    this.applyTransform();
+  }
+
+  zoomBy(delta) {
+    this.setZoom(this.scale + delta);
+  }
+
+  resetZoom() {
+    this.setZoom(MIN_SCALE);
+  }
+
+  isZoomed() {
+    return this.scale > MIN_SCALE;
+  }
+
+  applyTransform() {
+    if (!this.element) return;
+    const slide = this.element.querySelectorAll('.lightbox-slide')[this.currentIndex];
+    const viewport = slide?.querySelector('.lightbox-viewport');
+    const img = slide?.querySelector('.lightbox-image');
+    if (!img) return;
+
+    // Keep the zoomed image covering the viewport while panning
+    const rect = viewport.getBoundingClientRect();
+    const maxX = (rect.width * (this.scale - 1)) / 2;
+    const maxY = (rect.height * (this.scale - 1)) / 2;
+    this.offsetX = clamp(this.offsetX, -maxX, maxX);
+    this.offsetY = clamp(this.offsetY, -maxY, maxY);
+
+    img.style.transform = this.isZoomed()
+      ? `translate(${this.offsetX}px, ${this.offsetY}px) scale(${this.scale})`
+      : '';
+    viewport.classList.toggle('is-zoomed', this.isZoomed());
+
+    const reset = this.element.querySelector('.lightbox-zoom-reset');
+    reset.textContent = `${Math.round(this.scale * 100)}%`;
+    this.element.querySelector('.lightbox-zoom-out').disabled = this.scale <= MIN_SCALE;
+    this.element.querySelector('.lightbox-zoom-in').disabled = this.scale >= MAX_SCALE;
+  }
+
+  handlePointerDown(e) {
+    if (!e.target.closest('.lightbox-viewport')) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    e.target.setPointerCapture?.(e.pointerId);
+
+    if (this.pointers.size === 2) {
+      this.gesture = { type: 'pinch', distance: this.getPointerDistance(), scale: this.scale };
+    } else if (this.pointers.size === 1) {
+      this.gesture = {
+        type: this.isZoomed() ? 'pan' : 'swipe',
+        startX: e.clientX,
+        startY: e.clientY,
+        offsetX: this.offsetX,
+        offsetY: this.offsetY
+      };
+    }
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+      const distance = this.getPointerDistance();
+      if (this.gesture.distance > 0) {
+        this.setZoom(this.gesture.scale * (distance / this.gesture.distance));
+      }
+    } else if (this.gesture.type === 'pan') {
+      this.offsetX = this.gesture.offsetX + (e.clientX - this.gesture.startX);
+      this.offsetY = this.gesture.offsetY + (e.clientY - this.gesture.startY);
+      this.applyTransform();
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.delete(e.pointerId);
+    const gesture = this.gesture;
+
+    if (gesture?.type === 'swipe' && e.type === 'pointerup') {
+      const dx = e.clientX - gesture.startX;
+      const dy = e.clientY - gesture.startY;
+      if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+        if (dx < 0) this.next(); else this.prev();
+      }
+    }
+
+    // A pinch that ends with one finger down must not turn into a swipe
+    this.gesture = this.pointers.size === 0 ? null : { type: 'pinch-end' };
+  }
+
+  getPointerDistance() {
+    const [a, b] = [...this.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  destroy() {
+    if (this.keyTarget) this.keyTarget.removeEventListener('keydown', this.handleKeydown);
+    if (this.element) this.element.remove();
+    this.element = null;
+    this.pointers.clear();
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * KeyedList - Keyed rendering shared by the project grid, the article list
+ * and the experience timeline
+ *
+ * render(items) is given the whole list every time. Each item's element is
+ * looked up by key and reused, so focus, scroll position and anything set
+ * up on the element (hover effects, observed images) survive the update.
+ * An element is rebuilt only when its item's signature changes; the markup
+ * the item renders to makes a good signature. Only elements that are out
+ * of order are moved, and children the list does not own (empty messages,
+ * elements still animating out) are left where they are.
+ *
+ * Hooks are told which elements were mounted and unmounted, so other
+ * components can attach to new nodes as they arrive instead of rescanning
+ * the page. A transition takes over removing unmounted elements, e.g. to
+ * animate them out; it is skipped on the first render.
+ */
+export class KeyedList {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.getKey = options.key || (item => item.id);
+    // create(item, signature) returns the element for one item
+    this.createElement = options.create;
+    this.getSignature = options.signature || null;
+    // { capture(elements) => state, play(container, state, { entered, exited }) }
+    this.transition = options.transition || null;
+    // [{ mount(elements), unmount(elements) }], either function optional
+    this.hooks = (options.hooks || []).filter(Boolean);
+    // Owned elements in render order, with the key and signature each was built for
+    this.entries = [];
+    this.hasRendered = false;
+  }
+
+  /**
+   * Run `hook.mount`/`hook.unmount` on later renders. Returns a function
+   * that removes the hook again.
+   */
+  addHook(hook) {
+    this.hooks.push(hook);
+    return () => {
+      this.hooks = this.hooks.filter(existing => existing !== hook);
+    };
+  }
+
+  /**
+   * The elements currently rendered, in order
+   */
+  getElements() {
+    return this.entries.map(entry => entry.element);
+  }
+
+  /**
+   * Bring the container in line with `items`. Returns the rendered
+   * elements and the ones that were mounted and unmounted.
+   */
+  render(items) {
+    const transition = this.hasRendered ? this.transition : null;
+    this.hasRendered = true;
+
+    // Elements someone else took out of the container are gone for good
+    const current = this.entries.filter(entry => entry.element.parentNode === this.container);
+    const unmounted = this.entries
+      .filter(entry => !current.includes(entry))
+      .map(entry => entry.element);
+    const state = transition ? transition.capture(current.map(entry => entry.element)) : null;
+
+    // A queue per key, so duplicate keys still get an element each
+    const available = new Map();
+    current.forEach(entry => {
+      const queue = available.get(entry.key) || [];
+      queue.push(entry);
+      available.set(entry.key, queue);
+    });
+
+    const mounted = [];
+    this.entries = items.map(item => {
+      const key = String(this.getKey(item));
+      const signature = this.getSignature ? String(this.getSignature(item)) : null;
+      const previous = available.get(key)?.shift();
+      if (previous && previous.signature === signature) return previous;
+
+      const element = this.createElement(item, signature);
+      mounted.push(element);
+      if (previous) {
+        // Changed items are swapped in place rather than animated out and in
+        previous.element.replaceWith(element);
+        unmounted.push(previous.element);
+      }
+      return { key, signature, element };
+    });
+    const exited = [...available.values()].flat().map(entry => entry.element);
+
+    this.placeElements(this.getElements());
+
+    this.runHooks('unmount', [...unmounted, ...exited]);
+    if (transition) {
+      transition.play(this.container, state, { entered: mounted, exited });
+    } else {
+      exited.forEach(element => element.remove());
+    }
+    this.runHooks('mount', mounted);
+
+    return { elements: this.getElements(), mounted, unmounted: [...unmounted, ...exited] };
+  }
+
+  /**
+   * Put `elements` in order with as few moves as possible: the longest run
+   * already in the right relative order stays put and only the rest is
+   * moved, so a focused element is rarely detached. Other children are
+   * skipped over.
+   */
+  placeElements(elements) {
+    const children = [...this.container.children];
+    const positions = elements.map(element => children.indexOf(element));
+    const stable = new Set(longestIncreasingRun(positions.filter(position => position !== -1))
+      .map(position => children[position]));
+
+    const lastStable = elements.findLast(element => stable.has(element));
+    let anchor = lastStable ? lastStable.nextSibling : null;
+    for (let index = elements.length - 1; index >= 0; index--) {
+      const element = elements[index];
+      if (!stable.has(element)) this.container.insertBefore(element, anchor);
+      anchor = element;
+    }
+  }
+
+  runHooks(name, elements) {
+    if (elements.length === 0) return;
+    this.hooks.forEach(hook => hook[name]?.(elements));
+  }
+}
+
+/**
+ * The longest strictly increasing subsequence of `values`
+ */
+function longestIncreasingRun(values) {
+  // tails[length - 1] is the index of the smallest value ending a run of that length
+  const tails = [];
+  const previous = new Array(values.length);
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const run = [];
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index]) {
+    run.unshift(values[index]);
+  }
+  return run;
+}
@@ -2,6 +2,8 @@
  * LazyImageLoader - Implements intersection observer for image lazy loading
  * with progressive loading and placeholder support
  */
+const LAZY_IMAGES = 'img[data-src], img[data-srcset]';
+
 export class LazyImageLoader {
   constructor(options = {}) {
     this.options = {
@@ -10,6 +12,9 @@ export class LazyImageLoader {
       placeholderClass: 'lazy-placeholder',
       loadedClass: 'lazy-loaded',
       errorClass: 'lazy-error',
+      // Set to false when images are handed over explicitly with
+      // loadImage()/addImage() instead of being collected from the page
+      autoObserve: true,
       ...options
     };
     
@@ -22,7 +27,7 @@ export class LazyImageLoader {
     // Check if Intersection Observer is supported
     if (!('IntersectionObserver' in window)) {
       // Fallback: load all images immediately
-      this.loadAllImages();
+      if (this.options.autoObserve) this.loadAllImages();
       return;
     }
 
@@ -35,11 +40,11 @@ export class LazyImageLoader {
     );
 
     // Observe existing lazy images
-    this.observeImages();
+    if (this.options.autoObserve) this.observeImages();
   }
 
   observeImages() {
-    const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
+    const lazyImages = document.querySelectorAll(LAZY_IMAGES);
     lazyImages.forEach(img => this.observeImage(img));
   }
 
@@ -160,7 +165,7 @@ export class LazyImageLoader {
 
   loadAllImages() {
     // Fallback method for browsers without Intersection Observer
-    const lazyImages = document.querySelectorAll('img[data-src], img[data-srcset]');
+    const lazyImages = document.querySelectorAll(LAZY_IMAGES);
     lazyImages.forEach(img => {
       this.loadImage(img).catch(() => {
         // Handle error silently in fallback mode
@@ -178,6 +183,33 @@ export class LazyImageLoader {
     images.forEach(img => this.addImage(img));
   }
 
+  // Observe the lazy images in (or among) elements added after init()
+  observeElements(elements) {
+    elements.forEach(element => {
+      const images = element.matches(LAZY_IMAGES) ? [element] : [...element.querySelectorAll(LAZY_IMAGES)];
+      images.forEach(img => this.observeImage(img));
+    });
+  }
+
+  // Stop watching images whose elements have been removed
+  unobserveElements(elements) {
+    elements.forEach(element => {
+      const images = element.matches(LAZY_IMAGES) ? [element] : [...element.querySelectorAll(LAZY_IMAGES)];
+      images.forEach(img => {
+        this.images.delete(img);
+        this.observer?.unobserve(img);
+      });
+    });
+  }
+
+  // KeyedList hooks that observe list items' images as they are mounted
+  createListHooks() {
+    return {
+      mount: elements => this.observeElements(elements),
+      unmount: elements => this.unobserveElements(elements)
+    };
+  }
+
   // Cleanup method
   destroy() {
     if (this.observer) {
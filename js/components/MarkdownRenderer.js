@@ -0,0 +1,1538 @@
+/**
+ * MarkdownRenderer - CommonMark block and inline parser with GFM extensions
+ * (tables, strikethrough, extended autolinks and footnotes) rendered to HTML
+ */
+
+import { HtmlSanitizer } from './HtmlSanitizer.js';
+
+const ESCAPABLE = '!"#$%&\'()*+,-./:;<=>?@[\\]^_`{|}~';
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+  copy: '\u00a9', reg: '\u00ae', trade: '\u2122', hellip: '\u2026',
+  mdash: '\u2014', ndash: '\u2013', lsquo: '\u2018', rsquo: '\u2019',
+  ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab', raquo: '\u00bb',
+  middot: '\u00b7', bull: '\u2022', times: '\u00d7', divide: '\u00f7',
+  deg: '\u00b0', para: '\u00b6', sect: '\u00a7', euro: '\u20ac',
+  larr: '\u2190', rarr: '\u2192', uarr: '\u2191', darr: '\u2193',
+  auml: '\u00e4', ouml: '\u00f6', uuml: '\u00fc', eacute: '\u00e9'
+};
+
+const BLOCK_TAGS = 'address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h1|h2|h3|h4|h5|h6|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul';
+
+const ATTRIBUTE = '\\s+[A-Za-z_:][A-Za-z0-9_.:-]*(?:\\s*=\\s*(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*"))?';
+const OPEN_TAG = `<[A-Za-z][A-Za-z0-9-]*(?:${ATTRIBUTE})*\\s*\\/?>`;
+const CLOSE_TAG = '<\\/[A-Za-z][A-Za-z0-9-]*\\s*>';
+const INLINE_HTML = new RegExp(`^(?:${OPEN_TAG}|${CLOSE_TAG}|<!---?>|<!--[\\s\\S]*?-->|<\\?[\\s\\S]*?\\?>|<![A-Za-z][^>]*>|<!\\[CDATA\\[[\\s\\S]*?\\]\\]>)`);
+
+const HTML_BLOCK_STARTS = [
+  { start: /^ {0,3}<(?:script|pre|style|textarea)(?:\s|>|$)/i, end: /<\/(?:script|pre|style|textarea)>/i },
+  { start: /^ {0,3}<!--/, end: /-->/ },
+  { start: /^ {0,3}<\?/, end: /\?>/ },
+  { start: /^ {0,3}<![A-Za-z]/, end: />/ },
+  { start: /^ {0,3}<!\[CDATA\[/, end: /\]\]>/ },
+  { start: new RegExp(`^ {0,3}<\\/?(?:${BLOCK_TAGS})(?:\\s|\\/?>|$)`, 'i'), end: null },
+  { start: new RegExp(`^ {0,3}(?:${OPEN_TAG}|${CLOSE_TAG})\\s*$`), end: null, canInterrupt: false }
+];
+
+const RE_ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const RE_THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const RE_SETEXT_UNDERLINE = /^ {0,3}(?:=+|-+)[ \t]*$/;
+const RE_FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const RE_BLOCKQUOTE = /^ {0,3}>/;
+const RE_LIST_MARKER = /^( {0,3})([*+-]|\d{1,9}[.)])(?=[ \t]|$)/;
+const RE_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const RE_FOOTNOTE_DEFINITION = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+const RE_ENTITY = /^&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/;
+const RE_URI_AUTOLINK = /^<([A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*)>/;
+const RE_EMAIL_AUTOLINK = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const RE_EXTENDED_AUTOLINK = /^(?:https?:\/\/|www\.)[^\s<]+/i;
+const RE_PUNCTUATION = /[\p{P}\p{S}]/u;
+const RE_WHITESPACE = /\s/;
+
+export class MarkdownRenderer {
+  constructor(options = {}) {
+    this.options = {
+      html: true,
+      tables: true,
+      strikethrough: true,
+      autolinks: true,
+      footnotes: true,
+      highlight: null,
+      // Heading levels that get a slugified id, e.g. [2, 3]
+      headingIds: [],
+      ...options
+    };
+    this.headings = [];
+  }
+
+  /**
+   * Render a Markdown string to HTML. Headings given ids are listed in
+   * `this.headings` afterwards; `reservedIds` are never reused for them.
+   */
+  render(markdown, { reservedIds = [] } = {}) {
+    this.reservedIds = reservedIds;
+    return this.renderDocument(this.parse(markdown));
+  }
+
+  /**
+   * GitHub-style anchor slug: lowercase, punctuation dropped, spaces to hyphens
+   */
+  static slugify(text) {
+    return String(text ?? '')
+      .normalize('NFKC')
+      .toLowerCase()
+      .trim()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s+/g, '-');
+  }
+
+  /**
+   * Parse a Markdown string into a document tree. Inline content is
+   * resolved once all link reference and footnote definitions are known.
+   */
+  parse(markdown) {
+    this.references = new Map();
+    this.footnotes = new Map();
+    this.footnoteCount = 0;
+
+    const lines = String(markdown ?? '')
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u0000/g, '\uFFFD')
+      .replace(/\n$/, '')
+      .split('\n')
+      .map(line => this.expandTabs(line));
+
+    const children = this.parseBlocks(lines);
+    const document = { type: 'document', children, footnotes: [] };
+
+    this.resolveInlines(document);
+    this.footnotes.forEach(footnote => footnote.children.forEach(block => this.resolveInlines(block)));
+    document.footnotes = this.collectFootnotes();
+    return document;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block parsing
+  // ---------------------------------------------------------------------------
+
+  parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    let blankBeforeBlock = false;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (this.isBlank(line)) {
+        if (blocks.length > 0) blankBeforeBlock = true;
+        i++;
+        continue;
+      }
+
+      const result = this.parseBlock(lines, i);
+      if (blankBeforeBlock) {
+        blocks.blankBetweenChildren = true;
+      }
+      blankBeforeBlock = false;
+
+      if (result.block) {
+        blocks.push(result.block);
+      }
+      i = result.next;
+    }
+
+    return blocks;
+  }
+
+  parseBlock(lines, start) {
+    const line = lines[start];
+
+    if (this.indentOf(line) >= 4) {
+      return this.parseIndentedCode(lines, start);
+    }
+
+    if (RE_FENCE_OPEN.test(line) && this.isFenceOpen(line)) {
+      return this.parseFencedCode(lines, start);
+    }
+
+    if (RE_ATX_HEADING.test(line)) {
+      return this.parseAtxHeading(lines, start);
+    }
+
+    if (RE_THEMATIC_BREAK.test(line)) {
+      return { block: { type: 'thematic_break' }, next: start + 1 };
+    }
+
+    if (RE_BLOCKQUOTE.test(line)) {
+      return this.parseBlockquote(lines, start);
+    }
+
+    if (RE_LIST_MARKER.test(line)) {
+      return this.parseList(lines, start);
+    }
+
+    if (this.options.html && this.htmlBlockType(line, false) !== -1) {
+      return this.parseHtmlBlock(lines, start);
+    }
+
+    if (this.options.footnotes && RE_FOOTNOTE_DEFINITION.test(line)) {
+      return this.parseFootnoteDefinition(lines, start);
+    }
+
+    if (this.options.tables && this.isTableStart(lines, start)) {
+      return this.parseTable(lines, start);
+    }
+
+    return this.parseParagraph(lines, start);
+  }
+
+  parseIndentedCode(lines, start) {
+    const content = [];
+    let i = start;
+
+    while (i < lines.length && (this.isBlank(lines[i]) || this.indentOf(lines[i]) >= 4)) {
+      content.push(this.stripIndent(lines[i], 4));
+      i++;
+    }
+
+    // Trailing blank lines belong to the surrounding document, not the code
+    while (content.length && this.isBlank(content[content.length - 1])) {
+      content.pop();
+      i--;
+    }
+
+    return {
+      block: { type: 'code_block', info: '', literal: content.join('\n') + '\n' },
+      next: i
+    };
+  }
+
+  isFenceOpen(line) {
+    const [, , fence, info] = line.match(RE_FENCE_OPEN);
+    return !(fence[0] === '`' && info.includes('`'));
+  }
+
+  parseFencedCode(lines, start) {
+    const [, indent, fence, info] = lines[start].match(RE_FENCE_OPEN);
+    const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+    const content = [];
+    let i = start + 1;
+
+    while (i < lines.length && !closing.test(lines[i])) {
+      content.push(this.stripIndent(lines[i], indent.length));
+      i++;
+    }
+
+    return {
+      block: {
+        type: 'code_block',
+        info: this.unescapeString(info.trim()),
+        literal: content.length ? content.join('\n') + '\n' : ''
+      },
+      next: Math.min(i + 1, lines.length)
+    };
+  }
+
+  parseAtxHeading(lines, start) {
+    const [, hashes, rest] = lines[start].match(RE_ATX_HEADING);
+    const text = rest
+      .replace(/^[ \t]+/, '')
+      .replace(/(?:^|[ \t]+)#+[ \t]*$/, '')
+      .replace(/[ \t]+$/, '');
+
+    return {
+      block: { type: 'heading', level: hashes.length, raw: text },
+      next: start + 1
+    };
+  }
+
+  parseBlockquote(lines, start) {
+    const content = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (RE_BLOCKQUOTE.test(line)) {
+        content.push(line.replace(/^ {0,3}> ?/, ''));
+      } else if (!this.isBlank(line) && this.allowsLazyContinuation(content) && !this.interruptsParagraph(line)) {
+        content.push(line);
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    return {
+      block: { type: 'block_quote', children: this.parseBlocks(content) },
+      next: i
+    };
+  }
+
+  parseList(lines, start) {
+    const first = this.parseListMarker(lines[start]);
+    const list = {
+      type: 'list',
+      ordered: first.ordered,
+      start: first.start,
+      tight: true,
+      children: []
+    };
+
+    let i = start;
+    let blankBetweenItems = false;
+
+    while (i < lines.length) {
+      const marker = this.parseListMarker(lines[i]);
+      if (!marker || marker.ordered !== list.ordered || marker.delimiter !== first.delimiter) break;
+      if (RE_THEMATIC_BREAK.test(lines[i]) && list.children.length > 0) break;
+
+      const item = this.parseListItem(lines, i, marker);
+      if (item.blankBefore && list.children.length > 0) {
+        blankBetweenItems = true;
+      }
+
+      list.children.push(item.block);
+      i = item.next;
+
+      // Blank lines between items only count if another item follows
+      let lookahead = i;
+      while (lookahead < lines.length && this.isBlank(lines[lookahead])) lookahead++;
+      const nextMarker = lookahead < lines.length ? this.parseListMarker(lines[lookahead]) : null;
+      if (lookahead > i && nextMarker && nextMarker.ordered === list.ordered &&
+          nextMarker.delimiter === first.delimiter && !RE_THEMATIC_BREAK.test(lines[lookahead])) {
+        blankBetweenItems = true;
+        i = lookahead;
+      }
+    }
+
+    list.tight = !blankBetweenItems && !list.children.some(item => item.children.blankBetweenChildren);
+
+    return { block: list, next: i };
+  }
+
+  parseListMarker(line) {
+    const match = line.match(RE_LIST_MARKER);
+    if (!match) return null;
+
+    const [full, indent, marker] = match;
+    const ordered = /\d/.test(marker[0]);
+    const rest = line.slice(full.length);
+    const spaces = rest.match(/^ */)[0].length;
+    const blankItem = this.isBlank(rest);
+
+    // Five or more spaces after the marker start indented code inside the item
+    const padding = blankItem ? 1 : (spaces >= 5 ? 1 : spaces);
+
+    return {
+      ordered,
+      start: ordered ? parseInt(marker, 10) : null,
+      delimiter: ordered ? marker[marker.length - 1] : marker,
+      contentIndent: indent.length + marker.length + padding,
+      firstLine: blankItem ? '' : rest.slice(padding),
+      blankItem
+    };
+  }
+
+  parseListItem(lines, start, marker) {
+    const content = [marker.firstLine];
+    let i = start + 1;
+    let previousBlank = marker.blankItem;
+
+    // An item can begin with at most one blank line
+    if (marker.blankItem && i < lines.length && this.isBlank(lines[i])) {
+      return { block: { type: 'item', children: [] }, next: i };
+    }
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (this.isBlank(line)) {
+        content.push('');
+        previousBlank = true;
+      } else if (this.indentOf(line) >= marker.contentIndent) {
+        content.push(this.stripIndent(line, marker.contentIndent));
+        previousBlank = false;
+      } else if (!previousBlank && !this.parseListMarker(line) &&
+                 this.allowsLazyContinuation(content) && !this.interruptsParagraph(line)) {
+        content.push(line);
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    // Leave trailing blank lines for the enclosing list to inspect
+    while (content.length > 1 && this.isBlank(content[content.length - 1])) {
+      content.pop();
+      i--;
+    }
+
+    return {
+      block: { type: 'item', children: this.parseBlocks(content) },
+      next: i
+    };
+  }
+
+  parseHtmlBlock(lines, start) {
+    const type = this.htmlBlockType(lines[start], false);
+    const { end } = HTML_BLOCK_STARTS[type];
+    const content = [];
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!end && this.isBlank(line)) break;
+
+      content.push(line);
+      i++;
+
+      if (end && end.test(line)) break;
+    }
+
+    return {
+      block: { type: 'html_block', literal: content.join('\n') },
+      next: i
+    };
+  }
+
+  htmlBlockType(line, interrupting) {
+    return HTML_BLOCK_STARTS.findIndex(({ start, canInterrupt }) =>
+      start.test(line) && !(interrupting && canInterrupt === false));
+  }
+
+  parseFootnoteDefinition(lines, start) {
+    const [, label, firstLine] = lines[start].match(RE_FOOTNOTE_DEFINITION);
+    const content = [firstLine];
+    let i = start + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (this.isBlank(line)) {
+        content.push('');
+      } else if (this.indentOf(line) >= 4) {
+        content.push(this.stripIndent(line, 4));
+      } else if (!this.isBlank(content[content.length - 1]) && !this.interruptsParagraph(line) &&
+                 !RE_FOOTNOTE_DEFINITION.test(line)) {
+        content.push(line);
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    while (content.length > 1 && this.isBlank(content[content.length - 1])) {
+      content.pop();
+      i--;
+    }
+
+    const key = this.normalizeLabel(label);
+    if (!this.footnotes.has(key)) {
+      this.footnotes.set(key, { label, children: this.parseBlocks(content), index: null });
+    }
+
+    return { block: null, next: i };
+  }
+
+  isTableStart(lines, start) {
+    const header = lines[start];
+    const delimiter = lines[start + 1];
+    if (!header.includes('|') || delimiter === undefined || !RE_TABLE_DELIMITER.test(delimiter)) {
+      return false;
+    }
+    return this.splitTableRow(header).length === this.splitTableRow(delimiter).length;
+  }
+
+  parseTable(lines, start) {
+    const header = this.splitTableRow(lines[start]);
+    const align = this.splitTableRow(lines[start + 1]).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return null;
+    });
+
+    const rows = [];
+    let i = start + 2;
+
+    while (i < lines.length && !this.isBlank(lines[i]) && !this.interruptsParagraph(lines[i])) {
+      const cells = this.splitTableRow(lines[i]);
+      // Rows are normalised to the header width
+      rows.push(header.map((_, index) => cells[index] ?? ''));
+      i++;
+    }
+
+    return {
+      block: { type: 'table', align, header, rows },
+      next: i
+    };
+  }
+
+  splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    let inCode = false;
+
+    for (let i = 0; i < row.length; i++) {
+      const char = row[i];
+      if (char === '\\' && row[i + 1] === '|') {
+        current += '|';
+        i++;
+      } else if (char === '`') {
+        inCode = !inCode;
+        current += char;
+      } else if (char === '|' && !inCode) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    cells.push(current.trim());
+
+    return cells;
+  }
+
+  parseParagraph(lines, start) {
+    const content = [lines[start].replace(/^[ \t]+/, '')];
+    let i = start + 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (this.isBlank(line)) break;
+
+      if (RE_SETEXT_UNDERLINE.test(line) && !this.startsWithReferenceDefinitionsOnly(content)) {
+        return {
+          block: {
+            type: 'heading',
+            level: line.trim()[0] === '=' ? 1 : 2,
+            raw: content.join('\n').replace(/[ \t]+$/, '')
+          },
+          next: i + 1
+        };
+      }
+
+      if (this.interruptsParagraph(line)) break;
+      if (this.options.tables && this.isTableStart(lines, i)) break;
+
+      content.push(line.replace(/^[ \t]+/, ''));
+      i++;
+    }
+
+    let raw = content.join('\n');
+    raw = this.extractReferenceDefinitions(raw);
+
+    if (!raw.trim()) {
+      return { block: null, next: i };
+    }
+
+    return {
+      block: { type: 'paragraph', raw: raw.replace(/[ \t]+$/, '') },
+      next: i
+    };
+  }
+
+  startsWithReferenceDefinitionsOnly(content) {
+    const raw = content.join('\n');
+    return raw.startsWith('[') && this.consumeReferenceDefinitions(raw, false).trim() === '';
+  }
+
+  interruptsParagraph(line) {
+    if (this.indentOf(line) >= 4) return false;
+    if (RE_ATX_HEADING.test(line) || RE_THEMATIC_BREAK.test(line) || RE_BLOCKQUOTE.test(line)) return true;
+    if (RE_FENCE_OPEN.test(line) && this.isFenceOpen(line)) return true;
+    if (this.options.html && this.htmlBlockType(line, true) !== -1) return true;
+    if (this.options.footnotes && RE_FOOTNOTE_DEFINITION.test(line)) return true;
+
+    const marker = this.parseListMarker(line);
+    if (marker && !marker.blankItem && (!marker.ordered || marker.start === 1)) return true;
+
+    return false;
+  }
+
+  allowsLazyContinuation(content) {
+    if (content.length === 0) return false;
+
+    const last = content[content.length - 1];
+    if (this.isBlank(last)) return false;
+
+    // Walk the collected lines to see whether a fence is still open
+    let fence = null;
+    content.forEach(line => {
+      const match = line.match(/^ {0,3}(`{3,}|~{3,})/);
+      if (!match) return;
+      if (!fence) {
+        fence = match[1];
+      } else if (match[1][0] === fence[0] && match[1].length >= fence.length) {
+        fence = null;
+      }
+    });
+    if (fence) return false;
+
+    const lastContent = last.replace(/^ {0,3}(?:>[ ]?)+/, '');
+    if (this.indentOf(lastContent) >= 4 && !this.paragraphPrecedes(content)) return false;
+    return !RE_ATX_HEADING.test(lastContent) && !RE_THEMATIC_BREAK.test(lastContent) &&
+           !RE_FENCE_OPEN.test(lastContent);
+  }
+
+  paragraphPrecedes(content) {
+    for (let i = content.length - 2; i >= 0; i--) {
+      if (this.isBlank(content[i])) return false;
+      if (this.indentOf(content[i]) < 4) return true;
+    }
+    return false;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Link reference definitions
+  // ---------------------------------------------------------------------------
+
+  extractReferenceDefinitions(raw) {
+    if (!raw.startsWith('[')) return raw;
+    return this.consumeReferenceDefinitions(raw, true);
+  }
+
+  consumeReferenceDefinitions(raw, store) {
+    let rest = raw;
+
+    while (rest.startsWith('[')) {
+      const definition = this.parseReferenceDefinition(rest);
+      if (!definition) break;
+
+      const key = this.normalizeLabel(definition.label);
+      if (store && key && !this.references.has(key)) {
+        this.references.set(key, { destination: definition.destination, title: definition.title });
+      }
+      rest = rest.slice(definition.length);
+    }
+
+    return rest;
+  }
+
+  parseReferenceDefinition(text) {
+    const label = this.scanLinkLabel(text, 0);
+    if (!label || !label.label.trim() || label.label.startsWith('^') || text[label.end] !== ':') return null;
+
+    let pos = this.skipSpacesAndNewline(text, label.end + 1);
+    const destination = this.scanLinkDestination(text, pos);
+    if (!destination || (destination.raw === '' && !destination.angle)) return null;
+    pos = destination.end;
+
+    const beforeTitle = pos;
+    const titleStart = this.skipSpacesAndNewline(text, pos);
+    let title = null;
+
+    if (titleStart > beforeTitle) {
+      const scanned = this.scanLinkTitle(text, titleStart);
+      if (scanned) {
+        const lineEnd = this.skipSpaces(text, scanned.end);
+        if (lineEnd === text.length || text[lineEnd] === '\n') {
+          title = scanned.title;
+          pos = lineEnd;
+        }
+      }
+    }
+
+    if (title === null) {
+      pos = this.skipSpaces(text, beforeTitle);
+      if (pos < text.length && text[pos] !== '\n') return null;
+    }
+
+    return {
+      label: label.label,
+      destination: destination.destination,
+      title,
+      length: pos < text.length ? pos + 1 : pos
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline parsing
+  // ---------------------------------------------------------------------------
+
+  resolveInlines(node) {
+    if (node.type === 'paragraph' || node.type === 'heading') {
+      node.children = this.parseInlines(node.raw);
+    } else if (node.type === 'table') {
+      node.header = node.header.map(cell => this.parseInlines(cell));
+      node.rows = node.rows.map(row => row.map(cell => this.parseInlines(cell)));
+    }
+
+    (node.children || []).forEach(child => {
+      if (child && child.type) this.resolveInlines(child);
+    });
+  }
+
+  parseInlines(text) {
+    const state = { text, pos: 0, nodes: [], delimiters: [], brackets: [] };
+
+    while (state.pos < text.length) {
+      if (!this.parseInlineToken(state)) {
+        this.pushText(state, text[state.pos]);
+        state.pos++;
+      }
+    }
+
+    this.processEmphasis(state, 0);
+    return state.nodes;
+  }
+
+  parseInlineToken(state) {
+    const char = state.text[state.pos];
+
+    switch (char) {
+      case '\\': return this.parseBackslash(state);
+      case '`': return this.parseCodeSpan(state);
+      case '*':
+      case '_': return this.parseDelimiterRun(state);
+      case '~': return this.options.strikethrough && this.parseDelimiterRun(state);
+      case '[': return this.parseOpenBracket(state);
+      case '!': return this.parseImageOpener(state);
+      case ']': return this.parseCloseBracket(state);
+      case '<': return this.parseAngleBracket(state);
+      case '&': return this.parseEntity(state);
+      case '\n': return this.parseNewline(state);
+      default: return this.parseText(state);
+    }
+  }
+
+  parseText(state) {
+    const { text } = state;
+
+    if (this.options.autolinks && this.parseExtendedAutolink(state)) {
+      return true;
+    }
+
+    let end = state.pos + 1;
+    while (end < text.length && !/[\\`*_~[\]!<&\nhHwW]/.test(text[end])) end++;
+    this.pushText(state, text.slice(state.pos, end));
+    state.pos = end;
+    return true;
+  }
+
+  parseBackslash(state) {
+    const next = state.text[state.pos + 1];
+
+    if (next === '\n') {
+      state.nodes.push({ type: 'hardbreak' });
+      state.pos += 2;
+      this.skipLeadingSpaces(state);
+    } else if (next && ESCAPABLE.includes(next)) {
+      this.pushText(state, next);
+      state.pos += 2;
+    } else {
+      this.pushText(state, '\\');
+      state.pos++;
+    }
+    return true;
+  }
+
+  parseCodeSpan(state) {
+    const { text } = state;
+    const opener = text.slice(state.pos).match(/^`+/)[0];
+    let search = state.pos + opener.length;
+
+    while (search < text.length) {
+      const index = text.indexOf('`', search);
+      if (index === -1) break;
+
+      const run = text.slice(index).match(/^`+/)[0];
+      if (run.length === opener.length) {
+        let code = text.slice(state.pos + opener.length, index).replace(/\n/g, ' ');
+        if (code.length >= 2 && code.startsWith(' ') && code.endsWith(' ') && /[^ ]/.test(code)) {
+          code = code.slice(1, -1);
+        }
+        state.nodes.push({ type: 'code', literal: code });
+        state.pos = index + run.length;
+        return true;
+      }
+      search = index + run.length;
+    }
+
+    this.pushText(state, opener);
+    state.pos += opener.length;
+    return true;
+  }
+
+  parseDelimiterRun(state) {
+    const { text } = state;
+    const char = text[state.pos];
+    let end = state.pos;
+    while (text[end] === char) end++;
+
+    const length = end - state.pos;
+    const before = state.pos === 0 ? '\n' : text[state.pos - 1];
+    const after = end >= text.length ? '\n' : text[end];
+
+    const afterSpace = RE_WHITESPACE.test(after);
+    const afterPunct = RE_PUNCTUATION.test(after);
+    const beforeSpace = RE_WHITESPACE.test(before);
+    const beforePunct = RE_PUNCTUATION.test(before);
+
+    const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+    const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+    let canOpen = leftFlanking;
+    let canClose = rightFlanking;
+    if (char === '_') {
+      canOpen = leftFlanking && (!rightFlanking || beforePunct);
+      canClose = rightFlanking && (!leftFlanking || afterPunct);
+    }
+    if (char === '~' && length > 2) {
+      canOpen = false;
+      canClose = false;
+    }
+
+    const node = { type: 'text', literal: text.slice(state.pos, end) };
+    state.nodes.push(node);
+    state.delimiters.push({ char, node, length, originalLength: length, canOpen, canClose, active: true });
+    state.pos = end;
+    return true;
+  }
+
+  parseOpenBracket(state) {
+    const { text } = state;
+
+    if (this.options.footnotes && text[state.pos + 1] === '^') {
+      const match = text.slice(state.pos).match(/^\[\^([^\]\s]+)\]/);
+      const footnote = match && this.footnotes.get(this.normalizeLabel(match[1]));
+      if (footnote) {
+        if (footnote.index === null) {
+          footnote.index = ++this.footnoteCount;
+        }
+        state.nodes.push({ type: 'footnote_ref', footnote });
+        state.pos += match[0].length;
+        return true;
+      }
+    }
+
+    const node = { type: 'text', literal: '[' };
+    state.nodes.push(node);
+    state.brackets.push({ node, image: false, active: true, delimiterIndex: state.delimiters.length, start: state.pos + 1 });
+    state.pos++;
+    return true;
+  }
+
+  parseImageOpener(state) {
+    if (state.text[state.pos + 1] !== '[') return false;
+
+    const node = { type: 'text', literal: '![' };
+    state.nodes.push(node);
+    state.brackets.push({ node, image: true, active: true, delimiterIndex: state.delimiters.length, start: state.pos + 2 });
+    state.pos += 2;
+    return true;
+  }
+
+  parseCloseBracket(state) {
+    const { text } = state;
+    const opener = state.brackets.pop();
+
+    if (!opener) {
+      this.pushText(state, ']');
+      state.pos++;
+      return true;
+    }
+
+    if (!opener.active) {
+      this.pushText(state, ']');
+      state.pos++;
+      return true;
+    }
+
+    const afterBracket = state.pos + 1;
+    let target = null;
+    let end = afterBracket;
+
+    // Inline link: [text](destination "title")
+    if (text[afterBracket] === '(') {
+      const inline = this.scanInlineLinkTail(text, afterBracket + 1);
+      if (inline) {
+        target = { destination: inline.destination, title: inline.title };
+        end = inline.end;
+      }
+    }
+
+    // Reference links: [text][label], [text][] and [text]
+    if (!target) {
+      const label = this.scanLinkLabel(text, afterBracket);
+      let key = null;
+
+      if (label && label.label.trim()) {
+        key = this.normalizeLabel(label.label);
+        end = label.end;
+      } else {
+        const collapsed = text.slice(afterBracket, afterBracket + 2) === '[]';
+        const linkText = text.slice(opener.start, state.pos);
+        if (!label || collapsed) {
+          key = this.normalizeLabel(linkText);
+          end = collapsed ? afterBracket + 2 : afterBracket;
+        }
+      }
+
+      if (key && this.references.has(key)) {
+        target = this.references.get(key);
+      }
+    }
+
+    if (!target) {
+      this.pushText(state, ']');
+      state.pos++;
+      return true;
+    }
+
+    const openerIndex = state.nodes.indexOf(opener.node);
+    this.processEmphasis(state, opener.delimiterIndex);
+
+    const children = state.nodes.splice(openerIndex + 1);
+    state.nodes.pop();
+    state.nodes.push({
+      type: opener.image ? 'image' : 'link',
+      destination: target.destination,
+      title: target.title,
+      children
+    });
+
+    // Links may not contain other links
+    if (!opener.image) {
+      state.brackets.forEach(bracket => {
+        if (!bracket.image) bracket.active = false;
+      });
+    }
+
+    state.pos = end;
+    return true;
+  }
+
+  scanInlineLinkTail(text, start) {
+    let pos = this.skipSpacesAndNewline(text, start);
+    let destination = '';
+    let title = null;
+
+    if (text[pos] !== ')') {
+      const scanned = this.scanLinkDestination(text, pos);
+      if (!scanned) return null;
+      destination = scanned.destination;
+      pos = scanned.end;
+
+      const beforeTitle = pos;
+      pos = this.skipSpacesAndNewline(text, pos);
+      if (pos > beforeTitle && text[pos] !== ')') {
+        const scannedTitle = this.scanLinkTitle(text, pos);
+        if (!scannedTitle) return null;
+        title = scannedTitle.title;
+        pos = this.skipSpacesAndNewline(text, scannedTitle.end);
+      }
+    }
+
+    if (text[pos] !== ')') return null;
+    return { destination, title, end: pos + 1 };
+  }
+
+  scanLinkLabel(text, start) {
+    if (text[start] !== '[') return null;
+
+    let pos = start + 1;
+    while (pos < text.length && pos - start <= 1000) {
+      const char = text[pos];
+      if (char === '\\') {
+        pos += 2;
+        continue;
+      }
+      if (char === '[') return null;
+      if (char === ']') {
+        return { label: text.slice(start + 1, pos), end: pos + 1 };
+      }
+      pos++;
+    }
+    return null;
+  }
+
+  scanLinkDestination(text, start) {
+    if (text[start] === '<') {
+      let pos = start + 1;
+      while (pos < text.length) {
+        const char = text[pos];
+        if (char === '\\' && ESCAPABLE.includes(text[pos + 1])) {
+          pos += 2;
+        } else if (char === '>') {
+          const raw = text.slice(start + 1, pos);
+          return { raw, angle: true, destination: this.unescapeString(raw), end: pos + 1 };
+        } else if (char === '<' || char === '\n') {
+          return null;
+        } else {
+          pos++;
+        }
+      }
+      return null;
+    }
+
+    let pos = start;
+    let depth = 0;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\\' && ESCAPABLE.includes(text[pos + 1])) {
+        pos += 2;
+        continue;
+      }
+      if (/[\s\x00-\x1f]/.test(char)) break;
+      if (char === '(') {
+        depth++;
+        if (depth > 32) return null;
+      } else if (char === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      pos++;
+    }
+
+    if (depth !== 0 || pos === start) {
+      return pos === start ? { raw: '', destination: '', end: pos } : null;
+    }
+
+    const raw = text.slice(start, pos);
+    return { raw, angle: false, destination: this.unescapeString(raw), end: pos };
+  }
+
+  scanLinkTitle(text, start) {
+    const open = text[start];
+    const close = { '"': '"', '\'': '\'', '(': ')' }[open];
+    if (!close) return null;
+
+    let pos = start + 1;
+    while (pos < text.length) {
+      const char = text[pos];
+      if (char === '\\' && ESCAPABLE.includes(text[pos + 1])) {
+        pos += 2;
+        continue;
+      }
+      if (char === close) {
+        return { title: this.unescapeString(text.slice(start + 1, pos)), end: pos + 1 };
+      }
+      if (open === '(' && char === '(') return null;
+      pos++;
+    }
+    return null;
+  }
+
+  parseAngleBracket(state) {
+    const rest = state.text.slice(state.pos);
+
+    const uri = rest.match(RE_URI_AUTOLINK);
+    if (uri) {
+      state.nodes.push({ type: 'link', destination: uri[1], title: null, children: [{ type: 'text', literal: uri[1] }] });
+      state.pos += uri[0].length;
+      return true;
+    }
+
+    const email = rest.match(RE_EMAIL_AUTOLINK);
+    if (email) {
+      state.nodes.push({ type: 'link', destination: `mailto:${email[1]}`, title: null, children: [{ type: 'text', literal: email[1] }] });
+      state.pos += email[0].length;
+      return true;
+    }
+
+    if (this.options.html) {
+      const html = rest.match(INLINE_HTML);
+      if (html) {
+        state.nodes.push({ type: 'html_inline', literal: html[0] });
+        state.pos += html[0].length;
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  parseExtendedAutolink(state) {
+    const { text, pos } = state;
+    const before = pos === 0 ? ' ' : text[pos - 1];
+    if (!/[\s*_~(]/.test(before)) return false;
+
+    // Links may not nest, so bare URLs inside link text stay plain
+    if (state.brackets.some(bracket => bracket.active && !bracket.image)) return false;
+
+    const match = text.slice(pos).match(RE_EXTENDED_AUTOLINK);
+    if (!match) return false;
+
+    let url = match[0];
+
+    // Trailing punctuation and unbalanced closing parentheses are not part of the link
+    for (;;) {
+      const trimmed = url.replace(/[?!.,:*_~'"]+$/, '');
+      if (trimmed.endsWith(')')) {
+        const opens = (trimmed.match(/\(/g) || []).length;
+        const closes = (trimmed.match(/\)/g) || []).length;
+        if (closes > opens) {
+          url = trimmed.slice(0, -1);
+          continue;
+        }
+      }
+      const entity = trimmed.match(/&[A-Za-z0-9]+;$/);
+      if (entity) {
+        url = trimmed.slice(0, -entity[0].length);
+        continue;
+      }
+      url = trimmed;
+      break;
+    }
+
+    const host = url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0];
+    if (!/^[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)+$/.test(host)) return false;
+
+    const destination = /^www\./i.test(url) ? `http://${url}` : url;
+    state.nodes.push({ type: 'link', destination, title: null, children: [{ type: 'text', literal: url }] });
+    state.pos += url.length;
+    return true;
+  }
+
+  parseEntity(state) {
+    const match = state.text.slice(state.pos).match(RE_ENTITY);
+    if (!match) return false;
+
+    const decoded = this.decodeEntity(match);
+    if (decoded === null) return false;
+
+    this.pushText(state, decoded);
+    state.pos += match[0].length;
+    return true;
+  }
+
+  parseNewline(state) {
+    const last = state.nodes[state.nodes.length - 1];
+    let hard = false;
+
+    if (last && last.type === 'text' && !state.delimiters.some(d => d.node === last)) {
+      hard = / {2,}$/.test(last.literal);
+      last.literal = last.literal.replace(/ +$/, '');
+    }
+
+    state.nodes.push({ type: hard ? 'hardbreak' : 'softbreak' });
+    state.pos++;
+    this.skipLeadingSpaces(state);
+    return true;
+  }
+
+  skipLeadingSpaces(state) {
+    while (state.text[state.pos] === ' ') state.pos++;
+  }
+
+  pushText(state, literal) {
+    const last = state.nodes[state.nodes.length - 1];
+    const isDelimiter = last && state.delimiters.some(d => d.node === last);
+    const isBracket = last && state.brackets.some(b => b.node === last);
+
+    if (last && last.type === 'text' && !isDelimiter && !isBracket) {
+      last.literal += literal;
+    } else {
+      state.nodes.push({ type: 'text', literal });
+    }
+  }
+
+  /**
+   * CommonMark "process emphasis" over the delimiter stack above stackBottom
+   */
+  processEmphasis(state, stackBottom) {
+    const { delimiters } = state;
+    const openersBottom = {};
+    let current = stackBottom;
+
+    while (current < delimiters.length) {
+      const closer = delimiters[current];
+
+      if (!closer.canClose) {
+        current++;
+        continue;
+      }
+
+      const bottomKey = `${closer.char}${closer.canOpen}${closer.originalLength % 3}`;
+      const bottom = Math.max(stackBottom, openersBottom[bottomKey] ?? stackBottom);
+      let openerIndex = -1;
+
+      for (let i = current - 1; i >= bottom; i--) {
+        const opener = delimiters[i];
+        if (opener.char !== closer.char || !opener.canOpen) continue;
+
+        if (closer.char === '~') {
+          if (opener.length !== closer.length) continue;
+        } else if ((opener.canClose || closer.canOpen) &&
+                   (opener.originalLength + closer.originalLength) % 3 === 0 &&
+                   !(opener.originalLength % 3 === 0 && closer.originalLength % 3 === 0)) {
+          continue;
+        }
+
+        openerIndex = i;
+        break;
+      }
+
+      if (openerIndex === -1) {
+        openersBottom[bottomKey] = current;
+        if (!closer.canOpen) {
+          delimiters.splice(current, 1);
+        } else {
+          current++;
+        }
+        continue;
+      }
+
+      const opener = delimiters[openerIndex];
+      let type;
+      let used;
+      if (closer.char === '~') {
+        type = 'strikethrough';
+        used = closer.length;
+      } else {
+        used = opener.length >= 2 && closer.length >= 2 ? 2 : 1;
+        type = used === 2 ? 'strong' : 'emph';
+      }
+
+      opener.length -= used;
+      closer.length -= used;
+      opener.node.literal = opener.node.literal.slice(0, opener.length);
+      closer.node.literal = closer.node.literal.slice(0, closer.length);
+
+      const openerNodeIndex = state.nodes.indexOf(opener.node);
+      const closerNodeIndex = state.nodes.indexOf(closer.node);
+      const children = state.nodes.splice(openerNodeIndex + 1, closerNodeIndex - openerNodeIndex - 1);
+      state.nodes.splice(openerNodeIndex + 1, 0, { type, children });
+
+      // Delimiters between opener and closer can no longer match
+      delimiters.splice(openerIndex + 1, current - openerIndex - 1);
+      current = openerIndex + 1;
+
+      if (opener.length === 0) {
+        state.nodes.splice(state.nodes.indexOf(opener.node), 1);
+        delimiters.splice(openerIndex, 1);
+        current--;
+      }
+
+      if (closer.length === 0) {
+        state.nodes.splice(state.nodes.indexOf(closer.node), 1);
+        delimiters.splice(current, 1);
+      }
+    }
+
+    delimiters.splice(stackBottom);
+  }
+
+  collectFootnotes() {
+    return Array.from(this.footnotes.values())
+      .filter(footnote => footnote.index !== null)
+      .sort((a, b) => a.index - b.index);
+  }
+
+  // ---------------------------------------------------------------------------
+  // HTML rendering
+  // ---------------------------------------------------------------------------
+
+  renderDocument(document) {
+    const output = { html: '' };
+    this.headings = [];
+    this.usedHeadingIds = new Set(this.reservedIds || []);
+    document.children.forEach(block => this.renderBlock(block, output, false));
+
+    if (document.footnotes.length > 0) {
+      this.cr(output);
+      output.html += '<section class="footnotes" data-footnotes>\n<ol>\n';
+      document.footnotes.forEach(footnote => {
+        output.html += `<li id="fn-${this.escapeHtml(footnote.label)}">\n`;
+        const backref = ` <a href="#fnref-${this.escapeHtml(footnote.label)}" class="footnote-backref" aria-label="Back to content">\u21a9</a>`;
+        const last = footnote.children[footnote.children.length - 1];
+        footnote.children.forEach(block => {
+          this.renderBlock(block, output, false, block === last && block.type === 'paragraph' ? backref : '');
+        });
+        if (!last || last.type !== 'paragraph') {
+          this.cr(output);
+          output.html += backref.trim();
+        }
+        this.cr(output);
+        output.html += '</li>\n';
+      });
+      output.html += '</ol>\n</section>\n';
+    }
+
+    return output.html;
+  }
+
+  cr(output) {
+    if (output.html && !output.html.endsWith('\n')) {
+      output.html += '\n';
+    }
+  }
+
+  renderBlock(block, output, tight, suffix = '') {
+    switch (block.type) {
+      case 'paragraph':
+        if (tight) {
+          output.html += this.renderInlines(block.children) + suffix;
+        } else {
+          this.cr(output);
+          output.html += `<p>${this.renderInlines(block.children)}${suffix}</p>`;
+          this.cr(output);
+        }
+        break;
+
+      case 'heading':
+        this.cr(output);
+        output.html += `${this.renderHeadingOpen(block)}${this.renderInlines(block.children)}</h${block.level}>`;
+        this.cr(output);
+        break;
+
+      case 'thematic_break':
+        this.cr(output);
+        output.html += '<hr />';
+        this.cr(output);
+        break;
+
+      case 'code_block':
+        this.cr(output);
+        output.html += this.renderCodeBlock(block);
+        this.cr(output);
+        break;
+
+      case 'html_block':
+        this.cr(output);
+        output.html += block.literal;
+        this.cr(output);
+        break;
+
+      case 'block_quote':
+        this.cr(output);
+        output.html += '<blockquote>\n';
+        block.children.forEach(child => this.renderBlock(child, output, false));
+        this.cr(output);
+        output.html += '</blockquote>';
+        this.cr(output);
+        break;
+
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        this.cr(output);
+        output.html += `<${tag}${start}>\n`;
+        block.children.forEach(item => {
+          output.html += '<li>';
+          item.children.forEach(child => this.renderBlock(child, output, block.tight));
+          output.html += '</li>\n';
+        });
+        output.html += `</${tag}>`;
+        this.cr(output);
+        break;
+      }
+
+      case 'table':
+        this.cr(output);
+        output.html += this.renderTable(block);
+        this.cr(output);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  renderHeadingOpen(block) {
+    if (!this.options.headingIds.includes(block.level)) {
+      return `<h${block.level}>`;
+    }
+
+    // Repeated titles get -1, -2, ... suffixes in document order
+    const text = this.plainText(block.children).trim();
+    const slug = MarkdownRenderer.slugify(text) || 'section';
+    let id = slug;
+    for (let n = 1; this.usedHeadingIds.has(id); n++) {
+      id = `${slug}-${n}`;
+    }
+    this.usedHeadingIds.add(id);
+    this.headings.push({ level: block.level, id, text });
+
+    return `<h${block.level} id="${this.escapeHtml(id)}">`;
+  }
+
+  renderCodeBlock(block) {
+    // A highlight hook receives the raw code and full info string and may
+    // return the complete block markup
+    if (typeof this.options.highlight === 'function') {
+      const highlighted = this.options.highlight(block.literal, block.info);
+      if (highlighted) return highlighted;
+    }
+
+    const language = block.info.split(/\s+/)[0];
+    const className = language ? ` class="language-${this.escapeHtml(language)}"` : '';
+    return `<pre><code${className}>${this.escapeHtml(block.literal)}</code></pre>`;
+  }
+
+  renderTable(block) {
+    const cell = (tag, content, index) => {
+      const align = block.align[index] ? ` align="${block.align[index]}"` : '';
+      return `<${tag}${align}>${this.renderInlines(content)}</${tag}>\n`;
+    };
+
+    let html = '<table>\n<thead>\n<tr>\n';
+    html += block.header.map((content, index) => cell('th', content, index)).join('');
+    html += '</tr>\n</thead>\n';
+
+    if (block.rows.length > 0) {
+      html += '<tbody>\n';
+      block.rows.forEach(row => {
+        html += '<tr>\n' + row.map((content, index) => cell('td', content, index)).join('') + '</tr>\n';
+      });
+      html += '</tbody>\n';
+    }
+
+    return html + '</table>';
+  }
+
+  renderInlines(nodes) {
+    return nodes.map(node => this.renderInline(node)).join('');
+  }
+
+  renderInline(node) {
+    switch (node.type) {
+      case 'text':
+        return this.escapeHtml(node.literal);
+      case 'softbreak':
+        return '\n';
+      case 'hardbreak':
+        return '<br />\n';
+      case 'code':
+        return `<code>${this.escapeHtml(node.literal)}</code>`;
+      case 'html_inline':
+        return node.literal;
+      case 'emph':
+        return `<em>${this.renderInlines(node.children)}</em>`;
+      case 'strong':
+        return `<strong>${this.renderInlines(node.children)}</strong>`;
+      case 'strikethrough':
+        return `<del>${this.renderInlines(node.children)}</del>`;
+      case 'link': {
+        const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+        return `<a href="${this.escapeHtml(this.normalizeUrl(node.destination))}"${title}>${this.renderInlines(node.children)}</a>`;
+      }
+      case 'image': {
+        const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+        const alt = this.escapeHtml(this.plainText(node.children));
+        return `<img src="${this.escapeHtml(this.normalizeUrl(node.destination))}" alt="${alt}"${title} />`;
+      }
+      case 'footnote_ref': {
+        const { footnote } = node;
+        const label = this.escapeHtml(footnote.label);
+        return `<sup class="footnote-ref"><a href="#fn-${label}" id="fnref-${label}" data-footnote-ref>${footnote.index}</a></sup>`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Plain-text content of an inline tree, used for image alt text
+   */
+  plainText(nodes) {
+    return nodes.map(node => {
+      if (node.type === 'text' || node.type === 'code') return node.literal;
+      if (node.type === 'softbreak' || node.type === 'hardbreak') return ' ';
+      if (node.children) return this.plainText(node.children);
+      return '';
+    }).join('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  expandTabs(line) {
+    if (!line.includes('\t')) return line;
+
+    const leading = line.match(/^[ \t]*/)[0];
+    let column = 0;
+    let expanded = '';
+    for (const char of leading) {
+      if (char === '\t') {
+        const width = 4 - (column % 4);
+        expanded += ' '.repeat(width);
+        column += width;
+      } else {
+        expanded += char;
+        column++;
+      }
+    }
+    return expanded + line.slice(leading.length);
+  }
+
+  isBlank(line) {
+    return /^[ \t]*$/.test(line);
+  }
+
+  indentOf(line) {
+    return line.match(/^ */)[0].length;
+  }
+
+  stripIndent(line, width) {
+    const indent = Math.min(this.indentOf(line), width);
+    return line.slice(indent);
+  }
+
+  skipSpaces(text, pos) {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+    return pos;
+  }
+
+  skipSpacesAndNewline(text, pos) {
+    pos = this.skipSpaces(text, pos);
+    if (text[pos] === '\n') pos = this.skipSpaces(text, pos + 1);
+    return pos;
+  }
+
+  normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase().toUpperCase();
+  }
+
+  unescapeString(text) {
+    return text.replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])|&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g,
+      (match, escaped) => {
+        if (escaped) return escaped;
+        const decoded = this.decodeEntity(match.match(RE_ENTITY));
+        return decoded === null ? match : decoded;
+      });
+  }
+
+  decodeEntity(match) {
+    const [, hex, decimal, name] = match;
+
+    if (hex || decimal) {
+      const codePoint = parseInt(hex || decimal, hex ? 16 : 10);
+      if (codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)) {
+        return '\uFFFD';
+      }
+      return String.fromCodePoint(codePoint);
+    }
+
+    return Object.prototype.hasOwnProperty.call(ENTITIES, name) ? ENTITIES[name] : null;
+  }
+
+  /**
+   * Percent-encode a link or image destination. Destinations with an unsafe
+   * scheme (javascript:, data: other than images, ...) become an inert '#',
+   * so the output stays safe even when it is not sanitized afterwards.
+   */
+  normalizeUrl(url) {
+    return HtmlSanitizer.safeUrl(url).replace(/%[0-9A-Fa-f]{2}|[^A-Za-z0-9\-._~:/?#@!$&'()*+,;=]/gu, match => {
+      if (match.length === 3 && match[0] === '%') return match;
+      return encodeURIComponent(match);
+    });
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
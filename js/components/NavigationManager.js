@@ -2,12 +2,15 @@
  * NavigationManager - Handles responsive navigation with mobile hamburger menu
  * Requirements: 5.1, 5.2, 5.3, 5.4
  */
+import { lockScroll } from './ScrollLock.js';
+
 export class NavigationManager {
   constructor(navElement) {
     this.nav = navElement;
     this.navLinks = this.nav.querySelector('.nav-links');
     this.hamburgerBtn = null;
     this.mobileMenuOpen = false;
+    this.releaseScroll = null;
     this.activeSection = 'home';
     this.sections = [];
     
@@ -127,8 +130,8 @@ export class NavigationManager {
     this.hamburgerBtn.classList.add('active');
     this.hamburgerBtn.setAttribute('aria-expanded', 'true');
     
-    // Prevent body scroll when menu is open
-    document.body.style.overflow = 'hidden';
+    // Prevent body scroll when menu is open; a dialog may hold its own lock
+    if (!this.releaseScroll) this.releaseScroll = lockScroll();
   }
 
   closeMobileMenu() {
@@ -137,8 +140,11 @@ export class NavigationManager {
     this.hamburgerBtn.classList.remove('active');
     this.hamburgerBtn.setAttribute('aria-expanded', 'false');
     
-    // Restore body scroll
-    document.body.style.overflow = '';
+    // Restore body scroll once nothing else holds it
+    if (this.releaseScroll) {
+      this.releaseScroll();
+      this.releaseScroll = null;
+    }
   }
 
   updateActiveSection(sectionId) {
@@ -1,19 +1,174 @@
 // Project Gallery Component
+import { HtmlSanitizer, html } from './HtmlSanitizer.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+import { SyntaxHighlighter } from './SyntaxHighlighter.js';
+import { FeaturedCarousel } from './FeaturedCarousel.js';
+import { Dialog } from './Dialog.js';
+import { ImageLightbox } from './ImageLightbox.js';
+import { renderCaseStudy, getCaseStudyPath } from './CaseStudy.js';
+import { KeyedList } from './KeyedList.js';
+
+// Sort modes for the grid. "curated" keeps the order of data/projects.json.
+const PROJECT_SORTS = {
+  curated: 'Curated',
+  newest: 'Newest first',
+  oldest: 'Oldest first',
+  title: 'Title A–Z',
+  technologies: 'Most technologies',
+  featured: 'Featured first'
+};
+
+const isProjectSort = mode => Object.prototype.hasOwnProperty.call(PROJECT_SORTS, mode);
+
+// How many projects fit side by side in the comparison table
+const MAX_COMPARE = 3;
+
+// Let ctrl/cmd/shift-clicks open links in a new tab as usual
+const isModifiedClick = e => e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey;
+
 export class ProjectGallery {
-  constructor(containerElement, projectsData) {
+  constructor(containerElement, projectsData, options = {}) {
     this.container = containerElement;
     this.projects = projectsData.projects || [];
     this.categories = projectsData.categories || [];
     this.currentFilter = 'all';
+    this.selectedTechnologies = [];
+    this.techMode = 'all';
+    this.sortMode = 'curated';
+    this.router = options.router || null;
+    this.basePath = options.basePath || '/projects';
     this.modal = null;
+    this.dialog = null;
+    this.lightbox = null;
+    this.modalProjectId = null;
+    this.openedFromGallery = false;
+    this.pendingTrigger = null;
+    this.pageTitle = null;
+    this.imageLoader = options.imageLoader || null;
+    // Animates grid changes; without it cards are swapped without transitions
+    this.animationEngine = options.animationEngine || null;
+    // KeyedList hooks told about cards as they are mounted and unmounted
+    this.listHooks = options.listHooks || [];
+    this.cardList = null;
+    // Long-form write-ups from data/case-studies.json, keyed by project id
+    this.caseStudies = new Map((options.caseStudies || []).map(caseStudy => [caseStudy.projectId, caseStudy]));
+    this.caseStudyProjectId = null;
+    this.caseStudyFromGallery = false;
+    this.caseStudyTitle = null;
+    this.hiddenForCaseStudy = [];
+    // Project ids picked for the comparison table, in the order they were picked
+    this.compareIds = [];
+    this.maxCompare = options.maxCompare || MAX_COMPARE;
+    this.comparisonDialog = null;
+    // Ids in spotlight order once set through setFeaturedProjects(); the
+    // projects' own featured flags are left as loaded
+    this.featuredOrder = null;
+    this.featuredCarousel = null;
+    this.featuredOptions = options.featured || {};
     
     this.init();
   }
 
   init() {
+    // The build prerenders case studies for crawlers; the live view replaces them
+    this.container.querySelectorAll('[data-prerendered]').forEach(element => element.remove());
+    this.restoreFromUrl();
     this.createFilterButtons();
+    this.createTechnologyFacets();
+    this.createActiveFilterBar();
+    this.createSpotlight();
     this.render();
+    this.createCompareBar();
     this.setupEventListeners();
+    this.setupRouting();
+  }
+
+  /**
+   * Project details live at /projects/:id. Links in the older
+   * #project=<id> form are moved to that path on load.
+   */
+  setupRouting() {
+    if (!this.router) {
+      // Without routing the hash form still opens the project
+      const projectId = this.getHashProjectId();
+      if (projectId) this.showProjectModal(projectId, null);
+      return;
+    }
+
+    this.handleHashChange = () => {
+      const projectId = this.getHashProjectId();
+      if (projectId) {
+        this.router.navigate(`${this.getProjectPath(projectId)}${window.location.search}`, {}, { replace: true });
+      }
+    };
+    this.handleHashChange();
+    window.addEventListener('hashchange', this.handleHashChange);
+
+    this.router.add(
+      `${this.basePath}/:id`,
+      (params, state) => this.showProjectById(params.id, state),
+      () => this.closeModal()
+    );
+    // Registered after the project route so the dialog has closed (and put
+    // the title back) before the case study takes over the section
+    this.router.add(
+      `${this.basePath}/:id/case-study`,
+      (params, state) => this.showCaseStudyById(params.id, state),
+      () => this.hideCaseStudy()
+    );
+  }
+
+  getHashProjectId() {
+    const match = /^#project=(.+)$/.exec(window.location.hash);
+    if (!match) return null;
+    try {
+      return decodeURIComponent(match[1]);
+    } catch {
+      return match[1];
+    }
+  }
+
+  getProjectPath(projectId) {
+    return `${this.basePath}/${encodeURIComponent(projectId)}`;
+  }
+
+  /**
+   * Id of the project in the current URL, or null on any other page
+   */
+  getRouteProjectId() {
+    const prefix = `${this.basePath}/`;
+    const path = this.router.getCurrentPath();
+    if (!path.startsWith(prefix)) return null;
+    try {
+      return decodeURIComponent(path.slice(prefix.length).replace(/\/$/, ''));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Filters and sort are kept in the query string so a filtered view can be
+   * shared: ?project-category=<id>&tech=React&tech=Node.js&tech-match=any&project-sort=<mode>
+   */
+  restoreFromUrl() {
+    if (!this.router) return;
+    const query = this.router.getQuery();
+
+    const category = query.get('project-category');
+    this.currentFilter = this.categories.some(cat => cat.id === category) ? category : 'all';
+    this.selectedTechnologies = this.getKnownTechnologies(query.getAll('tech'));
+    this.techMode = query.get('tech-match') === 'any' ? 'any' : 'all';
+    const sort = query.get('project-sort');
+    this.sortMode = isProjectSort(sort) ? sort : 'curated';
+  }
+
+  syncUrl() {
+    this.router?.updateQuery({
+      'project-category': this.currentFilter === 'all' ? null : this.currentFilter,
+      tech: this.selectedTechnologies,
+      'tech-match': this.selectedTechnologies.length > 1 && this.techMode === 'any' ? 'any' : null,
+      'project-sort': this.sortMode === 'curated' ? null : this.sortMode
+    });
   }
 
   createFilterButtons() {
@@ -22,7 +177,7 @@ export class ProjectGallery {
     
     // Add "All" filter
     const allButton = document.createElement('button');
-    allButton.className = 'filter-btn active';
+    allButton.className = `filter-btn${this.currentFilter === 'all' ? ' active' : ''}`;
     allButton.textContent = 'All';
     allButton.dataset.category = 'all';
     filterContainer.appendChild(allButton);
@@ -30,29 +185,300 @@ export class ProjectGallery {
     // Add category filters
     this.categories.forEach(category => {
       const button = document.createElement('button');
-      button.className = 'filter-btn';
+      button.className = `filter-btn${this.currentFilter === category.id ? ' active' : ''}`;
       button.textContent = category.name;
       button.dataset.category = category.id;
       filterContainer.appendChild(button);
     });
+
+    const sortControl = document.createElement('label');
+    sortControl.className = 'sort-control';
+    sortControl.innerHTML = html`
+      <span class="sort-label">Sort by</span>
+      <select class="project-sort">
+        ${Object.entries(PROJECT_SORTS).map(([mode, label]) => html`<option value="${mode}">${label}</option>`)}
+      </select>
+    `;
+    sortControl.querySelector('select').value = this.sortMode;
+    filterContainer.appendChild(sortControl);
     
     this.container.insertBefore(filterContainer, this.container.firstChild);
   }
 
-  render() {
-    const projectsContainer = this.container.querySelector('.projects-grid') || 
-                             this.createProjectsGrid();
-    
-    const filteredProjects = this.currentFilter === 'all' 
-      ? this.projects 
+  /**
+   * Count projects per technology. Technologies are matched
+   * case-insensitively and shown with the spelling of their first use.
+   */
+  getTechnologyCounts() {
+    const counts = new Map();
+    this.projects.forEach(project => {
+      const technologies = project.technologies || [];
+      new Set(technologies.map(tech => tech.toLowerCase())).forEach(key => {
+        const label = technologies.find(tech => tech.toLowerCase() === key);
+        const entry = counts.get(key) || { technology: label, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+    return Array.from(counts.values())
+      .sort((a, b) => b.count - a.count || a.technology.localeCompare(b.technology));
+  }
+
+  // Spell technologies as they appear in the data and drop unknown ones
+  getKnownTechnologies(technologies) {
+    const known = this.getTechnologyCounts().map(entry => entry.technology);
+    const result = [];
+    technologies.forEach(tech => {
+      const match = known.find(item => item.toLowerCase() === String(tech).toLowerCase());
+      if (match && !result.includes(match)) result.push(match);
+    });
+    return result;
+  }
+
+  createTechnologyFacets() {
+    const facets = document.createElement('div');
+    facets.className = 'tech-facets-panel';
+
+    facets.innerHTML = html`
+      <div class="tag-cloud-header">
+        <span class="tag-cloud-title" id="tech-facets-title">Technologies</span>
+        <div class="tag-mode" role="group" aria-label="Combine selected technologies">
+          <button type="button" class="tech-mode-btn tag-mode-btn" data-mode="all">Match all</button>
+          <button type="button" class="tech-mode-btn tag-mode-btn" data-mode="any">Match any</button>
+        </div>
+      </div>
+      <div class="tag-facets" role="group" aria-labelledby="tech-facets-title">
+        ${this.getTechnologyCounts().map(({ technology, count }) => html`
+          <button type="button" class="tech-facet tag-facet" data-tech="${technology}" aria-pressed="false">
+            ${technology} <span class="tag-count" aria-label="${count} projects">${count}</span>
+          </button>
+        `)}
+      </div>
+    `;
+
+    const filters = this.container.querySelector('.project-filters');
+    this.container.insertBefore(facets, filters ? filters.nextSibling : this.container.firstChild);
+  }
+
+  createActiveFilterBar() {
+    const bar = document.createElement('div');
+    bar.className = 'active-filters';
+    bar.setAttribute('aria-live', 'polite');
+    const facets = this.container.querySelector('.tech-facets-panel');
+    this.container.insertBefore(bar, facets ? facets.nextSibling : this.container.firstChild);
+  }
+
+  /**
+   * One removable chip per active filter plus "Clear all". Empty while
+   * nothing is filtered.
+   */
+  renderActiveFilters(resultCount) {
+    const bar = this.container.querySelector('.active-filters');
+    if (!bar) return;
+
+    const category = this.currentFilter === 'all'
+      ? null
+      : this.categories.find(cat => cat.id === this.currentFilter)?.name || this.currentFilter;
+
+    if (!category && this.selectedTechnologies.length === 0) {
+      bar.innerHTML = '';
+      bar.hidden = true;
+      return;
+    }
+
+    const joiner = this.techMode === 'any' ? 'or' : 'and';
+    bar.hidden = false;
+    bar.innerHTML = html`
+      <span class="active-filters-summary">${resultCount} ${resultCount === 1 ? 'project' : 'projects'}</span>
+      ${category ? html`
+        <button type="button" class="active-filter" data-filter="category" aria-label="Remove filter: ${category}">
+          ${category} <span aria-hidden="true">×</span>
+        </button>
+      ` : ''}
+      ${this.selectedTechnologies.map((tech, index) => html`
+        ${index > 0 ? html`<span class="active-filters-joiner">${joiner}</span>` : ''}
+        <button type="button" class="active-filter" data-filter="tech" data-tech="${tech}" aria-label="Remove filter: ${tech}">
+          ${tech} <span aria-hidden="true">×</span>
+        </button>
+      `)}
+      <button type="button" class="clear-filters-btn">Clear all</button>
+    `;
+  }
+
+  updateFacetControls() {
+    this.container.querySelectorAll('.filter-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.category === this.currentFilter);
+    });
+
+    this.container.querySelectorAll('.tech-facet, .projects-grid .tech-tag').forEach(btn => {
+      const selected = this.isTechnologySelected(btn.dataset.tech);
+      btn.classList.toggle('active', selected);
+      btn.setAttribute('aria-pressed', String(selected));
+    });
+
+    this.container.querySelectorAll('.tech-mode-btn').forEach(btn => {
+      const active = btn.dataset.mode === this.techMode;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', String(active));
+    });
+  }
+
+  isTechnologySelected(tech) {
+    return this.selectedTechnologies.some(selected => selected.toLowerCase() === String(tech).toLowerCase());
+  }
+
+  toggleTechnology(tech) {
+    const technologies = this.isTechnologySelected(tech)
+      ? this.selectedTechnologies.filter(selected => selected.toLowerCase() !== tech.toLowerCase())
+      : [...this.selectedTechnologies, tech];
+    this.filterByTechnologies(technologies, this.techMode);
+  }
+
+  /**
+   * Show projects built with all (mode 'all') or any (mode 'any') of the
+   * given technologies
+   */
+  filterByTechnologies(technologies, mode = this.techMode) {
+    this.selectedTechnologies = this.getKnownTechnologies(technologies);
+    this.techMode = mode === 'any' ? 'any' : 'all';
+    this.render();
+    this.syncUrl();
+  }
+
+  clearFilters() {
+    this.currentFilter = 'all';
+    this.selectedTechnologies = [];
+    this.render();
+    this.syncUrl();
+  }
+
+  getFilteredProjects() {
+    let filtered = this.currentFilter === 'all'
+      ? this.projects
       : this.projects.filter(project => project.category === this.currentFilter);
-    
-    projectsContainer.innerHTML = '';
-    
-    filteredProjects.forEach(project => {
-      const projectCard = this.createProjectCard(project);
-      projectsContainer.appendChild(projectCard);
+
+    if (this.selectedTechnologies.length > 0) {
+      const selected = this.selectedTechnologies.map(tech => tech.toLowerCase());
+      const combine = this.techMode === 'any' ? 'some' : 'every';
+      filtered = filtered.filter(project => {
+        const technologies = (project.technologies || []).map(tech => tech.toLowerCase());
+        return selected[combine](tech => technologies.includes(tech));
+      });
+    }
+
+    return this.sortProjects(filtered);
+  }
+
+  createSpotlight() {
+    const spotlightContainer = document.createElement('div');
+    spotlightContainer.className = 'project-spotlight';
+    this.container.insertBefore(spotlightContainer, this.container.firstChild);
+
+    this.featuredCarousel = new FeaturedCarousel(spotlightContainer, {
+      label: 'Featured projects',
+      renderSlide: project => this.createSpotlightSlide(project),
+      ...this.featuredOptions
     });
+    this.featuredCarousel.setItems(this.getFeaturedProjects());
+  }
+
+  /**
+   * Featured projects in spotlight order: the order given to
+   * setFeaturedProjects(), otherwise the order of the projects data
+   */
+  getFeaturedProjects() {
+    const featured = this.projects.filter(project => this.isFeatured(project));
+    if (!this.featuredOrder) return featured;
+    return this.featuredOrder
+      .map(id => featured.find(project => project.id === id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Feature exactly the given projects, in that order. Unknown ids are ignored.
+   */
+  setFeaturedProjects(projectIds) {
+    const ids = [...new Set(projectIds)].filter(id => this.projects.some(project => project.id === id));
+    this.featuredOrder = ids;
+    this.featuredCarousel?.setItems(this.getFeaturedProjects());
+    return this.getFeaturedProjects();
+  }
+
+  isFeatured(project) {
+    return this.featuredOrder ? this.featuredOrder.includes(project.id) : Boolean(project.featured);
+  }
+
+  createSpotlightSlide(project) {
+    return html`
+      <article class="featured-project">
+        <img class="featured-project-image" src="${project.thumbnail}" alt="" loading="lazy">
+        <div class="featured-project-info">
+          <p class="featured-label">Featured project</p>
+          <h3 class="featured-title">${project.title}</h3>
+          <p class="featured-excerpt">${project.description}</p>
+          <div class="project-technologies">
+            ${project.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
+          </div>
+          <button type="button" class="view-project-btn" data-featured-id="${project.id}">View Details</button>
+        </div>
+      </article>
+    `;
+  }
+
+  /**
+   * Update the grid in place through a KeyedList: cards are matched to
+   * projects by id and reused, so they keep focus, hover effects and loaded
+   * images. Only new cards are built; with an AnimationEngine the change is
+   * animated (FLIP) unless the reader prefers reduced motion.
+   */
+  render() {
+    if (!this.cardList) {
+      const grid = this.container.querySelector('.projects-grid') || this.createProjectsGrid();
+      // Whatever was in the grid before is replaced; the list owns it from here
+      grid.replaceChildren();
+      this.cardList = new KeyedList(grid, {
+        key: project => project.id,
+        create: project => this.createProjectCard(project),
+        transition: this.animationEngine?.createLayoutTransition(),
+        hooks: this.listHooks
+      });
+    }
+    const projectsContainer = this.cardList.container;
+    const filteredProjects = this.getFilteredProjects();
+
+    projectsContainer.querySelector(':scope > .no-projects')?.remove();
+    this.cardList.render(filteredProjects);
+
+    if (filteredProjects.length === 0 && this.selectedTechnologies.length > 0) {
+      projectsContainer.insertAdjacentHTML('beforeend', '<p class="no-projects">No projects match these filters.</p>');
+    }
+
+    this.renderActiveFilters(filteredProjects.length);
+    this.updateFacetControls();
+    this.updateCompareControls();
+  }
+
+  sortProjects(projects, mode = this.sortMode) {
+    const byDate = (a, b) => new Date(b.completedDate) - new Date(a.completedDate);
+    const compare = {
+      newest: byDate,
+      oldest: (a, b) => -byDate(a, b),
+      title: (a, b) => String(a.title).localeCompare(String(b.title), undefined, { sensitivity: 'base', numeric: true }),
+      technologies: (a, b) => (b.technologies || []).length - (a.technologies || []).length,
+      featured: (a, b) => Number(this.isFeatured(b)) - Number(this.isFeatured(a))
+    }[mode];
+
+    // Array.prototype.sort is stable, so ties keep the curated order
+    return compare ? [...projects].sort(compare) : projects;
+  }
+
+  sortBy(mode) {
+    this.sortMode = isProjectSort(mode) ? mode : 'curated';
+    const select = this.container.querySelector('.project-sort');
+    if (select) select.value = this.sortMode;
+
+    this.render();
+    this.syncUrl();
   }
 
   createProjectsGrid() {
@@ -67,7 +493,7 @@ export class ProjectGallery {
     card.className = 'project-card';
     card.dataset.projectId = project.id;
     
-    card.innerHTML = `
+    card.innerHTML = html`
       <div class="project-thumbnail">
         <img src="${project.thumbnail}" alt="${project.title}" loading="lazy">
         <div class="project-overlay">
@@ -78,7 +504,12 @@ export class ProjectGallery {
         <h3 class="project-title">${project.title}</h3>
         <p class="project-description">${project.description}</p>
         <div class="project-technologies">
-          ${project.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
+          ${project.technologies.map(tech => html`<button type="button" class="tech-tag" data-tech="${tech}" aria-pressed="false" title="Show projects built with ${tech}">${tech}</button>`)}
+        </div>
+        ${project.github ? this.renderRepositoryStats(project.github) : ''}
+        <div class="project-card-actions">
+          ${this.getCaseStudy(project.id) ? html`<a href="${getCaseStudyPath(project.id, this.basePath)}" class="case-study-link">Read the case study</a>` : ''}
+          <button type="button" class="compare-toggle" aria-pressed="false">Compare</button>
         </div>
       </div>
     `;
@@ -86,6 +517,39 @@ export class ProjectGallery {
     return card;
   }
 
+  /**
+   * Stars, primary language, last commit and license of the project's
+   * repository, added to the built projects.json by scripts/github.js
+   */
+  renderRepositoryStats(github) {
+    const stars = Number(github.stars) || 0;
+    const lastCommit = github.lastCommit ? new Date(github.lastCommit) : null;
+    return html`
+      <ul class="project-repo" aria-label="GitHub repository">
+        <li class="repo-stars"><span aria-hidden="true">★</span> ${stars.toLocaleString()} ${stars === 1 ? 'star' : 'stars'}</li>
+        ${github.language ? html`<li class="repo-language">${github.language}</li>` : ''}
+        ${lastCommit && !Number.isNaN(lastCommit.getTime()) ? html`
+          <li class="repo-updated">Updated <time datetime="${github.lastCommit}">${lastCommit.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })}</time></li>
+        ` : ''}
+        ${github.license ? html`<li class="repo-license">${github.license}</li>` : ''}
+      </ul>
+    `;
+  }
+
+  renderLanguageBreakdown(languages) {
+    return html`
+      <div class="repo-languages">
+        <h4>Languages</h4>
+        <div class="language-bar" aria-hidden="true">
+          ${languages.map(language => html`<span class="language-segment" style="flex-basis: ${language.percent}%" title="${language.name}"></span>`)}
+        </div>
+        <ul class="language-list">
+          ${languages.map(language => html`<li><span class="language-name">${language.name}</span> <span class="language-percent">${language.percent}%</span></li>`)}
+        </ul>
+      </div>
+    `;
+  }
+
   setupEventListeners() {
     // Filter button listeners
     this.container.addEventListener('click', (e) => {
@@ -94,9 +558,72 @@ export class ProjectGallery {
       }
       
       if (e.target.classList.contains('view-project-btn')) {
-        const projectCard = e.target.closest('.project-card');
-        const projectId = projectCard.dataset.projectId;
-        this.showProjectModal(projectId);
+        // Spotlight slides name their project on the button itself
+        const projectId = e.target.dataset.featuredId || e.target.closest('.project-card').dataset.projectId;
+        this.showProjectModal(projectId, e.target);
+      }
+
+      const caseStudyLink = e.target.closest('.case-study-link');
+      if (caseStudyLink && !isModifiedClick(e)) {
+        e.preventDefault();
+        this.openCaseStudy(caseStudyLink.closest('.project-card').dataset.projectId);
+      }
+
+      if (e.target.closest('.case-study-view .back-to-projects-btn') && !isModifiedClick(e)) {
+        e.preventDefault();
+        this.closeCaseStudy();
+      }
+
+      const techButton = e.target.closest('.tech-facet, .projects-grid .tech-tag');
+      if (techButton) {
+        this.toggleTechnology(techButton.dataset.tech);
+      }
+
+      if (e.target.classList.contains('tech-mode-btn')) {
+        this.filterByTechnologies(this.selectedTechnologies, e.target.dataset.mode);
+      }
+
+      const activeFilter = e.target.closest('.active-filter');
+      if (activeFilter) {
+        if (activeFilter.dataset.filter === 'category') {
+          this.filterByCategory('all');
+        } else {
+          this.toggleTechnology(activeFilter.dataset.tech);
+        }
+        // The chip is gone; keep keyboard focus in the filter area
+        (this.container.querySelector('.active-filter') || this.container.querySelector('.filter-btn.active'))?.focus();
+      }
+
+      const compareToggle = e.target.closest('.compare-toggle');
+      if (compareToggle) {
+        this.toggleCompare(compareToggle.closest('.project-card').dataset.projectId);
+      }
+
+      const compareRemove = e.target.closest('.compare-remove');
+      if (compareRemove) {
+        this.toggleCompare(compareRemove.dataset.compareId);
+        // The chip is gone; keep keyboard focus in the bar
+        (this.container.querySelector('.compare-remove') || this.container.querySelector('.compare-toggle'))?.focus();
+      }
+
+      if (e.target.closest('.compare-open-btn')) {
+        this.openComparison(e.target.closest('.compare-open-btn'));
+      }
+
+      if (e.target.classList.contains('clear-compare-btn')) {
+        this.clearCompare();
+        this.container.querySelector('.compare-toggle')?.focus();
+      }
+
+      if (e.target.classList.contains('clear-filters-btn')) {
+        this.clearFilters();
+        this.container.querySelector('.filter-btn.active')?.focus();
+      }
+    });
+
+    this.container.addEventListener('change', (e) => {
+      if (e.target.classList.contains('project-sort')) {
+        this.sortBy(e.target.value);
       }
     });
   }
@@ -110,6 +637,7 @@ export class ProjectGallery {
     // Update current filter and re-render
     this.currentFilter = button.dataset.category;
     this.render();
+    this.syncUrl();
   }
 
   filterByCategory(category) {
@@ -120,45 +648,91 @@ export class ProjectGallery {
     this.container.querySelectorAll('.filter-btn').forEach(btn => {
       btn.classList.toggle('active', btn.dataset.category === category);
     });
+    this.syncUrl();
   }
 
-  showProjectModal(projectId) {
+  /**
+   * Open the project dialog; focus returns to `trigger` when it closes.
+   * With a router the dialog gets its own /projects/:id history entry.
+   */
+  showProjectModal(projectId, trigger = document.activeElement) {
     const project = this.projects.find(p => p.id === projectId);
     if (!project) return;
-    
-    this.createModal(project);
+
+    if (!this.router) {
+      this.createModal(project, trigger);
+      return;
+    }
+
+    this.pendingTrigger = trigger;
+    this.router.navigate(`${this.getProjectPath(projectId)}${window.location.search}`, { projectId, fromGallery: true });
+  }
+
+  showProjectById(projectId, state = {}) {
+    const project = this.projects.find(p => p.id === projectId);
+    if (!project) {
+      this.router.navigate(`/${window.location.search}`, {}, { replace: true });
+      return;
+    }
+    // Other routes resolving must not reopen the dialog that is already showing
+    if (this.modal && this.modalProjectId === projectId) return;
+
+    const trigger = this.pendingTrigger;
+    this.pendingTrigger = null;
+    this.openedFromGallery = Boolean(state.fromGallery);
+    if (!this.openedFromGallery) {
+      // Landed on a shared link: closing the dialog should leave the reader at the gallery
+      this.container.scrollIntoView?.({ block: 'start' });
+    }
+    this.createModal(project, trigger || document.activeElement);
+  }
+
+  /**
+   * Take the URL off the project once its dialog closes. Going back pops
+   * the entry the gallery pushed; a shared link has no such entry.
+   */
+  leaveProjectRoute(projectId) {
+    // Closed by the back button or by opening another project
+    if (!this.router || this.getRouteProjectId() !== projectId) return;
+
+    if (this.openedFromGallery) {
+      window.history.back();
+    } else {
+      this.router.navigate(`/${window.location.search}#projects`);
+    }
   }
 
-  createModal(project) {
+  createModal(project, trigger = document.activeElement) {
     // Remove existing modal if any
     this.closeModal();
     
     const modal = document.createElement('div');
     modal.className = 'project-modal';
-    modal.innerHTML = `
+    modal.innerHTML = html`
       <div class="modal-overlay">
         <div class="modal-content">
-          <button class="modal-close">&times;</button>
+          <button type="button" class="modal-close" aria-label="Close project details">&times;</button>
           <div class="modal-header">
             <h2>${project.title}</h2>
             <div class="project-links">
-              ${project.liveUrl ? `<a href="${project.liveUrl}" target="_blank" class="project-link">Live Demo</a>` : ''}
-              ${project.githubUrl ? `<a href="${project.githubUrl}" target="_blank" class="project-link">Source Code</a>` : ''}
+              ${project.liveUrl ? html`<a href="${project.liveUrl}" target="_blank" rel="noopener noreferrer" class="project-link">Live Demo</a>` : ''}
+              ${project.githubUrl ? html`<a href="${project.githubUrl}" target="_blank" rel="noopener noreferrer" class="project-link">Source Code</a>` : ''}
+              ${this.getCaseStudy(project.id) ? html`<a href="${getCaseStudyPath(project.id, this.basePath)}" class="project-link case-study-link">Case Study</a>` : ''}
             </div>
           </div>
           <div class="modal-body">
-            <div class="project-images">
-              ${project.images.map(img => `<img src="${img}" alt="${project.title}">`).join('')}
-            </div>
+            <div class="project-images"></div>
             <div class="project-details">
               <p class="project-full-description">${project.description}</p>
               <div class="project-technologies">
                 <h4>Technologies Used:</h4>
-                ${project.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
+                ${project.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
               </div>
+              ${project.github?.languages?.length > 0 ? this.renderLanguageBreakdown(project.github.languages) : ''}
               <div class="project-meta">
                 <p><strong>Completed:</strong> ${new Date(project.completedDate).toLocaleDateString()}</p>
                 <p><strong>Category:</strong> ${this.categories.find(cat => cat.id === project.category)?.name || project.category}</p>
+                ${project.github ? this.renderRepositoryStats(project.github) : ''}
               </div>
             </div>
           </div>
@@ -166,26 +740,331 @@ export class ProjectGallery {
       </div>
     `;
     
-    document.body.appendChild(modal);
     this.modal = modal;
-    
-    // Setup modal event listeners
-    modal.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
-    modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
-      if (e.target === modal.querySelector('.modal-overlay')) {
-        this.closeModal();
+    this.modalProjectId = project.id;
+    this.createLightbox(project);
+    if (this.pageTitle === null) this.pageTitle = document.title;
+    document.title = `${project.title} | Projects`;
+    // Dialog handles focus, Escape, overlay clicks and the scroll lock
+    this.dialog = new Dialog(modal, {
+      onClose: () => {
+        if (this.lightbox) this.lightbox.destroy();
+        this.lightbox = null;
+        this.modal = null;
+        this.dialog = null;
+        this.modalProjectId = null;
+        if (this.pageTitle !== null) document.title = this.pageTitle;
+        this.pageTitle = null;
+        this.leaveProjectRoute(project.id);
       }
     });
-    
-    // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+    // The dialog lives outside the gallery container
+    modal.querySelector('.case-study-link')?.addEventListener('click', (e) => {
+      if (isModifiedClick(e)) return;
+      e.preventDefault();
+      this.openCaseStudy(project.id);
+    });
+    this.dialog.open(trigger);
+  }
+
+  createLightbox(project) {
+    const container = this.modal.querySelector('.project-images');
+    this.lightbox = new ImageLightbox(container, project.images, {
+      alt: project.title,
+      label: `${project.title} screenshots`,
+      imageLoader: this.imageLoader,
+      // Arrow keys work anywhere in the dialog, not only on the gallery
+      keyTarget: this.modal.querySelector('.modal-content')
+    });
+    if (!this.lightbox.element) container.remove();
   }
 
   closeModal() {
-    if (this.modal) {
-      document.body.removeChild(this.modal);
-      this.modal = null;
-      document.body.style.overflow = '';
+    if (this.dialog) this.dialog.close();
+  }
+
+  createCompareBar() {
+    const bar = document.createElement('div');
+    bar.className = 'compare-bar';
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'Project comparison');
+    bar.innerHTML = html`
+      <p class="compare-status" aria-live="polite"></p>
+      <ul class="compare-selection"></ul>
+      <div class="compare-actions">
+        <button type="button" class="compare-open-btn">Compare</button>
+        <button type="button" class="clear-compare-btn">Clear</button>
+      </div>
+    `;
+    this.container.appendChild(bar);
+    this.renderCompareBar();
+  }
+
+  getComparedProjects() {
+    return this.compareIds
+      .map(id => this.projects.find(project => project.id === id))
+      .filter(Boolean);
+  }
+
+  isCompared(projectId) {
+    return this.compareIds.includes(projectId);
+  }
+
+  /**
+   * Add a project to the comparison or take it out again. Returns false
+   * when the comparison is already full.
+   */
+  toggleCompare(projectId) {
+    if (this.isCompared(projectId)) {
+      this.compareIds = this.compareIds.filter(id => id !== projectId);
+    } else if (this.compareIds.length >= this.maxCompare) {
+      this.renderCompareBar(`You can compare up to ${this.maxCompare} projects at a time.`);
+      return false;
+    } else if (this.projects.some(project => project.id === projectId)) {
+      this.compareIds = [...this.compareIds, projectId];
+    }
+
+    this.renderCompareBar();
+    this.updateCompareControls();
+    return true;
+  }
+
+  clearCompare() {
+    this.compareIds = [];
+    this.renderCompareBar();
+    this.updateCompareControls();
+  }
+
+  renderCompareBar(message = null) {
+    const bar = this.container.querySelector('.compare-bar');
+    if (!bar) return;
+
+    const projects = this.getComparedProjects();
+    bar.hidden = projects.length === 0;
+    bar.querySelector('.compare-status').textContent = message || (projects.length < 2
+      ? `${projects.length} of ${this.maxCompare} selected. Pick at least two projects to compare.`
+      : `${projects.length} of ${this.maxCompare} selected.`);
+    bar.querySelector('.compare-selection').innerHTML = html`
+      ${projects.map(project => html`
+        <li>
+          <button type="button" class="compare-remove" data-compare-id="${project.id}" aria-label="Remove ${project.title} from comparison">
+            ${project.title} <span aria-hidden="true">×</span>
+          </button>
+        </li>
+      `)}
+    `;
+    bar.querySelector('.compare-open-btn').disabled = projects.length < 2;
+  }
+
+  updateCompareControls() {
+    const full = this.compareIds.length >= this.maxCompare;
+    this.container.querySelectorAll('.projects-grid .compare-toggle').forEach(button => {
+      const selected = this.isCompared(button.closest('.project-card').dataset.projectId);
+      button.setAttribute('aria-pressed', String(selected));
+      button.classList.toggle('active', selected);
+      // Stays focusable so the reader hears why it does nothing
+      button.setAttribute('aria-disabled', String(full && !selected));
+    });
+  }
+
+  /**
+   * Open the side-by-side table for the selected projects
+   */
+  openComparison(trigger = document.activeElement) {
+    const projects = this.getComparedProjects();
+    if (projects.length < 2) return;
+    this.closeComparison();
+
+    const modal = document.createElement('div');
+    modal.className = 'project-modal comparison-modal';
+    modal.innerHTML = html`
+      <div class="modal-overlay">
+        <div class="modal-content">
+          <button type="button" class="modal-close" aria-label="Close comparison">&times;</button>
+          <div class="modal-header">
+            <h2>Compare projects</h2>
+            <button type="button" class="print-comparison-btn project-link">Print</button>
+          </div>
+          <div class="modal-body">
+            ${this.renderComparisonTable(projects)}
+          </div>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('.print-comparison-btn').addEventListener('click', () => window.print());
+    this.comparisonDialog = new Dialog(modal, {
+      onClose: () => {
+        this.comparisonDialog = null;
+      }
+    });
+    this.comparisonDialog.open(trigger);
+  }
+
+  closeComparison() {
+    if (this.comparisonDialog) this.comparisonDialog.close();
+  }
+
+  /**
+   * One column per project. Technologies used by more than one of the
+   * compared projects are marked as shared.
+   */
+  renderComparisonTable(projects) {
+    const usage = new Map();
+    projects.forEach(project => {
+      new Set((project.technologies || []).map(tech => tech.toLowerCase())).forEach(key => {
+        usage.set(key, (usage.get(key) || 0) + 1);
+      });
+    });
+    const categoryName = project => this.categories.find(cat => cat.id === project.category)?.name || project.category;
+
+    const rows = [
+      ['Category', project => categoryName(project)],
+      ['Technologies', project => html`
+        <ul class="comparison-technologies">
+          ${(project.technologies || []).map(tech => {
+            const count = usage.get(tech.toLowerCase());
+            return count > 1
+              ? html`<li class="tech-tag tech-shared" title="Used by ${count} of ${projects.length} projects">${tech}<span class="visually-hidden"> (shared)</span></li>`
+              : html`<li class="tech-tag">${tech}</li>`;
+          })}
+        </ul>
+      `],
+      ['Completed', project => project.completedDate
+        ? html`<time datetime="${project.completedDate}">${new Date(project.completedDate).toLocaleDateString()}</time>`
+        : '—'],
+      ['Links', project => project.liveUrl || project.githubUrl ? html`
+        ${project.liveUrl ? html`<a href="${project.liveUrl}" target="_blank" rel="noopener noreferrer" class="comparison-link">Live Demo</a>` : ''}
+        ${project.githubUrl ? html`<a href="${project.githubUrl}" target="_blank" rel="noopener noreferrer" class="comparison-link">Source Code</a>` : ''}
+      ` : '—'],
+      ['Featured', project => (this.isFeatured(project) ? 'Yes' : 'No')]
+    ];
+
+    return html`
+      <div class="comparison-scroll" role="region" aria-label="Comparison table" tabindex="0">
+        <table class="comparison-table">
+          <caption class="visually-hidden">${projects.map(project => project.title).join(', ')} compared</caption>
+          <thead>
+            <tr>
+              <td></td>
+              ${projects.map(project => html`<th scope="col">${project.title}</th>`)}
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, cell]) => html`
+              <tr data-row="${label.toLowerCase()}">
+                <th scope="row">${label}</th>
+                ${projects.map(project => html`<td>${cell(project)}</td>`)}
+              </tr>
+            `)}
+          </tbody>
+        </table>
+      </div>
+      <p class="comparison-legend"><span class="tech-tag tech-shared">Highlighted</span> technologies are used by more than one of these projects.</p>
+    `;
+  }
+
+  getCaseStudy(projectId) {
+    return this.caseStudies.get(projectId) || null;
+  }
+
+  /**
+   * Show a project's case study at /projects/:id/case-study. Coming from
+   * the project's dialog, the case study replaces the dialog's history
+   * entry so "All projects" goes straight back to the gallery.
+   */
+  openCaseStudy(projectId) {
+    if (!this.getCaseStudy(projectId)) return;
+
+    if (!this.router) {
+      this.closeModal();
+      this.renderCaseStudyView(projectId);
+      return;
+    }
+
+    const fromDialog = this.modal !== null && this.getRouteProjectId() === projectId;
+    this.router.navigate(
+      `${getCaseStudyPath(projectId, this.basePath)}${window.location.search}`,
+      { projectId, fromGallery: fromDialog ? this.openedFromGallery : true },
+      { replace: fromDialog }
+    );
+  }
+
+  showCaseStudyById(projectId, state = {}) {
+    if (!this.projects.some(p => p.id === projectId) || !this.getCaseStudy(projectId)) {
+      this.router.navigate(`/${window.location.search}`, {}, { replace: true });
+      return;
+    }
+    if (this.caseStudyProjectId === projectId) return;
+
+    this.caseStudyFromGallery = Boolean(state.fromGallery);
+    this.renderCaseStudyView(projectId);
+    this.container.scrollIntoView?.({ block: 'start' });
+  }
+
+  renderCaseStudyView(projectId) {
+    const project = this.projects.find(p => p.id === projectId);
+    const caseStudy = this.getCaseStudy(projectId);
+    this.hideCaseStudy();
+
+    if (!this.markdownRenderer) {
+      this.syntaxHighlighter = new SyntaxHighlighter();
+      this.markdownRenderer = new MarkdownRenderer({
+        highlight: (code, info) => this.syntaxHighlighter.renderCodeBlock(code, info)
+      });
+      this.sanitizer = new HtmlSanitizer();
+    }
+
+    // The case study takes the place of the gallery until the reader goes back
+    this.hiddenForCaseStudy = Array.from(this.container.children).filter(child => !child.hidden);
+    this.hiddenForCaseStudy.forEach(child => { child.hidden = true; });
+
+    // Ids in the case study must not collide with ids elsewhere on the page
+    const reservedIds = Array.from(document.querySelectorAll('[id]'), element => element.id);
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = renderCaseStudy(project, caseStudy, {
+      renderMarkdown: markdown => this.sanitizer.sanitize(this.markdownRenderer.render(markdown), { reservedIds }),
+      categoryName: this.categories.find(cat => cat.id === project.category)?.name,
+      backUrl: `/${window.location.search}#projects`
+    });
+    const view = wrapper.firstElementChild;
+    this.container.appendChild(view);
+    this.caseStudyProjectId = projectId;
+
+    if (this.caseStudyTitle === null) this.caseStudyTitle = document.title;
+    document.title = `${project.title} case study | Projects`;
+
+    const heading = view.querySelector('.case-study-title');
+    heading.setAttribute('tabindex', '-1');
+    heading.focus({ preventScroll: true });
+  }
+
+  hideCaseStudy() {
+    const view = this.container.querySelector('.case-study-view');
+    if (!view) return;
+
+    view.remove();
+    this.hiddenForCaseStudy.forEach(child => { child.hidden = false; });
+    this.hiddenForCaseStudy = [];
+    this.caseStudyProjectId = null;
+    if (this.caseStudyTitle !== null) document.title = this.caseStudyTitle;
+    this.caseStudyTitle = null;
+  }
+
+  /**
+   * Back to the gallery: pop the entry the gallery pushed, or move to the
+   * gallery when the reader landed on the case study directly
+   */
+  closeCaseStudy() {
+    if (!this.router) {
+      this.hideCaseStudy();
+      return;
+    }
+
+    if (this.caseStudyFromGallery) {
+      window.history.back();
+    } else {
+      this.router.navigate(`/${window.location.search}#projects`);
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,141 @@
+/**
+ * ReadingHistory - Which articles this visitor has opened and how far they got
+ *
+ * Kept only in localStorage and never sent anywhere. Each entry holds the
+ * article id, when it was last opened, the last reading position (0-1) and
+ * whether the reader reached the end. When storage is unavailable or full
+ * the history still works for the current page view.
+ */
+const STORAGE_KEY = 'portfolio-reading-history';
+const MAX_ENTRIES = 100;
+// Scrolling this far through an article counts as having read it
+const COMPLETE_AT = 0.9;
+
+export class ReadingHistory {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || STORAGE_KEY;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.entries = this.load();
+  }
+
+  load() {
+    let saved;
+    try {
+      saved = localStorage.getItem(this.storageKey);
+    } catch (error) {
+      console.warn('Failed to read reading history from localStorage:', error);
+      return Object.create(null);
+    }
+    if (!saved) return Object.create(null);
+
+    try {
+      const parsed = JSON.parse(saved);
+      return ReadingHistory.validEntries(parsed && parsed.articles);
+    } catch (error) {
+      console.warn('Ignoring unreadable reading history:', error);
+      return Object.create(null);
+    }
+  }
+
+  // Drop anything that does not look like an entry this class wrote
+  static validEntries(articles) {
+    // No prototype, so article ids like "constructor" are plain keys
+    const entries = Object.create(null);
+    if (!articles || typeof articles !== 'object' || Array.isArray(articles)) return entries;
+
+    Object.entries(articles).forEach(([id, entry]) => {
+      if (!entry || typeof entry.openedAt !== 'number') return;
+      const progress = Number(entry.progress);
+      entries[id] = {
+        openedAt: entry.openedAt,
+        progress: Number.isFinite(progress) ? Math.min(1, Math.max(0, progress)) : 0,
+        completed: entry.completed === true
+      };
+    });
+    return entries;
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, articles: this.entries }));
+    } catch (error) {
+      console.warn('Failed to save reading history to localStorage:', error);
+    }
+  }
+
+  getEntry(articleId) {
+    return Object.prototype.hasOwnProperty.call(this.entries, articleId) ? this.entries[articleId] : null;
+  }
+
+  hasOpened(articleId) {
+    return this.getEntry(articleId) !== null;
+  }
+
+  hasRead(articleId) {
+    return Boolean(this.getEntry(articleId)?.completed);
+  }
+
+  isEmpty() {
+    return Object.keys(this.entries).length === 0;
+  }
+
+  markOpened(articleId, now = Date.now()) {
+    const entry = this.getEntry(articleId);
+    this.entries[articleId] = {
+      openedAt: now,
+      progress: entry ? entry.progress : 0,
+      completed: entry ? entry.completed : false
+    };
+    this.prune();
+    this.persist();
+  }
+
+  /**
+   * Remember the reading position. Writes only when it moved by at least
+   * a percent, since this runs on scroll.
+   */
+  saveProgress(articleId, progress) {
+    const entry = this.getEntry(articleId);
+    if (!entry) return;
+
+    const rounded = Math.round(Math.min(1, Math.max(0, progress)) * 100) / 100;
+    const completed = entry.completed || rounded >= COMPLETE_AT;
+    if (rounded === entry.progress && completed === entry.completed) return;
+
+    entry.progress = rounded;
+    entry.completed = completed;
+    this.persist();
+  }
+
+  /**
+   * The most recently opened article the reader started but did not finish,
+   * as { id, progress }, or null
+   */
+  getContinueReading(isAvailable = () => true) {
+    const [id, entry] = Object.entries(this.entries)
+      .filter(([articleId, item]) => !item.completed && item.progress > 0 && isAvailable(articleId))
+      .sort(([, a], [, b]) => b.openedAt - a.openedAt)[0] || [];
+
+    return id === undefined ? null : { id, progress: entry.progress };
+  }
+
+  clear() {
+    this.entries = Object.create(null);
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.warn('Failed to clear reading history from localStorage:', error);
+    }
+  }
+
+  // Keep the newest entries so the history cannot grow without bound
+  prune() {
+    const ids = Object.keys(this.entries);
+    if (ids.length <= this.maxEntries) return;
+
+    ids
+      .sort((a, b) => this.entries[b].openedAt - this.entries[a].openedAt)
+      .slice(this.maxEntries)
+      .forEach(id => delete this.entries[id]);
+  }
+}
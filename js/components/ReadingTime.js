@@ -0,0 +1,118 @@
+/**
+ * ReadingTime - Word counts and reading-time estimates for Markdown articles
+ *
+ * Prose is read at `wordsPerMinute`, code blocks at the slower
+ * `codeWordsPerMinute`, and each image adds a fixed viewing time that
+ * shrinks for every following image (12s, 11s, ... down to 3s).
+ * Shared by BlogSystem and the build so both report the same numbers.
+ */
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+const DEFAULT_OPTIONS = {
+  wordsPerMinute: 200,
+  codeWordsPerMinute: 100,
+  secondsPerImage: 12,
+  minSecondsPerImage: 3
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+export class ReadingTime {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.markdownRenderer = new MarkdownRenderer();
+  }
+
+  static countWords(text) {
+    return (String(text ?? '').match(WORD_PATTERN) || []).length;
+  }
+
+  /**
+   * Count prose words, code words and images in a Markdown document and
+   * estimate the reading time in whole minutes (at least 1)
+   */
+  analyze(markdown) {
+    const stats = { words: 0, codeWords: 0, images: 0 };
+    const tree = this.markdownRenderer.parse(markdown);
+
+    tree.children.forEach(block => this.countBlock(block, stats));
+    tree.footnotes.forEach(footnote => footnote.children.forEach(block => this.countBlock(block, stats)));
+
+    return {
+      ...stats,
+      wordCount: stats.words + stats.codeWords,
+      minutes: this.estimateMinutes(stats)
+    };
+  }
+
+  /**
+   * Articles whose stored `readingTime` differs from the computed estimate
+   */
+  findMismatches(articles) {
+    return articles
+      .filter(article => article.readingTime !== undefined && article.readingTime !== null)
+      .map(article => ({
+        id: article.id,
+        stored: article.readingTime,
+        computed: this.analyze(article.content).minutes
+      }))
+      .filter(({ stored, computed }) => Number(stored) !== computed);
+  }
+
+  estimateMinutes({ words, codeWords, images }) {
+    const { wordsPerMinute, codeWordsPerMinute, secondsPerImage, minSecondsPerImage } = this.options;
+
+    let imageSeconds = 0;
+    for (let i = 0; i < images; i++) {
+      imageSeconds += Math.max(minSecondsPerImage, secondsPerImage - i);
+    }
+
+    const minutes = words / wordsPerMinute + codeWords / codeWordsPerMinute + imageSeconds / 60;
+    return Math.max(1, Math.round(minutes));
+  }
+
+  countBlock(block, stats) {
+    switch (block.type) {
+      case 'code_block':
+        stats.codeWords += ReadingTime.countWords(block.literal);
+        break;
+      case 'paragraph':
+      case 'heading':
+        stats.words += ReadingTime.countWords(this.inlineText(block.children, stats));
+        break;
+      case 'table':
+        [block.header, ...block.rows].forEach(row => row.forEach(cell => {
+          stats.words += ReadingTime.countWords(this.inlineText(cell, stats));
+        }));
+        break;
+      case 'html_block':
+      case 'thematic_break':
+        // Raw markup is not prose
+        break;
+      default:
+        (block.children || []).forEach(child => this.countBlock(child, stats));
+    }
+  }
+
+  // Text of an inline tree with images counted separately rather than read as words
+  inlineText(nodes, stats) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+        case 'code':
+          return node.literal;
+        case 'softbreak':
+        case 'hardbreak':
+          return ' ';
+        case 'image':
+          stats.images++;
+          return ' ';
+        case 'html_inline':
+        case 'footnote_ref':
+          return '';
+        default:
+          return node.children ? this.inlineText(node.children, stats) : '';
+      }
+    }).join('');
+  }
+}
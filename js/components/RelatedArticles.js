@@ -0,0 +1,159 @@
+/**
+ * RelatedArticles - Ranks articles by how closely they relate to a given one
+ *
+ * The score adds three signals, each between 0 and 1 before weighting:
+ * - tags: weighted Jaccard overlap, where rare tags count more than common ones
+ * - category: 1 when both articles share a category
+ * - text: cosine similarity of TF-IDF vectors over title, excerpt and content
+ *
+ * Like SearchIndex it has no DOM dependencies.
+ */
+import { SearchIndex } from './SearchIndex.js';
+
+const DEFAULT_WEIGHTS = { tags: 3, category: 1, text: 4 };
+
+// Title and excerpt words say more about the topic than body text
+const FIELD_WEIGHTS = { title: 3, excerpt: 2, content: 1 };
+
+export class RelatedArticles {
+  constructor(articles, options = {}) {
+    this.articles = articles;
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.tagWeights = null;
+    this.vectors = null;
+  }
+
+  /**
+   * Articles related to `article`, best first. Articles scoring 0 are left
+   * out; `exclude` takes ids that are already linked elsewhere.
+   */
+  getRelated(article, { limit = 3, exclude = [] } = {}) {
+    const skip = new Set([article.id, ...exclude]);
+
+    return this.articles
+      .filter(candidate => !skip.has(candidate.id))
+      .map(candidate => ({
+        article: candidate,
+        score: this.score(article, candidate),
+        sharedTags: this.getSharedTags(article, candidate)
+      }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score ||
+        new Date(b.article.publishedDate) - new Date(a.article.publishedDate))
+      .slice(0, limit);
+  }
+
+  score(a, b) {
+    return this.weights.tags * this.tagSimilarity(a, b) +
+      this.weights.category * (a.category && a.category === b.category ? 1 : 0) +
+      this.weights.text * this.textSimilarity(a, b);
+  }
+
+  getSharedTags(a, b) {
+    const tags = new Set(RelatedArticles.normalizeTags(b));
+    return (a.tags || []).filter(tag => tags.has(tag.toLowerCase()));
+  }
+
+  tagSimilarity(a, b) {
+    const weights = this.getTagWeights();
+    const tagsA = new Set(RelatedArticles.normalizeTags(a));
+    const tagsB = new Set(RelatedArticles.normalizeTags(b));
+
+    let shared = 0;
+    let union = 0;
+    new Set([...tagsA, ...tagsB]).forEach(tag => {
+      const weight = weights.get(tag) || 0;
+      union += weight;
+      if (tagsA.has(tag) && tagsB.has(tag)) shared += weight;
+    });
+
+    return union > 0 ? shared / union : 0;
+  }
+
+  textSimilarity(a, b) {
+    const vectors = this.getVectors();
+    const vectorA = vectors.get(a.id) || this.createVector(a);
+    const vectorB = vectors.get(b.id) || this.createVector(b);
+    if (vectorA.norm === 0 || vectorB.norm === 0) return 0;
+
+    let dot = 0;
+    vectorA.terms.forEach((weight, term) => {
+      const other = vectorB.terms.get(term);
+      if (other) dot += weight * other;
+    });
+    return dot / (vectorA.norm * vectorB.norm);
+  }
+
+  static normalizeTags(article) {
+    return (article.tags || []).map(tag => tag.toLowerCase());
+  }
+
+  // Inverse document frequency of each tag across all articles
+  getTagWeights() {
+    if (!this.tagWeights) {
+      const counts = new Map();
+      this.articles.forEach(article => {
+        new Set(RelatedArticles.normalizeTags(article)).forEach(tag => {
+          counts.set(tag, (counts.get(tag) || 0) + 1);
+        });
+      });
+
+      this.tagWeights = new Map();
+      counts.forEach((count, tag) => {
+        this.tagWeights.set(tag, Math.log(1 + this.articles.length / count));
+      });
+    }
+    return this.tagWeights;
+  }
+
+  getVectors() {
+    if (!this.vectors) {
+      const termCounts = this.articles.map(article => [article.id, this.countTerms(article)]);
+
+      this.documentFrequency = new Map();
+      termCounts.forEach(([, counts]) => {
+        counts.forEach((_, term) => {
+          this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        });
+      });
+
+      this.vectors = new Map();
+      termCounts.forEach(([id, counts]) => this.vectors.set(id, this.weighTerms(counts)));
+    }
+    return this.vectors;
+  }
+
+  createVector(article) {
+    return this.weighTerms(this.countTerms(article));
+  }
+
+  countTerms(article) {
+    const counts = new Map();
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      const text = field === 'content'
+        ? SearchIndex.stripMarkdown(article.content)
+        : String(article[field] ?? '');
+
+      SearchIndex.tokenize(text).forEach(word => {
+        const term = SearchIndex.stem(word);
+        counts.set(term, (counts.get(term) || 0) + weight);
+      });
+    });
+    return counts;
+  }
+
+  weighTerms(counts) {
+    const total = this.articles.length;
+    const terms = new Map();
+    let sumOfSquares = 0;
+
+    counts.forEach((count, term) => {
+      const idf = Math.log(1 + total / (this.documentFrequency.get(term) || 1));
+      const weight = (1 + Math.log(count)) * idf;
+      terms.set(term, weight);
+      sumOfSquares += weight * weight;
+    });
+
+    return { terms, norm: Math.sqrt(sumOfSquares) };
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Router - Small History API router shared by components that own
+ * deep-linkable views (e.g. /blog/:slug)
+ *
+ * Each route has an `enter` handler called with the decoded params whenever
+ * the URL matches, and an optional `leave` handler called when the URL stops
+ * matching. Both receive the history state stored with the entry.
+ */
+export class Router {
+  constructor(options = {}) {
+    this.routes = [];
+    this.activeRoutes = new Set();
+    this.started = false;
+    this.scrollRestoration = options.scrollRestoration || 'manual';
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Register a route pattern such as '/blog/:slug'
+   */
+  add(pattern, enter, leave = null) {
+    const paramNames = [];
+    const source = pattern
+      .replace(/\/+$/, '')
+      .split('/')
+      .map(segment => {
+        if (segment.startsWith(':')) {
+          paramNames.push(segment.slice(1));
+          return '([^/]+)';
+        }
+        return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('/');
+
+    const route = { pattern, regex: new RegExp(`^${source}/?$`), paramNames, enter, leave };
+    this.routes.push(route);
+
+    // Routes added after start() still see the current URL
+    if (this.started) {
+      this.resolveRoute(route, this.getCurrentPath(), window.history.state || {});
+    }
+    return this;
+  }
+
+  /**
+   * Return the params for the first route matching path, or null
+   */
+  match(path) {
+    for (const route of this.routes) {
+      const params = this.matchRoute(route, path);
+      if (params) return { route, params };
+    }
+    return null;
+  }
+
+  matchRoute(route, path) {
+    const result = route.regex.exec(path.split(/[?#]/)[0]);
+    if (!result) return null;
+
+    const params = {};
+    route.paramNames.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(result[index + 1]);
+      } catch {
+        params[name] = result[index + 1];
+      }
+    });
+    return params;
+  }
+
+  start() {
+    if (this.started) return this;
+    this.started = true;
+
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = this.scrollRestoration;
+    }
+    window.addEventListener('popstate', this.handlePopState);
+    this.resolve();
+    return this;
+  }
+
+  /**
+   * Push (or replace) a history entry and update the matching views
+   */
+  navigate(url, state = {}, { replace = false } = {}) {
+    const method = replace ? 'replaceState' : 'pushState';
+    window.history[method](state, '', url);
+    this.resolve(state);
+  }
+
+  /**
+   * Merge data into the state of the current history entry without navigating
+   */
+  saveState(state) {
+    const currentState = window.history.state || {};
+    window.history.replaceState({ ...currentState, ...state }, '', window.location.href);
+  }
+
+  /**
+   * Query parameters of the current URL
+   */
+  getQuery() {
+    return new URLSearchParams(window.location.search);
+  }
+
+  /**
+   * Rewrite query parameters on the current entry without adding history.
+   * Array values become repeated parameters; empty values are removed.
+   */
+  updateQuery(updates) {
+    const url = new URL(window.location.href);
+
+    Object.entries(updates).forEach(([name, value]) => {
+      url.searchParams.delete(name);
+      const values = Array.isArray(value) ? value : [value];
+      values
+        .filter(item => item !== null && item !== undefined && item !== '')
+        .forEach(item => url.searchParams.append(name, item));
+    });
+
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+  }
+
+  /**
+   * Point the current entry at an in-page anchor without adding history,
+   * so following a section link does not fire popstate and re-enter routes
+   */
+  updateHash(id) {
+    const url = new URL(window.location.href);
+    url.hash = id ? `#${encodeURIComponent(id)}` : '';
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+  }
+
+  getState() {
+    return window.history.state || {};
+  }
+
+  getCurrentPath() {
+    return window.location.pathname;
+  }
+
+  handlePopState(event) {
+    this.resolve(event.state || {});
+  }
+
+  resolve(state = this.getState()) {
+    const path = this.getCurrentPath();
+    this.routes.forEach(route => this.resolveRoute(route, path, state));
+  }
+
+  resolveRoute(route, path, state) {
+    const params = this.matchRoute(route, path);
+
+    if (params) {
+      this.activeRoutes.add(route);
+      route.enter(params, state);
+    } else if (this.activeRoutes.has(route)) {
+      this.activeRoutes.delete(route);
+      if (route.leave) route.leave(state);
+    }
+  }
+
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState);
+    this.routes = [];
+    this.activeRoutes.clear();
+    this.started = false;
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * ScrollLock - Shared page scroll locking for dialogs and the mobile menu
+ *
+ * Every lock must be released before the page scrolls again, so a modal
+ * closing while the mobile menu is open (or the other way round) leaves
+ * the page locked. The overflow style from before the first lock is put
+ * back when the last one is released.
+ */
+let lockCount = 0;
+let previousOverflow = '';
+
+/**
+ * Lock page scrolling. Returns a release function; calling it more than
+ * once has no further effect.
+ */
+export function lockScroll() {
+  if (lockCount === 0) {
+    previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+  }
+  lockCount++;
+
+  let released = false;
+  return function releaseScroll() {
+    if (released) return;
+    released = true;
+    lockCount--;
+    if (lockCount === 0) {
+      document.body.style.overflow = previousOverflow;
+    }
+  };
+}
+
+export function isScrollLocked() {
+  return lockCount > 0;
+}
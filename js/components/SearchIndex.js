@@ -0,0 +1,459 @@
+/**
+ * SearchIndex - Inverted full-text index for blog articles
+ *
+ * The index is built at build time (see build-script.js) and serialized to
+ * data/search-index.json, then loaded lazily by BlogSystem. It has no DOM
+ * dependencies so the same module runs in Node and in the browser.
+ */
+
+const FIELDS = ['title', 'tags', 'excerpt', 'content'];
+
+const DEFAULT_BOOSTS = { title: 10, tags: 5, excerpt: 3, content: 1 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than',
+  'that', 'the', 'their', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Relative weight of query expansions compared to an exact term match
+const PREFIX_WEIGHT = 0.7;
+const FUZZY_WEIGHT = 0.5;
+
+export class SearchIndex {
+  constructor(data = {}) {
+    this.fields = data.fields || FIELDS;
+    this.boosts = { ...DEFAULT_BOOSTS, ...(data.boosts || {}) };
+    this.documents = data.documents || [];
+    this.averageLengths = data.averageLengths || this.fields.map(() => 0);
+    this.terms = new Map(Object.entries(data.terms || {}));
+  }
+
+  /**
+   * Build an index from the articles in data/articles.json
+   */
+  static build(articles, options = {}) {
+    const index = new SearchIndex({ boosts: options.boosts });
+    const totals = index.fields.map(() => 0);
+
+    articles.forEach((article, docIndex) => {
+      const lengths = index.fields.map((field, fieldIndex) => {
+        const tokens = SearchIndex.tokenize(SearchIndex.getFieldText(article, field));
+        const counts = new Map();
+        tokens.forEach(token => {
+          const term = SearchIndex.stem(token);
+          counts.set(term, (counts.get(term) || 0) + 1);
+        });
+
+        counts.forEach((count, term) => {
+          if (!index.terms.has(term)) index.terms.set(term, []);
+          index.terms.get(term).push([docIndex, fieldIndex, count]);
+        });
+
+        totals[fieldIndex] += tokens.length;
+        return tokens.length;
+      });
+
+      index.documents.push({ id: article.id, lengths });
+    });
+
+    index.averageLengths = totals.map(total => (articles.length ? total / articles.length : 0));
+    return index;
+  }
+
+  static fromJSON(json) {
+    return new SearchIndex(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  toJSON() {
+    return {
+      version: 1,
+      fields: this.fields,
+      boosts: this.boosts,
+      documents: this.documents,
+      averageLengths: this.averageLengths,
+      terms: Object.fromEntries(this.terms)
+    };
+  }
+
+  static getFieldText(article, field) {
+    if (field === 'tags') return (article.tags || []).join(' ');
+    if (field === 'content') return SearchIndex.stripMarkdown(article.content);
+    return String(article[field] ?? '');
+  }
+
+  /**
+   * Reduce Markdown to the words a reader sees, dropping URLs and markup
+   */
+  static stripMarkdown(markdown) {
+    return String(markdown ?? '')
+      .replace(/^\s{0,3}(`{3,}|~{3,}).*$/gm, ' ')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+[.)])\s+/gm, '')
+      .replace(/[*_~`|]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  static tokenize(text) {
+    return (String(text ?? '').toLowerCase().match(WORD_PATTERN) || [])
+      .filter(word => !STOP_WORDS.has(word));
+  }
+
+  /**
+   * Porter stemmer (M.F. Porter, 1980) so "performance" and "performing"
+   * share the index term "perform"
+   */
+  static stem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+    return porterStem(word);
+  }
+
+  /**
+   * Search the index. Returns null when the query has no searchable words,
+   * otherwise results sorted by score with the index terms and fields that
+   * matched, for highlighting.
+   */
+  search(query, options = {}) {
+    const queryTokens = [...new Set(SearchIndex.tokenize(query))];
+    if (queryTokens.length === 0) return null;
+
+    const matches = new Map();
+
+    // Every query word has to match (exactly, by prefix or fuzzily)
+    for (const [position, token] of queryTokens.entries()) {
+      const expansions = this.expandToken(token);
+      const tokenMatches = new Map();
+
+      expansions.forEach((weight, term) => {
+        const postings = this.terms.get(term);
+        const idf = this.idf(postings);
+
+        postings.forEach(([docIndex, fieldIndex, count]) => {
+          const field = this.fields[fieldIndex];
+          const length = this.documents[docIndex].lengths[fieldIndex];
+          const average = this.averageLengths[fieldIndex] || 1;
+          const tf = (count * (K1 + 1)) / (count + K1 * (1 - B + B * (length / average)));
+          const score = weight * idf * tf * (this.boosts[field] || 1);
+
+          if (!tokenMatches.has(docIndex)) {
+            tokenMatches.set(docIndex, { score: 0, terms: new Set(), fields: new Set() });
+          }
+          const match = tokenMatches.get(docIndex);
+          match.score += score;
+          match.terms.add(term);
+          match.fields.add(field);
+        });
+      });
+
+      if (position === 0) {
+        tokenMatches.forEach((match, docIndex) => matches.set(docIndex, match));
+      } else {
+        matches.forEach((match, docIndex) => {
+          const tokenMatch = tokenMatches.get(docIndex);
+          if (!tokenMatch) {
+            matches.delete(docIndex);
+            return;
+          }
+          match.score += tokenMatch.score;
+          tokenMatch.terms.forEach(term => match.terms.add(term));
+          tokenMatch.fields.forEach(field => match.fields.add(field));
+        });
+      }
+
+      if (matches.size === 0) return [];
+    }
+
+    const results = Array.from(matches, ([docIndex, match]) => ({
+      id: this.documents[docIndex].id,
+      score: match.score,
+      terms: Array.from(match.terms),
+      fields: Array.from(match.fields)
+    })).sort((a, b) => b.score - a.score);
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  idf(postings) {
+    const documentCount = new Set(postings.map(([docIndex]) => docIndex)).size;
+    const total = this.documents.length;
+    return Math.log(1 + (total - documentCount + 0.5) / (documentCount + 0.5));
+  }
+
+  /**
+   * Map a query word to the index terms it matches and their weights.
+   * Fuzzy matches are only considered when nothing matches exactly or by prefix.
+   */
+  expandToken(token) {
+    const stemmed = SearchIndex.stem(token);
+    const expansions = new Map();
+
+    if (this.terms.has(stemmed)) expansions.set(stemmed, 1);
+
+    if (token.length >= 2) {
+      this.terms.forEach((_, term) => {
+        if (expansions.has(term)) return;
+        if (term.startsWith(token) || term.startsWith(stemmed)) {
+          expansions.set(term, PREFIX_WEIGHT * Math.min(1, token.length / term.length + 0.3));
+        }
+      });
+    }
+
+    if (expansions.size > 0) return expansions;
+
+    const maxDistance = token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0;
+    if (maxDistance === 0) return expansions;
+
+    this.terms.forEach((_, term) => {
+      const distance = Math.min(
+        editDistance(stemmed, term, maxDistance),
+        editDistance(token, term, maxDistance)
+      );
+      if (distance <= maxDistance) {
+        expansions.set(term, FUZZY_WEIGHT / distance);
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Split text into segments, marking the words whose stems are in terms
+   */
+  static highlight(text, terms) {
+    const termSet = terms instanceof Set ? terms : new Set(terms);
+    const value = String(text ?? '');
+    const segments = [];
+    let lastIndex = 0;
+
+    for (const match of value.matchAll(WORD_PATTERN)) {
+      const word = match[0].toLowerCase();
+      if (!termSet.has(SearchIndex.stem(word))) continue;
+
+      if (match.index > lastIndex) {
+        segments.push({ text: value.slice(lastIndex, match.index), match: false });
+      }
+      segments.push({ text: match[0], match: true });
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < value.length) {
+      segments.push({ text: value.slice(lastIndex), match: false });
+    }
+    return segments;
+  }
+
+  /**
+   * Highlighted excerpt of roughly `length` characters around the first match
+   */
+  static snippet(text, terms, length = 160) {
+    const value = String(text ?? '');
+    const segments = SearchIndex.highlight(value, terms);
+    const firstMatch = segments.findIndex(segment => segment.match);
+    if (firstMatch === -1) return [];
+
+    const matchOffset = segments.slice(0, firstMatch).reduce((total, segment) => total + segment.text.length, 0);
+    let start = Math.max(0, matchOffset - Math.floor(length / 3));
+    let end = Math.min(value.length, start + length);
+
+    // Snap to word boundaries so the snippet does not start or end mid-word
+    if (start > 0) {
+      const space = value.indexOf(' ', start);
+      start = space === -1 || space > matchOffset ? start : space + 1;
+    }
+    if (end < value.length) {
+      const space = value.lastIndexOf(' ', end);
+      end = space > matchOffset ? space : end;
+    }
+
+    const windowSegments = [];
+    let offset = 0;
+    segments.forEach(segment => {
+      const segmentStart = offset;
+      const segmentEnd = offset + segment.text.length;
+      offset = segmentEnd;
+
+      const from = Math.max(start, segmentStart);
+      const to = Math.min(end, segmentEnd);
+      if (from >= to) return;
+      // A match cut by the window edge is shown as plain text
+      const complete = from === segmentStart && to === segmentEnd;
+      windowSegments.push({ text: segment.text.slice(from - segmentStart, to - segmentStart), match: segment.match && complete });
+    });
+
+    if (start > 0) windowSegments.unshift({ text: '… ', match: false });
+    if (end < value.length) windowSegments.push({ text: ' …', match: false });
+    return windowSegments;
+  }
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance, giving up early
+ * once every cell in a row exceeds max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMinimum = Math.min(rowMinimum, current[j]);
+    }
+
+    if (rowMinimum > max) return max + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Porter stemmer helpers
+
+function isConsonant(word, i) {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+}
+
+// Number of vowel-consonant sequences (the "measure" m in [C](VC)^m[V])
+function measure(stem) {
+  let count = 0;
+  let i = 0;
+  const length = stem.length;
+
+  while (i < length && isConsonant(stem, i)) i++;
+  while (i < length) {
+    while (i < length && !isConsonant(stem, i)) i++;
+    if (i >= length) break;
+    while (i < length && isConsonant(stem, i)) i++;
+    count++;
+  }
+  return count;
+}
+
+function hasVowel(stem) {
+  for (let i = 0; i < stem.length; i++) {
+    if (!isConsonant(stem, i)) return true;
+  }
+  return false;
+}
+
+function endsWithDoubleConsonant(word) {
+  const length = word.length;
+  return length >= 2 && word[length - 1] === word[length - 2] && isConsonant(word, length - 1);
+}
+
+// consonant-vowel-consonant where the last consonant is not w, x or y
+function endsWithCvc(word) {
+  const length = word.length;
+  if (length < 3) return false;
+  return isConsonant(word, length - 3) && !isConsonant(word, length - 2) &&
+    isConsonant(word, length - 1) && !'wxy'.includes(word[length - 1]);
+}
+
+function replaceSuffix(word, rules, condition) {
+  for (const [suffix, replacement] of rules) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      return condition(stem, suffix) ? stem + replacement : word;
+    }
+  }
+  return word;
+}
+
+const STEP2_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP3_RULES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'],
+  ['ful', ''], ['ness', '']
+].sort((a, b) => b[0].length - a[0].length);
+
+const STEP4_SUFFIXES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].sort((a, b) => b.length - a.length);
+
+function porterStem(input) {
+  let word = input;
+
+  // Step 1a: plurals
+  if (word.endsWith('sses')) word = word.slice(0, -2);
+  else if (word.endsWith('ies')) word = word.slice(0, -2);
+  else if (!word.endsWith('ss') && word.endsWith('s')) word = word.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  if (word.endsWith('eed')) {
+    if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+  } else {
+    const suffix = word.endsWith('ed') ? 'ed' : word.endsWith('ing') ? 'ing' : null;
+    if (suffix && hasVowel(word.slice(0, -suffix.length))) {
+      word = word.slice(0, -suffix.length);
+      if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+        word += 'e';
+      } else if (endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (measure(word) === 1 && endsWithCvc(word)) {
+        word += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+    word = word.slice(0, -1) + 'i';
+  }
+
+  // Steps 2 and 3: double and single suffixes
+  word = replaceSuffix(word, STEP2_RULES, stem => measure(stem) > 0);
+  word = replaceSuffix(word, STEP3_RULES, stem => measure(stem) > 0);
+
+  // Step 4: remove suffixes when the stem is long enough
+  for (const suffix of STEP4_SUFFIXES) {
+    if (word.endsWith(suffix)) {
+      const stem = word.slice(0, -suffix.length);
+      if (measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) {
+        word = stem;
+      }
+      break;
+    }
+  }
+
+  // Step 5: tidy up -e and -ll
+  if (word.endsWith('e')) {
+    const stem = word.slice(0, -1);
+    const m = measure(stem);
+    if (m > 1 || (m === 1 && !endsWithCvc(stem))) word = stem;
+  }
+  if (measure(word) > 1 && endsWithDoubleConsonant(word) && word.endsWith('l')) {
+    word = word.slice(0, -1);
+  }
+
+  return word;
+}
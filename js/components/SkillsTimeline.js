@@ -1,11 +1,19 @@
 // Skills Timeline Component
+import { html } from './HtmlSanitizer.js';
+import { Dialog } from './Dialog.js';
+import { KeyedList } from './KeyedList.js';
+
 export class SkillsTimeline {
-  constructor(containerElement, timelineData) {
+  constructor(containerElement, timelineData, options = {}) {
     this.container = containerElement;
     this.experiences = timelineData.experiences || [];
     this.skillCategories = timelineData.skills || [];
     this.activeTimelineItem = null;
     this.modal = null;
+    this.dialog = null;
+    // KeyedList hooks told about timeline items as they are mounted and unmounted
+    this.listHooks = options.listHooks || [];
+    this.timelineList = null;
     
     this.init();
   }
@@ -32,20 +40,23 @@ export class SkillsTimeline {
   }
 
   renderTimeline() {
-    const timelineItems = this.container.querySelector('.timeline-items');
+    if (!this.timelineList) {
+      this.timelineList = new KeyedList(this.container.querySelector('.timeline-items'), {
+        key: experience => experience.id,
+        create: experience => this.createTimelineItem(experience),
+        hooks: this.listHooks
+      });
+    }
     
     // Sort experiences by start date (most recent first)
     const sortedExperiences = [...this.experiences].sort((a, b) => 
       new Date(b.startDate) - new Date(a.startDate)
     );
     
-    sortedExperiences.forEach((experience, index) => {
-      const timelineItem = this.createTimelineItem(experience, index);
-      timelineItems.appendChild(timelineItem);
-    });
+    this.timelineList.render(sortedExperiences);
   }
 
-  createTimelineItem(experience, index) {
+  createTimelineItem(experience) {
     const item = document.createElement('div');
     item.className = `timeline-item ${experience.type}`;
     item.dataset.experienceId = experience.id;
@@ -54,7 +65,7 @@ export class SkillsTimeline {
     const endDate = experience.endDate ? new Date(experience.endDate) : null;
     const duration = this.calculateDuration(startDate, endDate, experience.current);
     
-    item.innerHTML = `
+    item.innerHTML = html`
       <div class="timeline-marker">
         <div class="timeline-icon">
           ${experience.type === 'work' ? '💼' : '🎓'}
@@ -69,7 +80,7 @@ export class SkillsTimeline {
         <div class="timeline-location">${experience.location}</div>
         <div class="timeline-description">${experience.description}</div>
         <div class="timeline-technologies">
-          ${experience.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
+          ${experience.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
         </div>
         <button class="timeline-details-btn">View Details</button>
       </div>
@@ -110,10 +121,10 @@ export class SkillsTimeline {
     categoryDiv.className = 'skill-category';
     categoryDiv.dataset.categoryId = category.id;
     
-    categoryDiv.innerHTML = `
+    categoryDiv.innerHTML = html`
       <h4 class="skill-category-title">${category.category}</h4>
       <div class="skills-grid">
-        ${category.skills.map(skill => this.createSkillItem(skill)).join('')}
+        ${category.skills.map(skill => this.createSkillItem(skill))}
       </div>
     `;
     
@@ -123,7 +134,7 @@ export class SkillsTimeline {
   createSkillItem(skill) {
     const proficiencyClass = this.getProficiencyClass(skill.level);
     
-    return `
+    return html`
       <div class="skill-item" data-skill="${skill.name}">
         <div class="skill-header">
           <span class="skill-name">${skill.name}</span>
@@ -131,7 +142,7 @@ export class SkillsTimeline {
         </div>
         <div class="skill-progress">
           <div class="skill-progress-bar">
-            <div class="skill-progress-fill" style="width: ${skill.proficiency}%"></div>
+            <div class="skill-progress-fill" style="width: ${Number(skill.proficiency) || 0}%"></div>
           </div>
           <span class="skill-percentage">${skill.proficiency}%</span>
         </div>
@@ -155,19 +166,19 @@ export class SkillsTimeline {
       if (e.target.classList.contains('timeline-details-btn')) {
         const timelineItem = e.target.closest('.timeline-item');
         const experienceId = timelineItem.dataset.experienceId;
-        this.showTimelineDetails(experienceId);
+        this.showTimelineDetails(experienceId, e.target);
       }
     });
   }
 
-  showTimelineDetails(experienceId) {
+  showTimelineDetails(experienceId, trigger = document.activeElement) {
     const experience = this.experiences.find(exp => exp.id === experienceId);
     if (!experience) return;
     
-    this.createTimelineModal(experience);
+    this.createTimelineModal(experience, trigger);
   }
 
-  createTimelineModal(experience) {
+  createTimelineModal(experience, trigger = document.activeElement) {
     // Remove existing modal if any
     this.closeModal();
     
@@ -178,10 +189,10 @@ export class SkillsTimeline {
     const endDate = experience.endDate ? new Date(experience.endDate) : null;
     const duration = this.calculateDuration(startDate, endDate, experience.current);
     
-    modal.innerHTML = `
+    modal.innerHTML = html`
       <div class="modal-overlay">
         <div class="modal-content">
-          <button class="modal-close">&times;</button>
+          <button type="button" class="modal-close" aria-label="Close details">&times;</button>
           <div class="modal-header">
             <div class="experience-icon">
               ${experience.type === 'work' ? '💼' : '🎓'}
@@ -203,13 +214,13 @@ export class SkillsTimeline {
             <div class="experience-achievements">
               <h4>Key Achievements</h4>
               <ul>
-                ${experience.achievements.map(achievement => `<li>${achievement}</li>`).join('')}
+                ${experience.achievements.map(achievement => html`<li>${achievement}</li>`)}
               </ul>
             </div>
             <div class="experience-technologies">
               <h4>Technologies Used</h4>
               <div class="tech-tags">
-                ${experience.technologies.map(tech => `<span class="tech-tag">${tech}</span>`).join('')}
+                ${experience.technologies.map(tech => html`<span class="tech-tag">${tech}</span>`)}
               </div>
             </div>
           </div>
@@ -217,27 +228,18 @@ export class SkillsTimeline {
       </div>
     `;
     
-    document.body.appendChild(modal);
     this.modal = modal;
-    
-    // Setup modal event listeners
-    modal.querySelector('.modal-close').addEventListener('click', () => this.closeModal());
-    modal.querySelector('.modal-overlay').addEventListener('click', (e) => {
-      if (e.target === modal.querySelector('.modal-overlay')) {
-        this.closeModal();
+    this.dialog = new Dialog(modal, {
+      onClose: () => {
+        this.modal = null;
+        this.dialog = null;
       }
     });
-    
-    // Prevent body scroll
-    document.body.style.overflow = 'hidden';
+    this.dialog.open(trigger);
   }
 
   closeModal() {
-    if (this.modal) {
-      document.body.removeChild(this.modal);
-      this.modal = null;
-      document.body.style.overflow = '';
-    }
+    if (this.dialog) this.dialog.close();
   }
 
   // Public methods for external access
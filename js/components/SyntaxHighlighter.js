@@ -0,0 +1,309 @@
+/**
+ * SyntaxHighlighter - Regex tokenizer for fenced code blocks with line numbers,
+ * highlighted line ranges from the fence meta string and a copy button
+ */
+
+const JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|import|in|instanceof|let|new|of|return|set|static|super|switch|throw|try|typeof|var|void|while|with|yield';
+const TS_KEYWORDS = `${JS_KEYWORDS}|abstract|as|declare|enum|implements|infer|interface|is|keyof|namespace|private|protected|public|readonly|satisfies|type`;
+
+const STRING_RULES = [
+  { type: 'string', pattern: /`(?:\\[\s\S]|[^\\`])*`?/y },
+  { type: 'string', pattern: /'(?:\\.|[^\\'\n])*'?/y },
+  { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?/y }
+];
+
+const NUMBER_RULE = {
+  type: 'number',
+  pattern: /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?\b/y
+};
+
+function scriptRules(keywords, extra = []) {
+  return [
+    { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/y },
+    ...STRING_RULES,
+    ...extra,
+    { type: 'keyword', pattern: new RegExp(`\\b(?:${keywords})\\b`, 'y') },
+    { type: 'boolean', pattern: /\b(?:true|false|null|undefined|NaN|Infinity|this)\b/y },
+    NUMBER_RULE,
+    { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/y },
+    { type: 'class-name', pattern: /\b[A-Z][\w$]*/y },
+    { type: 'operator', pattern: /=>|\.\.\.|[-+*/%=&|^!<>?:~]+/y },
+    { type: 'punctuation', pattern: /[{}()[\];,.]/y }
+  ];
+}
+
+const LANGUAGES = {
+  javascript: scriptRules(JS_KEYWORDS),
+
+  typescript: scriptRules(TS_KEYWORDS, [
+    { type: 'builtin', pattern: /\b(?:any|bigint|boolean|never|number|object|string|symbol|unknown|void)\b/y }
+  ]),
+
+  css: [
+    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+    ...STRING_RULES.slice(1),
+    { type: 'keyword', pattern: /@[\w-]+|!important\b/y },
+    { type: 'property', pattern: /--?[A-Za-z][\w-]*(?=\s*:[^{}]*(?:;|\}|$))/y },
+    { type: 'function', pattern: /[A-Za-z-]+(?=\()/y },
+    { type: 'number', pattern: /#[\da-fA-F]{3,8}\b(?![\w-])|-?(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/y },
+    { type: 'selector', pattern: /[.#][A-Za-z_-][\w-]*|::?[A-Za-z-]+/y },
+    { type: 'punctuation', pattern: /[{}();:,>+~]/y }
+  ],
+
+  html: [
+    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+    { type: 'keyword', pattern: /<!DOCTYPE[^>]*>/iy },
+    {
+      type: 'tag',
+      pattern: /<\/?[A-Za-z][\w:-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*\s*\/?>/y,
+      inside: [
+        { type: 'tag', pattern: /^<\/?[A-Za-z][\w:-]*/y },
+        { type: 'attr-value', pattern: /=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+)/y },
+        { type: 'attr-name', pattern: /[^\s"'>/=]+/y },
+        { type: 'tag', pattern: /\/?>/y }
+      ]
+    },
+    { type: 'entity', pattern: /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z]+);/y }
+  ],
+
+  json: [
+    { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/y },
+    { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"?/y },
+    { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y },
+    { type: 'boolean', pattern: /\b(?:true|false|null)\b/y },
+    { type: 'punctuation', pattern: /[{}[\],:]/y }
+  ],
+
+  bash: [
+    { type: 'comment', pattern: /(?<=^|\s)#.*/my },
+    { type: 'string', pattern: /"(?:\\.|[^\\"])*"?|'[^']*'?/y },
+    { type: 'variable', pattern: /\$(?:\{[^}]*\}|[\w@#?$!*-]+)/y },
+    { type: 'keyword', pattern: /\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|then|until|while)\b/y },
+    { type: 'function', pattern: /(?<=^\s*|[;&|]\s*|\$\(\s*)(?:sudo\s+)?[A-Za-z_][\w.-]*/my },
+    { type: 'parameter', pattern: /(?<=\s)--?[A-Za-z][\w-]*/y },
+    { type: 'operator', pattern: /&&|\|\||[|><;&]/y }
+  ],
+
+  python: [
+    { type: 'comment', pattern: /#.*/y },
+    { type: 'string', pattern: /(?:[rRbBuUfF]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y },
+    { type: 'string', pattern: /(?:[rRbBuUfF]{1,2})?(?:"(?:\\.|[^\\"\n])*"?|'(?:\\.|[^\\'\n])*'?)/y },
+    { type: 'decorator', pattern: /@[\w.]+/y },
+    { type: 'keyword', pattern: /\b(?:and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\b/y },
+    { type: 'boolean', pattern: /\b(?:True|False|None|self)\b/y },
+    { type: 'builtin', pattern: /\b(?:dict|enumerate|float|int|isinstance|len|list|map|open|print|range|set|sorted|str|super|tuple|zip)\b(?=\s*\()/y },
+    NUMBER_RULE,
+    { type: 'function', pattern: /[A-Za-z_]\w*(?=\s*\()/y },
+    { type: 'class-name', pattern: /\b[A-Z]\w*/y },
+    { type: 'operator', pattern: /[-+*/%=&|^!<>~]+|:=/y },
+    { type: 'punctuation', pattern: /[{}()[\];,.:]/y }
+  ]
+};
+
+const ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  xml: 'html', svg: 'html', markup: 'html',
+  jsonc: 'json',
+  sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+  py: 'python'
+};
+
+export class SyntaxHighlighter {
+  constructor(options = {}) {
+    this.options = {
+      lineNumbers: true,
+      copyButton: true,
+      ...options
+    };
+  }
+
+  static escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Resolve a fence language name or alias to a supported grammar name
+   */
+  getLanguage(name) {
+    const key = String(name || '').toLowerCase();
+    const language = ALIASES[key] || key;
+    return LANGUAGES[language] ? language : null;
+  }
+
+  getSupportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Every token type the grammars can emit, i.e. the `token` modifier classes
+   */
+  static getTokenTypes() {
+    const types = new Set();
+    const collect = rules => rules.forEach(rule => {
+      types.add(rule.type);
+      if (rule.inside) collect(rule.inside);
+    });
+    Object.values(LANGUAGES).forEach(collect);
+    return [...types];
+  }
+
+  /**
+   * Split code into [{ type, text }] tokens; unmatched text has type null
+   */
+  tokenize(code, language) {
+    const rules = LANGUAGES[this.getLanguage(language)];
+    if (!rules) return [{ type: null, text: code }];
+    return this.tokenizeWith(code, rules);
+  }
+
+  tokenizeWith(code, rules) {
+    const tokens = [];
+    let pos = 0;
+    let plain = '';
+
+    const flushPlain = () => {
+      if (plain) {
+        tokens.push({ type: null, text: plain });
+        plain = '';
+      }
+    };
+
+    while (pos < code.length) {
+      let matched = false;
+
+      // Only try rules at word boundaries so identifiers are never split
+      const atBoundary = pos === 0 || !/[\w$]/.test(code[pos - 1]) || !/[\w$]/.test(code[pos]);
+
+      if (atBoundary) {
+        for (const rule of rules) {
+          rule.pattern.lastIndex = pos;
+          const match = rule.pattern.exec(code);
+          if (!match || match[0].length === 0) continue;
+
+          flushPlain();
+          if (rule.inside) {
+            tokens.push(...this.tokenizeWith(match[0], rule.inside).map(token => ({
+              type: token.type || rule.type,
+              text: token.text
+            })));
+          } else {
+            tokens.push({ type: rule.type, text: match[0] });
+          }
+          pos += match[0].length;
+          matched = true;
+          break;
+        }
+      }
+
+      if (!matched) {
+        plain += code[pos];
+        pos++;
+      }
+    }
+
+    flushPlain();
+    return tokens;
+  }
+
+  /**
+   * Highlight code to an HTML string of token spans
+   */
+  highlight(code, language) {
+    return this.renderTokens(this.tokenize(code, language));
+  }
+
+  renderTokens(tokens) {
+    return tokens.map(({ type, text }) => {
+      const escaped = SyntaxHighlighter.escape(text);
+      return type ? `<span class="token ${type}">${escaped}</span>` : escaped;
+    }).join('');
+  }
+
+  /**
+   * Split tokens into lines; tokens spanning a newline are cut in two so
+   * every line can be wrapped in its own element
+   */
+  splitLines(tokens) {
+    const lines = [[]];
+    tokens.forEach(({ type, text }) => {
+      text.split('\n').forEach((part, index) => {
+        if (index > 0) lines.push([]);
+        if (part) lines[lines.length - 1].push({ type, text: part });
+      });
+    });
+    return lines;
+  }
+
+  /**
+   * Parse a fence info string such as "js {1,3-5}" into its parts; line
+   * ranges are limited to the block's lineCount lines
+   */
+  parseInfo(info, lineCount) {
+    const value = String(info || '').trim();
+    const language = value.split(/[\s{]/)[0];
+    const ranges = value.match(/\{([\d\s,-]+)\}/);
+
+    return {
+      language,
+      highlightedLines: ranges ? SyntaxHighlighter.parseLineRanges(ranges[1], lineCount) : new Set()
+    };
+  }
+
+  /**
+   * Line numbers named by a spec such as "1,3-5", clamped to 1..lineCount;
+   * ranges that fall entirely outside the block are ignored
+   */
+  static parseLineRanges(spec, lineCount) {
+    const lines = new Set();
+
+    String(spec).split(',').forEach(part => {
+      const range = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!range) return;
+
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? parseInt(range[2], 10) : start;
+      const first = Math.max(1, Math.min(start, end));
+      const last = Math.min(lineCount, Math.max(start, end));
+      for (let line = first; line <= last; line++) {
+        lines.add(line);
+      }
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render a complete code block: header with language label and copy
+   * button, then one element per line for numbering and highlighting
+   */
+  renderCodeBlock(code, info) {
+    const source = code.endsWith('\n') ? code.slice(0, -1) : code;
+    const lineCount = source.split('\n').length;
+    const { language, highlightedLines } = this.parseInfo(info, lineCount);
+    const grammar = this.getLanguage(language);
+    const lines = this.splitLines(this.tokenize(source, grammar));
+
+    const body = lines.map((tokens, index) => {
+      const lineNumber = index + 1;
+      const className = highlightedLines.has(lineNumber) ? 'code-line highlighted' : 'code-line';
+      return `<span class="${className}" data-line="${lineNumber}">${this.renderTokens(tokens)}</span>`;
+    }).join('\n');
+
+    const label = language ? SyntaxHighlighter.escape(language) : '';
+    const codeClass = language ? ` class="language-${SyntaxHighlighter.escape(grammar || language)}"` : '';
+    const preClass = this.options.lineNumbers ? ' class="line-numbers"' : '';
+    const copyButton = this.options.copyButton
+      ? '<button class="copy-code-btn" type="button" aria-label="Copy code to clipboard">Copy</button>'
+      : '';
+
+    return `<div class="code-block" data-language="${label || 'text'}">` +
+      `<div class="code-block-header"><span class="code-block-language">${label || 'text'}</span>${copyButton}</div>` +
+      `<pre${preClass}><code${codeClass}>${body}</code></pre>` +
+      '</div>';
+  }
+}
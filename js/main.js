@@ -7,6 +7,7 @@ import { NavigationManager } from './components/NavigationManager.js';
 import { SkillsTimeline } from './components/SkillsTimeline.js';
 import { AnimationEngine } from './components/AnimationEngine.js';
 import { LazyImageLoader } from './components/LazyImageLoader.js';
+import { Router } from './components/Router.js';
 import './components/PerformanceMonitor.js';
 import './components/ErrorHandler.js';
 
@@ -20,11 +21,13 @@ class PortfolioApp {
     this.skillsTimeline = null;
     this.animationEngine = null;
     this.lazyImageLoader = null;
+    this.router = new Router();
     this.components = new Map(); // Track all components for theme updates
     this.data = {
       projects: null,
       articles: null,
-      timeline: null
+      timeline: null,
+      caseStudies: []
     };
   }
 
@@ -65,15 +68,15 @@ class PortfolioApp {
   async loadData() {
     try {
       // Load projects data
-      const projectsResponse = await fetch('./data/projects.json');
+      const projectsResponse = await fetch('/data/projects.json');
       this.data.projects = await projectsResponse.json();
       
       // Load articles data
-      const articlesResponse = await fetch('./data/articles.json');
+      const articlesResponse = await fetch('/data/articles.json');
       this.data.articles = await articlesResponse.json();
       
       // Load timeline data
-      const timelineResponse = await fetch('./data/timeline.json');
+      const timelineResponse = await fetch('/data/timeline.json');
       this.data.timeline = await timelineResponse.json();
       
     } catch (error) {
@@ -83,6 +86,15 @@ class PortfolioApp {
       this.data.articles = { articles: [], categories: [] };
       this.data.timeline = { experiences: [], skills: [] };
     }
+
+    // Case studies are optional; the gallery works without them
+    try {
+      const caseStudiesResponse = await fetch('/data/case-studies.json');
+      this.data.caseStudies = (await caseStudiesResponse.json()).caseStudies || [];
+    } catch (error) {
+      console.warn('Case studies unavailable:', error);
+      this.data.caseStudies = [];
+    }
   }
 
   initializeComponents() {
@@ -91,6 +103,10 @@ class PortfolioApp {
     this.animationEngine.init();
     this.components.set('animationEngine', this.animationEngine);
     
+    // List components hand new cards, articles and timeline items to these
+    // as they are mounted, so lazy images and animations attach right away
+    const listHooks = [this.lazyImageLoader.createListHooks(), this.animationEngine.createListHooks()];
+    
     // Initialize navigation manager
     const navElement = document.querySelector('nav');
     if (navElement) {
@@ -101,25 +117,29 @@ class PortfolioApp {
     // Initialize project gallery
     const projectsContainer = document.getElementById('projects');
     if (projectsContainer && this.data.projects) {
-      this.projectGallery = new ProjectGallery(projectsContainer, this.data.projects);
+      this.projectGallery = new ProjectGallery(projectsContainer, this.data.projects, {
+        router: this.router,
+        imageLoader: this.lazyImageLoader,
+        animationEngine: this.animationEngine,
+        listHooks,
+        caseStudies: this.data.caseStudies
+      });
       this.components.set('projectGallery', this.projectGallery);
-      // Re-observe any new images added by the project gallery
-      setTimeout(() => {
-        this.lazyImageLoader.observeImages();
-        this.addAnimationsToNewElements(projectsContainer);
-      }, 100);
+      // Filter and sort controls are built once, in the constructor
+      this.addAnimationsToNewElements(projectsContainer);
     }
     
     // Initialize blog system
     const blogContainer = document.getElementById('blog');
     if (blogContainer && this.data.articles) {
-      this.blogSystem = new BlogSystem(blogContainer, this.data.articles);
+      this.blogSystem = new BlogSystem(blogContainer, this.data.articles, {
+        router: this.router,
+        searchIndexUrl: '/data/search-index.json',
+        previewToken: this.data.articles.previewToken,
+        listHooks
+      });
       this.components.set('blogSystem', this.blogSystem);
-      // Re-observe any new images added by the blog system
-      setTimeout(() => {
-        this.lazyImageLoader.observeImages();
-        this.addAnimationsToNewElements(blogContainer);
-      }, 100);
+      this.addAnimationsToNewElements(blogContainer);
     }
     
     // Initialize contact form
@@ -132,15 +152,14 @@ class PortfolioApp {
     // Initialize skills timeline
     const skillsTimelineContainer = document.querySelector('.skills-timeline');
     if (skillsTimelineContainer && this.data.timeline) {
-      this.skillsTimeline = new SkillsTimeline(skillsTimelineContainer, this.data.timeline);
+      this.skillsTimeline = new SkillsTimeline(skillsTimelineContainer, this.data.timeline, { listHooks });
       this.components.set('skillsTimeline', this.skillsTimeline);
-      // Re-observe any new images added by the skills timeline
-      setTimeout(() => {
-        this.lazyImageLoader.observeImages();
-        this.addAnimationsToNewElements(skillsTimelineContainer);
-      }, 100);
+      this.addAnimationsToNewElements(skillsTimelineContainer);
     }
     
+    // Resolve the current URL once every routed component has registered
+    this.router.start();
+    
     // Connect navigation to all sections
     this.connectNavigationToSections();
     
@@ -251,18 +270,7 @@ class PortfolioApp {
   addAnimationsToNewElements(container) {
     if (!this.animationEngine) return;
 
-    // Find new elements that need animations
-    const newAnimatableElements = container.querySelectorAll('.fade-in:not([data-animation-added])');
-    newAnimatableElements.forEach(element => {
-      this.animationEngine.addScrollAnimation(element);
-      element.dataset.animationAdded = 'true';
-    });
-
-    // Find new interactive elements that need hover effects
-    const newInteractiveElements = container.querySelectorAll('button, .project-card, .article-card, .skill-item:not([data-hover-initialized])');
-    newInteractiveElements.forEach(element => {
-      this.animationEngine.addHoverEffect(element);
-    });
+    this.animationEngine.enhanceElements([container]);
   }
 
   // Update theme for dynamically created elements
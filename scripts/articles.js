@@ -0,0 +1,196 @@
+// Article sources - compiles content/articles/*.md (YAML front matter plus a
+// Markdown body) into the `articles` list of data/articles.json
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseFrontMatter, FrontMatterError } from './front-matter.js';
+import { ReadingTime } from '../js/components/ReadingTime.js';
+import { SearchIndex } from '../js/components/SearchIndex.js';
+
+export const ARTICLES_DIR = join('content', 'articles');
+export const ARTICLES_DATA = join('data', 'articles.json');
+
+const REQUIRED_FIELDS = ['title', 'category', 'publishedDate'];
+const KNOWN_FIELDS = [
+  'id', 'slug', 'title', 'excerpt', 'category', 'tags', 'publishedDate', 'updatedDate',
+  'featured', 'status', 'publishAt', 'series', 'author'
+];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXCERPT_LENGTH = 160;
+
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) &&
+    new Date(`${value}T00:00:00Z`).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * First paragraph of the body as plain text, shortened on a word boundary
+ */
+export function deriveExcerpt(content) {
+  const paragraph = content
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .find(block => block && !/^(#|```|~~~|>|[-*+] |\d+[.)] |\||<|!\[)/.test(block));
+  const text = SearchIndex.stripMarkdown(paragraph || '');
+  if (text.length <= EXCERPT_LENGTH) return text;
+  return `${text.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Parse and validate one article file. Problems are returned rather than
+ * thrown so a build can report every broken file at once.
+ */
+export function parseArticle(source, file, { categories = null, readingTime = new ReadingTime() } = {}) {
+  let parsed;
+  try {
+    parsed = parseFrontMatter(source, file);
+  } catch (error) {
+    if (error instanceof FrontMatterError) return { article: null, errors: [error] };
+    throw error;
+  }
+
+  const { data, lines, content, contentLine } = parsed;
+  const errors = [];
+  const fail = (field, message) => errors.push(new FrontMatterError(message, file, lines[field] || 1));
+
+  Object.keys(data)
+    .filter(field => !KNOWN_FIELDS.includes(field))
+    .forEach(field => fail(field, `Unknown field "${field}" (expected one of ${KNOWN_FIELDS.join(', ')})`));
+
+  REQUIRED_FIELDS
+    .filter(field => data[field] === undefined || data[field] === null || data[field] === '')
+    .forEach(field => fail(field, `Missing required field "${field}"`));
+
+  const fileId = file.split(/[\\/]/).pop().replace(/\.md$/, '');
+  const id = data.id ?? fileId;
+  const slug = data.slug ?? id;
+
+  [['id', id], ['slug', slug]].forEach(([field, value]) => {
+    if (typeof value !== 'string' || !SLUG_PATTERN.test(value)) {
+      fail(field, `${field} "${value}" must be lowercase words separated by hyphens`);
+    }
+  });
+
+  if (data.title !== undefined && data.title !== null && typeof data.title !== 'string') {
+    fail('title', 'title must be a string');
+  }
+  if (data.excerpt !== undefined && typeof data.excerpt !== 'string') {
+    fail('excerpt', 'excerpt must be a string');
+  }
+  if (typeof data.category === 'string' && categories && !categories.includes(data.category)) {
+    fail('category', `Unknown category "${data.category}" (expected one of ${categories.join(', ')})`);
+  } else if (data.category !== undefined && data.category !== null && typeof data.category !== 'string') {
+    fail('category', 'category must be a string');
+  }
+  if (data.tags !== undefined && data.tags !== null &&
+    !(Array.isArray(data.tags) && data.tags.every(tag => typeof tag === 'string' && tag.trim() !== ''))) {
+    fail('tags', 'tags must be a list of strings, e.g. [React, CSS]');
+  }
+  ['publishedDate', 'updatedDate'].forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && data[field] !== '' && !isValidDate(data[field])) {
+      fail(field, `${field} "${data[field]}" must be a date in YYYY-MM-DD format`);
+    }
+  });
+  if (data.featured !== undefined && typeof data.featured !== 'boolean') {
+    fail('featured', 'featured must be true or false');
+  }
+  if (data.status !== undefined && typeof data.status !== 'string') {
+    fail('status', 'status must be a string');
+  }
+  if (data.publishAt !== undefined && Number.isNaN(new Date(data.publishAt).getTime())) {
+    fail('publishAt', `publishAt "${data.publishAt}" must be an ISO date and time`);
+  }
+  if (data.series !== undefined && !(data.series && typeof data.series === 'object' && !Array.isArray(data.series) &&
+    typeof data.series.id === 'string' && (data.series.part === undefined || Number.isInteger(data.series.part)))) {
+    fail('series', 'series must have an "id" and an optional whole-number "part"');
+  }
+  if (content.trim() === '') {
+    errors.push(new FrontMatterError('Article has no content after the front matter', file, contentLine));
+  }
+
+  if (errors.length > 0) return { article: null, errors };
+
+  const article = {
+    id,
+    title: data.title,
+    slug,
+    excerpt: data.excerpt ?? deriveExcerpt(content),
+    content,
+    category: data.category,
+    tags: data.tags || [],
+    publishedDate: data.publishedDate,
+    ...(data.updatedDate ? { updatedDate: data.updatedDate } : {}),
+    readingTime: readingTime.analyze(content).minutes,
+    featured: data.featured ?? false
+  };
+  ['status', 'publishAt', 'series', 'author'].forEach(field => {
+    if (data[field] !== undefined) article[field] = data[field];
+  });
+
+  return { article, errors: [] };
+}
+
+/**
+ * Compile article sources into the full articles.json document. Everything
+ * except `articles` (categories, series, reading speed...) comes from
+ * `baseData`. Articles are listed newest first.
+ */
+export function compileArticles(sources, baseData = {}) {
+  const categories = Array.isArray(baseData.categories) ? baseData.categories.map(category => category.id) : null;
+  const readingTime = new ReadingTime(baseData.readingSpeed);
+  const articles = [];
+  const errors = [];
+  const seen = new Map();
+
+  sources.forEach(({ file, source }) => {
+    const result = parseArticle(source, file, { categories, readingTime });
+    errors.push(...result.errors);
+    if (!result.article) return;
+
+    const { id, slug } = result.article;
+    const duplicate = seen.get(id) || seen.get(`slug:${slug}`);
+    if (duplicate) {
+      errors.push(new FrontMatterError(`Article id or slug "${duplicate.value}" is already used by ${duplicate.file}`, file, 1));
+      return;
+    }
+    seen.set(id, { file, value: id });
+    seen.set(`slug:${slug}`, { file, value: slug });
+    articles.push(result.article);
+  });
+
+  articles.sort((a, b) => b.publishedDate.localeCompare(a.publishedDate) || a.id.localeCompare(b.id));
+
+  return { data: { articles, ...withoutArticles(baseData) }, errors };
+}
+
+function withoutArticles(data) {
+  const { articles, ...rest } = data;
+  return rest;
+}
+
+/**
+ * Read content/articles/*.md and compile them against the existing
+ * data/articles.json. Returns null when there is no content directory.
+ */
+export function compileArticleSources(root = process.cwd()) {
+  const directory = join(root, ARTICLES_DIR);
+  if (!existsSync(directory)) return null;
+
+  const dataPath = join(root, ARTICLES_DATA);
+  const baseData = existsSync(dataPath) ? JSON.parse(readFileSync(dataPath, 'utf8')) : {};
+
+  const sources = readdirSync(directory)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .map(name => ({
+      file: join(ARTICLES_DIR, name).replace(/\\/g, '/'),
+      source: readFileSync(join(directory, name), 'utf8')
+    }));
+
+  return compileArticles(sources, baseData);
+}
+
+export function writeArticlesData(data, root = process.cwd()) {
+  writeFileSync(join(root, ARTICLES_DATA), `${JSON.stringify(data, null, 2)}\n`);
+}
@@ -0,0 +1,139 @@
+// Case-study sources - compiles data/case-studies/*.md (YAML front matter
+// plus a Markdown body, one file per project) into data/case-studies.json
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseFrontMatter, FrontMatterError } from './front-matter.js';
+
+export const CASE_STUDIES_DIR = join('data', 'case-studies');
+export const CASE_STUDIES_DATA = join('data', 'case-studies.json');
+export const PROJECTS_DATA = join('data', 'projects.json');
+
+const KNOWN_FIELDS = ['project', 'summary', 'role', 'timeline', 'team', 'problem', 'architecture', 'outcomes', 'metrics'];
+const TEXT_FIELDS = ['summary', 'role', 'timeline', 'team', 'problem', 'architecture'];
+
+const isText = value => typeof value === 'string' && value.trim() !== '';
+const isMetricValue = value => isText(value) || (typeof value === 'number' && Number.isFinite(value));
+
+/**
+ * Parse and validate one case-study file. The project id comes from
+ * `project:` or the file name and must exist in data/projects.json when
+ * `projectIds` is given. Problems are returned rather than thrown.
+ */
+export function parseCaseStudy(source, file, { projectIds = null } = {}) {
+  let parsed;
+  try {
+    parsed = parseFrontMatter(source, file);
+  } catch (error) {
+    if (error instanceof FrontMatterError) return { caseStudy: null, errors: [error] };
+    throw error;
+  }
+
+  const { data, lines, content, contentLine } = parsed;
+  const errors = [];
+  const fail = (field, message) => errors.push(new FrontMatterError(message, file, lines[field] || 1));
+
+  Object.keys(data)
+    .filter(field => !KNOWN_FIELDS.includes(field))
+    .forEach(field => fail(field, `Unknown field "${field}" (expected one of ${KNOWN_FIELDS.join(', ')})`));
+
+  const projectId = data.project ?? file.split(/[\\/]/).pop().replace(/\.md$/, '');
+  if (typeof projectId !== 'string' || projectId === '') {
+    fail('project', 'project must be the id of a project in data/projects.json');
+  } else if (projectIds && !projectIds.includes(projectId)) {
+    fail('project', `Unknown project "${projectId}" (not in data/projects.json)`);
+  }
+
+  TEXT_FIELDS.forEach(field => {
+    if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+      fail(field, `${field} must be a string`);
+    }
+  });
+  if (data.outcomes !== undefined && data.outcomes !== null &&
+    !(Array.isArray(data.outcomes) && data.outcomes.every(isText))) {
+    fail('outcomes', 'outcomes must be a list of strings');
+  }
+  if (data.metrics !== undefined && data.metrics !== null &&
+    !(Array.isArray(data.metrics) && data.metrics.every(metric =>
+      metric && typeof metric === 'object' && !Array.isArray(metric) &&
+      isText(metric.label) && isMetricValue(metric.value) &&
+      Object.keys(metric).every(key => ['label', 'value', 'detail'].includes(key)) &&
+      (metric.detail === undefined || isText(metric.detail))))) {
+    fail('metrics', 'metrics must be a list of "label" and "value" pairs with an optional "detail"');
+  }
+  if (content.trim() === '') {
+    errors.push(new FrontMatterError('Case study has no content after the front matter', file, contentLine));
+  }
+
+  if (errors.length > 0) return { caseStudy: null, errors };
+
+  const caseStudy = { projectId };
+  TEXT_FIELDS.forEach(field => {
+    if (isText(data[field])) caseStudy[field] = data[field].trim();
+  });
+  caseStudy.outcomes = (data.outcomes || []).map(outcome => outcome.trim());
+  caseStudy.metrics = (data.metrics || []).map(metric => ({
+    label: metric.label.trim(),
+    value: String(metric.value).trim(),
+    ...(metric.detail ? { detail: metric.detail.trim() } : {})
+  }));
+  caseStudy.content = content;
+
+  return { caseStudy, errors: [] };
+}
+
+/**
+ * Compile case-study sources into the case-studies.json document, in the
+ * order the projects appear in data/projects.json
+ */
+export function compileCaseStudies(sources, projects = null) {
+  const projectIds = Array.isArray(projects) ? projects.map(project => project.id) : null;
+  const caseStudies = [];
+  const errors = [];
+  const seen = new Map();
+
+  sources.forEach(({ file, source }) => {
+    const result = parseCaseStudy(source, file, { projectIds });
+    errors.push(...result.errors);
+    if (!result.caseStudy) return;
+
+    const { projectId } = result.caseStudy;
+    if (seen.has(projectId)) {
+      errors.push(new FrontMatterError(`Project "${projectId}" already has a case study in ${seen.get(projectId)}`, file, 1));
+      return;
+    }
+    seen.set(projectId, file);
+    caseStudies.push(result.caseStudy);
+  });
+
+  if (projectIds) {
+    caseStudies.sort((a, b) => projectIds.indexOf(a.projectId) - projectIds.indexOf(b.projectId));
+  }
+
+  return { data: { caseStudies }, errors };
+}
+
+/**
+ * Read data/case-studies/*.md and compile them against data/projects.json.
+ * Returns null when there is no case-studies directory.
+ */
+export function compileCaseStudySources(root = process.cwd()) {
+  const directory = join(root, CASE_STUDIES_DIR);
+  if (!existsSync(directory)) return null;
+
+  const projectsPath = join(root, PROJECTS_DATA);
+  const projects = existsSync(projectsPath) ? JSON.parse(readFileSync(projectsPath, 'utf8')).projects || [] : null;
+
+  const sources = readdirSync(directory)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .map(name => ({
+      file: join(CASE_STUDIES_DIR, name).replace(/\\/g, '/'),
+      source: readFileSync(join(directory, name), 'utf8')
+    }));
+
+  return compileCaseStudies(sources, projects);
+}
+
+export function writeCaseStudiesData(data, root = process.cwd()) {
+  writeFileSync(join(root, CASE_STUDIES_DATA), `${JSON.stringify(data, null, 2)}\n`);
+}
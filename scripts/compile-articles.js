@@ -0,0 +1,15 @@
+// Compile content/articles/*.md into data/articles.json (also run by `npm run build`)
+import { compileArticleSources, writeArticlesData, ARTICLES_DIR, ARTICLES_DATA } from './articles.js';
+
+const result = compileArticleSources();
+
+if (!result) {
+  console.log(`No ${ARTICLES_DIR} directory; leaving ${ARTICLES_DATA} unchanged`);
+} else if (result.errors.length > 0) {
+  result.errors.forEach(error => console.error(error.message));
+  console.error(`Found ${result.errors.length} problem(s) in ${ARTICLES_DIR}; ${ARTICLES_DATA} was not updated`);
+  process.exit(1);
+} else {
+  writeArticlesData(result.data);
+  console.log(`Compiled ${result.data.articles.length} articles from ${ARTICLES_DIR} into ${ARTICLES_DATA}`);
+}
@@ -0,0 +1,15 @@
+// Compile data/case-studies/*.md into data/case-studies.json (also run by `npm run build`)
+import { compileCaseStudySources, writeCaseStudiesData, CASE_STUDIES_DIR, CASE_STUDIES_DATA } from './case-studies.js';
+
+const result = compileCaseStudySources();
+
+if (!result) {
+  console.log(`No ${CASE_STUDIES_DIR} directory; leaving ${CASE_STUDIES_DATA} unchanged`);
+} else if (result.errors.length > 0) {
+  result.errors.forEach(error => console.error(error.message));
+  console.error(`Found ${result.errors.length} problem(s) in ${CASE_STUDIES_DIR}; ${CASE_STUDIES_DATA} was not updated`);
+  process.exit(1);
+} else {
+  writeCaseStudiesData(result.data);
+  console.log(`Compiled ${result.data.caseStudies.length} case studies from ${CASE_STUDIES_DIR} into ${CASE_STUDIES_DATA}`);
+}
@@ -0,0 +1,170 @@
+// Feed generation - RSS 2.0, Atom 1.0 and JSON Feed 1.1 built from data/articles.json
+import { MarkdownRenderer } from '../js/components/MarkdownRenderer.js';
+import { SITE } from './site-config.js';
+
+export const FEED_FILES = {
+  rss: { path: 'feed.xml', type: 'application/rss+xml', title: 'RSS' },
+  atom: { path: 'atom.xml', type: 'application/atom+xml', title: 'Atom' },
+  json: { path: 'feed.json', type: 'application/feed+json', title: 'JSON Feed' }
+};
+
+// Raw HTML in articles is escaped: there is no DOM sanitizer at build time
+const markdownRenderer = new MarkdownRenderer({ html: false });
+
+export function escapeXml(value) {
+  return String(value ?? '')
+    // Characters that are not allowed anywhere in an XML 1.0 document
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function siteUrl(site, path = '') {
+  return `${site.url.replace(/\/$/, '')}${path}`;
+}
+
+export function getArticleUrl(article, site = SITE) {
+  return siteUrl(site, `${site.blogPath}/${encodeURIComponent(article.slug || article.id)}`);
+}
+
+function toDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? new Date(0) : date;
+}
+
+/**
+ * Normalize articles into feed items, newest first
+ */
+export function getFeedItems(articles, site = SITE) {
+  return [...articles]
+    .map(article => ({
+      id: getArticleUrl(article, site),
+      url: getArticleUrl(article, site),
+      title: String(article.title ?? ''),
+      summary: String(article.excerpt ?? ''),
+      contentHtml: markdownRenderer.render(String(article.content ?? '')),
+      tags: article.tags || [],
+      published: toDate(article.publishedDate),
+      updated: toDate(article.updatedDate || article.publishedDate)
+    }))
+    .sort((a, b) => b.published - a.published);
+}
+
+function getLastUpdated(items) {
+  return items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+}
+
+export function generateRssFeed(articles, site = SITE) {
+  const items = getFeedItems(articles, site);
+
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>
+${item.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}    </item>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(site.title)}</title>
+    <link>${escapeXml(siteUrl(site, '/'))}</link>
+    <description>${escapeXml(site.description)}</description>
+    <language>${escapeXml(site.language)}</language>
+    <lastBuildDate>${getLastUpdated(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(siteUrl(site, `/${FEED_FILES.rss.path}`))}" rel="self" type="${FEED_FILES.rss.type}"/>
+${entries}  </channel>
+</rss>
+`;
+}
+
+export function generateAtomFeed(articles, site = SITE) {
+  const items = getFeedItems(articles, site);
+
+  const entries = items.map(item => `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title type="text">${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <summary type="text">${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+${item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}  </entry>
+`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(site.language)}">
+  <id>${escapeXml(siteUrl(site, '/'))}</id>
+  <title type="text">${escapeXml(site.title)}</title>
+  <subtitle type="text">${escapeXml(site.description)}</subtitle>
+  <link rel="self" type="${FEED_FILES.atom.type}" href="${escapeXml(siteUrl(site, `/${FEED_FILES.atom.path}`))}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl(site, '/'))}"/>
+  <updated>${getLastUpdated(items).toISOString()}</updated>
+  <author>
+    <name>${escapeXml(site.author.name)}</name>
+    <email>${escapeXml(site.author.email)}</email>
+    <uri>${escapeXml(site.author.url)}</uri>
+  </author>
+${entries}</feed>
+`;
+}
+
+export function generateJsonFeed(articles, site = SITE) {
+  const items = getFeedItems(articles, site);
+
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    home_page_url: siteUrl(site, '/'),
+    feed_url: siteUrl(site, `/${FEED_FILES.json.path}`),
+    description: site.description,
+    language: site.language,
+    authors: [{ name: site.author.name, url: site.author.url }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      tags: item.tags
+    }))
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+/**
+ * Build all three feeds, keyed by output file name
+ */
+export function buildFeeds(articles, site = SITE) {
+  return {
+    [FEED_FILES.rss.path]: generateRssFeed(articles, site),
+    [FEED_FILES.atom.path]: generateAtomFeed(articles, site),
+    [FEED_FILES.json.path]: generateJsonFeed(articles, site)
+  };
+}
+
+/**
+ * Add <link rel="alternate"> tags for the feeds to an HTML document's head.
+ * Documents that already link a feed are returned unchanged.
+ */
+export function injectFeedLinks(htmlDocument, site = SITE) {
+  if (/<link[^>]+rel="alternate"[^>]+type="application\/(rss|atom|feed)\+(xml|json)"/.test(htmlDocument)) {
+    return htmlDocument;
+  }
+
+  const links = Object.values(FEED_FILES)
+    .map(feed => `    <link rel="alternate" type="${feed.type}" title="${escapeXml(`${site.title} (${feed.title})`)}" href="/${feed.path}">`)
+    .join('\n');
+
+  return htmlDocument.replace(/(\s*)<\/head>/i, `\n    <!-- Feeds -->\n${links}$1</head>`);
+}
@@ -0,0 +1,13 @@
+// Refresh data/github.json from the GitHub API (also run by `npm run build`).
+// `--force` ignores the cache age. Set GITHUB_TOKEN to raise the rate limit
+// and GITHUB_API_URL to use another server with the same API.
+import { refreshGithubMetadata, GITHUB_CACHE_DATA } from './github.js';
+
+const force = process.argv.includes('--force');
+const result = await refreshGithubMetadata(process.cwd(), force ? { maxAge: 0 } : {});
+
+result.failed.forEach(({ repository, error }) => console.warn(`Warning: ${repository}: ${error.message}`));
+if (result.skipped.length > 0) {
+  console.warn(`Warning: GitHub unreachable; skipped ${result.skipped.length} more repositories`);
+}
+console.log(`Updated ${result.updated.length} repositories in ${GITHUB_CACHE_DATA}; the rest keep their cached data`);
@@ -0,0 +1,304 @@
+// Front matter - YAML front matter for Markdown content files
+//
+// Supports the subset of YAML used by article and case-study metadata:
+// `key: value` pairs, nested mappings by indentation, `- item` and `[a, b]`
+// lists, mappings as list items (`- label: Users` followed by indented
+// keys), quoted and plain strings, numbers, booleans, null, `|`/`>` block
+// strings and comments. Errors carry the file name and line number.
+
+export class FrontMatterError extends Error {
+  constructor(message, file, line) {
+    super(`${file}:${line}: ${message}`);
+    this.name = 'FrontMatterError';
+    this.file = file;
+    this.line = line;
+    this.reason = message;
+  }
+}
+
+const FENCE = /^---[ \t]*$/;
+const KEY_VALUE = /^([A-Za-z_][\w-]*)[ \t]*:(?:[ \t]+(.*)|[ \t]*)$/;
+
+/**
+ * Split a Markdown file into front matter data and body. `lines` maps each
+ * top-level key to the line it was defined on, for error reporting.
+ */
+export function parseFrontMatter(source, file = '<input>') {
+  const lines = String(source ?? '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+
+  if (!FENCE.test(lines[0])) {
+    throw new FrontMatterError('Expected front matter starting with "---"', file, 1);
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && FENCE.test(line));
+  if (end === -1) {
+    throw new FrontMatterError('Front matter is not closed with "---"', file, 1);
+  }
+
+  const parser = new YamlParser(lines.slice(1, end), file, 2);
+  const { data, keyLines } = parser.parseDocument();
+
+  // Skip the blank lines between the closing fence and the body
+  let bodyStart = end + 1;
+  while (bodyStart < lines.length && lines[bodyStart].trim() === '') bodyStart++;
+
+  return {
+    data,
+    lines: keyLines,
+    content: lines.slice(bodyStart).join('\n').replace(/\s+$/, ''),
+    // An empty body is reported at the closing fence
+    contentLine: bodyStart < lines.length ? bodyStart + 1 : end + 1
+  };
+}
+
+class YamlParser {
+  constructor(lines, file, firstLine) {
+    this.file = file;
+    this.lines = lines.map((text, index) => ({
+      text,
+      number: firstLine + index,
+      indent: text.match(/^ */)[0].length,
+      blank: text.trim() === '' || /^\s*#/.test(text)
+    }));
+    this.index = 0;
+  }
+
+  error(message, line) {
+    return new FrontMatterError(message, this.file, line);
+  }
+
+  parseDocument() {
+    this.skipBlank();
+    if (this.index >= this.lines.length) return { data: {}, keyLines: {} };
+
+    const keyLines = {};
+    const data = this.parseMapping(0, keyLines);
+    this.skipBlank();
+    if (this.index < this.lines.length) {
+      throw this.error('Unexpected indentation', this.current().number);
+    }
+    return { data, keyLines };
+  }
+
+  current() {
+    return this.lines[this.index];
+  }
+
+  skipBlank() {
+    while (this.index < this.lines.length && this.lines[this.index].blank) this.index++;
+  }
+
+  checkIndentation(line) {
+    if (/^ *\t/.test(line.text)) {
+      throw this.error('Tabs are not allowed for indentation', line.number);
+    }
+  }
+
+  parseBlock(indent) {
+    this.skipBlank();
+    const line = this.current();
+    return /^-( |$)/.test(line.text.trim())
+      ? this.parseSequence(line.indent)
+      : this.parseMapping(indent);
+  }
+
+  parseMapping(indent, keyLines = {}) {
+    const mapping = {};
+
+    for (this.skipBlank(); this.index < this.lines.length; this.skipBlank()) {
+      const line = this.current();
+      this.checkIndentation(line);
+      if (line.indent < indent) break;
+      if (line.indent > indent) throw this.error('Unexpected indentation', line.number);
+
+      const match = line.text.trim().match(KEY_VALUE);
+      if (!match) {
+        throw this.error(`Expected "key: value" but found "${line.text.trim()}"`, line.number);
+      }
+
+      const [, key, rawValue = ''] = match;
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw this.error(`Duplicate key "${key}"`, line.number);
+      }
+      keyLines[key] = line.number;
+      this.index++;
+
+      const value = stripComment(rawValue);
+      if (value === '|' || value === '>') {
+        mapping[key] = this.parseBlockScalar(indent, value, line.number);
+      } else if (value === '') {
+        // A nested block, or a list written at the key's own indentation
+        this.skipBlank();
+        const next = this.current();
+        const nested = next && (next.indent > indent || (next.indent === indent && /^-( |$)/.test(next.text.trim())));
+        mapping[key] = nested ? this.parseBlock(next.indent) : null;
+      } else {
+        mapping[key] = this.parseScalar(value, line.number);
+      }
+    }
+
+    return mapping;
+  }
+
+  parseSequence(indent) {
+    const sequence = [];
+
+    for (this.skipBlank(); this.index < this.lines.length; this.skipBlank()) {
+      const line = this.current();
+      this.checkIndentation(line);
+      const text = line.text.trim();
+      if (line.indent !== indent || !/^-( |$)/.test(text)) {
+        if (line.indent > indent) throw this.error('Unexpected indentation', line.number);
+        break;
+      }
+
+      const value = stripComment(text.slice(1).trim());
+      if (KEY_VALUE.test(value) && !/^["'[]/.test(value)) {
+        // `- key: value` starts a mapping whose keys line up after the dash
+        const itemIndent = line.indent + text.match(/^-\s*/)[0].length;
+        this.lines[this.index] = { ...line, text: `${' '.repeat(itemIndent)}${text.replace(/^-\s*/, '')}`, indent: itemIndent };
+        sequence.push(this.parseMapping(itemIndent));
+        continue;
+      }
+      this.index++;
+
+      if (value === '') {
+        this.skipBlank();
+        const next = this.current();
+        sequence.push(next && next.indent > indent ? this.parseBlock(next.indent) : null);
+      } else {
+        sequence.push(this.parseScalar(value, line.number));
+      }
+    }
+
+    return sequence;
+  }
+
+  parseBlockScalar(indent, style, number) {
+    const collected = [];
+    while (this.index < this.lines.length) {
+      const line = this.lines[this.index];
+      if (line.text.trim() !== '' && line.indent <= indent) break;
+      collected.push(line.text);
+      this.index++;
+    }
+
+    while (collected.length > 0 && collected[collected.length - 1].trim() === '') collected.pop();
+    if (collected.length === 0) {
+      throw this.error(`Expected an indented block after "${style}"`, number);
+    }
+
+    const blockIndent = Math.min(...collected.filter(text => text.trim() !== '').map(text => text.match(/^ */)[0].length));
+    const text = collected.map(value => value.slice(blockIndent));
+
+    if (style === '|') return `${text.join('\n')}\n`;
+
+    // Folded: single line breaks become spaces, blank lines become newlines
+    return `${text.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ')}\n`;
+  }
+
+  parseScalar(value, number) {
+    if (value.startsWith('[')) return this.parseFlowSequence(value, number);
+    if (value.startsWith('"') || value.startsWith('\'')) return this.parseQuoted(value, number);
+    if (value.startsWith('{')) throw this.error('Inline mappings are not supported; use indentation', number);
+
+    if (/^(true|True|TRUE)$/.test(value)) return true;
+    if (/^(false|False|FALSE)$/.test(value)) return false;
+    if (/^(null|Null|NULL|~)$/.test(value)) return null;
+    if (/^[-+]?\d+(\.\d+)?$/.test(value) && !/^[-+]?0\d/.test(value)) return Number(value);
+    if (/^[&*!%@`|>]/.test(value)) {
+      throw this.error(`Unsupported YAML syntax "${value}"; quote the value`, number);
+    }
+
+    return value;
+  }
+
+  parseQuoted(value, number) {
+    const quote = value[0];
+    let end = 1;
+    while (end < value.length) {
+      if (quote === '"' && value[end] === '\\') {
+        end += 2;
+        continue;
+      }
+      if (value[end] === quote) {
+        if (quote === '\'' && value[end + 1] === '\'') {
+          end += 2;
+          continue;
+        }
+        break;
+      }
+      end++;
+    }
+
+    if (end >= value.length) throw this.error('Unterminated quoted string', number);
+    if (value.slice(end + 1).trim() !== '') {
+      throw this.error(`Unexpected text after quoted string: "${value.slice(end + 1).trim()}"`, number);
+    }
+
+    const body = value.slice(1, end);
+    if (quote === '\'') return body.replace(/''/g, '\'');
+
+    try {
+      return JSON.parse(`"${body}"`);
+    } catch {
+      throw this.error('Invalid escape sequence in double-quoted string', number);
+    }
+  }
+
+  parseFlowSequence(value, number) {
+    if (!value.endsWith(']')) throw this.error('Unterminated list; expected "]"', number);
+
+    const inner = value.slice(1, -1);
+    const items = [];
+    let current = '';
+    let quote = null;
+
+    for (let i = 0; i < inner.length; i++) {
+      const char = inner[i];
+      if (quote) {
+        current += char;
+        if (char === '\\' && quote === '"') {
+          current += inner[++i] ?? '';
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"' || char === '\'') {
+        quote = char;
+        current += char;
+      } else if (char === ',') {
+        items.push(current);
+        current = '';
+      } else if (char === '[' || char === ']') {
+        throw this.error('Nested lists are not supported', number);
+      } else {
+        current += char;
+      }
+    }
+    if (quote) throw this.error('Unterminated quoted string', number);
+    if (current.trim() !== '' || items.length > 0) items.push(current);
+
+    return items.map(item => {
+      const trimmed = item.trim();
+      if (trimmed === '') throw this.error('Empty list item', number);
+      return this.parseScalar(trimmed, number);
+    });
+  }
+}
+
+// Drop a trailing "# comment" outside of quotes
+function stripComment(value) {
+  let quote = null;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === '\'') && (i === 0 || /[\s[,]/.test(value[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(value[i - 1]))) {
+      return value.slice(0, i).trim();
+    }
+  }
+  return value.trim();
+}
@@ -0,0 +1,199 @@
+// GitHub repository metadata - stars, languages, last commit and license for
+// each project's githubUrl. Results are cached in data/github.json and merged
+// into the built data/projects.json; when GitHub cannot be reached the build
+// keeps using whatever the cache already has.
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import http from 'http';
+import https from 'https';
+
+export const GITHUB_CACHE_DATA = join('data', 'github.json');
+export const GITHUB_API_URL = 'https://api.github.com';
+// Cached repositories are refetched after a day
+export const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT = 10000;
+
+export class GithubFetchError extends Error {
+  constructor(message, url, status = null) {
+    super(message);
+    this.name = 'GithubFetchError';
+    this.url = url;
+    // HTTP status, or null when no response came back at all
+    this.status = status;
+  }
+}
+
+/**
+ * GET a URL and parse the JSON body with Node's http/https modules.
+ * Non-2xx responses, timeouts and network errors reject with a GithubFetchError.
+ */
+export function requestJson(url, { headers = {}, timeout = REQUEST_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.get(url, { headers }, response => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new GithubFetchError(`GET ${url} returned ${response.statusCode}`, url, response.statusCode));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch {
+          reject(new GithubFetchError(`GET ${url} returned invalid JSON`, url, response.statusCode));
+        }
+      });
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy(new GithubFetchError(`GET ${url} timed out after ${timeout}ms`, url));
+    });
+    request.on('error', error => {
+      reject(error instanceof GithubFetchError ? error : new GithubFetchError(`GET ${url} failed: ${error.message}`, url));
+    });
+  });
+}
+
+/**
+ * A fetcher takes an API path such as `/repos/owner/name` and resolves to
+ * the parsed response. `baseUrl` points it at GitHub or at a server with
+ * the same shape (the tests use a local fixture server); `request` swaps
+ * the transport.
+ */
+export function createGithubFetcher({ baseUrl = GITHUB_API_URL, token = null, request = requestJson } = {}) {
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'portfolio-build',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  };
+  return path => request(`${baseUrl.replace(/\/$/, '')}${path}`, { headers });
+}
+
+/**
+ * "owner/name" for a github.com repository URL, or null
+ */
+export function parseGithubUrl(url) {
+  const match = /^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9_.-]+)\/([A-Za-z0-9_.-]+?)(?:\.git)?\/?(?:[?#].*)?$/i
+    .exec(String(url ?? '').trim());
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Turn GitHub's bytes-per-language map into percentages, largest first
+ */
+export function summarizeLanguages(bytes) {
+  const entries = Object.entries(bytes || {}).filter(([, size]) => Number.isFinite(size) && size > 0);
+  const total = entries.reduce((sum, [, size]) => sum + size, 0);
+  return entries
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([name, size]) => ({ name, percent: Math.round((size / total) * 1000) / 10 }));
+}
+
+function getLicense(license) {
+  if (!license) return null;
+  return license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name || null;
+}
+
+/**
+ * Fetch the metadata kept for one repository
+ */
+export async function fetchRepository(fetcher, repository, now = new Date()) {
+  const repo = await fetcher(`/repos/${repository}`);
+  const languages = await fetcher(`/repos/${repository}/languages`);
+  const branch = repo.default_branch ? `&sha=${encodeURIComponent(repo.default_branch)}` : '';
+  const commits = await fetcher(`/repos/${repository}/commits?per_page=1${branch}`);
+  const commit = Array.isArray(commits) ? commits[0]?.commit : null;
+
+  return {
+    stars: Number.isFinite(repo.stargazers_count) ? repo.stargazers_count : 0,
+    language: repo.language || null,
+    languages: summarizeLanguages(languages),
+    lastCommit: commit?.committer?.date || commit?.author?.date || repo.pushed_at || null,
+    license: getLicense(repo.license),
+    fetchedAt: now.toISOString()
+  };
+}
+
+// No response, or GitHub is refusing us (rate limit): further requests would fail too
+const isUnavailable = error => error.status == null || error.status === 403 || error.status === 429;
+
+/**
+ * Refresh the cache for every repository linked from `projects`. Entries
+ * younger than `maxAge` are kept as they are; a repository that cannot be
+ * fetched keeps its previous entry. Once GitHub looks unreachable the
+ * remaining repositories are not tried; they are listed in `skipped`.
+ * Never throws for fetch problems.
+ */
+export async function updateGithubCache(projects, cache, { fetcher, now = new Date(), maxAge = CACHE_MAX_AGE } = {}) {
+  const previous = cache?.repositories || {};
+  const repositories = [...new Set(projects.map(project => parseGithubUrl(project.githubUrl)).filter(Boolean))];
+  const entries = {};
+  const updated = [];
+  const failed = [];
+  const skipped = [];
+  let unavailable = false;
+
+  for (const repository of repositories) {
+    const cached = previous[repository];
+    if (cached) entries[repository] = cached;
+    if (cached && now - new Date(cached.fetchedAt) < maxAge) continue;
+
+    if (unavailable) {
+      skipped.push(repository);
+      continue;
+    }
+
+    try {
+      entries[repository] = await fetchRepository(fetcher, repository, now);
+      updated.push(repository);
+    } catch (error) {
+      failed.push({ repository, error });
+      if (isUnavailable(error)) unavailable = true;
+    }
+  }
+
+  // Repositories no project links to any more are dropped
+  return { cache: { repositories: entries }, updated, failed, skipped };
+}
+
+/**
+ * Copies of the projects with a `github` field from the cache
+ */
+export function enrichProjects(projects, cache) {
+  const repositories = cache?.repositories || {};
+  return projects.map(project => {
+    const repository = parseGithubUrl(project.githubUrl);
+    const entry = repository && repositories[repository];
+    if (!entry) return project;
+    const { fetchedAt, ...github } = entry;
+    return { ...project, github: { repository, ...github } };
+  });
+}
+
+export function readGithubCache(root = process.cwd()) {
+  const path = join(root, GITHUB_CACHE_DATA);
+  if (!existsSync(path)) return { repositories: {} };
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch {
+    return { repositories: {} };
+  }
+}
+
+export function writeGithubCache(cache, root = process.cwd()) {
+  writeFileSync(join(root, GITHUB_CACHE_DATA), `${JSON.stringify(cache, null, 2)}\n`);
+}
+
+/**
+ * Read data/projects.json and data/github.json, refresh the cache and write
+ * it back. GITHUB_API_URL and GITHUB_TOKEN come from the environment.
+ */
+export async function refreshGithubMetadata(root = process.cwd(), { env = process.env, maxAge = CACHE_MAX_AGE } = {}) {
+  const projects = JSON.parse(readFileSync(join(root, 'data', 'projects.json'), 'utf8')).projects || [];
+  const fetcher = createGithubFetcher({ baseUrl: env.GITHUB_API_URL || GITHUB_API_URL, token: env.GITHUB_TOKEN || null });
+  const result = await updateGithubCache(projects, readGithubCache(root), { fetcher, maxAge });
+  writeGithubCache(result.cache, root);
+  return result;
+}
@@ -0,0 +1,177 @@
+// Project pages - copies of index.html at /projects/:id with per-project
+// title, description and Open Graph/Twitter meta, so shared links get a preview.
+// Case studies also get /projects/:id/case-study with the write-up prerendered.
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { escapeXml } from './feeds.js';
+import { SITE } from './site-config.js';
+import { MarkdownRenderer } from '../js/components/MarkdownRenderer.js';
+import { HtmlSanitizer } from '../js/components/HtmlSanitizer.js';
+import { renderCaseStudy } from '../js/components/CaseStudy.js';
+
+// Ids become directory names, so only plain slugs get a page
+const SAFE_ID = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const DESCRIPTION_LENGTH = 200;
+
+// Raw HTML in case-study Markdown is escaped and the renderer neutralises
+// unsafe link and image URLs, so the output can be trusted
+const markdownRenderer = new MarkdownRenderer({ html: false });
+
+function siteUrl(site, path = '') {
+  return `${site.url.replace(/\/$/, '')}${path}`;
+}
+
+export function getProjectUrl(project, site = SITE) {
+  return siteUrl(site, `${site.projectsPath}/${encodeURIComponent(project.id)}`);
+}
+
+function truncate(text, length) {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (value.length <= length) return value;
+  return `${value.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+function getImageSource(image) {
+  return typeof image === 'string' ? image : image?.src;
+}
+
+/**
+ * The first raster image of the project as an absolute URL, or null.
+ * Link previews do not render SVG, so those are skipped.
+ */
+export function getProjectImage(project, site = SITE) {
+  const candidates = [project.ogImage, project.thumbnail, ...(project.images || []).map(getImageSource)];
+  const image = candidates.find(src => typeof src === 'string' && src.trim() && !/\.svg(\?|#|$)/i.test(src));
+  if (!image) return null;
+  return /^https?:\/\//i.test(image) ? image : siteUrl(site, image.startsWith('/') ? image : `/${image}`);
+}
+
+export function getProjectMeta(project, site = SITE) {
+  return {
+    title: `${project.title} | ${site.author.name}`,
+    description: truncate(project.description, DESCRIPTION_LENGTH),
+    url: getProjectUrl(project, site),
+    image: getProjectImage(project, site)
+  };
+}
+
+function setTag(htmlDocument, pattern, tag) {
+  return pattern.test(htmlDocument)
+    ? htmlDocument.replace(pattern, tag)
+    : htmlDocument.replace(/(\s*)<\/head>/i, `\n    ${tag}$1</head>`);
+}
+
+function setMeta(htmlDocument, attribute, name, content) {
+  const pattern = new RegExp(`<meta\\s+${attribute}="${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*>`, 'i');
+  return setTag(htmlDocument, pattern, `<meta ${attribute}="${name}" content="${escapeXml(content)}">`);
+}
+
+function removeMeta(htmlDocument, attribute, name) {
+  return htmlDocument.replace(new RegExp(`[ \\t]*<meta\\s+${attribute}="${name}"[^>]*>\\r?\\n?`, 'i'), '');
+}
+
+export function getCaseStudyMeta(project, caseStudy, site = SITE) {
+  return {
+    title: `${project.title} case study | ${site.author.name}`,
+    description: truncate(caseStudy.summary || project.description, DESCRIPTION_LENGTH),
+    url: `${getProjectUrl(project, site)}/case-study`,
+    image: getProjectImage(project, site)
+  };
+}
+
+function applyPageMeta(indexHtml, meta) {
+  let page = setTag(indexHtml, /<title>[^<]*<\/title>/i, `<title>${escapeXml(meta.title)}</title>`);
+
+  page = setMeta(page, 'name', 'title', meta.title);
+  page = setMeta(page, 'name', 'description', meta.description);
+  page = setTag(page, /<link\s+rel="canonical"[^>]*>/i, `<link rel="canonical" href="${escapeXml(meta.url)}">`);
+
+  page = setMeta(page, 'property', 'og:type', 'article');
+  ['og', 'twitter'].forEach(prefix => {
+    page = setMeta(page, 'property', `${prefix}:url`, meta.url);
+    page = setMeta(page, 'property', `${prefix}:title`, meta.title);
+    page = setMeta(page, 'property', `${prefix}:description`, meta.description);
+    if (meta.image) page = setMeta(page, 'property', `${prefix}:image`, meta.image);
+  });
+  // The site image's dimensions do not apply to a project screenshot
+  if (meta.image) {
+    page = removeMeta(page, 'property', 'og:image:width');
+    page = removeMeta(page, 'property', 'og:image:height');
+  }
+
+  return page;
+}
+
+/**
+ * index.html with the page title, canonical URL and social meta tags
+ * pointing at one project
+ */
+export function renderProjectPage(indexHtml, project, site = SITE) {
+  return applyPageMeta(indexHtml, getProjectMeta(project, site));
+}
+
+/**
+ * index.html with the case study's meta tags and its content prerendered
+ * in the projects section. The gallery removes the copy marked
+ * data-prerendered when it starts and renders the live view instead.
+ */
+export function renderCaseStudyPage(indexHtml, project, caseStudy, site = SITE, categories = []) {
+  const markup = renderCaseStudy(project, caseStudy, {
+    renderMarkdown: markdown => HtmlSanitizer.trust(markdownRenderer.render(markdown)),
+    categoryName: categories.find(category => category.id === project.category)?.name
+  });
+  const page = applyPageMeta(indexHtml, getCaseStudyMeta(project, caseStudy, site));
+
+  return page.replace(
+    /(<h2 id="projects-heading"[^>]*>[\s\S]*?<\/h2>)/i,
+    (heading) => `${heading}\n                <div data-prerendered>${markup}</div>`
+  );
+}
+
+function getProjectDirectory(distDir, project, site) {
+  return join(distDir, site.projectsPath.replace(/^\//, ''), project.id);
+}
+
+const isSafeId = id => typeof id === 'string' && SAFE_ID.test(id);
+
+function writePage(directory, page) {
+  if (!existsSync(directory)) mkdirSync(directory, { recursive: true });
+  writeFileSync(join(directory, 'index.html'), page);
+}
+
+/**
+ * Write dist/projects/<id>/index.html for every project. Returns the ids
+ * that were skipped because they cannot be used as a path.
+ */
+export function writeProjectPages(distDir, indexHtml, projects, site = SITE) {
+  const skipped = [];
+
+  projects.forEach(project => {
+    if (!isSafeId(project.id)) {
+      skipped.push(project.id);
+      return;
+    }
+    writePage(getProjectDirectory(distDir, project, site), renderProjectPage(indexHtml, project, site));
+  });
+
+  return skipped;
+}
+
+/**
+ * Write dist/projects/<id>/case-study/index.html for every case study whose
+ * project exists and has a path-safe id. Returns the number written.
+ */
+export function writeCaseStudyPages(distDir, indexHtml, projectsData, caseStudies, site = SITE) {
+  const projects = projectsData.projects || [];
+  let written = 0;
+
+  caseStudies.forEach(caseStudy => {
+    const project = projects.find(p => p.id === caseStudy.projectId);
+    if (!project || !isSafeId(project.id)) return;
+    const page = renderCaseStudyPage(indexHtml, project, caseStudy, site, projectsData.categories);
+    writePage(join(getProjectDirectory(distDir, project, site), 'case-study'), page);
+    written++;
+  });
+
+  return written;
+}
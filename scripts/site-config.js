@@ -0,0 +1,14 @@
+// Site metadata shared by the build steps (feeds, sitemap, meta tags)
+export const SITE = {
+  url: 'https://rasyaandrean.dev',
+  title: 'Rasya Andrean - Blog & Articles',
+  description: 'Articles on JavaScript, React, Node.js and modern web development by Rasya Andrean.',
+  language: 'en',
+  author: {
+    name: 'Rasya Andrean',
+    email: 'rasyaandrean@outlook.co.id',
+    url: 'https://rasyaandrean.dev'
+  },
+  blogPath: '/blog',
+  projectsPath: '/projects'
+};
@@ -0,0 +1,59 @@
+// Sitemap generation - adds published blog articles and series pages to sitemap.xml
+import { escapeXml, getArticleUrl } from './feeds.js';
+import { SITE } from './site-config.js';
+
+function toLastmod(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Sitemap entries for the given (already published) articles and the
+ * series they belong to
+ */
+export function getSitemapEntries(articles, site = SITE) {
+  const entries = articles.map(article => ({
+    loc: getArticleUrl(article, site),
+    lastmod: toLastmod(article.updatedDate || article.publishedDate),
+    changefreq: 'monthly',
+    priority: '0.6'
+  }));
+
+  // A series page changes whenever one of its parts does
+  const seriesDates = new Map();
+  articles.filter(article => article.series?.id).forEach(article => {
+    const dates = seriesDates.get(article.series.id) || [];
+    dates.push(toLastmod(article.updatedDate || article.publishedDate));
+    seriesDates.set(article.series.id, dates);
+  });
+  seriesDates.forEach((dates, id) => {
+    entries.push({
+      loc: `${site.url.replace(/\/$/, '')}${site.blogPath}/series/${encodeURIComponent(id)}`,
+      lastmod: dates.filter(Boolean).sort().pop() || null,
+      changefreq: 'monthly',
+      priority: '0.5'
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Append article entries to an existing sitemap document. URLs already in
+ * the sitemap are left as they are.
+ */
+export function addArticlesToSitemap(sitemapXml, articles, site = SITE) {
+  const existing = new Set(Array.from(sitemapXml.matchAll(/<loc>([^<]*)<\/loc>/g), match => match[1]));
+
+  const urls = getSitemapEntries(articles, site)
+    .filter(entry => !existing.has(escapeXml(entry.loc)))
+    .map(entry => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>
+${entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>\n` : ''}    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${entry.priority}</priority>
+  </url>
+`)
+    .join('');
+
+  return sitemapXml.replace(/<\/urlset>\s*$/, `${urls}</urlset>\n`);
+}
@@ -1,4 +1,7 @@
-const CACHE_NAME = 'portfolio-v1.0.0';
+// Bump the version whenever urlsToCache or the cached files change: the fetch
+// handler is cache-first, so returning visitors only pick up new modules and
+// data once a new cache replaces the old one on activate
+const CACHE_NAME = 'portfolio-v1.1.0';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -8,6 +11,21 @@ const urlsToCache = [
   '/js/components/ThemeManager.js',
   '/js/components/ProjectGallery.js',
   '/js/components/BlogSystem.js',
+  '/js/components/MarkdownRenderer.js',
+  '/js/components/HtmlSanitizer.js',
+  '/js/components/SyntaxHighlighter.js',
+  '/js/components/Router.js',
+  '/js/components/SearchIndex.js',
+  '/js/components/ReadingTime.js',
+  '/js/components/RelatedArticles.js',
+  '/js/components/ArticleStatus.js',
+  '/js/components/FeaturedCarousel.js',
+  '/js/components/ReadingHistory.js',
+  '/js/components/Dialog.js',
+  '/js/components/ScrollLock.js',
+  '/js/components/ImageLightbox.js',
+  '/js/components/KeyedList.js',
+  '/js/components/CaseStudy.js',
   '/js/components/ContactForm.js',
   '/js/components/NavigationManager.js',
   '/js/components/SkillsTimeline.js',
@@ -16,6 +34,7 @@ const urlsToCache = [
   '/data/projects.json',
   '/data/articles.json',
   '/data/timeline.json',
+  '/data/case-studies.json',
   '/site.webmanifest'
 ];
 
@@ -56,7 +75,13 @@ self.addEventListener('fetch', event => {
 
             return response;
           }
-        );
+        ).catch(error => {
+          // Client-side routes such as /blog/:slug all render from index.html
+          if (event.request.mode === 'navigate') {
+            return caches.match('/index.html');
+          }
+          throw error;
+        });
       })
   );
 });
@@ -73,7 +98,6 @@ self.addEventListener('activate', event => {
           }
         })
       );
-    })
+    }).then(() => self.clients.claim())
   );
-  return self.clients.claim();
 });
\ No newline at end of file
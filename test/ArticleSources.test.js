@@ -0,0 +1,221 @@
+// Feature: portfolio-enhancement, Property 36: Front Matter Round Trip
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { readFileSync } from 'fs';
+import { parseFrontMatter, FrontMatterError } from '../scripts/front-matter.js';
+import { parseArticle, compileArticles, compileArticleSources, deriveExcerpt } from '../scripts/articles.js';
+
+const source = (frontMatter, body = '# Title\n\nBody text.') => `---\n${frontMatter}\n---\n\n${body}\n`;
+
+const errorOf = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected an error');
+};
+
+describe('Front matter parser', () => {
+  it('parses scalars, lists, nested mappings and block strings', () => {
+    const { data, lines, content, contentLine } = parseFrontMatter(source([
+      'title: "Quoted: with colon"',
+      'plain: Hello world # trailing comment',
+      'single: \'It\'\'s\'',
+      'count: 3',
+      'date: 2024-01-05',
+      'draft: false',
+      'empty: null',
+      'tags: [React, "Node.js", \'C#\']',
+      'list:',
+      '  - one',
+      '  - two',
+      'series:',
+      '  id: deep-dive',
+      '  part: 2',
+      'excerpt: >',
+      '  Folded',
+      '  text',
+      'notes: |',
+      '  Line one',
+      '  Line two'
+    ].join('\n')), 'post.md');
+
+    expect(data).toEqual({
+      title: 'Quoted: with colon',
+      plain: 'Hello world',
+      single: 'It\'s',
+      count: 3,
+      date: '2024-01-05',
+      draft: false,
+      empty: null,
+      tags: ['React', 'Node.js', 'C#'],
+      list: ['one', 'two'],
+      series: { id: 'deep-dive', part: 2 },
+      excerpt: 'Folded text\n',
+      notes: 'Line one\nLine two\n'
+    });
+    expect(lines.tags).toBe(9);
+    expect(content).toBe('# Title\n\nBody text.');
+    expect(contentLine).toBe(24);
+  });
+
+  it('parses mappings inside lists', () => {
+    const { data } = parseFrontMatter(source([
+      'metrics:',
+      '  - label: Checkout time',
+      '    value: 40%',
+      '  - label: Users',
+      '    value: 1200',
+      '    detail:',
+      '      source: analytics',
+      '  - plain item',
+      'after: yes'
+    ].join('\n')), 'case-study.md');
+
+    expect(data).toEqual({
+      metrics: [
+        { label: 'Checkout time', value: '40%' },
+        { label: 'Users', value: 1200, detail: { source: 'analytics' } },
+        'plain item'
+      ],
+      after: 'yes'
+    });
+
+    const error = errorOf(() => parseFrontMatter(source('items:\n  - label: One\n      value: 2'), 'bad.md'));
+    expect(error.message).toBe('bad.md:4: Unexpected indentation');
+  });
+
+  it.each([
+    ['title: Post', 'no front matter', 1, 'Expected front matter starting with "---"'],
+    ['---\ntitle: Post\n', 'unclosed', 1, 'Front matter is not closed with "---"'],
+    [source('title: Post\njust some words'), 'bad line', 3, 'Expected "key: value" but found "just some words"'],
+    [source('title: Post\ntitle: Again'), 'duplicate key', 3, 'Duplicate key "title"'],
+    [source('title: "Unclosed'), 'unterminated quote', 2, 'Unterminated quoted string'],
+    [source('tags: [a, b'), 'unterminated list', 2, 'Unterminated list; expected "]"'],
+    [source('title: Post\n  indented: yes'), 'bad indentation', 3, 'Unexpected indentation'],
+    [source('series:\n\tid: x'), 'tab indentation', 3, 'Tabs are not allowed for indentation']
+  ])('reports file and line for %s (%s)', (input, _name, line, reason) => {
+    const error = errorOf(() => parseFrontMatter(input, 'content/articles/post.md'));
+    expect(error).toBeInstanceOf(FrontMatterError);
+    expect(error.line).toBe(line);
+    expect(error.reason).toBe(reason);
+    expect(error.message).toBe(`content/articles/post.md:${line}: ${reason}`);
+  });
+
+  // Property 36: Front Matter Round Trip
+  // Values written as quoted YAML strings and lists parse back unchanged
+  it('should parse serialized front matter back to the same values', () => {
+    const key = fc.stringOf(fc.constantFrom(...'abcdefghijklmnopqrstuvwxyz'), { minLength: 1, maxLength: 10 });
+    const value = fc.oneof(
+      fc.string({ maxLength: 40 }),
+      fc.array(fc.string({ maxLength: 15 }), { maxLength: 5 }),
+      fc.boolean(),
+      fc.integer({ min: -1000, max: 1000 })
+    );
+
+    fc.assert(fc.property(fc.dictionary(key, value, { maxKeys: 8 }), fc.string({ maxLength: 60 }), (data, body) => {
+      const serialize = (item) => (Array.isArray(item) ? `[${item.map(serialize).join(', ')}]` : JSON.stringify(item));
+      const frontMatter = Object.entries(data).map(([name, item]) => `${name}: ${serialize(item)}`).join('\n');
+      const text = `---\n${frontMatter}\n---\n${body}`;
+
+      const parsed = parseFrontMatter(text, 'prop.md');
+      expect(parsed.data).toEqual(data);
+      expect(parsed.content).toBe(body.replace(/\r\n?/g, '\n').replace(/^(\s*\n)+/, '').replace(/\s+$/, ''));
+    }), { numRuns: 200 });
+  });
+});
+
+describe('Article sources', () => {
+  const categories = ['tutorials', 'insights'];
+
+  it('builds an article from front matter and body', () => {
+    const { article, errors } = parseArticle(source([
+      'title: Testing Hooks',
+      'category: tutorials',
+      'tags: [React, Testing]',
+      'publishedDate: 2024-03-01',
+      'featured: true',
+      'series:',
+      '  id: testing',
+      '  part: 1'
+    ].join('\n'), '# Testing Hooks\n\nHooks are functions. They need tests too.'), 'content/articles/testing-hooks.md', { categories });
+
+    expect(errors).toEqual([]);
+    expect(article).toEqual({
+      id: 'testing-hooks',
+      title: 'Testing Hooks',
+      slug: 'testing-hooks',
+      excerpt: 'Hooks are functions. They need tests too.',
+      content: '# Testing Hooks\n\nHooks are functions. They need tests too.',
+      category: 'tutorials',
+      tags: ['React', 'Testing'],
+      publishedDate: '2024-03-01',
+      readingTime: 1,
+      featured: true,
+      series: { id: 'testing', part: 1 }
+    });
+  });
+
+  it('shortens derived excerpts on a word boundary', () => {
+    const excerpt = deriveExcerpt(`## Heading\n\n${'word '.repeat(60)}`);
+    expect(excerpt.length).toBeLessThanOrEqual(161);
+    expect(excerpt.endsWith('word…')).toBe(true);
+  });
+
+  it('reports every invalid field with its line', () => {
+    const { article, errors } = parseArticle(source([
+      'title: Broken',
+      'category: recipes',
+      'tags: React',
+      'publishedDate: 2024-02-30',
+      'featured: yes',
+      'tag: [typo]'
+    ].join('\n'), ''), 'content/articles/Broken Post.md', { categories });
+
+    expect(article).toBeNull();
+    expect(errors.map(error => error.message)).toEqual([
+      'content/articles/Broken Post.md:7: Unknown field "tag" (expected one of id, slug, title, excerpt, category, tags, publishedDate, updatedDate, featured, status, publishAt, series, author)',
+      'content/articles/Broken Post.md:1: id "Broken Post" must be lowercase words separated by hyphens',
+      'content/articles/Broken Post.md:1: slug "Broken Post" must be lowercase words separated by hyphens',
+      'content/articles/Broken Post.md:3: Unknown category "recipes" (expected one of tutorials, insights)',
+      'content/articles/Broken Post.md:4: tags must be a list of strings, e.g. [React, CSS]',
+      'content/articles/Broken Post.md:5: publishedDate "2024-02-30" must be a date in YYYY-MM-DD format',
+      'content/articles/Broken Post.md:6: featured must be true or false',
+      'content/articles/Broken Post.md:8: Article has no content after the front matter'
+    ]);
+  });
+
+  it('requires title, category and publishedDate', () => {
+    const { errors } = parseArticle(source('tags: [a]'), 'content/articles/post.md');
+    expect(errors.map(error => error.reason)).toEqual([
+      'Missing required field "title"',
+      'Missing required field "category"',
+      'Missing required field "publishedDate"'
+    ]);
+  });
+
+  it('compiles articles newest first, keeps other data and rejects duplicate slugs', () => {
+    const article = (title, date, extra = '') => source(`title: ${title}\ncategory: tutorials\npublishedDate: ${date}${extra}`);
+    const { data, errors } = compileArticles([
+      { file: 'content/articles/older.md', source: article('Older', '2024-01-01') },
+      { file: 'content/articles/newer.md', source: article('Newer', '2024-02-01') },
+      { file: 'content/articles/copy.md', source: article('Copy', '2024-03-01', '\nslug: older') },
+      { file: 'content/articles/broken.md', source: '---\ntitle: "x\n---\nBody' }
+    ], { articles: [{ id: 'stale' }], categories: [{ id: 'tutorials', name: 'Tutorials' }], series: [] });
+
+    expect(data.articles.map(item => item.id)).toEqual(['newer', 'older']);
+    expect(data.categories).toEqual([{ id: 'tutorials', name: 'Tutorials' }]);
+    expect(data.series).toEqual([]);
+    expect(errors.map(error => error.message)).toEqual([
+      'content/articles/copy.md:1: Article id or slug "older" is already used by content/articles/older.md',
+      'content/articles/broken.md:2: Unterminated quoted string'
+    ]);
+  });
+
+  it('keeps data/articles.json in sync with content/articles', () => {
+    const { data, errors } = compileArticleSources();
+    expect(errors).toEqual([]);
+    expect(data).toEqual(JSON.parse(readFileSync('data/articles.json', 'utf8')));
+  });
+});
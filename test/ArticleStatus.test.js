@@ -0,0 +1,104 @@
+// Feature: portfolio-enhancement, Property 35: Unpublished Article Exclusion
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { getArticleStatus, getPublishedArticles, validateArticleStatus } from '../js/components/ArticleStatus.js';
+import { buildFeeds } from '../scripts/feeds.js';
+import { addArticlesToSitemap } from '../scripts/sitemap.js';
+
+const now = new Date('2024-06-01T12:00:00Z');
+
+const makeArticle = (id, overrides = {}) => ({
+  id,
+  slug: id,
+  title: `Title ${id}`,
+  excerpt: 'Excerpt',
+  content: 'Body',
+  category: 'tutorials',
+  tags: [],
+  publishedDate: '2024-05-01',
+  ...overrides
+});
+
+const baseSitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <url>
+    <loc>https://rasyaandrean.dev/</loc>
+    <priority>1.0</priority>
+  </url>
+</urlset>`;
+
+describe('ArticleStatus', () => {
+  it('treats articles without a status as published', () => {
+    expect(getArticleStatus(makeArticle('a'), now)).toBe('published');
+  });
+
+  it('keeps drafts and unknown statuses unpublished', () => {
+    expect(getArticleStatus(makeArticle('a', { status: 'draft', publishAt: '2020-01-01' }), now)).toBe('draft');
+    expect(getArticleStatus(makeArticle('a', { status: 'archived' }), now)).toBe('draft');
+  });
+
+  it('publishes scheduled articles once publishAt has passed', () => {
+    const article = makeArticle('a', { status: 'scheduled', publishAt: '2024-06-01T12:00:00Z' });
+    expect(getArticleStatus(article, new Date('2024-06-01T11:59:59Z'))).toBe('scheduled');
+    expect(getArticleStatus(article, now)).toBe('published');
+    expect(getArticleStatus(makeArticle('a', { status: 'scheduled' }), now)).toBe('scheduled');
+  });
+
+  it('holds back published articles with a future or invalid publishAt', () => {
+    expect(getArticleStatus(makeArticle('a', { status: 'published', publishAt: '2024-07-01' }), now)).toBe('scheduled');
+    expect(getArticleStatus(makeArticle('a', { publishAt: 'next week' }), now)).toBe('scheduled');
+  });
+
+  it('reports status problems for the build', () => {
+    expect(validateArticleStatus(makeArticle('a'))).toEqual([]);
+    expect(validateArticleStatus(makeArticle('a', { status: 'scheduled' })))
+      .toEqual(['is scheduled but has no publishAt, so it will never be published']);
+    expect(validateArticleStatus(makeArticle('a', { status: 'live', publishAt: 'soon' }))).toHaveLength(2);
+  });
+
+  it('leaves unpublished articles out of the feeds and sitemap', () => {
+    const articles = [
+      makeArticle('live'),
+      makeArticle('draft', { status: 'draft' }),
+      makeArticle('later', { status: 'scheduled', publishAt: '2024-12-01' }),
+      makeArticle('part-1', { series: { id: 'guide', part: 1 }, updatedDate: '2024-05-20' })
+    ];
+    const published = getPublishedArticles(articles, now);
+    const feeds = buildFeeds(published);
+    const sitemap = addArticlesToSitemap(baseSitemap, published);
+
+    Object.values(feeds).forEach(feed => {
+      expect(feed).toContain('/blog/live');
+      expect(feed).not.toContain('/blog/draft');
+      expect(feed).not.toContain('/blog/later');
+    });
+
+    expect(sitemap).toContain('<loc>https://rasyaandrean.dev/blog/live</loc>');
+    expect(sitemap).toContain('<loc>https://rasyaandrean.dev/blog/series/guide</loc>\n    <lastmod>2024-05-20</lastmod>');
+    expect(sitemap).not.toContain('/blog/draft');
+    expect(sitemap).not.toContain('/blog/later');
+    expect(sitemap.match(/<url>/g)).toHaveLength(4);
+    expect(sitemap.trim().endsWith('</urlset>')).toBe(true);
+
+    // Existing URLs are not duplicated
+    expect(addArticlesToSitemap(sitemap, published)).toBe(sitemap);
+  });
+
+  // Property 35: Unpublished Article Exclusion
+  // An article is published exactly when it is not a draft and any publishAt is not in the future
+  it('should only publish non-draft articles whose publishAt has passed', () => {
+    fc.assert(fc.property(
+      fc.constantFrom(undefined, 'draft', 'scheduled', 'published'),
+      fc.option(fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01'), noInvalidDate: true }), { nil: undefined }),
+      fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01'), noInvalidDate: true }),
+      (status, publishAt, at) => {
+        const article = makeArticle('a', { status, publishAt: publishAt?.toISOString() });
+        const expected = status !== 'draft' &&
+          (publishAt ? publishAt <= at : status !== 'scheduled');
+
+        expect(getArticleStatus(article, at) === 'published').toBe(expected);
+        expect(getPublishedArticles([article], at)).toHaveLength(expected ? 1 : 0);
+      }
+    ), { numRuns: 200 });
+  });
+});
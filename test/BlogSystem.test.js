@@ -1,7 +1,8 @@
 // Feature: portfolio-enhancement, Property 9: Blog Article Display Completeness
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fc from 'fast-check';
 import { BlogSystem } from '../js/components/BlogSystem.js';
+import { Router } from '../js/components/Router.js';
 
 describe('BlogSystem Property Tests', () => {
   let container;
@@ -41,19 +42,21 @@ describe('BlogSystem Property Tests', () => {
         const articleCards = container.querySelectorAll('.article-card');
         expect(articleCards.length).toBe(articles.length);
         
-        // Check first article has all required metadata
+        // Check the first rendered card has all required metadata; cards
+        // follow the newest-first ordering, not the source array order
         if (articles.length > 0) {
-          const firstArticle = articles[0];
+          const firstArticle = blogSystem.getFilteredArticles()[0];
           const firstCard = articleCards[0];
+          expect(firstCard.dataset.articleId).toBe(firstArticle.id);
           
           // Check publication date is displayed
           const dateElement = firstCard.querySelector('.article-date');
           expect(dateElement).toBeTruthy();
           
-          // Check reading time is displayed
+          // Check reading time is displayed (computed from the content)
           const readingTimeElement = firstCard.querySelector('.reading-time');
           expect(readingTimeElement).toBeTruthy();
-          expect(readingTimeElement.textContent).toContain(`${firstArticle.readingTime} min read`);
+          expect(readingTimeElement.textContent).toContain(`${blogSystem.getReadingStats(firstArticle).minutes} min read`);
           
           // Check tags are displayed
           const tagsContainer = firstCard.querySelector('.article-tags');
@@ -177,4 +180,646 @@ describe('BlogSystem Property Tests', () => {
       }
     ), { numRuns: 3 });
   });
-});
\ No newline at end of file
+});
+
+describe('BlogSystem tag facets', () => {
+  let container;
+
+  const taggedArticle = (id, tags, category = 'tutorials') => ({
+    id,
+    slug: id,
+    title: `Article ${id}`,
+    excerpt: 'Excerpt',
+    content: 'Content',
+    category,
+    tags,
+    publishedDate: '2024-01-01',
+    readingTime: 1
+  });
+
+  const articlesData = {
+    articles: [
+      taggedArticle('a', ['React', 'JavaScript']),
+      taggedArticle('b', ['React', 'Performance']),
+      taggedArticle('c', ['CSS'], 'insights')
+    ],
+    categories: [
+      { id: 'tutorials', name: 'Tutorials' },
+      { id: 'insights', name: 'Insights' }
+    ]
+  };
+
+  const displayedIds = () => Array.from(container.querySelectorAll('.article-card'))
+    .map(card => card.dataset.articleId)
+    .sort();
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('shows a tag cloud with article counts', () => {
+    new BlogSystem(container, articlesData);
+
+    const facets = Array.from(container.querySelectorAll('.tag-facet'));
+    expect(facets.map(facet => facet.dataset.tag)).toEqual(['React', 'CSS', 'JavaScript', 'Performance']);
+    expect(facets[0].querySelector('.tag-count').textContent).toBe('2');
+  });
+
+  it('filters by a tag clicked on an article card', () => {
+    new BlogSystem(container, articlesData);
+
+    container.querySelector('.article-card[data-article-id="b"] .tag[data-tag="Performance"]').click();
+
+    expect(displayedIds()).toEqual(['b']);
+    const facet = container.querySelector('.tag-facet[data-tag="Performance"]');
+    expect(facet.getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('.clear-tags-btn').hidden).toBe(false);
+  });
+
+  it('combines tags with AND or OR', () => {
+    const blog = new BlogSystem(container, articlesData);
+
+    blog.filterByTags(['React', 'JavaScript']);
+    expect(displayedIds()).toEqual(['a']);
+
+    container.querySelector('.tag-mode-btn[data-mode="any"]').click();
+    expect(displayedIds()).toEqual(['a', 'b']);
+
+    container.querySelector('.clear-tags-btn').click();
+    expect(displayedIds()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('reflects active facets in the URL and restores them from it', () => {
+    const router = new Router();
+    const blog = new BlogSystem(container, articlesData, { router });
+
+    blog.filterByCategory('tutorials');
+    blog.filterByTags(['React', 'Performance'], 'any');
+    expect(window.location.search).toBe('?category=tutorials&tag=React&tag=Performance&match=any');
+
+    const sharedContainer = document.createElement('div');
+    document.body.appendChild(sharedContainer);
+    const shared = new BlogSystem(sharedContainer, articlesData, { router: new Router() });
+
+    expect(shared.currentFilter).toBe('tutorials');
+    expect(shared.selectedTags).toEqual(['React', 'Performance']);
+    expect(shared.tagMode).toBe('any');
+    expect(Array.from(sharedContainer.querySelectorAll('.article-card')).map(card => card.dataset.articleId).sort())
+      .toEqual(['a', 'b']);
+  });
+
+  // Property 30: Tag Facet Filtering Accuracy
+  // Displayed articles carry all selected tags in AND mode and at least one in OR mode
+  it('should display exactly the articles matching the selected tags', () => {
+    const tagPool = ['react', 'css', 'node', 'testing', 'design'];
+    fc.assert(fc.property(
+      fc.array(fc.subarray(tagPool, { minLength: 1 }), { minLength: 1, maxLength: 6 }),
+      fc.subarray(tagPool, { minLength: 1, maxLength: 3 }),
+      fc.constantFrom('all', 'any'),
+      (tagSets, selected, mode) => {
+        container.innerHTML = '';
+        const articles = tagSets.map((tags, index) => taggedArticle(`article-${index}`, tags));
+        const blog = new BlogSystem(container, { articles, categories: articlesData.categories });
+
+        blog.filterByTags(selected, mode);
+
+        const expected = articles
+          .filter(article => (mode === 'all'
+            ? selected.every(tag => article.tags.includes(tag))
+            : selected.some(tag => article.tags.includes(tag))))
+          .map(article => article.id)
+          .sort();
+        expect(displayedIds()).toEqual(expected);
+      }
+    ), { numRuns: 50 });
+  });
+});
+
+describe('BlogSystem pagination', () => {
+  let container;
+
+  const makeArticles = (count) => Array.from({ length: count }, (_, index) => ({
+    id: `post-${index + 1}`,
+    slug: `post-${index + 1}`,
+    title: `Post ${index + 1}`,
+    excerpt: index % 2 === 0 ? 'Even excerpt' : 'Odd excerpt',
+    content: 'Body',
+    category: index % 2 === 0 ? 'tutorials' : 'insights',
+    tags: ['misc'],
+    // Newest first means post-1 is listed first
+    publishedDate: new Date(Date.UTC(2024, 0, 1) - index * 86400000).toISOString().slice(0, 10),
+    readingTime: 1
+  }));
+
+  const categories = [
+    { id: 'tutorials', name: 'Tutorials' },
+    { id: 'insights', name: 'Insights' }
+  ];
+
+  const displayedIds = () => Array.from(container.querySelectorAll('.article-card'))
+    .map(card => card.dataset.articleId);
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    vi.unstubAllGlobals();
+  });
+
+  it('shows one page at a time with numbered page buttons', () => {
+    new BlogSystem(container, { articles: makeArticles(7), categories }, { pageSize: 3 });
+
+    expect(displayedIds()).toEqual(['post-1', 'post-2', 'post-3']);
+    const pages = Array.from(container.querySelectorAll('.page-btn:not(.page-prev):not(.page-next)'));
+    expect(pages.map(button => button.textContent)).toEqual(['1', '2', '3']);
+    expect(pages[0].getAttribute('aria-current')).toBe('page');
+    expect(container.querySelector('.page-prev').disabled).toBe(true);
+
+    pages[2].click();
+    expect(displayedIds()).toEqual(['post-7']);
+    expect(container.querySelector('.page-next').disabled).toBe(true);
+  });
+
+  it('collapses long page ranges', () => {
+    const blog = new BlogSystem(container, { articles: [], categories });
+    expect(blog.getPageNumbers(1, 12)).toEqual([1, 2, 3, 4, 5, null, 12]);
+    expect(blog.getPageNumbers(6, 12)).toEqual([1, null, 5, 6, 7, null, 12]);
+    expect(blog.getPageNumbers(12, 12)).toEqual([1, null, 8, 9, 10, 11, 12]);
+  });
+
+  it('returns to the first page when filters or search change', () => {
+    const blog = new BlogSystem(container, { articles: makeArticles(7), categories }, { pageSize: 2 });
+
+    blog.goToPage(3);
+    blog.filterByCategory('insights');
+    expect(blog.currentPage).toBe(1);
+    expect(displayedIds()).toEqual(['post-2', 'post-4']);
+
+    blog.goToPage(2);
+    blog.searchArticles('even');
+    expect(blog.currentPage).toBe(1);
+  });
+
+  it('keeps the page in the URL and restores it', () => {
+    const blog = new BlogSystem(container, { articles: makeArticles(7), categories }, {
+      pageSize: 3,
+      router: new Router()
+    });
+
+    blog.goToPage(2);
+    expect(window.location.search).toBe('?page=2');
+
+    const restoredContainer = document.createElement('div');
+    document.body.appendChild(restoredContainer);
+    const restored = new BlogSystem(restoredContainer, { articles: makeArticles(7), categories }, {
+      pageSize: 3,
+      router: new Router()
+    });
+    expect(restored.currentPage).toBe(2);
+    expect(Array.from(restoredContainer.querySelectorAll('.article-card')).map(card => card.dataset.articleId))
+      .toEqual(['post-4', 'post-5', 'post-6']);
+
+    blog.goToPage(1);
+    expect(window.location.search).toBe('');
+  });
+
+  it('appends pages when the infinite scroll sentinel becomes visible', () => {
+    let observerCallback;
+    const observe = vi.fn();
+    vi.stubGlobal('IntersectionObserver', vi.fn((callback) => {
+      observerCallback = callback;
+      return { observe, disconnect: vi.fn() };
+    }));
+
+    new BlogSystem(container, { articles: makeArticles(5), categories }, { pageSize: 2, pagination: 'infinite' });
+    expect(displayedIds()).toEqual(['post-1', 'post-2']);
+    expect(observe).toHaveBeenCalledWith(container.querySelector('.load-more-sentinel'));
+
+    observerCallback([{ isIntersecting: true }]);
+    expect(displayedIds()).toEqual(['post-1', 'post-2', 'post-3', 'post-4']);
+
+    container.querySelector('.load-more-btn').click();
+    expect(displayedIds()).toHaveLength(5);
+    expect(container.querySelector('.load-more-sentinel')).toBeNull();
+  });
+});
+
+describe('BlogSystem table of contents', () => {
+  let container;
+
+  const content = [
+    'Intro paragraph.',
+    '## Getting Started',
+    'Some text.',
+    '### Install',
+    'More text with a footnote.[^1]',
+    '### Configure',
+    '## Getting Started',
+    '## Wrapping Up',
+    '[^1]: The footnote.'
+  ].join('\n\n');
+
+  const articlesData = {
+    articles: [
+      { id: 'guide', slug: 'guide', title: 'Guide', excerpt: 'Guide', content, category: 'tutorials', tags: [], publishedDate: '2024-01-01' },
+      { id: 'short', slug: 'short', title: 'Short', excerpt: 'Short', content: '## Only one\n\nText.', category: 'tutorials', tags: [], publishedDate: '2024-01-02' }
+    ],
+    categories: [{ id: 'tutorials', name: 'Tutorials' }]
+  };
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    vi.unstubAllGlobals();
+  });
+
+  it('gives h2 and h3 headings stable anchors with self links', () => {
+    // An article heading titled "Blog" must not take the section's id
+    const blog = new BlogSystem(container, {
+      ...articlesData,
+      articles: [{ ...articlesData.articles[0], content: `## Blog\n\n${content}` }]
+    });
+    blog.renderArticle('guide');
+    expect(container.querySelector('.article-content h2').id).toBe('blog-1');
+
+    const headings = Array.from(container.querySelectorAll('.article-content h2, .article-content h3'));
+    expect(headings.map(heading => heading.id))
+      .toEqual(['blog-1', 'getting-started', 'install', 'configure', 'getting-started-1', 'wrapping-up']);
+    expect(headings[2].querySelector('.heading-anchor').getAttribute('href')).toBe('#install');
+
+    // Rendering again produces the same anchors
+    blog.renderArticle('guide');
+    expect(document.querySelectorAll('#blog')).toHaveLength(1);
+    expect(container.querySelector('.article-content h2').id).toBe('blog-1');
+  });
+
+  it('builds a nested table of contents', () => {
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('guide');
+
+    const toc = container.querySelector('.article-toc');
+    expect(toc.getAttribute('aria-label')).toBe('Table of contents');
+    expect(Array.from(toc.querySelectorAll(':scope > .toc-list > .toc-item > .toc-link'), link => link.textContent))
+      .toEqual(['Getting Started', 'Getting Started', 'Wrapping Up']);
+    expect(Array.from(toc.querySelectorAll('.toc-sublist .toc-link'), link => link.getAttribute('href')))
+      .toEqual(['#install', '#configure']);
+  });
+
+  it('skips the table of contents for articles with a single section', () => {
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('short');
+
+    expect(container.querySelector('.article-toc')).toBeNull();
+    expect(container.querySelector('.article-content h2').id).toBe('only-one');
+  });
+
+  it('highlights the heading reported by the scroll-spy observer', () => {
+    let observerCallback;
+    const observe = vi.fn();
+    const disconnect = vi.fn();
+    vi.stubGlobal('IntersectionObserver', vi.fn((callback) => {
+      observerCallback = callback;
+      return { observe, disconnect };
+    }));
+
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('guide');
+    expect(observe).toHaveBeenCalledTimes(5);
+
+    observerCallback([{ isIntersecting: true, target: container.querySelector('#configure') }]);
+    const active = container.querySelectorAll('.toc-link.active');
+    expect(active).toHaveLength(1);
+    expect(active[0].getAttribute('href')).toBe('#configure');
+    expect(active[0].getAttribute('aria-current')).toBe('location');
+
+    blog.showArticleList();
+    expect(disconnect).toHaveBeenCalled();
+  });
+
+  it('scrolls to sections without adding history entries', () => {
+    const router = new Router();
+    const blog = new BlogSystem(container, articlesData, { router });
+    router.start();
+    blog.openArticle('guide');
+
+    const heading = container.querySelector('#wrapping-up');
+    heading.scrollIntoView = vi.fn();
+    const historyLength = window.history.length;
+
+    container.querySelector('.toc-link[href="#wrapping-up"]').click();
+    expect(heading.scrollIntoView).toHaveBeenCalled();
+    expect(window.location.pathname).toBe('/blog/guide');
+    expect(window.location.hash).toBe('#wrapping-up');
+    expect(window.history.length).toBe(historyLength);
+    expect(container.querySelector('.toc-link.active').getAttribute('href')).toBe('#wrapping-up');
+
+    // Footnote references use the same in-page scrolling
+    const footnote = container.querySelector('#fn-1');
+    footnote.scrollIntoView = vi.fn();
+    container.querySelector('[data-footnote-ref]').click();
+    expect(footnote.scrollIntoView).toHaveBeenCalled();
+
+    router.destroy();
+  });
+
+  it('opens shared section links at the heading', () => {
+    window.history.replaceState(null, '', '/blog/guide#configure');
+    const scrollIntoView = vi.fn();
+    const original = Element.prototype.scrollIntoView;
+    Element.prototype.scrollIntoView = function (...args) {
+      scrollIntoView(this, ...args);
+    };
+
+    const router = new Router();
+    new BlogSystem(container, articlesData, { router });
+    router.start();
+
+    expect(scrollIntoView).toHaveBeenCalledWith(container.querySelector('#configure'), { block: 'start' });
+
+    Element.prototype.scrollIntoView = original;
+    router.destroy();
+  });
+
+  it('tracks reading progress through the article', () => {
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('guide');
+
+    const article = container.querySelector('.full-article');
+    const progressBar = container.querySelector('.reading-progress');
+    const scrollTo = (top) => {
+      article.getBoundingClientRect = () => ({ top, bottom: top + 3000, height: 3000 });
+      window.dispatchEvent(new Event('scroll'));
+    };
+
+    vi.stubGlobal('innerHeight', 1000);
+    scrollTo(200);
+    expect(progressBar.getAttribute('aria-valuenow')).toBe('0');
+    scrollTo(-1000);
+    expect(progressBar.getAttribute('aria-valuenow')).toBe('50');
+    expect(progressBar.querySelector('.reading-progress-bar').style.transform).toBe('scaleX(0.5)');
+    scrollTo(-2500);
+    expect(progressBar.getAttribute('aria-valuenow')).toBe('100');
+
+    // Leaving the article stops listening
+    blog.showArticleList();
+    expect(blog.getReadingProgress()).toBe(0);
+  });
+
+  // Property 33: Heading Anchor Uniqueness
+  // Every h2/h3 gets an id that is unique on the page and the same on every render
+  it('should give every section heading a unique, stable anchor', () => {
+    fc.assert(fc.property(
+      fc.array(fc.record({
+        level: fc.constantFrom(2, 3),
+        text: fc.oneof(
+          fc.constantFrom('Blog', 'Setup', 'Setup', 'FAQ?', '!!!', 'Über uns'),
+          fc.stringOf(fc.constantFrom(...'abc XYZ-_1'), { minLength: 1, maxLength: 12 })
+        )
+      }), { minLength: 1, maxLength: 12 }),
+      (headings) => {
+        const markdown = headings.map(({ level, text }) => `${'#'.repeat(level)} ${text}`).join('\n\n');
+        const blog = new BlogSystem(container, {
+          articles: [{ id: 'prop', slug: 'prop', title: 'Prop', excerpt: '', content: markdown, category: 'tutorials', tags: [], publishedDate: '2024-01-01' }],
+          categories: []
+        });
+
+        blog.renderArticle('prop');
+        const ids = Array.from(container.querySelectorAll('.article-content h2, .article-content h3'), heading => heading.id);
+        expect(ids.every(id => id.length > 0)).toBe(true);
+        expect(new Set(ids).size).toBe(ids.length);
+        ids.forEach(id => expect(document.querySelectorAll(`[id="${id}"]`)).toHaveLength(1));
+
+        blog.renderArticle('prop');
+        expect(Array.from(container.querySelectorAll('.article-content h2, .article-content h3'), heading => heading.id)).toEqual(ids);
+
+        blog.showArticleList();
+        container.innerHTML = '';
+      }
+    ), { numRuns: 50 });
+  });
+});
+
+describe('BlogSystem series and related articles', () => {
+  let container;
+  let router;
+
+  const article = (id, overrides = {}) => ({
+    id,
+    slug: id,
+    title: `Title ${id}`,
+    excerpt: `Excerpt ${id}`,
+    content: 'Body text.',
+    category: 'tutorials',
+    tags: [],
+    publishedDate: '2024-01-01',
+    ...overrides
+  });
+
+  const articlesData = {
+    articles: [
+      article('testing-3', { series: { id: 'testing', part: 3 }, tags: ['Testing'] }),
+      article('testing-1', { series: { id: 'testing', part: 1 }, tags: ['Testing'] }),
+      article('testing-2', { series: { id: 'testing', part: 2 }, tags: ['Testing'] }),
+      article('mocking', { tags: ['Testing', 'Mocks'] }),
+      article('css', { tags: ['CSS'], category: 'insights', content: 'Unrelated words entirely.' })
+    ],
+    series: [{ id: 'testing', title: 'Testing in Depth', description: 'A three-part series.' }],
+    categories: [{ id: 'tutorials', name: 'Tutorials' }, { id: 'insights', name: 'Insights' }]
+  };
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+    router = new Router();
+  });
+
+  afterEach(() => {
+    router.destroy();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('orders series parts and links previous and next', () => {
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('testing-2');
+
+    expect(container.querySelector('.full-article .series-label').textContent.replace(/\s+/g, ' ').trim())
+      .toBe('Part 2 of 3 in Testing in Depth');
+    expect(container.querySelector('.series-previous').getAttribute('href')).toBe('/blog/testing-1');
+    expect(container.querySelector('.series-next').getAttribute('href')).toBe('/blog/testing-3');
+
+    blog.renderArticle('testing-1');
+    expect(container.querySelector('.series-previous')).toBeNull();
+    expect(container.querySelector('.series-next').dataset.articleId).toBe('testing-2');
+  });
+
+  it('shows related articles without repeating the series', () => {
+    const blog = new BlogSystem(container, articlesData);
+    blog.renderArticle('testing-1');
+
+    const related = Array.from(container.querySelectorAll('.related-link'), link => link.dataset.articleId);
+    expect(related[0]).toBe('mocking');
+    expect(related).not.toContain('testing-2');
+    expect(container.querySelector('.related-tags').textContent).toBe('Also tagged Testing');
+
+    blog.renderArticle('css');
+    expect(container.querySelector('.full-article .series-label')).toBeNull();
+    expect(container.querySelector('.series-nav')).toBeNull();
+  });
+
+  it('labels series parts in the article list', () => {
+    new BlogSystem(container, articlesData);
+    const card = container.querySelector('.article-card[data-article-id="testing-2"]');
+    expect(card.querySelector('.series-link').getAttribute('href')).toBe('/blog/series/testing');
+    expect(container.querySelector('.article-card[data-article-id="css"] .series-label')).toBeNull();
+  });
+
+  it('navigates between parts, the series overview and back to the list', () => {
+    new BlogSystem(container, articlesData, { router });
+    router.start();
+
+    container.querySelector('.article-card[data-article-id="testing-1"] .article-link').click();
+    expect(window.location.pathname).toBe('/blog/testing-1');
+
+    container.querySelector('.series-next').click();
+    expect(window.location.pathname).toBe('/blog/testing-2');
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Title testing-2');
+
+    container.querySelector('.series-overview-link').click();
+    expect(window.location.pathname).toBe('/blog/series/testing');
+    expect(document.title).toBe('Testing in Depth | Blog');
+    expect(container.querySelectorAll('.article-view')).toHaveLength(1);
+    expect(Array.from(container.querySelectorAll('.series-part'), part => part.dataset.articleId))
+      .toEqual(['testing-1', 'testing-2', 'testing-3']);
+    expect(container.querySelector('.series-description').textContent).toBe('A three-part series.');
+
+    container.querySelector('.series-part[data-article-id="testing-3"] .article-nav-link').click();
+    expect(window.location.pathname).toBe('/blog/testing-3');
+
+    // Leaving the blog URLs brings the list back
+    router.navigate('/');
+    expect(container.querySelector('.article-view')).toBeNull();
+    expect(container.querySelector('.articles-grid').hidden).toBe(false);
+  });
+
+  it('opens series pages from shared links', () => {
+    window.history.replaceState(null, '', '/blog/series/testing');
+    new BlogSystem(container, articlesData, { router });
+    router.start();
+    expect(container.querySelector('.series-view .article-title').textContent).toBe('Testing in Depth');
+
+    router.navigate('/blog/series/missing');
+    expect(window.location.pathname).toBe('/');
+    expect(container.querySelector('.article-view')).toBeNull();
+  });
+});
+
+describe('BlogSystem publication status', () => {
+  let container;
+
+  const article = (id, overrides = {}) => ({
+    id,
+    slug: id,
+    title: `Title ${id}`,
+    excerpt: `Excerpt ${id}`,
+    content: 'Body text.',
+    category: 'tutorials',
+    tags: ['Shared'],
+    publishedDate: '2024-01-01',
+    ...overrides
+  });
+
+  const articlesData = {
+    articles: [
+      article('live'),
+      article('draft', { status: 'draft', tags: ['Shared', 'Secret'] }),
+      article('scheduled', { status: 'scheduled', publishAt: '2999-01-01T09:00:00Z' }),
+      article('due', { status: 'scheduled', publishAt: '2000-01-01T09:00:00Z' })
+    ],
+    categories: [{ id: 'tutorials', name: 'Tutorials' }]
+  };
+
+  const displayedIds = () => Array.from(container.querySelectorAll('.article-card'), card => card.dataset.articleId);
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('hides drafts and future-dated articles', () => {
+    const blog = new BlogSystem(container, articlesData, { previewToken: 'let-me-see' });
+
+    expect(blog.getFilteredArticles().map(item => item.id).sort()).toEqual(['due', 'live']);
+    expect(displayedIds().sort()).toEqual(['due', 'live']);
+    expect(container.querySelector('.tag-facet[data-tag="Secret"]')).toBeNull();
+    expect(container.querySelector('.blog-preview-banner')).toBeNull();
+
+    blog.renderArticle('live');
+    expect(Array.from(container.querySelectorAll('.related-link'), link => link.dataset.articleId)).toEqual(['due']);
+  });
+
+  it('does not open unpublished articles from their URL', () => {
+    window.history.replaceState(null, '', '/blog/draft');
+    const router = new Router();
+    new BlogSystem(container, articlesData, { router });
+    router.start();
+
+    expect(window.location.pathname).toBe('/');
+    expect(container.querySelector('.article-view')).toBeNull();
+    router.destroy();
+  });
+
+  it('shows every article with its status in preview mode', () => {
+    window.history.replaceState(null, '', '/blog/draft?preview=let-me-see');
+    const router = new Router();
+    const blog = new BlogSystem(container, articlesData, { router, previewToken: 'let-me-see' });
+    router.start();
+
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Title draft');
+    expect(container.querySelector('.full-article .article-status').textContent).toBe('Draft');
+    expect(container.querySelector('.blog-preview-banner').getAttribute('role')).toBe('status');
+
+    blog.showArticleList();
+    expect(displayedIds()).toHaveLength(4);
+    expect(container.querySelector('.article-card[data-article-id="scheduled"] .article-status').textContent)
+      .toContain('Scheduled for');
+    expect(container.querySelector('.article-card[data-article-id="due"] .article-status')).toBeNull();
+    router.destroy();
+  });
+
+  it('ignores preview links with the wrong token or no configured token', () => {
+    window.history.replaceState(null, '', '/?preview=guess');
+    new BlogSystem(container, articlesData, { previewToken: 'let-me-see' });
+    expect(displayedIds()).toHaveLength(2);
+
+    container.innerHTML = '';
+    window.history.replaceState(null, '', '/?preview=');
+    new BlogSystem(container, articlesData);
+    expect(displayedIds()).toHaveLength(2);
+  });
+});
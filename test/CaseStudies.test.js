@@ -0,0 +1,371 @@
+// Feature: portfolio-enhancement, Property 44: Case Study Round-Trip
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Router } from '../js/components/Router.js';
+import { Dialog } from '../js/components/Dialog.js';
+import { renderCaseStudy, getCaseStudyPath } from '../js/components/CaseStudy.js';
+import { HtmlSanitizer } from '../js/components/HtmlSanitizer.js';
+import { parseCaseStudy, compileCaseStudies } from '../scripts/case-studies.js';
+import { renderCaseStudyPage, writeCaseStudyPages } from '../scripts/project-pages.js';
+
+const project = (id, extra = {}) => ({
+  id,
+  title: `Project ${id}`,
+  description: `About ${id}`,
+  category: 'web-development',
+  technologies: ['React', 'Node.js'],
+  thumbnail: '/images/projects/placeholder.svg',
+  images: [],
+  completedDate: '2024-01-01',
+  ...extra
+});
+
+const caseStudy = (projectId, extra = {}) => ({
+  projectId,
+  summary: `Why ${projectId} was built`,
+  role: 'Lead developer',
+  problem: 'Checkout was **slow**.',
+  architecture: 'An API in front of a database.',
+  outcomes: ['Faster checkout'],
+  metrics: [{ label: 'Conversion', value: '+12%', detail: 'Quarter over quarter' }],
+  content: '## Lessons\n\nShip small changes.',
+  ...extra
+});
+
+const projectsData = {
+  projects: [project('shop'), project('api'), project('blog')],
+  categories: [{ id: 'web-development', name: 'Web Development' }]
+};
+
+const caseStudies = [caseStudy('shop'), caseStudy('api')];
+
+const nextPopState = () => new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+
+describe('Case study sources', () => {
+  const source = front => `---\n${front}\n---\n\nThe story.\n`;
+
+  it('should read every field from front matter', () => {
+    const { caseStudy: parsed, errors } = parseCaseStudy(source([
+      'summary: "A shop"',
+      'role: Developer',
+      'problem: >',
+      '  Too many',
+      '  oversold orders',
+      'outcomes:',
+      '  - No more overselling',
+      'metrics:',
+      '  - label: Oversold orders',
+      '    value: 0',
+      '    detail: Since launch'
+    ].join('\n')), 'data/case-studies/shop.md', { projectIds: ['shop'] });
+
+    expect(errors).toEqual([]);
+    expect(parsed).toEqual({
+      projectId: 'shop',
+      summary: 'A shop',
+      role: 'Developer',
+      problem: 'Too many oversold orders',
+      outcomes: ['No more overselling'],
+      metrics: [{ label: 'Oversold orders', value: '0', detail: 'Since launch' }],
+      content: 'The story.'
+    });
+  });
+
+  it('should report unknown projects and fields with their line', () => {
+    const { caseStudy: parsed, errors } = parseCaseStudy(
+      source('project: missing\nrole: Developer\nclient: Acme\nmetrics:\n  - label: Speed'),
+      'data/case-studies/missing.md',
+      { projectIds: ['shop'] }
+    );
+
+    expect(parsed).toBeNull();
+    expect(errors.map(error => error.message)).toEqual([
+      'data/case-studies/missing.md:4: Unknown field "client" (expected one of project, summary, role, timeline, team, problem, architecture, outcomes, metrics)',
+      'data/case-studies/missing.md:2: Unknown project "missing" (not in data/projects.json)',
+      'data/case-studies/missing.md:5: metrics must be a list of "label" and "value" pairs with an optional "detail"'
+    ]);
+  });
+
+  it('should keep project order and reject a second case study for a project', () => {
+    const { data, errors } = compileCaseStudies([
+      { file: 'data/case-studies/api.md', source: source('role: Developer') },
+      { file: 'data/case-studies/shop.md', source: source('role: Developer') },
+      { file: 'data/case-studies/shop-again.md', source: source('project: shop') }
+    ], projectsData.projects);
+
+    expect(data.caseStudies.map(entry => entry.projectId)).toEqual(['shop', 'api']);
+    expect(errors.map(error => error.message)).toEqual([
+      'data/case-studies/shop-again.md:1: Project "shop" already has a case study in data/case-studies/shop.md'
+    ]);
+  });
+
+  it('should compile the case studies in the repository', () => {
+    const compiled = JSON.parse(readFileSync(join(process.cwd(), 'data', 'case-studies.json'), 'utf8'));
+    const projects = JSON.parse(readFileSync(join(process.cwd(), 'data', 'projects.json'), 'utf8')).projects;
+    const projectIds = projects.map(p => p.id);
+
+    compiled.caseStudies.forEach(entry => expect(projectIds).toContain(entry.projectId));
+  });
+});
+
+describe('Case study view', () => {
+  const sanitizer = new HtmlSanitizer();
+  const render = (entry, options = {}) => {
+    const container = document.createElement('div');
+    container.innerHTML = renderCaseStudy(project(entry.projectId), entry, {
+      renderMarkdown: markdown => sanitizer.sanitize(`<p>${markdown}</p>`),
+      ...options
+    });
+    return container.firstElementChild;
+  };
+
+  it('should render facts, metrics, sections and outcomes', () => {
+    const view = render(caseStudy('shop', { timeline: '2024' }), { categoryName: 'Web Development' });
+
+    expect(view.querySelector('.case-study-eyebrow').textContent).toBe('Case study · Web Development');
+    expect(view.querySelector('.case-study-title').textContent).toBe('Project shop');
+    expect([...view.querySelectorAll('.case-study-facts dt')].map(dt => dt.textContent))
+      .toEqual(['Role', 'Timeline', 'Technologies']);
+    expect(view.querySelector('.case-study-facts div:last-child dd').textContent).toBe('React, Node.js');
+    expect(view.querySelector('.metric-value').textContent).toBe('+12%');
+    expect(view.querySelector('.metric-detail').textContent).toBe('Quarter over quarter');
+    expect([...view.querySelectorAll('.case-study-section h3')].map(h3 => h3.textContent))
+      .toEqual(['The problem', 'Architecture', 'Outcomes']);
+  });
+
+  it('should leave out empty parts and escape plain fields', () => {
+    const view = render({
+      projectId: 'shop',
+      role: '<img src=x onerror=alert(1)>',
+      outcomes: [],
+      metrics: [],
+      content: 'Body'
+    });
+
+    expect(view.querySelector('.case-study-metrics')).toBeNull();
+    expect(view.querySelector('.case-study-section')).toBeNull();
+    expect(view.querySelector('.case-study-summary').textContent).toBe('About shop');
+    expect(view.querySelector('.case-study-facts img')).toBeNull();
+    expect(view.querySelector('.case-study-facts dd').textContent).toBe('<img src=x onerror=alert(1)>');
+  });
+
+  it('should encode project ids in the path', () => {
+    expect(getCaseStudyPath('café & bar')).toBe('/projects/caf%C3%A9%20%26%20bar/case-study');
+    expect(getCaseStudyPath('shop', '/work')).toBe('/work/shop/case-study');
+  });
+});
+
+describe('Case study routes', () => {
+  let container;
+  let router;
+  let gallery;
+
+  const createGallery = (options = {}) => {
+    gallery = new ProjectGallery(container, structuredClone(projectsData), {
+      router, caseStudies, featured: { autoplay: false }, ...options
+    });
+    router.start();
+    return gallery;
+  };
+
+  const freshContainer = () => {
+    container?.remove();
+    container = document.createElement('section');
+    container.id = 'projects';
+    container.innerHTML = '<div class="container"><h2 id="projects-heading">Projects</h2></div>';
+    document.body.appendChild(container);
+  };
+
+  const cardLink = id => container.querySelector(`.project-card[data-project-id="${id}"] .case-study-link`);
+  const view = () => container.querySelector('.case-study-view');
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.title = 'Portfolio';
+    freshContainer();
+    router = new Router();
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+    if (gallery?.handleHashChange) window.removeEventListener('hashchange', gallery.handleHashChange);
+    router.destroy();
+    window.history.replaceState(null, '', '/');
+  });
+
+  // Property 44: Case Study Round-Trip
+  // For any project with a case study and any filtered list URL, opening
+  // the case study gives it its own URL and title and hides the gallery;
+  // going back restores the exact URL, title and gallery
+  it('should open a case study on its own URL and restore the gallery on back', async () => {
+    await fc.assert(fc.asyncProperty(
+      fc.constantFrom('shop', 'api'),
+      fc.constantFrom('', '?project-sort=title', '?tech=React'),
+      fc.boolean(),
+      async (id, search, useBackLink) => {
+        freshContainer();
+        if (gallery?.handleHashChange) window.removeEventListener('hashchange', gallery.handleHashChange);
+        router.destroy();
+        router = new Router();
+        window.history.replaceState(null, '', `/${search}`);
+        createGallery();
+        const before = `${window.location.pathname}${window.location.search}`;
+        const gridCount = container.querySelectorAll('.project-card').length;
+
+        cardLink(id).click();
+
+        expect(window.location.pathname).toBe(`/projects/${id}/case-study`);
+        expect(window.location.search).toBe(search);
+        expect(view().querySelector('.case-study-title').textContent).toBe(`Project ${id}`);
+        expect(document.activeElement).toBe(view().querySelector('.case-study-title'));
+        expect(document.title).toBe(`Project ${id} case study | Projects`);
+        expect(container.querySelector('.projects-grid').hidden).toBe(true);
+
+        const popped = nextPopState();
+        if (useBackLink) {
+          view().querySelector('.back-to-projects-btn').click();
+        } else {
+          window.history.back();
+        }
+        await popped;
+
+        expect(`${window.location.pathname}${window.location.search}`).toBe(before);
+        expect(view()).toBeNull();
+        expect(document.title).toBe('Portfolio');
+        expect(container.querySelector('.projects-grid').hidden).toBe(false);
+        expect(container.querySelectorAll('.project-card')).toHaveLength(gridCount);
+      }
+    ), { numRuns: 20 });
+  });
+
+  it('should only link projects that have a case study', () => {
+    createGallery();
+    expect(cardLink('shop').getAttribute('href')).toBe('/projects/shop/case-study');
+    expect(cardLink('blog')).toBeNull();
+  });
+
+  it('should replace the project dialog with the case study', async () => {
+    createGallery();
+    container.querySelector('.project-card[data-project-id="shop"] .view-project-btn').click();
+    expect(window.location.pathname).toBe('/projects/shop');
+
+    gallery.modal.querySelector('.case-study-link').click();
+
+    expect(gallery.modal).toBeNull();
+    expect(document.querySelector('.project-modal')).toBeNull();
+    expect(window.location.pathname).toBe('/projects/shop/case-study');
+    expect(document.title).toBe('Project shop case study | Projects');
+
+    // The dialog's entry was replaced, so back goes straight to the gallery
+    const popped = nextPopState();
+    view().querySelector('.back-to-projects-btn').click();
+    await popped;
+    expect(window.location.pathname).toBe('/');
+    expect(gallery.modal).toBeNull();
+    expect(document.title).toBe('Portfolio');
+  });
+
+  it('should show the case study when landing on its URL and replace the prerendered copy', () => {
+    container.querySelector('.container').insertAdjacentHTML('beforeend',
+      '<div data-prerendered><article class="case-study-view"><h2>Prerendered</h2></article></div>');
+    window.history.replaceState(null, '', '/projects/api/case-study?project-sort=title');
+    createGallery();
+
+    expect(container.querySelectorAll('.case-study-view')).toHaveLength(1);
+    expect(view().querySelector('.case-study-title').textContent).toBe('Project api');
+    expect(container.querySelector('.container').hidden).toBe(true);
+
+    // Nothing to go back to, so the back link moves to the gallery
+    view().querySelector('.back-to-projects-btn').click();
+    expect(window.location.pathname).toBe('/');
+    expect(window.location.search).toBe('?project-sort=title');
+    expect(window.location.hash).toBe('#projects');
+    expect(view()).toBeNull();
+  });
+
+  it('should drop links to projects without a case study', () => {
+    window.history.replaceState(null, '', '/projects/blog/case-study');
+    createGallery();
+
+    expect(window.location.pathname).toBe('/');
+    expect(view()).toBeNull();
+  });
+
+  it('should open case studies without a router', () => {
+    gallery = new ProjectGallery(container, structuredClone(projectsData), { caseStudies, featured: { autoplay: false } });
+
+    cardLink('shop').click();
+    expect(view().querySelector('.case-study-title').textContent).toBe('Project shop');
+    expect(window.location.pathname).toBe('/');
+
+    view().querySelector('.back-to-projects-btn').click();
+    expect(view()).toBeNull();
+  });
+});
+
+describe('Case study pages', () => {
+  const site = {
+    url: 'https://example.com/',
+    author: { name: 'Example Author' },
+    projectsPath: '/projects'
+  };
+
+  const indexHtml = readFileSync(join(process.cwd(), 'index.html'), 'utf8');
+  const parse = page => new DOMParser().parseFromString(page, 'text/html');
+  const meta = (doc, attribute, name) => doc.head.querySelector(`meta[${attribute}="${name}"]`)?.getAttribute('content');
+
+  it('should prerender the case study with its own meta', () => {
+    const doc = parse(renderCaseStudyPage(indexHtml, project('shop'), caseStudy('shop', {
+      content: '## Lessons\n\n<script>alert(1)</script> Ship **small** changes.'
+    }), site, projectsData.categories));
+
+    expect(doc.title).toBe('Project shop case study | Example Author');
+    expect(doc.head.querySelector('link[rel="canonical"]').getAttribute('href'))
+      .toBe('https://example.com/projects/shop/case-study');
+    expect(meta(doc, 'property', 'og:description')).toBe('Why shop was built');
+
+    const prerendered = doc.querySelector('#projects [data-prerendered] .case-study-view');
+    expect(prerendered.querySelector('.case-study-eyebrow').textContent).toBe('Case study · Web Development');
+    expect(prerendered.querySelector('.case-study-section strong').textContent).toBe('slow');
+    expect(prerendered.querySelector('.case-study-body h2').textContent).toBe('Lessons');
+    expect(prerendered.querySelector('script')).toBeNull();
+    expect(prerendered.querySelector('.case-study-body').textContent).toContain('<script>alert(1)</script>');
+  });
+
+  it('should neutralise javascript: and data: URLs in prerendered Markdown', () => {
+    const doc = parse(renderCaseStudyPage(indexHtml, project('shop'), caseStudy('shop', {
+      problem: '[x](javascript:alert(document.cookie)) and <javascript:alert(1)>',
+      content: '[y](&#106;avascript:alert(1))\n\n[z](data:text/html,<script>alert(1)</script>)\n\n' +
+        '![i](data:image/svg+xml,<svg onload=alert(1)>)'
+    }), site, projectsData.categories));
+
+    const prerendered = doc.querySelector('#projects [data-prerendered]');
+    const urls = Array.from(prerendered.querySelectorAll('a[href], img[src]'),
+      element => element.getAttribute('href') ?? element.getAttribute('src'));
+    expect(urls.length).toBeGreaterThan(0);
+    urls.forEach(url => expect(url).not.toMatch(/^\s*(?:javascript|data):/i));
+    expect(prerendered.querySelectorAll('.case-study-section a[href="#"]')).toHaveLength(2);
+  });
+
+  it('should write pages only for known projects with path-safe ids', () => {
+    const dist = mkdtempSync(join(tmpdir(), 'case-study-pages-'));
+    try {
+      const written = writeCaseStudyPages(dist, indexHtml, {
+        projects: [project('shop'), project('../escape')],
+        categories: []
+      }, [caseStudy('shop'), caseStudy('../escape'), caseStudy('missing')], site);
+
+      expect(written).toBe(1);
+      const page = readFileSync(join(dist, 'projects', 'shop', 'case-study', 'index.html'), 'utf8');
+      expect(page).toContain('<meta property="og:url" content="https://example.com/projects/shop/case-study">');
+      expect(existsSync(join(dist, 'escape'))).toBe(false);
+      expect(existsSync(join(dist, 'projects', 'missing'))).toBe(false);
+    } finally {
+      rmSync(dist, { recursive: true, force: true });
+    }
+  });
+});
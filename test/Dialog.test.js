@@ -0,0 +1,282 @@
+// Feature: portfolio-enhancement, Property 41: Scroll Lock Balance
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { Dialog } from '../js/components/Dialog.js';
+import { lockScroll, isScrollLocked } from '../js/components/ScrollLock.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { SkillsTimeline } from '../js/components/SkillsTimeline.js';
+import { NavigationManager } from '../js/components/NavigationManager.js';
+
+const createModal = (title = 'Dialog title') => {
+  const modal = document.createElement('div');
+  modal.className = 'test-modal';
+  modal.innerHTML = `
+    <div class="modal-overlay">
+      <div class="modal-content">
+        <button class="modal-close">&times;</button>
+        <h2>${title}</h2>
+        <a href="#one" class="first-link">One</a>
+        <button type="button" class="last-button">Two</button>
+      </div>
+    </div>
+  `;
+  return modal;
+};
+
+const pressKey = (key, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  (document.activeElement || document.body).dispatchEvent(event);
+  return event;
+};
+
+describe('ScrollLock', () => {
+  afterEach(() => {
+    document.body.style.overflow = '';
+  });
+
+  // Property 41: Scroll Lock Balance
+  // However locks are taken and released (including double releases), the
+  // page is locked exactly while some lock is held, and the original
+  // overflow comes back afterwards
+  it('should keep the page locked exactly while a lock is held', () => {
+    fc.assert(fc.property(
+      fc.constantFrom('', 'auto', 'scroll'),
+      fc.array(fc.oneof(
+        fc.constant({ type: 'lock' }),
+        fc.nat(10).map(index => ({ type: 'release', index }))
+      ), { maxLength: 30 }),
+      (initialOverflow, actions) => {
+        document.body.style.overflow = initialOverflow;
+        const releases = [];
+        const held = new Set();
+
+        actions.forEach(action => {
+          if (action.type === 'lock') {
+            releases.push(lockScroll());
+            held.add(releases.length - 1);
+          } else if (releases.length > 0) {
+            const index = action.index % releases.length;
+            releases[index]();
+            held.delete(index);
+          }
+          expect(isScrollLocked()).toBe(held.size > 0);
+          expect(document.body.style.overflow).toBe(held.size > 0 ? 'hidden' : initialOverflow);
+        });
+
+        releases.forEach(release => release());
+        expect(isScrollLocked()).toBe(false);
+        expect(document.body.style.overflow).toBe(initialOverflow);
+      }
+    ), { numRuns: 100 });
+  });
+});
+
+describe('Dialog', () => {
+  let trigger;
+  let page;
+
+  beforeEach(() => {
+    page = document.createElement('main');
+    page.innerHTML = '<button type="button" class="open-btn">Open</button>';
+    document.body.appendChild(page);
+    trigger = page.querySelector('.open-btn');
+    trigger.focus();
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+  });
+
+  it('should expose the content as a labelled modal dialog', () => {
+    const modal = createModal('Project details');
+    new Dialog(modal).open();
+
+    const dialog = modal.querySelector('.modal-content');
+    expect(dialog.getAttribute('role')).toBe('dialog');
+    expect(dialog.getAttribute('aria-modal')).toBe('true');
+    const title = document.getElementById(dialog.getAttribute('aria-labelledby'));
+    expect(title.textContent).toBe('Project details');
+    expect(modal.querySelector('.modal-close').getAttribute('aria-label')).toBe('Close dialog');
+    expect(document.activeElement).toBe(dialog);
+  });
+
+  it('should keep Tab and Shift+Tab inside the dialog', () => {
+    const modal = createModal();
+    new Dialog(modal).open();
+    const close = modal.querySelector('.modal-close');
+    const last = modal.querySelector('.last-button');
+
+    last.focus();
+    expect(pressKey('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(close);
+
+    expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(last);
+
+    // Tabbing from the middle is left to the browser
+    modal.querySelector('.first-link').focus();
+    expect(pressKey('Tab').defaultPrevented).toBe(false);
+  });
+
+  it('should make the rest of the page inert while open', () => {
+    const modal = createModal();
+    const dialog = new Dialog(modal).open();
+
+    expect(page.hasAttribute('inert')).toBe(true);
+    expect(page.getAttribute('aria-hidden')).toBe('true');
+    expect(modal.hasAttribute('inert')).toBe(false);
+
+    dialog.close();
+    expect(page.hasAttribute('inert')).toBe(false);
+    expect(page.hasAttribute('aria-hidden')).toBe(false);
+  });
+
+  it('should close on Escape and return focus to the trigger', () => {
+    const modal = createModal();
+    let closed = 0;
+    new Dialog(modal, { onClose: () => closed++ }).open();
+    expect(document.body.style.overflow).toBe('hidden');
+
+    pressKey('Escape');
+    expect(modal.isConnected).toBe(false);
+    expect(closed).toBe(1);
+    expect(document.activeElement).toBe(trigger);
+    expect(document.body.style.overflow).toBe('');
+  });
+
+  it('should close on overlay clicks but not on clicks inside the content', () => {
+    const modal = createModal();
+    const dialog = new Dialog(modal).open();
+
+    modal.querySelector('h2').click();
+    expect(dialog.isOpen).toBe(true);
+
+    modal.querySelector('.modal-overlay').click();
+    expect(dialog.isOpen).toBe(false);
+  });
+
+  it('should close only the top dialog of a stack', () => {
+    const first = new Dialog(createModal('First')).open();
+    const secondModal = createModal('Second');
+    const second = new Dialog(secondModal).open(secondModal.querySelector('.last-button'));
+    expect(first.element.hasAttribute('inert')).toBe(true);
+
+    pressKey('Escape');
+    expect(second.isOpen).toBe(false);
+    expect(first.isOpen).toBe(true);
+    expect(first.element.hasAttribute('inert')).toBe(false);
+    expect(document.body.style.overflow).toBe('hidden');
+
+    pressKey('Escape');
+    expect(first.isOpen).toBe(false);
+    expect(document.body.style.overflow).toBe('');
+    expect(document.activeElement).toBe(trigger);
+  });
+});
+
+describe('Dialog in components', () => {
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+  });
+
+  it('should return focus to the project that was opened', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const gallery = new ProjectGallery(container, {
+      projects: [{
+        id: 'shop',
+        title: 'Shop',
+        description: 'Online shop',
+        category: 'web-development',
+        technologies: ['React'],
+        thumbnail: '/images/projects/placeholder.svg',
+        images: [],
+        completedDate: '2024-01-01'
+      }],
+      categories: []
+    });
+
+    const viewButton = container.querySelector('.project-card .view-project-btn');
+    viewButton.click();
+    const dialog = document.querySelector('.project-modal [role="dialog"]');
+    expect(dialog.getAttribute('aria-labelledby')).toBeTruthy();
+    expect(container.hasAttribute('inert')).toBe(true);
+
+    pressKey('Escape');
+    expect(gallery.modal).toBeNull();
+    expect(document.querySelector('.project-modal')).toBeNull();
+    expect(document.activeElement).toBe(viewButton);
+  });
+
+  it('should use the same dialog for timeline details', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const timeline = new SkillsTimeline(container, {
+      experiences: [{
+        id: 'job',
+        type: 'work',
+        title: 'Developer',
+        company: 'Studio',
+        location: 'Remote',
+        startDate: '2022-01-01',
+        endDate: null,
+        current: true,
+        description: 'Building things',
+        achievements: ['Shipped'],
+        technologies: ['JavaScript']
+      }],
+      skills: []
+    });
+
+    const detailsButton = container.querySelector('.timeline-details-btn');
+    detailsButton.click();
+    expect(document.querySelector('.timeline-modal [role="dialog"]')).toBeTruthy();
+
+    document.querySelector('.timeline-modal .modal-close').click();
+    expect(timeline.modal).toBeNull();
+    expect(document.activeElement).toBe(detailsButton);
+  });
+
+  it('should share the scroll lock with the mobile menu', () => {
+    document.body.innerHTML = `
+      <nav><div class="container"><ul class="nav-links"><li><a href="#projects">Projects</a></li></ul></div></nav>
+      <section id="projects"></section>
+    `;
+    global.IntersectionObserver = vi.fn().mockImplementation(() => ({
+      observe: vi.fn(),
+      unobserve: vi.fn(),
+      disconnect: vi.fn()
+    }));
+    const navigation = new NavigationManager(document.querySelector('nav .container'));
+    const container = document.getElementById('projects');
+    const gallery = new ProjectGallery(container, {
+      projects: [{
+        id: 'shop',
+        title: 'Shop',
+        description: 'Online shop',
+        category: 'web-development',
+        technologies: ['React'],
+        thumbnail: '/images/projects/placeholder.svg',
+        images: [],
+        completedDate: '2024-01-01'
+      }],
+      categories: []
+    });
+
+    navigation.openMobileMenu();
+    gallery.showProjectModal('shop');
+    gallery.closeModal();
+    // The menu is still open, so the page must stay locked
+    expect(document.body.style.overflow).toBe('hidden');
+
+    navigation.closeMobileMenu();
+    expect(document.body.style.overflow).toBe('');
+
+    // Closing an already closed menu does not release someone else's lock
+    gallery.showProjectModal('shop');
+    navigation.closeMobileMenu();
+    expect(document.body.style.overflow).toBe('hidden');
+    gallery.closeModal();
+    expect(document.body.style.overflow).toBe('');
+  });
+});
@@ -0,0 +1,356 @@
+// Feature: portfolio-enhancement, Property 37: Carousel Navigation
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { FeaturedCarousel } from '../js/components/FeaturedCarousel.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { html } from '../js/components/HtmlSanitizer.js';
+
+const items = count => Array.from({ length: count }, (_, index) => ({ id: `item-${index}`, title: `Item ${index}` }));
+
+const createCarousel = (container, options = {}) => new FeaturedCarousel(container, {
+  label: 'Featured',
+  renderSlide: item => html`<h3>${item.title}</h3>`,
+  ...options
+});
+
+const visibleSlides = container => Array.from(container.querySelectorAll('.carousel-slide')).filter(slide => !slide.hidden);
+
+const mockReducedMotion = (matches) => {
+  const listeners = [];
+  window.matchMedia = vi.fn().mockImplementation(query => ({
+    matches: query.includes('reduce') ? matches : false,
+    media: query,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: vi.fn()
+  }));
+  return listeners;
+};
+
+describe('FeaturedCarousel', () => {
+  let container;
+  let carousel;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    carousel = null;
+  });
+
+  afterEach(() => {
+    carousel?.destroy();
+    delete window.matchMedia;
+    vi.useRealTimers();
+  });
+
+  // Property 37: Carousel Navigation
+  // Whatever sequence of controls is used, exactly one slide is shown, it is
+  // the expected one, and the dot for it is the only current dot
+  it('should always show exactly the slide the controls point at', () => {
+    fc.assert(fc.property(
+      fc.integer({ min: 1, max: 6 }),
+      fc.array(fc.oneof(
+        fc.constant({ type: 'next' }),
+        fc.constant({ type: 'prev' }),
+        fc.constant({ type: 'home' }),
+        fc.constant({ type: 'end' }),
+        fc.integer({ min: 0, max: 5 }).map(index => ({ type: 'dot', index }))
+      ), { maxLength: 20 }),
+      (count, actions) => {
+        container.innerHTML = '';
+        const instance = createCarousel(container, { autoplay: false });
+        instance.setItems(items(count));
+        let expected = 0;
+
+        actions.forEach(action => {
+          const element = container.querySelector('.featured-carousel');
+          if (action.type === 'next') {
+            instance.next();
+            expected = (expected + 1) % count;
+          } else if (action.type === 'prev') {
+            instance.prev();
+            expected = (expected - 1 + count) % count;
+          } else if (action.type === 'home' || action.type === 'end') {
+            element.dispatchEvent(new KeyboardEvent('keydown', { key: action.type === 'home' ? 'Home' : 'End', bubbles: true }));
+            if (count > 1) expected = action.type === 'home' ? 0 : count - 1;
+          } else if (action.index < count && count > 1) {
+            element.querySelectorAll('.carousel-dot')[action.index].click();
+            expected = action.index;
+          }
+        });
+
+        const shown = visibleSlides(container);
+        expect(shown).toHaveLength(1);
+        expect(shown[0].dataset.itemId).toBe(`item-${expected}`);
+        expect(instance.getCurrentItem().id).toBe(`item-${expected}`);
+
+        const currentDots = container.querySelectorAll('.carousel-dot[aria-current="true"]');
+        expect(currentDots).toHaveLength(count > 1 ? 1 : 0);
+        if (count > 1) expect(currentDots[0].dataset.index).toBe(String(expected));
+
+        instance.destroy();
+      }
+    ), { numRuns: 50 });
+  });
+
+  it('should label the carousel and its slides for assistive technology', () => {
+    carousel = createCarousel(container, { label: 'Featured articles', autoplay: false });
+    carousel.setItems(items(3));
+
+    const element = container.querySelector('.featured-carousel');
+    expect(element.getAttribute('aria-roledescription')).toBe('carousel');
+    expect(element.getAttribute('aria-label')).toBe('Featured articles');
+
+    const slides = element.querySelectorAll('.carousel-slide');
+    expect(slides[1].getAttribute('role')).toBe('group');
+    expect(slides[1].getAttribute('aria-roledescription')).toBe('slide');
+    expect(slides[1].getAttribute('aria-label')).toBe('2 of 3');
+    expect(element.querySelector('.carousel-prev').getAttribute('aria-label')).toBe('Previous slide');
+  });
+
+  it('should move between slides with the arrow keys', () => {
+    carousel = createCarousel(container, { autoplay: false });
+    carousel.setItems(items(3));
+    const next = container.querySelector('.carousel-next');
+
+    next.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    expect(carousel.currentIndex).toBe(1);
+    next.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    next.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+    expect(carousel.currentIndex).toBe(2);
+  });
+
+  it('should render nothing without items and no controls for a single item', () => {
+    carousel = createCarousel(container);
+    carousel.setItems([]);
+    expect(container.innerHTML).toBe('');
+
+    carousel.setItems(items(1));
+    expect(container.querySelector('.featured-carousel')).toBeTruthy();
+    expect(container.querySelector('.carousel-controls')).toBeNull();
+    expect(container.querySelector('.carousel-dots')).toBeNull();
+    expect(carousel.playing).toBe(false);
+  });
+
+  it('should keep the current slide when the items change', () => {
+    carousel = createCarousel(container, { autoplay: false });
+    carousel.setItems(items(3));
+    carousel.goTo(2);
+
+    carousel.setItems([items(3)[2], items(3)[0]]);
+    expect(carousel.getCurrentItem().id).toBe('item-2');
+    expect(visibleSlides(container)[0].dataset.itemId).toBe('item-2');
+  });
+
+  it('should advance automatically and stop from the toggle button', () => {
+    vi.useFakeTimers();
+    carousel = createCarousel(container, { interval: 1000 });
+    carousel.setItems(items(3));
+
+    const toggle = container.querySelector('.carousel-toggle');
+    expect(toggle.getAttribute('aria-label')).toBe('Stop automatic slide show');
+    expect(container.querySelector('.carousel-slides').getAttribute('aria-live')).toBe('off');
+
+    vi.advanceTimersByTime(1000);
+    expect(carousel.currentIndex).toBe(1);
+
+    toggle.click();
+    expect(toggle.getAttribute('aria-label')).toBe('Start automatic slide show');
+    expect(container.querySelector('.carousel-slides').getAttribute('aria-live')).toBe('polite');
+    vi.advanceTimersByTime(5000);
+    expect(carousel.currentIndex).toBe(1);
+
+    toggle.click();
+    vi.advanceTimersByTime(1000);
+    expect(carousel.currentIndex).toBe(2);
+  });
+
+  it('should hold the current slide while hovered or focused', () => {
+    vi.useFakeTimers();
+    carousel = createCarousel(container, { interval: 1000 });
+    carousel.setItems(items(3));
+    const element = container.querySelector('.featured-carousel');
+
+    element.dispatchEvent(new Event('mouseenter'));
+    vi.advanceTimersByTime(3000);
+    expect(carousel.currentIndex).toBe(0);
+
+    element.dispatchEvent(new Event('mouseleave'));
+    container.querySelector('.carousel-next').dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    vi.advanceTimersByTime(3000);
+    expect(carousel.currentIndex).toBe(0);
+
+    container.querySelector('.carousel-next').dispatchEvent(new FocusEvent('focusout', { bubbles: true, relatedTarget: null }));
+    vi.advanceTimersByTime(1000);
+    expect(carousel.currentIndex).toBe(1);
+  });
+
+  it('should not autoplay when the reader prefers reduced motion', () => {
+    vi.useFakeTimers();
+    mockReducedMotion(true);
+    carousel = createCarousel(container, { interval: 1000 });
+    carousel.setItems(items(3));
+
+    vi.advanceTimersByTime(5000);
+    expect(carousel.currentIndex).toBe(0);
+    expect(carousel.playing).toBe(false);
+    expect(container.querySelector('.carousel-toggle').getAttribute('aria-label')).toBe('Start automatic slide show');
+  });
+
+  it('should stop when reduced motion is switched on while playing', () => {
+    vi.useFakeTimers();
+    const listeners = mockReducedMotion(false);
+    carousel = createCarousel(container, { interval: 1000 });
+    carousel.setItems(items(3));
+    expect(carousel.playing).toBe(true);
+
+    listeners.forEach(listener => listener({ matches: true }));
+    vi.advanceTimersByTime(5000);
+    expect(carousel.currentIndex).toBe(0);
+  });
+
+  it('should not rotate while its section is hidden', () => {
+    vi.useFakeTimers();
+    carousel = createCarousel(container, { interval: 1000 });
+    carousel.setItems(items(3));
+
+    container.hidden = true;
+    vi.advanceTimersByTime(3000);
+    expect(carousel.currentIndex).toBe(0);
+  });
+});
+
+describe('BlogSystem featured articles', () => {
+  let container;
+
+  const articlesData = {
+    articles: ['alpha', 'beta', 'gamma', 'delta'].map((id, index) => ({
+      id,
+      slug: id,
+      title: `Article ${id}`,
+      excerpt: `About ${id}`,
+      content: `# ${id}\n\nBody text.`,
+      category: 'tutorials',
+      tags: ['JavaScript'],
+      publishedDate: `2024-0${index + 1}-01`,
+      featured: id !== 'delta'
+    })),
+    categories: [{ id: 'tutorials', name: 'Tutorials' }]
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  const createBlog = (data = articlesData) => new BlogSystem(container, structuredClone(data), { featured: { autoplay: false } });
+
+  it('should show featured articles newest first above the list', () => {
+    const blog = createBlog();
+
+    expect(blog.getFeaturedArticles().map(article => article.id)).toEqual(['gamma', 'beta', 'alpha']);
+    expect(container.firstElementChild.classList.contains('blog-featured')).toBe(true);
+
+    const slides = container.querySelectorAll('.blog-featured .carousel-slide');
+    expect(Array.from(slides, slide => slide.dataset.itemId)).toEqual(['gamma', 'beta', 'alpha']);
+    expect(slides[0].querySelector('.featured-title a').getAttribute('href')).toBe('/blog/gamma');
+    // The spotlight is not part of the article list
+    expect(container.querySelectorAll('.article-card')).toHaveLength(4);
+  });
+
+  it('should replace the featured articles in the given order', () => {
+    const blog = createBlog();
+
+    const featured = blog.setFeaturedArticles(['delta', 'missing', 'alpha']);
+    expect(featured.map(article => article.id)).toEqual(['delta', 'alpha']);
+    // The selection lives in the blog; the shared article data is untouched
+    const beta = blog.articles.find(article => article.id === 'beta');
+    expect(blog.isFeatured(beta)).toBe(false);
+    expect(beta.featured).toBe(true);
+
+    const slides = container.querySelectorAll('.blog-featured .carousel-slide');
+    expect(Array.from(slides, slide => slide.dataset.itemId)).toEqual(['delta', 'alpha']);
+
+    blog.setFeaturedArticles([]);
+    expect(container.querySelector('.featured-carousel')).toBeNull();
+  });
+
+  it('should open the article from its slide', () => {
+    const blog = createBlog();
+    container.querySelector('.blog-featured .carousel-slide[data-item-id="beta"] .featured-title a').click();
+
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Article beta');
+    expect(container.querySelector('.blog-featured').hidden).toBe(true);
+
+    container.querySelector('.back-to-list-btn').click();
+    expect(container.querySelector('.blog-featured').hidden).toBe(false);
+    expect(blog.getFeaturedArticles()).toHaveLength(3);
+  });
+
+  it('should leave drafts out of the spotlight', () => {
+    const data = structuredClone(articlesData);
+    data.articles[2].status = 'draft';
+    const blog = createBlog(data);
+
+    expect(blog.getFeaturedArticles().map(article => article.id)).toEqual(['beta', 'alpha']);
+  });
+});
+
+describe('ProjectGallery featured projects', () => {
+  let container;
+
+  const projectsData = {
+    projects: ['one', 'two', 'three'].map((id, index) => ({
+      id,
+      title: `Project ${id}`,
+      description: `About ${id}`,
+      category: 'web-development',
+      technologies: ['JavaScript'],
+      thumbnail: '/images/projects/placeholder.svg',
+      images: ['/images/projects/placeholder.svg'],
+      completedDate: `2024-0${index + 1}-01`,
+      featured: id !== 'two'
+    })),
+    categories: [{ id: 'web-development', name: 'Web Development' }]
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  const createGallery = () => new ProjectGallery(container, structuredClone(projectsData), { featured: { autoplay: false } });
+
+  it('should spotlight featured projects above the filters', () => {
+    const gallery = createGallery();
+
+    expect(gallery.getFeaturedProjects().map(project => project.id)).toEqual(['one', 'three']);
+    expect(container.firstElementChild.classList.contains('project-spotlight')).toBe(true);
+    expect(container.querySelectorAll('.project-spotlight .carousel-slide')).toHaveLength(2);
+    expect(container.querySelectorAll('.project-card')).toHaveLength(3);
+  });
+
+  it('should open the project modal from the spotlight', () => {
+    const gallery = createGallery();
+    container.querySelector('.project-spotlight .carousel-slide[data-item-id="three"] .view-project-btn').click();
+
+    expect(document.querySelector('.project-modal h2').textContent).toBe('Project three');
+    gallery.closeModal();
+  });
+
+  it('should replace the featured projects in the given order', () => {
+    const gallery = createGallery();
+
+    expect(gallery.setFeaturedProjects(['two', 'one', 'two']).map(project => project.id)).toEqual(['two', 'one']);
+    const three = gallery.projects.find(project => project.id === 'three');
+    expect(gallery.isFeatured(three)).toBe(false);
+    expect(three.featured).toBe(true);
+    expect(gallery.projects.find(project => project.id === 'two').featured).toBe(false);
+    expect(Array.from(container.querySelectorAll('.project-spotlight .carousel-slide'), slide => slide.dataset.itemId))
+      .toEqual(['two', 'one']);
+    // The grid keeps its own order
+    expect(Array.from(container.querySelectorAll('.project-card'), card => card.dataset.projectId))
+      .toEqual(['one', 'two', 'three']);
+  });
+});
@@ -0,0 +1,208 @@
+// Feature: portfolio-enhancement, Property 31: Feeds Are Well-Formed And Complete
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import {
+  generateRssFeed,
+  generateAtomFeed,
+  generateJsonFeed,
+  injectFeedLinks,
+  escapeXml
+} from '../scripts/feeds.js';
+
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const CONTENT_NS = 'http://purl.org/rss/1.0/modules/content/';
+
+const site = {
+  url: 'https://example.dev/',
+  title: 'Example <Blog> & Notes',
+  description: 'Writing about the web',
+  language: 'en',
+  author: { name: 'Example Author', email: 'author@example.dev', url: 'https://example.dev' },
+  blogPath: '/blog'
+};
+
+const articles = [
+  {
+    id: 'older',
+    slug: 'older-post',
+    title: 'Older post',
+    excerpt: 'The first one',
+    content: '# Hello\n\nSome **bold** text.\n\n<script>alert(1)</script>',
+    tags: ['JavaScript', 'R&D'],
+    publishedDate: '2024-01-15'
+  },
+  {
+    id: 'newer',
+    slug: 'newer-post',
+    title: 'Newer post',
+    excerpt: 'The second one',
+    content: 'Plain paragraph.',
+    tags: [],
+    publishedDate: '2024-03-01',
+    updatedDate: '2024-03-10'
+  }
+];
+
+function parseXml(xml) {
+  const document = new DOMParser().parseFromString(xml, 'application/xml');
+  expect(document.getElementsByTagName('parsererror')).toHaveLength(0);
+  return document;
+}
+
+const childText = (element, name, namespace = null) => {
+  const children = namespace
+    ? element.getElementsByTagNameNS(namespace, name)
+    : element.getElementsByTagName(name);
+  return children[0]?.textContent;
+};
+
+// RFC 822 dates as required by RSS 2.0, e.g. "Fri, 01 Mar 2024 00:00:00 GMT"
+const RFC_822 = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} GMT$/;
+// RFC 3339 timestamps as required by Atom and JSON Feed
+const RFC_3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+describe('Feeds', () => {
+  describe('RSS 2.0', () => {
+    it('produces a valid channel with required elements', () => {
+      const document = parseXml(generateRssFeed(articles, site));
+      const rss = document.documentElement;
+
+      expect(rss.localName).toBe('rss');
+      expect(rss.getAttribute('version')).toBe('2.0');
+
+      const channel = rss.getElementsByTagName('channel')[0];
+      expect(childText(channel, 'title')).toBe(site.title);
+      expect(childText(channel, 'link')).toBe('https://example.dev/');
+      expect(childText(channel, 'description')).toBe(site.description);
+      expect(childText(channel, 'lastBuildDate')).toMatch(RFC_822);
+
+      const self = channel.getElementsByTagNameNS(ATOM_NS, 'link')[0];
+      expect(self.getAttribute('href')).toBe('https://example.dev/feed.xml');
+      expect(self.getAttribute('rel')).toBe('self');
+    });
+
+    it('lists items newest first with rendered content and categories', () => {
+      const items = Array.from(parseXml(generateRssFeed(articles, site)).getElementsByTagName('item'));
+
+      expect(items.map(item => childText(item, 'title'))).toEqual(['Newer post', 'Older post']);
+
+      const older = items[1];
+      expect(childText(older, 'link')).toBe('https://example.dev/blog/older-post');
+      expect(childText(older, 'guid')).toBe('https://example.dev/blog/older-post');
+      expect(childText(older, 'pubDate')).toBe('Mon, 15 Jan 2024 00:00:00 GMT');
+      expect(childText(older, 'description')).toBe('The first one');
+      expect(Array.from(older.getElementsByTagName('category')).map(c => c.textContent)).toEqual(['JavaScript', 'R&D']);
+
+      const content = childText(older, 'encoded', CONTENT_NS);
+      expect(content).toContain('<h1>Hello</h1>');
+      expect(content).toContain('<strong>bold</strong>');
+      expect(content).not.toContain('<script>');
+    });
+  });
+
+  describe('Atom', () => {
+    it('produces a valid feed with required elements', () => {
+      const document = parseXml(generateAtomFeed(articles, site));
+      const feed = document.documentElement;
+
+      expect(feed.namespaceURI).toBe(ATOM_NS);
+      expect(feed.localName).toBe('feed');
+      expect(childText(feed, 'id')).toBe('https://example.dev/');
+      expect(childText(feed, 'updated')).toBe('2024-03-10T00:00:00.000Z');
+      expect(feed.getElementsByTagName('author')[0].getElementsByTagName('name')[0].textContent).toBe('Example Author');
+
+      const entries = Array.from(feed.getElementsByTagName('entry'));
+      expect(entries).toHaveLength(2);
+      entries.forEach(entry => {
+        expect(childText(entry, 'id')).toMatch(/^https:\/\/example\.dev\/blog\//);
+        expect(childText(entry, 'title')).toBeTruthy();
+        expect(childText(entry, 'updated')).toMatch(RFC_3339);
+        expect(childText(entry, 'published')).toMatch(RFC_3339);
+        expect(entry.getElementsByTagName('link')[0].getAttribute('href')).toBe(childText(entry, 'id'));
+        expect(entry.getElementsByTagName('content')[0].getAttribute('type')).toBe('html');
+      });
+
+      expect(Array.from(entries[1].getElementsByTagName('category')).map(c => c.getAttribute('term')))
+        .toEqual(['JavaScript', 'R&D']);
+    });
+  });
+
+  describe('JSON Feed', () => {
+    it('follows the JSON Feed 1.1 structure', () => {
+      const feed = JSON.parse(generateJsonFeed(articles, site));
+
+      expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(feed.title).toBe(site.title);
+      expect(feed.feed_url).toBe('https://example.dev/feed.json');
+      expect(feed.items.map(item => item.id)).toEqual([
+        'https://example.dev/blog/newer-post',
+        'https://example.dev/blog/older-post'
+      ]);
+
+      feed.items.forEach(item => {
+        expect(typeof item.id).toBe('string');
+        expect(item.content_html).toBeTruthy();
+        expect(item.date_published).toMatch(RFC_3339);
+        expect(Array.isArray(item.tags)).toBe(true);
+      });
+      expect(feed.items[0].date_modified).toBe('2024-03-10T00:00:00.000Z');
+    });
+  });
+
+  describe('index.html links', () => {
+    const page = '<html>\n  <head>\n    <title>x</title>\n  </head>\n  <body></body>\n</html>';
+
+    it('injects one alternate link per feed into the head', () => {
+      const result = injectFeedLinks(page, site);
+      const document = new DOMParser().parseFromString(result, 'text/html');
+      const links = Array.from(document.head.querySelectorAll('link[rel="alternate"]'));
+
+      expect(links.map(link => [link.getAttribute('type'), link.getAttribute('href')])).toEqual([
+        ['application/rss+xml', '/feed.xml'],
+        ['application/atom+xml', '/atom.xml'],
+        ['application/feed+json', '/feed.json']
+      ]);
+      expect(links[0].getAttribute('title')).toBe('Example <Blog> & Notes (RSS)');
+    });
+
+    it('does not inject the links twice', () => {
+      const once = injectFeedLinks(page, site);
+      expect(injectFeedLinks(once, site)).toBe(once);
+    });
+  });
+
+  it('strips characters that are invalid in XML', () => {
+    expect(escapeXml('a\u0000b\u001Fc\uD800d')).toBe('abcd');
+  });
+
+  // Property 31: Feeds Are Well-Formed And Complete
+  // For any articles, every feed parses and lists each article exactly once
+  it('should generate well-formed feeds containing every article', () => {
+    fc.assert(fc.property(
+      fc.uniqueArray(fc.record({
+        id: fc.stringMatching(/^[a-z0-9-]{1,12}$/),
+        title: fc.fullUnicodeString({ maxLength: 30 }),
+        excerpt: fc.string({ maxLength: 40 }),
+        content: fc.string({ maxLength: 80 }),
+        tags: fc.array(fc.string({ minLength: 1, maxLength: 8 }), { maxLength: 3 }),
+        publishedDate: fc.date({ min: new Date('2015-01-01'), max: new Date('2030-12-31'), noInvalidDate: true })
+          .map(date => date.toISOString().slice(0, 10))
+      }), { selector: article => article.id, maxLength: 5 }),
+      (generated) => {
+        const rss = parseXml(generateRssFeed(generated, site));
+        const atom = parseXml(generateAtomFeed(generated, site));
+        const json = JSON.parse(generateJsonFeed(generated, site));
+
+        const expectedUrls = generated.map(article => `https://example.dev/blog/${article.id}`).sort();
+        const rssUrls = Array.from(rss.getElementsByTagName('item')).map(item => childText(item, 'guid'));
+        const atomUrls = Array.from(atom.getElementsByTagName('entry')).map(entry => childText(entry, 'id'));
+
+        expect([...rssUrls].sort()).toEqual(expectedUrls);
+        expect([...atomUrls].sort()).toEqual(expectedUrls);
+        expect(json.items.map(item => item.id).sort()).toEqual(expectedUrls);
+
+        Array.from(rss.getElementsByTagName('pubDate')).forEach(date => expect(date.textContent).toMatch(RFC_822));
+      }
+    ), { numRuns: 50 });
+  });
+});
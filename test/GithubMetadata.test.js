@@ -0,0 +1,323 @@
+// Feature: portfolio-enhancement, Property 46: GitHub Cache Survives Failed Fetches
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { createServer } from 'http';
+import { mkdtempSync, mkdirSync, readFileSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  createGithubFetcher,
+  parseGithubUrl,
+  summarizeLanguages,
+  fetchRepository,
+  updateGithubCache,
+  enrichProjects,
+  refreshGithubMetadata,
+  GithubFetchError
+} from '../scripts/github.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Dialog } from '../js/components/Dialog.js';
+
+const FIXTURES = join(process.cwd(), 'test', 'fixtures', 'github');
+
+/**
+ * Serves test/fixtures/github/<path>.json with the GitHub API's shape.
+ * Unknown paths are 404s; `statuses` forces a status for a repository.
+ */
+function startFixtureServer() {
+  const requests = [];
+  const statuses = new Map();
+  const server = createServer((request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    requests.push({ path: url.pathname, query: url.search, headers: request.headers });
+
+    const repository = /^\/repos\/([^/]+\/[^/]+)/.exec(url.pathname)?.[1];
+    const forced = statuses.get(repository);
+    const file = join(FIXTURES, `${url.pathname}.json`);
+    const status = forced || (existsSync(file) ? 200 : 404);
+
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(status === 200 ? readFileSync(file) : JSON.stringify({ message: 'Not Found' }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({ server, requests, statuses, baseUrl: `http://127.0.0.1:${port}` });
+    });
+  });
+}
+
+const project = (id, githubUrl) => ({
+  id,
+  title: `Project ${id}`,
+  description: `About ${id}`,
+  category: 'web-development',
+  technologies: ['React'],
+  thumbnail: '/images/projects/placeholder.svg',
+  images: [],
+  completedDate: '2024-01-01',
+  githubUrl
+});
+
+const NOW = new Date('2025-03-10T00:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('GitHub metadata cache', () => {
+  // Property 46: GitHub Cache Survives Failed Fetches
+  // For any mix of fresh, stale and missing cache entries and any pattern of
+  // failing repositories, a refresh keeps every entry it could not replace,
+  // never refetches fresh entries, and enriched projects carry exactly the
+  // cached repositories
+  it('should keep cached data for every repository it cannot refresh', async () => {
+    const names = ['a/one', 'a/two', 'b/three', 'b/four'];
+    const cacheState = fc.constantFrom('missing', 'fresh', 'stale');
+    const outcome = fc.constantFrom('ok', 404, 500, 403, 'offline');
+
+    await fc.assert(fc.asyncProperty(
+      fc.array(cacheState, { minLength: 4, maxLength: 4 }),
+      fc.array(outcome, { minLength: 4, maxLength: 4 }),
+      async (states, outcomes) => {
+        const projects = names.map(name => project(name, `https://github.com/${name}`));
+        const repositories = {};
+        names.forEach((name, index) => {
+          if (states[index] === 'missing') return;
+          const age = states[index] === 'fresh' ? DAY / 2 : DAY * 2;
+          repositories[name] = { stars: index, languages: [], fetchedAt: new Date(NOW - age).toISOString() };
+        });
+
+        const requested = new Set();
+        const fetcher = async path => {
+          const name = /^\/repos\/([^/]+\/[^/?]+)/.exec(path)[1];
+          requested.add(name);
+          const result = outcomes[names.indexOf(name)];
+          if (result === 'offline') throw new GithubFetchError('offline', path);
+          if (result !== 'ok') throw new GithubFetchError(`status ${result}`, path, result);
+          if (path.endsWith('/languages')) return { JavaScript: 10 };
+          if (path.includes('/commits')) return [];
+          return { stargazers_count: 100, language: 'JavaScript' };
+        };
+
+        const { cache, updated, failed, skipped } = await updateGithubCache(projects, { repositories }, { fetcher, now: NOW });
+
+        names.forEach((name, index) => {
+          if (states[index] === 'fresh') {
+            expect(requested.has(name)).toBe(false);
+            expect(cache.repositories[name]).toBe(repositories[name]);
+          } else if (updated.includes(name)) {
+            expect(cache.repositories[name].stars).toBe(100);
+          } else {
+            expect(failed.some(entry => entry.repository === name) || skipped.includes(name)).toBe(true);
+            expect(cache.repositories[name]).toBe(repositories[name]);
+          }
+        });
+
+        enrichProjects(projects, cache).forEach(enriched => {
+          expect(Boolean(enriched.github)).toBe(Boolean(cache.repositories[enriched.id]));
+        });
+      }
+    ), { numRuns: 100 });
+  });
+
+  it('should stop asking once GitHub is unreachable or rate limiting', async () => {
+    const projects = ['a/one', 'a/two', 'a/three'].map(name => project(name, `https://github.com/${name}`));
+    const calls = [];
+    const fetcher = async path => {
+      calls.push(path);
+      throw new GithubFetchError('rate limited', path, 403);
+    };
+
+    const result = await updateGithubCache(projects, null, { fetcher, now: NOW });
+    expect(calls).toHaveLength(1);
+    expect(result.failed.map(entry => entry.repository)).toEqual(['a/one']);
+    expect(result.skipped).toEqual(['a/two', 'a/three']);
+    expect(result.cache).toEqual({ repositories: {} });
+  });
+
+  it('should drop repositories no project links to', async () => {
+    const result = await updateGithubCache([project('x', 'https://github.com/a/one')], {
+      repositories: {
+        'a/one': { stars: 1, fetchedAt: NOW.toISOString() },
+        'old/repo': { stars: 2, fetchedAt: NOW.toISOString() }
+      }
+    }, { fetcher: async () => { throw new Error('not called'); }, now: NOW });
+
+    expect(Object.keys(result.cache.repositories)).toEqual(['a/one']);
+  });
+
+  it('should read owner and name from repository URLs', () => {
+    expect(parseGithubUrl('https://github.com/rasya/portfolio')).toBe('rasya/portfolio');
+    expect(parseGithubUrl('https://www.github.com/rasya/portfolio.git')).toBe('rasya/portfolio');
+    expect(parseGithubUrl('https://github.com/rasya/portfolio/#readme')).toBe('rasya/portfolio');
+    expect(parseGithubUrl('https://github.com/rasya')).toBeNull();
+    expect(parseGithubUrl('https://github.com/rasya/portfolio/tree/main')).toBeNull();
+    expect(parseGithubUrl('https://gitlab.com/rasya/portfolio')).toBeNull();
+    expect(parseGithubUrl(null)).toBeNull();
+  });
+
+  it('should turn language bytes into percentages', () => {
+    expect(summarizeLanguages({ CSS: 250, JavaScript: 750, Empty: 0 })).toEqual([
+      { name: 'JavaScript', percent: 75 },
+      { name: 'CSS', percent: 25 }
+    ]);
+    expect(summarizeLanguages({})).toEqual([]);
+  });
+});
+
+describe('GitHub fixture server', () => {
+  let fixtures;
+
+  beforeAll(async () => {
+    fixtures = await startFixtureServer();
+  });
+
+  afterAll(() => new Promise(resolve => fixtures.server.close(resolve)));
+
+  beforeEach(() => {
+    fixtures.requests.length = 0;
+    fixtures.statuses.clear();
+  });
+
+  it('should fetch stars, languages, last commit and license over HTTP', async () => {
+    const fetcher = createGithubFetcher({ baseUrl: fixtures.baseUrl, token: 'secret' });
+
+    expect(await fetchRepository(fetcher, 'octo/app', NOW)).toEqual({
+      stars: 1280,
+      language: 'TypeScript',
+      languages: [
+        { name: 'TypeScript', percent: 62.3 },
+        { name: 'CSS', percent: 25 },
+        { name: 'HTML', percent: 12.7 }
+      ],
+      lastCommit: '2025-03-01T12:00:00Z',
+      license: 'MIT',
+      fetchedAt: NOW.toISOString()
+    });
+    expect(fixtures.requests.map(request => `${request.path}${request.query}`)).toEqual([
+      '/repos/octo/app',
+      '/repos/octo/app/languages',
+      '/repos/octo/app/commits?per_page=1&sha=main'
+    ]);
+    expect(fixtures.requests[0].headers.authorization).toBe('Bearer secret');
+    expect(fixtures.requests[0].headers.accept).toBe('application/vnd.github+json');
+  });
+
+  it('should fall back to the push date and license name', async () => {
+    const fetcher = createGithubFetcher({ baseUrl: fixtures.baseUrl });
+    const metadata = await fetchRepository(fetcher, 'octo/lib', NOW);
+
+    expect(metadata).toMatchObject({ stars: 1, language: null, languages: [], lastCommit: '2024-11-05T08:30:00Z', license: 'Other' });
+    expect(fixtures.requests[2].query).toBe('?per_page=1&sha=develop');
+    expect(fixtures.requests[0].headers.authorization).toBeUndefined();
+  });
+
+  it('should carry on past missing repositories and keep the cache for failing ones', async () => {
+    fixtures.statuses.set('octo/lib', 500);
+    const projects = [
+      project('missing', 'https://github.com/octo/missing'),
+      project('lib', 'https://github.com/octo/lib'),
+      project('app', 'https://github.com/octo/app')
+    ];
+    const libEntry = { stars: 3, languages: [], fetchedAt: '2020-01-01T00:00:00Z' };
+
+    const result = await updateGithubCache(projects, { repositories: { 'octo/lib': libEntry } }, {
+      fetcher: createGithubFetcher({ baseUrl: fixtures.baseUrl }),
+      now: NOW
+    });
+
+    expect(result.updated).toEqual(['octo/app']);
+    expect(result.failed.map(({ repository, error }) => [repository, error.status])).toEqual([
+      ['octo/missing', 404],
+      ['octo/lib', 500]
+    ]);
+    expect(result.cache.repositories['octo/lib']).toEqual(libEntry);
+    expect(result.cache.repositories['octo/app'].stars).toBe(1280);
+  });
+
+  it('should treat a server that is down as unavailable', async () => {
+    const down = await startFixtureServer();
+    await new Promise(resolve => down.server.close(resolve));
+
+    const result = await updateGithubCache(
+      [project('app', 'https://github.com/octo/app'), project('lib', 'https://github.com/octo/lib')],
+      { repositories: {} },
+      { fetcher: createGithubFetcher({ baseUrl: down.baseUrl }), now: NOW }
+    );
+
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].error).toBeInstanceOf(GithubFetchError);
+    expect(result.failed[0].error.status).toBeNull();
+    expect(result.skipped).toEqual(['octo/lib']);
+  });
+
+  it('should refresh data/github.json using the API URL from the environment', async () => {
+    const root = mkdtempSync(join(tmpdir(), 'github-metadata-'));
+    try {
+      mkdirSync(join(root, 'data'));
+      writeFileSync(join(root, 'data', 'projects.json'), JSON.stringify({
+        projects: [project('app', 'https://github.com/octo/app'), project('site', null)]
+      }));
+
+      const result = await refreshGithubMetadata(root, { env: { GITHUB_API_URL: fixtures.baseUrl } });
+      const cache = JSON.parse(readFileSync(join(root, 'data', 'github.json'), 'utf8'));
+
+      expect(result.updated).toEqual(['octo/app']);
+      expect(Object.keys(cache.repositories)).toEqual(['octo/app']);
+      expect(cache.repositories['octo/app'].license).toBe('MIT');
+    } finally {
+      rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Repository stats in the gallery', () => {
+  let container;
+
+  const github = {
+    repository: 'octo/app',
+    stars: 1280,
+    language: 'TypeScript',
+    languages: [{ name: 'TypeScript', percent: 62.3 }, { name: 'CSS', percent: 37.7 }],
+    lastCommit: '2025-03-01T12:00:00Z',
+    license: 'MIT'
+  };
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+  });
+
+  it('should show repository stats on cards that have them', () => {
+    const gallery = new ProjectGallery(container, {
+      projects: [{ ...project('app', 'https://github.com/octo/app'), github }, project('plain', null)],
+      categories: []
+    }, { featured: { autoplay: false } });
+
+    const stats = container.querySelector('.project-card[data-project-id="app"] .project-repo');
+    expect(stats.querySelector('.repo-stars').textContent).toContain('stars');
+    expect(stats.querySelector('.repo-language').textContent).toBe('TypeScript');
+    expect(stats.querySelector('.repo-updated time').getAttribute('datetime')).toBe('2025-03-01T12:00:00Z');
+    expect(stats.querySelector('.repo-license').textContent).toBe('MIT');
+    expect(container.querySelector('.project-card[data-project-id="plain"] .project-repo')).toBeNull();
+
+    gallery.showProjectModal('app');
+    const languages = [...document.querySelectorAll('.project-modal .language-list li')].map(li => li.textContent);
+    expect(languages).toEqual(['TypeScript 62.3%', 'CSS 37.7%']);
+    expect(document.querySelector('.project-modal .language-segment').getAttribute('style')).toBe('flex-basis: 62.3%');
+  });
+
+  it('should leave out unknown values', () => {
+    new ProjectGallery(container, {
+      projects: [{ ...project('lib', 'https://github.com/octo/lib'), github: { repository: 'octo/lib', stars: 1, language: null, languages: [], lastCommit: null, license: null } }],
+      categories: []
+    }, { featured: { autoplay: false } });
+
+    const stats = container.querySelector('.project-repo');
+    expect(stats.querySelector('.repo-stars').textContent.trim()).toBe('★ 1 star');
+    expect(stats.querySelectorAll('li')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,226 @@
+// Feature: portfolio-enhancement, Property 26: Untrusted Content Cannot Inject Markup
+import { describe, it, expect, beforeEach } from 'vitest';
+import fc from 'fast-check';
+import { SyntaxHighlighter } from '../js/components/SyntaxHighlighter.js';
+import { HtmlSanitizer, SafeHtml, html } from '../js/components/HtmlSanitizer.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+import { SkillsTimeline } from '../js/components/SkillsTimeline.js';
+
+const HOSTILE_PAYLOADS = [
+  '<script>window.__pwned = true</script>',
+  '<img src=x onerror="window.__pwned = true">',
+  '"><svg onload=alert(1)>',
+  '\'><a href="javascript:alert(1)">x</a>',
+  '</div></article><h1>Injected</h1>',
+  '<iframe src="https://evil.example"></iframe>',
+  '& < > " \''
+];
+
+const hostileString = fc.oneof(
+  fc.constantFrom(...HOSTILE_PAYLOADS),
+  fc.string({ minLength: 1, maxLength: 30 }),
+  fc.tuple(fc.string({ maxLength: 10 }), fc.constantFrom(...HOSTILE_PAYLOADS)).map(([a, b]) => a + b)
+);
+
+// Any element carrying an event handler or a script-capable tag counts as an injection
+function findInjectedMarkup(root) {
+  const offenders = [];
+  root.querySelectorAll('*').forEach(element => {
+    if (['script', 'iframe', 'svg', 'object', 'embed'].includes(element.localName)) {
+      offenders.push(element.outerHTML);
+    }
+    Array.from(element.attributes).forEach(attribute => {
+      if (attribute.name.startsWith('on')) offenders.push(element.outerHTML);
+      if (/^(href|src)$/.test(attribute.name) && /^\s*javascript:/i.test(attribute.value)) {
+        offenders.push(element.outerHTML);
+      }
+    });
+  });
+  return offenders;
+}
+
+describe('HtmlSanitizer', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  describe('html template tag', () => {
+    it('escapes interpolated values and keeps nested templates', () => {
+      const items = ['<b>', 'a & b'];
+      const result = html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`;
+
+      expect(result).toBeInstanceOf(SafeHtml);
+      expect(String(result)).toBe('<ul><li>&lt;b&gt;</li><li>a &amp; b</li></ul>');
+    });
+
+    it('neutralises dangerous URLs in href and src attributes', () => {
+      const result = html`<a href="${'javascript:alert(1)'}">x</a><img src="${' JaVa\tScRiPt:alert(1)'}">`;
+      expect(String(result)).toBe('<a href="#">x</a><img src="#">');
+    });
+
+    it('keeps relative, http(s) and mailto URLs', () => {
+      expect(HtmlSanitizer.safeUrl('/images/a.svg')).toBe('/images/a.svg');
+      expect(HtmlSanitizer.safeUrl('https://example.com')).toBe('https://example.com');
+      expect(HtmlSanitizer.safeUrl('mailto:me@example.com')).toBe('mailto:me@example.com');
+      expect(HtmlSanitizer.safeUrl('vbscript:msgbox')).toBe('#');
+      expect(HtmlSanitizer.safeUrl('data:text/html;base64,PHNjcmlwdD4=')).toBe('#');
+    });
+
+    it('renders null, undefined and false as empty strings', () => {
+      expect(String(html`<p>${null}${undefined}${false}</p>`)).toBe('<p></p>');
+    });
+  });
+
+  describe('allow-list sanitizer', () => {
+    const sanitizer = new HtmlSanitizer();
+
+    it('drops scripts, event handlers and javascript: links', () => {
+      const result = String(sanitizer.sanitize(
+        '<p onclick="x()">Hi<script>alert(1)</script> <a href="javascript:alert(1)">link</a></p>'
+      ));
+      expect(result).toBe('<p>Hi <a href="#">link</a></p>');
+    });
+
+    it('unwraps unknown elements but keeps their text', () => {
+      expect(String(sanitizer.sanitize('<marquee><em>hello</em></marquee>'))).toBe('<em>hello</em>');
+    });
+
+    it('keeps the markup produced by the Markdown renderer', () => {
+      const markup = '<h2>Title</h2>\n<pre><code class="language-js">const a = 1;\n</code></pre>\n' +
+        '<table>\n<thead>\n<tr>\n<th align="center">a</th>\n</tr>\n</thead>\n</table>\n';
+      expect(String(sanitizer.sanitize(markup))).toBe(markup);
+    });
+
+    it('keeps only the class names the renderer emits', () => {
+      const result = String(sanitizer.sanitize(
+        '<p class="project-card">a</p><span class="token keyword modal">b</span>' +
+        '<span class="tag">c</span><div class="code-block active">d</div>'
+      ));
+      expect(result).toBe('<p>a</p><span class="token keyword">b</span><span>c</span><div class="code-block">d</div>');
+    });
+
+    it('keeps every token class the syntax highlighter emits', () => {
+      const highlighted = new SyntaxHighlighter().renderCodeBlock('@decorator\ndef run():\n    pass\n', 'python');
+      const container = document.createElement('div');
+      container.innerHTML = String(sanitizer.sanitize(highlighted));
+
+      expect(container.querySelector('.token.decorator').textContent).toBe('@decorator');
+      expect(String(sanitizer.sanitize(highlighted))).toBe(highlighted);
+    });
+
+    it('drops ids that are reserved or already used', () => {
+      const result = String(sanitizer.sanitize(
+        '<h2 id="contact">a</h2><h2 id="intro">b</h2><a id="intro">c</a><p id="x">d</p>',
+        { reservedIds: ['contact'] }
+      ));
+      expect(result).toBe('<h2>a</h2><h2 id="intro">b</h2><a>c</a><p>d</p>');
+    });
+
+    it('adds rel="noopener noreferrer" to external links', () => {
+      const result = String(sanitizer.sanitize('<a href="https://example.com">x</a>'));
+      expect(result).toBe('<a href="https://example.com" rel="noopener noreferrer">x</a>');
+    });
+  });
+
+  // Property 26: Untrusted Content Cannot Inject Markup
+  // Hostile strings in any data/*.json field render as text in every component
+  it('should render hostile project data as inert text', () => {
+    fc.assert(fc.property(hostileString, hostileString, hostileString, (title, description, tech) => {
+      container.innerHTML = '';
+      const gallery = new ProjectGallery(container, {
+        projects: [{
+          id: 'p1',
+          title,
+          description,
+          category: 'web',
+          technologies: [tech],
+          thumbnail: title,
+          images: [description],
+          liveUrl: 'javascript:alert(1)',
+          githubUrl: tech,
+          completedDate: '2024-01-01'
+        }],
+        categories: [{ id: 'web', name: 'Web' }]
+      });
+
+      const card = container.querySelector('.project-card');
+      expect(card.querySelector('.project-title').textContent).toBe(title);
+      expect(card.querySelector('.project-description').textContent).toBe(description);
+      expect(card.querySelector('.tech-tag').textContent).toBe(tech);
+      expect(findInjectedMarkup(container)).toEqual([]);
+
+      gallery.showProjectModal('p1');
+      expect(gallery.modal.querySelector('h2').textContent).toBe(title);
+      expect(findInjectedMarkup(gallery.modal)).toEqual([]);
+      gallery.closeModal();
+    }), { numRuns: 30 });
+  });
+
+  it('should render hostile article data as inert text', () => {
+    fc.assert(fc.property(hostileString, hostileString, hostileString, (title, excerpt, tag) => {
+      container.innerHTML = '';
+      const blog = new BlogSystem(container, {
+        articles: [{
+          id: 'a1',
+          title,
+          excerpt,
+          content: `# Heading\n\n${excerpt}\n\n<script>window.__pwned = true</script>\n\n[x](javascript:alert(1))`,
+          category: 'notes',
+          tags: [tag],
+          publishedDate: '2024-01-01',
+          readingTime: 3
+        }],
+        categories: [{ id: 'notes', name: title }]
+      });
+
+      const card = container.querySelector('.article-card');
+      expect(card.querySelector('.article-title').textContent).toBe(title);
+      expect(card.querySelector('.article-excerpt').textContent).toBe(excerpt);
+      expect(card.querySelector('.tag').textContent).toBe(tag);
+      expect(findInjectedMarkup(container)).toEqual([]);
+
+      blog.renderArticle('a1');
+      expect(container.querySelector('.full-article .article-title').textContent).toBe(title);
+      expect(findInjectedMarkup(container)).toEqual([]);
+    }), { numRuns: 30 });
+  });
+
+  it('should render hostile timeline data as inert text', () => {
+    fc.assert(fc.property(hostileString, hostileString, hostileString, (title, company, achievement) => {
+      container.innerHTML = '';
+      const timeline = new SkillsTimeline(container, {
+        experiences: [{
+          id: 'e1',
+          type: 'work',
+          title,
+          company,
+          location: achievement,
+          description: title,
+          startDate: '2023-01-01',
+          current: true,
+          technologies: [company],
+          achievements: [achievement]
+        }],
+        skills: [{
+          id: 's1',
+          category: title,
+          skills: [{ name: company, level: 'Expert', proficiency: '90"><script>', yearsOfExperience: 2 }]
+        }]
+      });
+
+      expect(container.querySelector('.timeline-item .timeline-title').textContent).toBe(title);
+      expect(container.querySelector('.skill-category-title').textContent).toBe(title);
+      expect(container.querySelector('.skill-item').dataset.skill).toBe(company);
+      expect(findInjectedMarkup(container)).toEqual([]);
+
+      timeline.showTimelineDetails('e1');
+      expect(timeline.modal.querySelector('.experience-achievements li').textContent).toBe(achievement);
+      expect(findInjectedMarkup(timeline.modal)).toEqual([]);
+      timeline.closeModal();
+    }), { numRuns: 30 });
+  });
+});
@@ -0,0 +1,301 @@
+// Feature: portfolio-enhancement, Property 42: Lightbox Navigation
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { ImageLightbox } from '../js/components/ImageLightbox.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Dialog } from '../js/components/Dialog.js';
+
+// Loads instantly and records what was requested, in order
+const createLoader = () => ({
+  loadImage: vi.fn(img => {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+    return Promise.resolve(img);
+  })
+});
+
+const imageList = count => Array.from({ length: count }, (_, index) => ({
+  src: `/images/shot-${index}.png`,
+  caption: `Screen ${index}`
+}));
+
+// jsdom has no PointerEvent, so build pointer events from mouse events
+const pointer = (target, type, pointerId, clientX, clientY = 0) => {
+  const event = new MouseEvent(type, { bubbles: true, cancelable: true, clientX, clientY });
+  Object.defineProperty(event, 'pointerId', { value: pointerId });
+  target.dispatchEvent(event);
+};
+
+const key = (target, keyName) => {
+  const event = new KeyboardEvent('keydown', { key: keyName, bubbles: true, cancelable: true });
+  target.dispatchEvent(event);
+  return event;
+};
+
+describe('ImageLightbox', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  const visibleSlides = lightbox =>
+    Array.from(lightbox.element.querySelectorAll('.lightbox-slide')).filter(slide => !slide.hidden);
+  const viewport = lightbox => visibleSlides(lightbox)[0].querySelector('.lightbox-viewport');
+
+  // Property 42: Lightbox Navigation
+  // After any mix of next/prev/thumbnail clicks exactly one image is shown,
+  // its thumbnail is marked current, and it and its neighbours have been
+  // requested from the loader
+  it('should show one image and keep its neighbours loaded after any navigation', () => {
+    fc.assert(fc.property(
+      fc.integer({ min: 1, max: 8 }),
+      fc.array(fc.oneof(
+        fc.constant({ type: 'next' }),
+        fc.constant({ type: 'prev' }),
+        fc.nat(20).map(index => ({ type: 'thumb', index }))
+      ), { maxLength: 20 }),
+      (count, actions) => {
+        container.innerHTML = '';
+        const loader = createLoader();
+        const lightbox = new ImageLightbox(container, imageList(count), { imageLoader: loader });
+        let expected = 0;
+
+        actions.forEach(action => {
+          if (action.type === 'next') {
+            lightbox.next();
+            expected = (expected + 1) % count;
+          } else if (action.type === 'prev') {
+            lightbox.prev();
+            expected = (expected - 1 + count) % count;
+          } else if (count > 1) {
+            const index = action.index % count;
+            lightbox.element.querySelectorAll('.lightbox-thumb')[index].click();
+            expected = index;
+          }
+        });
+
+        expect(lightbox.currentIndex).toBe(expected);
+        const shown = visibleSlides(lightbox);
+        expect(shown).toHaveLength(1);
+        expect(shown[0].dataset.index).toBe(String(expected));
+
+        const current = lightbox.element.querySelectorAll('.lightbox-thumb[aria-current="true"]');
+        expect(current).toHaveLength(count > 1 ? 1 : 0);
+        if (count > 1) expect(current[0].dataset.index).toBe(String(expected));
+
+        const images = lightbox.element.querySelectorAll('.lightbox-image');
+        [expected, (expected + 1) % count, (expected - 1 + count) % count].forEach(index => {
+          expect(images[index].getAttribute('src')).toBe(`/images/shot-${index}.png`);
+        });
+        // Nothing is requested twice
+        const requested = loader.loadImage.mock.calls.map(([img]) => img);
+        expect(new Set(requested).size).toBe(requested.length);
+      }
+    ), { numRuns: 100 });
+  });
+
+  it('should load only the first image and its neighbours when opened', () => {
+    const loader = createLoader();
+    const lightbox = new ImageLightbox(container, imageList(5), { imageLoader: loader });
+
+    const images = lightbox.element.querySelectorAll('.lightbox-image');
+    expect(loader.loadImage.mock.calls.map(([img]) => img)).toEqual([images[0], images[1], images[4]]);
+    expect(images[2].hasAttribute('src')).toBe(false);
+    expect(images[2].dataset.src).toBe('/images/shot-2.png');
+  });
+
+  it('should accept plain URLs and show captions as text', () => {
+    const lightbox = new ImageLightbox(container, [
+      '/images/plain.png',
+      { src: '/images/captioned.png', caption: '<b>Checkout</b> flow' },
+      { caption: 'No source' }
+    ], { alt: 'Shop', imageLoader: createLoader() });
+
+    expect(lightbox.images).toHaveLength(2);
+    const images = lightbox.element.querySelectorAll('.lightbox-image');
+    expect(images[0].alt).toBe('Shop');
+    expect(images[1].alt).toBe('<b>Checkout</b> flow');
+
+    lightbox.next();
+    const caption = visibleSlides(lightbox)[0].querySelector('.lightbox-caption');
+    expect(caption.textContent).toBe('<b>Checkout</b> flow');
+    expect(caption.querySelector('b')).toBeNull();
+    expect(lightbox.element.querySelector('.lightbox-counter').textContent).toBe('Image 2 of 2: <b>Checkout</b> flow');
+    expect(lightbox.element.querySelectorAll('.lightbox-slide')[0].querySelector('.lightbox-caption')).toBeNull();
+  });
+
+  it('should leave out navigation for a single image and render nothing without images', () => {
+    const single = new ImageLightbox(container, ['/images/only.png'], { imageLoader: createLoader() });
+    expect(single.element.querySelector('.lightbox-next')).toBeNull();
+    expect(single.element.querySelector('.lightbox-thumbnails')).toBeNull();
+    single.destroy();
+
+    const empty = new ImageLightbox(container, [], { imageLoader: createLoader() });
+    expect(empty.element).toBeNull();
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('should move with the arrow, Home and End keys', () => {
+    const lightbox = new ImageLightbox(container, imageList(4), { imageLoader: createLoader() });
+
+    expect(key(lightbox.element, 'ArrowRight').defaultPrevented).toBe(true);
+    expect(lightbox.currentIndex).toBe(1);
+    key(lightbox.element, 'End');
+    expect(lightbox.currentIndex).toBe(3);
+    key(lightbox.element, 'ArrowRight');
+    expect(lightbox.currentIndex).toBe(0);
+    key(lightbox.element, 'ArrowLeft');
+    expect(lightbox.currentIndex).toBe(3);
+    key(lightbox.element, 'Home');
+    expect(lightbox.currentIndex).toBe(0);
+  });
+
+  it('should change image on horizontal swipes only', () => {
+    const lightbox = new ImageLightbox(container, imageList(3), { imageLoader: createLoader() });
+
+    pointer(viewport(lightbox), 'pointerdown', 1, 300);
+    pointer(viewport(lightbox), 'pointerup', 1, 200);
+    expect(lightbox.currentIndex).toBe(1);
+
+    pointer(viewport(lightbox), 'pointerdown', 1, 100);
+    pointer(viewport(lightbox), 'pointerup', 1, 250);
+    expect(lightbox.currentIndex).toBe(0);
+
+    // Too short, or mostly vertical: treated as a tap or a scroll
+    pointer(viewport(lightbox), 'pointerdown', 1, 100, 0);
+    pointer(viewport(lightbox), 'pointerup', 1, 80, 0);
+    pointer(viewport(lightbox), 'pointerdown', 1, 100, 0);
+    pointer(viewport(lightbox), 'pointerup', 1, 30, 200);
+    expect(lightbox.currentIndex).toBe(0);
+  });
+
+  it('should zoom with a pinch and pan instead of swiping while zoomed', () => {
+    const lightbox = new ImageLightbox(container, imageList(3), { imageLoader: createLoader() });
+    const area = viewport(lightbox);
+    area.getBoundingClientRect = () => ({ width: 400, height: 300, top: 0, left: 0 });
+
+    pointer(area, 'pointerdown', 1, 150);
+    pointer(area, 'pointerdown', 2, 250);
+    pointer(area, 'pointermove', 2, 350);
+    expect(lightbox.scale).toBe(2);
+    pointer(area, 'pointerup', 2, 350);
+    // The finger still down after a pinch does not swipe
+    pointer(area, 'pointerup', 1, 20);
+    expect(lightbox.currentIndex).toBe(0);
+
+    const img = area.querySelector('.lightbox-image');
+    expect(img.style.transform).toBe('translate(0px, 0px) scale(2)');
+    expect(area.classList.contains('is-zoomed')).toBe(true);
+
+    pointer(area, 'pointerdown', 1, 200);
+    pointer(area, 'pointermove', 1, 100);
+    pointer(area, 'pointerup', 1, 100);
+    expect(lightbox.currentIndex).toBe(0);
+    expect(lightbox.offsetX).toBe(-100);
+
+    // Panning stops at the edge of the zoomed image
+    pointer(area, 'pointerdown', 1, 0);
+    pointer(area, 'pointermove', 1, -500);
+    pointer(area, 'pointerup', 1, -500);
+    expect(lightbox.offsetX).toBe(-200);
+
+    // Moving to another image starts unzoomed
+    lightbox.next();
+    expect(lightbox.isZoomed()).toBe(false);
+    expect(img.style.transform).toBe('');
+  });
+
+  it('should zoom from the buttons and keys within limits', () => {
+    const lightbox = new ImageLightbox(container, imageList(2), { imageLoader: createLoader() });
+    const zoomIn = lightbox.element.querySelector('.lightbox-zoom-in');
+    const zoomOut = lightbox.element.querySelector('.lightbox-zoom-out');
+    const reset = lightbox.element.querySelector('.lightbox-zoom-reset');
+
+    expect(zoomOut.disabled).toBe(true);
+    zoomIn.click();
+    expect(lightbox.scale).toBe(1.5);
+    expect(reset.textContent).toBe('150%');
+
+    for (let i = 0; i < 10; i++) key(lightbox.element, '+');
+    expect(lightbox.scale).toBe(4);
+    expect(zoomIn.disabled).toBe(true);
+
+    key(lightbox.element, '-');
+    expect(lightbox.scale).toBe(3.5);
+    key(lightbox.element, '0');
+    expect(lightbox.isZoomed()).toBe(false);
+
+    viewport(lightbox).dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+    expect(lightbox.scale).toBe(2);
+  });
+
+  it('should ignore a loader failure', async () => {
+    const loader = { loadImage: vi.fn(() => Promise.reject(new Error('Failed to load image'))) };
+    const lightbox = new ImageLightbox(container, imageList(2), { imageLoader: loader });
+    await Promise.resolve();
+    expect(() => lightbox.next()).not.toThrow();
+  });
+});
+
+describe('ProjectGallery lightbox', () => {
+  let container;
+
+  const projectsData = {
+    projects: [{
+      id: 'shop',
+      title: 'Shop',
+      description: 'Online shop',
+      category: 'web-development',
+      technologies: ['React'],
+      thumbnail: '/images/projects/placeholder.svg',
+      images: ['/images/shop-home.png', { src: '/images/shop-cart.png', caption: 'Cart' }],
+      completedDate: '2024-01-01'
+    }, {
+      id: 'api',
+      title: 'API',
+      description: 'Backend',
+      category: 'apis',
+      technologies: ['Go'],
+      thumbnail: '/images/projects/placeholder.svg',
+      images: [],
+      completedDate: '2024-01-01'
+    }],
+    categories: []
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+  });
+
+  it('should show project images in a lightbox through the gallery image loader', () => {
+    const loader = createLoader();
+    const gallery = new ProjectGallery(container, structuredClone(projectsData), { imageLoader: loader });
+    gallery.showProjectModal('shop');
+
+    const lightbox = gallery.modal.querySelector('.project-images .image-lightbox');
+    expect(lightbox.getAttribute('aria-label')).toBe('Shop screenshots');
+    expect(lightbox.querySelectorAll('.lightbox-thumb')).toHaveLength(2);
+    expect(loader.loadImage).toHaveBeenCalledTimes(2);
+
+    // Arrow keys work from the focused dialog itself
+    key(gallery.modal.querySelector('.modal-content'), 'ArrowRight');
+    expect(gallery.lightbox.getCurrentImage().caption).toBe('Cart');
+
+    gallery.closeModal();
+    expect(gallery.lightbox).toBeNull();
+  });
+
+  it('should leave the image area out when a project has no images', () => {
+    const gallery = new ProjectGallery(container, structuredClone(projectsData), { imageLoader: createLoader() });
+    gallery.showProjectModal('api');
+    expect(gallery.modal.querySelector('.project-images')).toBeNull();
+    expect(gallery.modal.querySelector('.project-full-description').textContent).toBe('Backend');
+  });
+});
@@ -0,0 +1,220 @@
+// Feature: portfolio-enhancement, Property 48: Keyed List Reconciliation
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { KeyedList } from '../js/components/KeyedList.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+import { SkillsTimeline } from '../js/components/SkillsTimeline.js';
+import { LazyImageLoader } from '../js/components/LazyImageLoader.js';
+import { AnimationEngine } from '../js/components/AnimationEngine.js';
+
+const createItem = item => {
+  const element = document.createElement('li');
+  element.dataset.key = item.id;
+  element.textContent = item.label ?? item.id;
+  return element;
+};
+
+const keysOf = container => [...container.children].map(child => child.dataset.key);
+
+describe('KeyedList', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('ul');
+    document.body.appendChild(container);
+  });
+
+  // Property 48: Keyed List Reconciliation
+  // For any sequence of renders, the container holds one element per item in
+  // item order, an element is reused for as long as its key stays in the
+  // list, and the hooks hear about exactly the elements that came and went
+  it('should reuse elements by key and report what was mounted and unmounted', () => {
+    const keys = fc.uniqueArray(fc.constantFrom('a', 'b', 'c', 'd', 'e', 'f'), { maxLength: 6 });
+
+    fc.assert(fc.property(fc.array(keys, { minLength: 1, maxLength: 8 }), renders => {
+      container.replaceChildren();
+      const live = new Set();
+      const list = new KeyedList(container, {
+        create: createItem,
+        hooks: [{
+          mount: elements => elements.forEach(element => {
+            expect(element.isConnected).toBe(true);
+            live.add(element);
+          }),
+          unmount: elements => elements.forEach(element => live.delete(element))
+        }]
+      });
+
+      renders.forEach(ids => {
+        const before = new Map(list.getElements().map(element => [element.dataset.key, element]));
+        const { elements, mounted } = list.render(ids.map(id => ({ id })));
+
+        expect(keysOf(container)).toEqual(ids);
+        expect(elements).toEqual([...container.children]);
+        expect(new Set(elements)).toEqual(live);
+        elements.forEach(element => {
+          const previous = before.get(element.dataset.key);
+          expect(mounted.includes(element)).toBe(!previous);
+          if (previous) expect(element).toBe(previous);
+        });
+      });
+    }), { numRuns: 100 });
+  });
+
+  it('should rebuild an element only when its signature changes', () => {
+    const create = vi.fn(createItem);
+    const list = new KeyedList(container, { create, signature: item => item.label });
+
+    list.render([{ id: 'a', label: 'One' }, { id: 'b', label: 'Two' }]);
+    const [a, b] = list.getElements();
+    const { mounted, unmounted } = list.render([{ id: 'a', label: 'One' }, { id: 'b', label: 'Changed' }]);
+
+    expect(list.getElements()[0]).toBe(a);
+    expect(unmounted).toEqual([b]);
+    expect(mounted).toEqual([list.getElements()[1]]);
+    expect(container.children[1].textContent).toBe('Changed');
+    expect(create).toHaveBeenLastCalledWith({ id: 'b', label: 'Changed' }, 'Changed');
+  });
+
+  it('should leave children it does not own alone and only move what is out of order', () => {
+    const list = new KeyedList(container, {
+      create: item => {
+        const element = createItem(item);
+        element.tabIndex = 0;
+        return element;
+      }
+    });
+    list.render(['a', 'b', 'c', 'd'].map(id => ({ id })));
+    const message = document.createElement('p');
+    container.appendChild(message);
+
+    const b = list.getElements()[1];
+    b.focus();
+    const insertBefore = vi.spyOn(container, 'insertBefore');
+    list.render(['b', 'c', 'e', 'd', 'a'].map(id => ({ id })));
+
+    // a moves to the end and e is added; b, c and d stay where they are
+    expect(insertBefore).toHaveBeenCalledTimes(2);
+    expect(document.activeElement).toBe(b);
+    expect(keysOf(container)).toEqual(['b', 'c', 'e', 'd', 'a', undefined]);
+    expect(container.lastElementChild).toBe(message);
+  });
+
+  it('should give duplicate keys an element each and recreate elements removed from outside', () => {
+    const list = new KeyedList(container, { create: createItem });
+    list.render([{ id: 'a' }, { id: 'a' }]);
+    expect(keysOf(container)).toEqual(['a', 'a']);
+
+    container.replaceChildren();
+    const { mounted } = list.render([{ id: 'a' }]);
+    expect(mounted).toHaveLength(1);
+    expect(keysOf(container)).toEqual(['a']);
+  });
+
+  it('should hand removals to the transition after the first render', () => {
+    const transition = {
+      capture: vi.fn(elements => elements.map(element => element.dataset.key)),
+      play: vi.fn()
+    };
+    const list = new KeyedList(container, { create: createItem, transition });
+
+    list.render([{ id: 'a' }, { id: 'b' }]);
+    expect(transition.capture).not.toHaveBeenCalled();
+
+    const [a] = list.getElements();
+    list.render([{ id: 'b' }, { id: 'c' }]);
+    const [, c] = list.getElements();
+    expect(transition.play).toHaveBeenCalledWith(container, ['a', 'b'], { entered: [c], exited: [a] });
+    // Still there for the transition to animate out
+    expect(a.isConnected).toBe(true);
+    expect(list.getElements()).not.toContain(a);
+  });
+});
+
+describe('List components rendering through KeyedList', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+  });
+
+  const article = (id, extra = {}) => ({
+    id,
+    title: `Article ${id}`,
+    slug: id,
+    excerpt: `About ${id}`,
+    content: `Text about ${id}`,
+    category: 'tutorials',
+    tags: [id === 'css' ? 'CSS' : 'JavaScript'],
+    publishedDate: '2024-01-01',
+    ...extra
+  });
+
+  it('should keep article cards across filtering and rebuild the ones whose markup changed', () => {
+    const blog = new BlogSystem(container, {
+      articles: [article('js'), article('css', { publishedDate: '2024-02-01' })],
+      categories: [{ id: 'tutorials', name: 'Tutorials' }]
+    });
+    const card = id => container.querySelector(`.article-card[data-article-id="${id}"]`);
+    const js = card('js');
+
+    blog.filterByTags(['CSS']);
+    expect(card('js')).toBeNull();
+    expect(card('css')).not.toBeNull();
+
+    blog.filterByTags([]);
+    const css = card('css');
+    blog.readingHistory.markOpened('js');
+    blog.readingHistory.saveProgress('js', 1);
+    blog.renderArticleList();
+
+    expect(card('css')).toBe(css);
+    expect(card('js')).not.toBe(js);
+    expect(card('js').querySelector('.read-badge')).not.toBeNull();
+  });
+
+  it('should not duplicate timeline items when the timeline renders again', () => {
+    const experience = (id, startDate) => ({
+      id, title: id, company: 'Co', location: 'Remote', description: '',
+      technologies: [], type: 'work', startDate
+    });
+    const mount = vi.fn();
+    const timeline = new SkillsTimeline(container, {
+      experiences: [experience('old', '2019-01-01'), experience('new', '2022-01-01')],
+      skills: []
+    }, { listHooks: [{ mount }] });
+    const items = [...container.querySelectorAll('.timeline-item')];
+
+    timeline.renderTimeline();
+
+    expect([...container.querySelectorAll('.timeline-item')]).toEqual(items);
+    expect(items.map(item => item.dataset.experienceId)).toEqual(['new', 'old']);
+    expect(mount).toHaveBeenCalledTimes(1);
+    expect(mount).toHaveBeenCalledWith(items);
+  });
+
+  it('should let the image loader and animation engine attach to mounted items', () => {
+    const loader = new LazyImageLoader({ autoObserve: false });
+    const engine = new AnimationEngine();
+    const list = new KeyedList(container, {
+      create: item => {
+        const element = document.createElement('article');
+        element.className = 'article-card';
+        element.innerHTML = `<img data-src="/images/${item.id}.png" alt=""><button>Open</button>`;
+        return element;
+      },
+      hooks: [loader.createListHooks(), engine.createListHooks()]
+    });
+
+    list.render([{ id: 'a' }]);
+    const [element] = list.getElements();
+    const img = element.querySelector('img');
+    expect(loader.images.has(img)).toBe(true);
+    expect(engine.hasHoverEffects(element)).toBe(true);
+    expect(engine.hasHoverEffects(element.querySelector('button'))).toBe(true);
+
+    list.render([]);
+    expect(loader.images.has(img)).toBe(false);
+  });
+});
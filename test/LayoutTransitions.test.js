@@ -0,0 +1,251 @@
+// Feature: portfolio-enhancement, Property 47: Keyed Grid Reconciliation
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { AnimationEngine } from '../js/components/AnimationEngine.js';
+
+const project = (id, category, technologies, completedDate) => ({
+  id,
+  title: `Project ${id}`,
+  description: `About ${id}`,
+  category,
+  technologies,
+  thumbnail: '/images/projects/placeholder.svg',
+  images: [],
+  completedDate
+});
+
+const projectsData = () => ({
+  projects: [
+    project('shop', 'web', ['React', 'Node.js'], '2024-03-01'),
+    project('api', 'backend', ['Node.js'], '2023-06-01'),
+    project('blog', 'web', ['Astro'], '2024-08-01'),
+    project('chat', 'backend', ['React', 'Socket.io'], '2022-01-01'),
+    project('maps', 'web', ['React'], '2021-05-01')
+  ],
+  categories: [
+    { id: 'web', name: 'Web' },
+    { id: 'backend', name: 'Backend' }
+  ]
+});
+
+const cardIds = container => [...container.querySelectorAll('.projects-grid > .project-card:not(.is-exiting)')]
+  .map(card => card.dataset.projectId);
+
+const cardNode = (container, id) =>
+  container.querySelector(`.projects-grid > .project-card:not(.is-exiting)[data-project-id="${id}"]`);
+
+describe('Keyed project grid', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+  });
+
+  // Property 47: Keyed Grid Reconciliation
+  // For any sequence of filter and sort changes, the grid shows the filtered
+  // projects in order, and a card that stays visible across a change is the
+  // same DOM node before and after it
+  it('should reuse the card of every project that stays visible', () => {
+    const action = fc.oneof(
+      fc.record({ type: fc.constant('category'), value: fc.constantFrom('all', 'web', 'backend') }),
+      fc.record({ type: fc.constant('tech'), value: fc.constantFrom('React', 'Node.js', 'Astro') }),
+      fc.record({ type: fc.constant('sort'), value: fc.constantFrom('curated', 'newest', 'oldest', 'title') }),
+      fc.record({ type: fc.constant('mode'), value: fc.constantFrom('all', 'any') })
+    );
+
+    fc.assert(fc.property(fc.array(action, { minLength: 1, maxLength: 12 }), actions => {
+      container.innerHTML = '';
+      const gallery = new ProjectGallery(container, projectsData(), { featured: { autoplay: false } });
+
+      actions.forEach(({ type, value }) => {
+        const before = new Map(cardIds(container).map(id => [id, cardNode(container, id)]));
+
+        if (type === 'category') gallery.filterByCategory(value);
+        if (type === 'tech') gallery.toggleTechnology(value);
+        if (type === 'sort') gallery.sortBy(value);
+        if (type === 'mode') gallery.filterByTechnologies(gallery.selectedTechnologies, value);
+
+        expect(cardIds(container)).toEqual(gallery.getFilteredProjects().map(p => p.id));
+        cardIds(container).forEach(id => {
+          if (before.has(id)) expect(cardNode(container, id)).toBe(before.get(id));
+        });
+        expect(container.querySelectorAll('.projects-grid > .project-card')).toHaveLength(cardIds(container).length);
+      });
+    }), { numRuns: 100 });
+  });
+
+  it('should keep focus on a card that stays in place', () => {
+    const gallery = new ProjectGallery(container, projectsData(), { featured: { autoplay: false } });
+    const toggle = cardNode(container, 'maps').querySelector('.compare-toggle');
+    toggle.focus();
+
+    gallery.filterByCategory('web');
+    expect(document.activeElement).toBe(toggle);
+  });
+
+  it('should show the empty message only while nothing matches', () => {
+    const gallery = new ProjectGallery(container, projectsData(), { featured: { autoplay: false } });
+
+    gallery.filterByTechnologies(['Astro', 'Socket.io'], 'all');
+    expect(container.querySelectorAll('.projects-grid .no-projects')).toHaveLength(1);
+    gallery.filterByTechnologies(['Astro', 'Socket.io'], 'all');
+    expect(container.querySelectorAll('.projects-grid .no-projects')).toHaveLength(1);
+
+    gallery.clearFilters();
+    expect(container.querySelector('.projects-grid .no-projects')).toBeNull();
+    expect(cardIds(container)).toHaveLength(5);
+  });
+});
+
+describe('Grid layout transitions', () => {
+  let container;
+  let engine;
+  let animations;
+  let reducedMotion;
+  const originals = {};
+
+  // Lay cards out three to a row, 100px apart, skipping cards on their way out
+  function rectFor(element) {
+    if (!element.classList.contains('project-card')) {
+      return { left: 0, top: 0, width: 300, height: 300 };
+    }
+    if (element.classList.contains('is-exiting')) {
+      return { left: 0, top: 0, width: 90, height: 90 };
+    }
+    const siblings = [...element.parentElement.children]
+      .filter(child => child.classList.contains('project-card') && !child.classList.contains('is-exiting'));
+    const index = siblings.indexOf(element);
+    return { left: (index % 3) * 100, top: Math.floor(index / 3) * 100, width: 90, height: 90 };
+  }
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+    animations = [];
+    reducedMotion = false;
+
+    originals.animate = Element.prototype.animate;
+    originals.getAnimations = Element.prototype.getAnimations;
+    originals.getBoundingClientRect = Element.prototype.getBoundingClientRect;
+    originals.matchMedia = window.matchMedia;
+
+    Element.prototype.animate = function animate(keyframes, options) {
+      const animation = { element: this, keyframes, options, cancel: vi.fn(), onfinish: null, oncancel: null };
+      animations.push(animation);
+      return animation;
+    };
+    Element.prototype.getAnimations = () => [];
+    Element.prototype.getBoundingClientRect = function getBoundingClientRect() {
+      return rectFor(this);
+    };
+    window.matchMedia = query => ({ matches: reducedMotion && query.includes('reduce'), media: query });
+
+    engine = new AnimationEngine();
+  });
+
+  afterEach(() => {
+    Element.prototype.animate = originals.animate;
+    Element.prototype.getAnimations = originals.getAnimations;
+    Element.prototype.getBoundingClientRect = originals.getBoundingClientRect;
+    window.matchMedia = originals.matchMedia;
+  });
+
+  const createGallery = () => new ProjectGallery(container, projectsData(), {
+    animationEngine: engine,
+    listHooks: [engine.createListHooks()],
+    featured: { autoplay: false }
+  });
+
+  const animationsOf = element => animations.filter(animation => animation.element === element);
+
+  it('should slide moved cards from their old position', () => {
+    const gallery = createGallery();
+    const maps = cardNode(container, 'maps');
+    expect(animations).toHaveLength(0);
+
+    // maps moves from the second row (0, 100) to the first slot (0, 0)
+    gallery.sortBy('title');
+    expect(cardIds(container)).toEqual(['api', 'blog', 'chat', 'maps', 'shop']);
+    animations.length = 0;
+
+    gallery.sortBy('oldest');
+    expect(cardIds(container)[0]).toBe('maps');
+    const [slide] = animationsOf(maps);
+    expect(slide.keyframes[0].transform).toBe('translate(0px, 100px)');
+    expect(slide.keyframes[1].transform).toBe('translate(0, 0)');
+    expect(slide.options.duration).toBeGreaterThan(0);
+  });
+
+  it('should fade removed cards out where they were, then remove them', () => {
+    const gallery = createGallery();
+    const api = cardNode(container, 'api');
+    animations.length = 0;
+
+    gallery.filterByCategory('web');
+
+    expect(api.classList.contains('is-exiting')).toBe(true);
+    expect(api.getAttribute('aria-hidden')).toBe('true');
+    expect(api.style.position).toBe('absolute');
+    expect(api.style.left).toBe('100px');
+    expect(api.style.top).toBe('0px');
+    const [fade] = animationsOf(api);
+    expect(fade.keyframes[1].opacity).toBe(0);
+    expect(api.isConnected).toBe(true);
+
+    fade.onfinish();
+    expect(api.isConnected).toBe(false);
+  });
+
+  it('should fade new cards in and give them hover effects', () => {
+    const gallery = createGallery();
+    gallery.filterByCategory('backend');
+    animations.length = 0;
+
+    gallery.filterByCategory('all');
+    const shop = cardNode(container, 'shop');
+    expect(animationsOf(shop)[0].keyframes[0].opacity).toBe(0);
+    expect(engine.hasHoverEffects(shop)).toBe(true);
+  });
+
+  it('should keep hover state on cards that stay', () => {
+    const gallery = createGallery();
+    const shop = cardNode(container, 'shop');
+    engine.addHoverEffect(shop);
+    shop.dispatchEvent(new MouseEvent('mouseenter'));
+    expect(shop.style.transform).toBe('translateY(-3px)');
+
+    gallery.filterByCategory('web');
+    expect(cardNode(container, 'shop')).toBe(shop);
+    expect(shop.style.transform).toBe('translateY(-3px)');
+  });
+
+  it('should not reuse a card that is fading out', () => {
+    const gallery = createGallery();
+    const api = cardNode(container, 'api');
+
+    gallery.filterByCategory('web');
+    gallery.filterByCategory('all');
+
+    expect(cardNode(container, 'api')).not.toBe(api);
+    expect(cardIds(container)).toEqual(['shop', 'api', 'blog', 'chat', 'maps']);
+    // api and chat were fading out
+    animations.filter(animation => animation.onfinish).forEach(animation => animation.onfinish());
+    expect(api.isConnected).toBe(false);
+    expect(container.querySelectorAll('.projects-grid > .project-card')).toHaveLength(5);
+  });
+
+  it('should not animate when the reader prefers reduced motion', () => {
+    reducedMotion = true;
+    const gallery = createGallery();
+    const api = cardNode(container, 'api');
+
+    gallery.sortBy('oldest');
+    gallery.filterByCategory('web');
+
+    expect(animations).toHaveLength(0);
+    expect(api.isConnected).toBe(false);
+    expect(cardIds(container)).toEqual(['maps', 'shop', 'blog']);
+  });
+});
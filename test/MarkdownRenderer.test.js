@@ -0,0 +1,287 @@
+// Feature: portfolio-enhancement, Property 25: Markdown Rendering Conformance
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { MarkdownRenderer } from '../js/components/MarkdownRenderer.js';
+
+// Examples taken from the CommonMark spec (0.31.2) and the GFM extensions,
+// grouped by the spec section they come from
+const SPEC_EXAMPLES = {
+  'Tabs': [
+    ['\tfoo\tbaz\t\tbim\n', '<pre><code>foo\tbaz\t\tbim\n</code></pre>\n'],
+    ['  \tfoo\tbaz\t\tbim\n', '<pre><code>foo\tbaz\t\tbim\n</code></pre>\n']
+  ],
+  'Thematic breaks': [
+    ['***\n---\n___\n', '<hr />\n<hr />\n<hr />\n'],
+    ['+++\n', '<p>+++</p>\n'],
+    [' - - -\n', '<hr />\n'],
+    ['_____________________________________\n', '<hr />\n'],
+    ['- foo\n***\n- bar\n', '<ul>\n<li>foo</li>\n</ul>\n<hr />\n<ul>\n<li>bar</li>\n</ul>\n'],
+    ['Foo\n***\nbar\n', '<p>Foo</p>\n<hr />\n<p>bar</p>\n']
+  ],
+  'ATX headings': [
+    ['# foo\n## foo\n### foo\n#### foo\n##### foo\n###### foo\n',
+      '<h1>foo</h1>\n<h2>foo</h2>\n<h3>foo</h3>\n<h4>foo</h4>\n<h5>foo</h5>\n<h6>foo</h6>\n'],
+    ['####### foo\n', '<p>####### foo</p>\n'],
+    ['#5 bolt\n\n#hashtag\n', '<p>#5 bolt</p>\n<p>#hashtag</p>\n'],
+    ['# foo *bar* \\*baz\\*\n', '<h1>foo <em>bar</em> *baz*</h1>\n'],
+    ['## foo ##\n  ###   bar    ###\n', '<h2>foo</h2>\n<h3>bar</h3>\n'],
+    ['### foo ### b\n', '<h3>foo ### b</h3>\n'],
+    ['## \n#\n### ###\n', '<h2></h2>\n<h1></h1>\n<h3></h3>\n']
+  ],
+  'Setext headings': [
+    ['Foo *bar*\n=========\n\nFoo *bar*\n---------\n', '<h1>Foo <em>bar</em></h1>\n<h2>Foo <em>bar</em></h2>\n'],
+    ['Foo *bar\nbaz*\n====\n', '<h1>Foo <em>bar\nbaz</em></h1>\n'],
+    ['Foo\n-------------------------\n\nFoo\n=\n', '<h2>Foo</h2>\n<h1>Foo</h1>\n']
+  ],
+  'Indented code blocks': [
+    ['    a simple\n      indented code block\n', '<pre><code>a simple\n  indented code block\n</code></pre>\n'],
+    ['    <a/>\n    *hi*\n\n    - one\n', '<pre><code>&lt;a/&gt;\n*hi*\n\n- one\n</code></pre>\n'],
+    ['Foo\n    bar\n', '<p>Foo\nbar</p>\n']
+  ],
+  'Fenced code blocks': [
+    ['```\n<\n >\n```\n', '<pre><code>&lt;\n &gt;\n</code></pre>\n'],
+    ['~~~\n<\n >\n~~~\n', '<pre><code>&lt;\n &gt;\n</code></pre>\n'],
+    ['```\naaa\n~~~\n```\n', '<pre><code>aaa\n~~~\n</code></pre>\n'],
+    ['````\naaa\n```\n``````\n', '<pre><code>aaa\n```\n</code></pre>\n'],
+    ['```\n', '<pre><code></code></pre>\n'],
+    [' ```\n aaa\naaa\n```\n', '<pre><code>aaa\naaa\n</code></pre>\n'],
+    ['```ruby\ndef foo(x)\n  return 3\nend\n```\n',
+      '<pre><code class="language-ruby">def foo(x)\n  return 3\nend\n</code></pre>\n'],
+    ['``` aa ```\nfoo\n', '<p><code>aa</code>\nfoo</p>\n']
+  ],
+  'HTML blocks': [
+    ['<table><tr><td>\n<pre>\n**Hello**,\n\n_world_.\n</pre>\n</td></tr></table>\n',
+      '<table><tr><td>\n<pre>\n**Hello**,\n<p><em>world</em>.\n</pre></p>\n</td></tr></table>\n'],
+    ['<div>\n*hello*\n         <foo><a>\n', '<div>\n*hello*\n         <foo><a>\n'],
+    ['<!-- Foo\n\nbar\n   baz -->\nokay\n', '<!-- Foo\n\nbar\n   baz -->\n<p>okay</p>\n']
+  ],
+  'Link reference definitions': [
+    ['[foo]: /url "title"\n\n[foo]\n', '<p><a href="/url" title="title">foo</a></p>\n'],
+    ['   [foo]: \n      /url  \n           \'the title\'  \n\n[foo]\n',
+      '<p><a href="/url" title="the title">foo</a></p>\n'],
+    ['[foo]: /url \'title\n\nwith blank line\'\n\n[foo]\n',
+      '<p>[foo]: /url \'title</p>\n<p>with blank line\'</p>\n<p>[foo]</p>\n'],
+    ['[FOO]: /url\n\n[Foo]\n', '<p><a href="/url">Foo</a></p>\n']
+  ],
+  'Paragraphs': [
+    ['aaa\n\nbbb\n', '<p>aaa</p>\n<p>bbb</p>\n'],
+    ['  aaa\n bbb\n', '<p>aaa\nbbb</p>\n'],
+    ['aaa     \nbbb     \n', '<p>aaa<br />\nbbb</p>\n']
+  ],
+  'Block quotes': [
+    ['> # Foo\n> bar\n> baz\n', '<blockquote>\n<h1>Foo</h1>\n<p>bar\nbaz</p>\n</blockquote>\n'],
+    ['> # Foo\n> bar\nbaz\n', '<blockquote>\n<h1>Foo</h1>\n<p>bar\nbaz</p>\n</blockquote>\n'],
+    ['> foo\n---\n', '<blockquote>\n<p>foo</p>\n</blockquote>\n<hr />\n'],
+    ['>\n', '<blockquote>\n</blockquote>\n'],
+    ['> foo\n\n> bar\n', '<blockquote>\n<p>foo</p>\n</blockquote>\n<blockquote>\n<p>bar</p>\n</blockquote>\n'],
+    ['> > > foo\nbar\n', '<blockquote>\n<blockquote>\n<blockquote>\n<p>foo\nbar</p>\n</blockquote>\n</blockquote>\n</blockquote>\n']
+  ],
+  'List items': [
+    ['1.  A paragraph\n    with two lines.\n\n        indented code\n\n    > A block quote.\n',
+      '<ol>\n<li>\n<p>A paragraph\nwith two lines.</p>\n<pre><code>indented code\n</code></pre>\n<blockquote>\n<p>A block quote.</p>\n</blockquote>\n</li>\n</ol>\n'],
+    ['- one\n\n two\n', '<ul>\n<li>one</li>\n</ul>\n<p>two</p>\n'],
+    ['- one\n\n  two\n', '<ul>\n<li>\n<p>one</p>\n<p>two</p>\n</li>\n</ul>\n'],
+    ['-one\n\n2.two\n', '<p>-one</p>\n<p>2.two</p>\n'],
+    ['123456789. ok\n', '<ol start="123456789">\n<li>ok</li>\n</ol>\n'],
+    ['1234567890. not ok\n', '<p>1234567890. not ok</p>\n'],
+    ['- foo\n\n      bar\n', '<ul>\n<li>\n<p>foo</p>\n<pre><code>bar\n</code></pre>\n</li>\n</ul>\n'],
+    ['-\n  foo\n-\n  ```\n  bar\n  ```\n-\n      baz\n',
+      '<ul>\n<li>foo</li>\n<li>\n<pre><code>bar\n</code></pre>\n</li>\n<li>\n<pre><code>baz\n</code></pre>\n</li>\n</ul>\n'],
+    ['- foo\n  - bar\n    - baz\n      - boo\n',
+      '<ul>\n<li>foo\n<ul>\n<li>bar\n<ul>\n<li>baz\n<ul>\n<li>boo</li>\n</ul>\n</li>\n</ul>\n</li>\n</ul>\n</li>\n</ul>\n'],
+    ['10) foo\n    - bar\n', '<ol start="10">\n<li>foo\n<ul>\n<li>bar</li>\n</ul>\n</li>\n</ol>\n'],
+    ['- # Foo\n- Bar\n  ---\n  baz\n', '<ul>\n<li>\n<h1>Foo</h1>\n</li>\n<li>\n<h2>Bar</h2>\nbaz</li>\n</ul>\n']
+  ],
+  'Lists': [
+    ['- foo\n- bar\n+ baz\n', '<ul>\n<li>foo</li>\n<li>bar</li>\n</ul>\n<ul>\n<li>baz</li>\n</ul>\n'],
+    ['1. foo\n2. bar\n3) baz\n', '<ol>\n<li>foo</li>\n<li>bar</li>\n</ol>\n<ol start="3">\n<li>baz</li>\n</ol>\n'],
+    ['Foo\n- bar\n- baz\n', '<p>Foo</p>\n<ul>\n<li>bar</li>\n<li>baz</li>\n</ul>\n'],
+    ['The number of windows in my house is\n14.  The number of doors is 6.\n',
+      '<p>The number of windows in my house is\n14.  The number of doors is 6.</p>\n'],
+    ['- a\n- b\n\n- c\n', '<ul>\n<li>\n<p>a</p>\n</li>\n<li>\n<p>b</p>\n</li>\n<li>\n<p>c</p>\n</li>\n</ul>\n'],
+    ['- a\n  - b\n\n    c\n- d\n', '<ul>\n<li>a\n<ul>\n<li>\n<p>b</p>\n<p>c</p>\n</li>\n</ul>\n</li>\n<li>d</li>\n</ul>\n'],
+    ['- a\n- ```\n  b\n\n\n  ```\n- c\n', '<ul>\n<li>a</li>\n<li>\n<pre><code>b\n\n\n</code></pre>\n</li>\n<li>c</li>\n</ul>\n'],
+    ['* a\n*\n\n* c\n', '<ul>\n<li>\n<p>a</p>\n</li>\n<li></li>\n<li>\n<p>c</p>\n</li>\n</ul>\n']
+  ],
+  'Backslash escapes': [
+    ['\\*not emphasized*\n\\<br/> not a tag\n\\[not a link](/foo)\n\\`not code`\n',
+      '<p>*not emphasized*\n&lt;br/&gt; not a tag\n[not a link](/foo)\n`not code`</p>\n'],
+    ['foo\\\nbar\n', '<p>foo<br />\nbar</p>\n'],
+    ['`` \\[\\` ``\n', '<p><code>\\[\\`</code></p>\n']
+  ],
+  'Entity and numeric character references': [
+    ['&nbsp; &amp; &copy;\n', '<p>  &amp; ©</p>\n'],
+    ['&#35; &#1234; &#992; &#0;\n', '<p># Ӓ Ϡ �</p>\n'],
+    ['&nbsp &x; &#; &#x;\n', '<p>&amp;nbsp &amp;x; &amp;#; &amp;#x;</p>\n']
+  ],
+  'Code spans': [
+    ['`foo`\n', '<p><code>foo</code></p>\n'],
+    ['`` foo ` bar ``\n', '<p><code>foo ` bar</code></p>\n'],
+    ['` `` `\n', '<p><code>``</code></p>\n'],
+    ['`  ``  `\n', '<p><code> `` </code></p>\n'],
+    ['``\nfoo\nbar  \nbaz\n``\n', '<p><code>foo bar   baz</code></p>\n'],
+    ['`foo\\`bar`\n', '<p><code>foo\\</code>bar`</p>\n'],
+    ['*foo`*`\n', '<p>*foo<code>*</code></p>\n'],
+    ['```foo``\n', '<p>```foo``</p>\n']
+  ],
+  'Emphasis and strong emphasis': [
+    ['*foo bar*\n', '<p><em>foo bar</em></p>\n'],
+    ['a * foo bar*\n', '<p>a * foo bar*</p>\n'],
+    ['foo*bar*\n', '<p>foo<em>bar</em></p>\n'],
+    ['_foo bar_\n', '<p><em>foo bar</em></p>\n'],
+    ['foo_bar_\n', '<p>foo_bar_</p>\n'],
+    ['**foo bar**\n', '<p><strong>foo bar</strong></p>\n'],
+    ['**foo "*bar*" foo**\n', '<p><strong>foo &quot;<em>bar</em>&quot; foo</strong></p>\n'],
+    ['*foo**bar**baz*\n', '<p><em>foo<strong>bar</strong>baz</em></p>\n'],
+    ['***foo** bar*\n', '<p><em><strong>foo</strong> bar</em></p>\n'],
+    ['foo***bar***baz\n', '<p>foo<em><strong>bar</strong></em>baz</p>\n'],
+    ['**foo*bar*baz**\n', '<p><strong>foo<em>bar</em>baz</strong></p>\n'],
+    ['*foo [bar](/url)*\n', '<p><em>foo <a href="/url">bar</a></em></p>\n'],
+    ['**foo**bar**baz**\n', '<p><strong>foo</strong>bar<strong>baz</strong></p>\n'],
+    ['*foo _bar* baz_\n', '<p><em>foo _bar</em> baz_</p>\n'],
+    ['**a<http://foo.bar/?q=**>\n', '<p>**a<a href="http://foo.bar/?q=**">http://foo.bar/?q=**</a></p>\n']
+  ],
+  'Links': [
+    ['[link](/uri "title")\n', '<p><a href="/uri" title="title">link</a></p>\n'],
+    ['[link]()\n', '<p><a href="">link</a></p>\n'],
+    ['[link](<>)\n', '<p><a href="">link</a></p>\n'],
+    ['[link](/my uri)\n', '<p>[link](/my uri)</p>\n'],
+    ['[link](<foo\nbar>)\n', '<p>[link](<foo\nbar>)</p>\n'],
+    ['[link](foo(and(bar)))\n', '<p><a href="foo(and(bar))">link</a></p>\n'],
+    ['[link](foo\\)\\:)\n', '<p><a href="foo):">link</a></p>\n'],
+    ['[link](foo%20b&auml;)\n', '<p><a href="foo%20b%C3%A4">link</a></p>\n'],
+    ['[link [foo [bar]]](/uri)\n', '<p><a href="/uri">link [foo [bar]]</a></p>\n'],
+    ['[link [bar](/uri)\n', '<p>[link <a href="/uri">bar</a></p>\n'],
+    ['[foo [bar](/uri)](/uri)\n', '<p>[foo <a href="/uri">bar</a>](/uri)</p>\n'],
+    ['[foo][bar]\n\n[bar]: /url "title"\n', '<p><a href="/url" title="title">foo</a></p>\n'],
+    ['[foo][]\n\n[foo]: /url "title"\n', '<p><a href="/url" title="title">foo</a></p>\n'],
+    ['[foo][bar][baz]\n\n[baz]: /url1\n[foo]: /url2\n', '<p>[foo]<a href="/url1">bar</a></p>\n']
+  ],
+  'Images': [
+    ['![foo](/url "title")\n', '<p><img src="/url" alt="foo" title="title" /></p>\n'],
+    ['![foo *bar*]\n\n[foo *bar*]: train.jpg "train & tracks"\n',
+      '<p><img src="train.jpg" alt="foo bar" title="train &amp; tracks" /></p>\n'],
+    ['![foo ![bar](/url)](/url2)\n', '<p><img src="/url2" alt="foo bar" /></p>\n']
+  ],
+  'Autolinks': [
+    ['<http://foo.bar.baz>\n', '<p><a href="http://foo.bar.baz">http://foo.bar.baz</a></p>\n'],
+    ['<foo@bar.example.com>\n', '<p><a href="mailto:foo@bar.example.com">foo@bar.example.com</a></p>\n'],
+    ['<http://foo.bar/baz bim>\n', '<p>&lt;http://foo.bar/baz bim&gt;</p>\n']
+  ],
+  'Raw HTML': [
+    ['<a><bab><c2c>\n', '<p><a><bab><c2c></p>\n'],
+    ['<33> <__>\n', '<p>&lt;33&gt; &lt;__&gt;</p>\n'],
+    ['foo <!-- this is a --\ncomment - with hyphens -->\n', '<p>foo <!-- this is a --\ncomment - with hyphens --></p>\n']
+  ],
+  'Hard line breaks': [
+    ['foo  \nbar\n', '<p>foo<br />\nbar</p>\n'],
+    ['foo  \n     bar\n', '<p>foo<br />\nbar</p>\n'],
+    ['foo\\\n', '<p>foo\\</p>\n'],
+    ['### foo  \n', '<h3>foo</h3>\n']
+  ],
+  'Tables (extension)': [
+    ['| foo | bar |\n| --- | --- |\n| baz | bim |\n',
+      '<table>\n<thead>\n<tr>\n<th>foo</th>\n<th>bar</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>baz</td>\n<td>bim</td>\n</tr>\n</tbody>\n</table>\n'],
+    ['| abc | defghi |\n:-: | -----------:\nbar | baz\n',
+      '<table>\n<thead>\n<tr>\n<th align="center">abc</th>\n<th align="right">defghi</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="center">bar</td>\n<td align="right">baz</td>\n</tr>\n</tbody>\n</table>\n'],
+    ['| f\\|oo  |\n| ------ |\n| b `\\|` az |\n| b **\\|** im |\n',
+      '<table>\n<thead>\n<tr>\n<th>f|oo</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>b <code>|</code> az</td>\n</tr>\n<tr>\n<td>b <strong>|</strong> im</td>\n</tr>\n</tbody>\n</table>\n'],
+    ['| abc | def |\n| --- |\n| bar |\n', '<p>| abc | def |\n| --- |\n| bar |</p>\n'],
+    ['| abc | def |\n| --- | --- |\n', '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n</table>\n']
+  ],
+  'Strikethrough (extension)': [
+    ['~~Hi~~ Hello, world!\n', '<p><del>Hi</del> Hello, world!</p>\n'],
+    ['This ~~has a\n\nnew paragraph~~.\n', '<p>This ~~has a</p>\n<p>new paragraph~~.</p>\n']
+  ],
+  'Autolinks (extension)': [
+    ['www.commonmark.org\n', '<p><a href="http://www.commonmark.org">www.commonmark.org</a></p>\n'],
+    ['Visit www.commonmark.org/help for more information.\n',
+      '<p>Visit <a href="http://www.commonmark.org/help">www.commonmark.org/help</a> for more information.</p>\n'],
+    ['Visit www.commonmark.org.\n\nVisit www.commonmark.org/a.b.\n',
+      '<p>Visit <a href="http://www.commonmark.org">www.commonmark.org</a>.</p>\n<p>Visit <a href="http://www.commonmark.org/a.b">www.commonmark.org/a.b</a>.</p>\n'],
+    ['www.google.com/search?q=Markup+(business)\n\nwww.google.com/search?q=Markup+(business)))\n',
+      '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>\n<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>))</p>\n'],
+    ['https://www.commonmark.org/he<lp\n', '<p><a href="https://www.commonmark.org/he">https://www.commonmark.org/he</a>&lt;lp</p>\n']
+  ],
+  'Footnotes (extension)': [
+    ['Here is a note[^note].\n\n[^note]: The note text.\n',
+      '<p>Here is a note<sup class="footnote-ref"><a href="#fn-note" id="fnref-note" data-footnote-ref>1</a></sup>.</p>\n' +
+      '<section class="footnotes" data-footnotes>\n<ol>\n<li id="fn-note">\n' +
+      '<p>The note text. <a href="#fnref-note" class="footnote-backref" aria-label="Back to content">↩</a></p>\n' +
+      '</li>\n</ol>\n</section>\n'],
+    ['No definition[^missing].\n', '<p>No definition[^missing].</p>\n']
+  ]
+};
+
+describe('MarkdownRenderer', () => {
+  Object.entries(SPEC_EXAMPLES).forEach(([section, examples]) => {
+    describe(section, () => {
+      examples.forEach(([markdown, html], index) => {
+        it(`renders example ${index + 1}`, () => {
+          const renderer = new MarkdownRenderer();
+          expect(renderer.render(markdown)).toBe(html);
+        });
+      });
+    });
+  });
+
+  it('escapes raw HTML when the html option is disabled', () => {
+    const renderer = new MarkdownRenderer({ html: false });
+    expect(renderer.render('<script>alert(1)</script>\n\nHi <b>there</b>\n'))
+      .toBe('<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>\n<p>Hi &lt;b&gt;there&lt;/b&gt;</p>\n');
+  });
+
+  it('neutralises unsafe link and image URLs', () => {
+    const renderer = new MarkdownRenderer({ html: false });
+    expect(renderer.render('[x](javascript:alert(document.cookie))')).toBe('<p><a href="#">x</a></p>\n');
+    expect(renderer.render('<javascript:alert(1)>')).toBe('<p><a href="#">javascript:alert(1)</a></p>\n');
+    expect(renderer.render('[x](&#106;avascript:alert(1))')).toBe('<p><a href="#">x</a></p>\n');
+    expect(renderer.render('![x](data:text/html;base64,PHNjcmlwdD4=)')).toBe('<p><img src="#" alt="x" /></p>\n');
+    expect(renderer.render('[x](/relative)')).toBe('<p><a href="/relative">x</a></p>\n');
+  });
+
+  it('keeps two bold spans on one line separate', () => {
+    const renderer = new MarkdownRenderer();
+    expect(renderer.render('**one** and **two**'))
+      .toBe('<p><strong>one</strong> and <strong>two</strong></p>\n');
+  });
+
+  it('adds slugified ids to the configured heading levels', () => {
+    const renderer = new MarkdownRenderer({ headingIds: [2, 3] });
+    expect(renderer.render('# Title\n\n## Getting *Started*!\n\n### Step 1: Install\n\n#### Notes'))
+      .toBe('<h1>Title</h1>\n<h2 id="getting-started">Getting <em>Started</em>!</h2>\n<h3 id="step-1-install">Step 1: Install</h3>\n<h4>Notes</h4>\n');
+    expect(renderer.headings).toEqual([
+      { level: 2, id: 'getting-started', text: 'Getting Started!' },
+      { level: 3, id: 'step-1-install', text: 'Step 1: Install' }
+    ]);
+  });
+
+  it('suffixes repeated and reserved heading ids', () => {
+    const renderer = new MarkdownRenderer({ headingIds: [2] });
+    renderer.render('## Setup\n\n## Setup\n\n## Contact\n\n## ?!', { reservedIds: ['contact'] });
+    expect(renderer.headings.map(heading => heading.id)).toEqual(['setup', 'setup-1', 'contact-1', 'section']);
+
+    // Ids start over for every document
+    renderer.render('## Setup');
+    expect(renderer.headings.map(heading => heading.id)).toEqual(['setup']);
+  });
+
+  // Property 25: Markdown Rendering Conformance
+  // Text without Markdown syntax renders as a single paragraph with every character escaped
+  it('should escape any plain text into a single paragraph', () => {
+    fc.assert(fc.property(
+      fc.stringOf(fc.constantFrom(...'abcdefghijklmnopqrstuvwxyz ABCXYZ0123456789<>&"\''), { minLength: 1, maxLength: 80 })
+        .map(s => `a${s}`.trim()),
+      (text) => {
+        const renderer = new MarkdownRenderer({ html: false });
+        const escaped = text
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;');
+
+        expect(renderer.render(text)).toBe(`<p>${escaped}</p>\n`);
+      }
+    ), { numRuns: 100 });
+  });
+});
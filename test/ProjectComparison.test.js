@@ -0,0 +1,174 @@
+// Feature: portfolio-enhancement, Property 45: Comparison Highlights Shared Technologies
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Dialog } from '../js/components/Dialog.js';
+
+const project = (id, extra = {}) => ({
+  id,
+  title: `Project ${id}`,
+  description: `About ${id}`,
+  category: 'web-development',
+  technologies: ['React'],
+  thumbnail: '/images/projects/placeholder.svg',
+  images: [],
+  completedDate: '2024-01-01',
+  ...extra
+});
+
+const projectsData = () => ({
+  projects: [
+    project('shop', { technologies: ['React', 'Node.js', 'Stripe'], liveUrl: 'https://shop.example.com', featured: true }),
+    project('api', { technologies: ['node.js', 'PostgreSQL'], category: 'backend', githubUrl: 'https://github.com/example/api' }),
+    project('blog', { technologies: ['Astro'] }),
+    project('chat', { technologies: ['React', 'Socket.io'], category: 'backend' })
+  ],
+  categories: [
+    { id: 'web-development', name: 'Web Development' },
+    { id: 'backend', name: 'Backend' }
+  ]
+});
+
+describe('Project comparison', () => {
+  let container;
+  let gallery;
+
+  const createGallery = (data = projectsData()) => {
+    gallery = new ProjectGallery(container, data, { featured: { autoplay: false } });
+    return gallery;
+  };
+
+  const toggle = id => container.querySelector(`.project-card[data-project-id="${id}"] .compare-toggle`);
+  const bar = () => container.querySelector('.compare-bar');
+  const table = () => document.querySelector('.comparison-modal .comparison-table');
+  const row = name => table().querySelector(`tr[data-row="${name}"]`);
+
+  beforeEach(() => {
+    container = document.createElement('section');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+    container.remove();
+  });
+
+  // Property 45: Comparison Highlights Shared Technologies
+  // For any two or three projects, the table has one column per project in
+  // the order they were picked, and a technology is marked shared exactly
+  // when more than one of the compared projects uses it
+  it('should mark exactly the technologies shared between compared projects', () => {
+    const technology = fc.constantFrom('React', 'Vue', 'Node.js', 'Go', 'Redis');
+    fc.assert(fc.property(
+      fc.array(fc.uniqueArray(technology, { minLength: 1, maxLength: 4 }), { minLength: 4, maxLength: 4 }),
+      fc.uniqueArray(fc.integer({ min: 0, max: 3 }), { minLength: 2, maxLength: 3 }),
+      (stacks, picks) => {
+        Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+        container.innerHTML = '';
+        const data = {
+          projects: stacks.map((technologies, index) => project(`p${index}`, { technologies })),
+          categories: []
+        };
+        createGallery(data);
+        const ids = picks.map(index => `p${index}`);
+        ids.forEach(id => gallery.toggleCompare(id));
+        gallery.openComparison();
+
+        const headers = [...table().querySelectorAll('thead th')].map(th => th.textContent);
+        expect(headers).toEqual(ids.map(id => `Project ${id}`));
+
+        const cells = [...row('technologies').querySelectorAll('td')];
+        cells.forEach((cell, column) => {
+          stacks[picks[column]].forEach(tech => {
+            const users = picks.filter(index => stacks[index].includes(tech)).length;
+            const tag = [...cell.querySelectorAll('.tech-tag')].find(li => li.firstChild.textContent === tech);
+            expect(tag.classList.contains('tech-shared')).toBe(users > 1);
+          });
+        });
+      }
+    ), { numRuns: 50 });
+  });
+
+  it('should list category, completion date, links and featured status', () => {
+    createGallery();
+    toggle('shop').click();
+    toggle('api').click();
+    bar().querySelector('.compare-open-btn').click();
+
+    const cells = name => [...row(name).querySelectorAll('td')];
+    expect(cells('category').map(td => td.textContent)).toEqual(['Web Development', 'Backend']);
+    expect(cells('completed')[0].querySelector('time').getAttribute('datetime')).toBe('2024-01-01');
+    expect(cells('links')[0].querySelector('a').getAttribute('href')).toBe('https://shop.example.com');
+    expect(cells('links')[1].querySelector('a').textContent).toBe('Source Code');
+    expect(cells('featured').map(td => td.textContent)).toEqual(['Yes', 'No']);
+    // Technologies are matched regardless of case
+    expect(cells('technologies')[1].querySelector('.tech-shared').firstChild.textContent).toBe('node.js');
+    expect(row('category').querySelector('th').getAttribute('scope')).toBe('row');
+  });
+
+  it('should keep the selection in sync with the cards and the bar', () => {
+    createGallery();
+    expect(bar().hidden).toBe(true);
+
+    toggle('shop').click();
+    expect(toggle('shop').getAttribute('aria-pressed')).toBe('true');
+    expect(bar().hidden).toBe(false);
+    expect(bar().querySelector('.compare-open-btn').disabled).toBe(true);
+    expect(bar().querySelector('.compare-status').textContent).toContain('Pick at least two');
+
+    // Filtering re-renders the cards without losing the selection
+    gallery.filterByCategory('backend');
+    gallery.filterByCategory('all');
+    expect(toggle('shop').getAttribute('aria-pressed')).toBe('true');
+
+    toggle('api').click();
+    expect(bar().querySelector('.compare-open-btn').disabled).toBe(false);
+    expect([...bar().querySelectorAll('.compare-remove')].map(button => button.dataset.compareId)).toEqual(['shop', 'api']);
+
+    bar().querySelector('.compare-remove[data-compare-id="shop"]').click();
+    expect(gallery.compareIds).toEqual(['api']);
+    expect(toggle('shop').getAttribute('aria-pressed')).toBe('false');
+    expect(document.activeElement).toBe(bar().querySelector('.compare-remove'));
+
+    bar().querySelector('.clear-compare-btn').click();
+    expect(gallery.compareIds).toEqual([]);
+    expect(bar().hidden).toBe(true);
+  });
+
+  it('should stop at three projects and say why', () => {
+    createGallery();
+    ['shop', 'api', 'blog'].forEach(id => toggle(id).click());
+
+    expect(toggle('chat').getAttribute('aria-disabled')).toBe('true');
+    toggle('chat').click();
+    expect(gallery.compareIds).toEqual(['shop', 'api', 'blog']);
+    expect(bar().querySelector('.compare-status').textContent).toBe('You can compare up to 3 projects at a time.');
+
+    toggle('blog').click();
+    expect(toggle('chat').getAttribute('aria-disabled')).toBe('false');
+  });
+
+  it('should open as a dialog, print and return focus when closed', () => {
+    const print = vi.spyOn(window, 'print').mockImplementation(() => {});
+    createGallery();
+    toggle('shop').click();
+    toggle('chat').click();
+
+    const openButton = bar().querySelector('.compare-open-btn');
+    openButton.focus();
+    openButton.click();
+
+    const dialog = document.querySelector('.comparison-modal .modal-content');
+    expect(dialog.getAttribute('role')).toBe('dialog');
+    expect(dialog.contains(document.activeElement)).toBe(true);
+    expect(document.querySelector('.comparison-scroll').getAttribute('tabindex')).toBe('0');
+
+    document.querySelector('.print-comparison-btn').click();
+    expect(print).toHaveBeenCalledTimes(1);
+
+    document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(document.querySelector('.comparison-modal')).toBeNull();
+    expect(document.activeElement).toBe(openButton);
+    print.mockRestore();
+  });
+});
@@ -1,6 +1,7 @@
 // Feature: portfolio-enhancement, Property 1: Project Gallery Rendering Completeness
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Router } from '../js/components/Router.js';
 import fc from 'fast-check';
 
 describe('ProjectGallery', () => {
@@ -201,10 +202,10 @@ describe('ProjectGallery', () => {
               }
               
               // Check project images are displayed
-              const modalImages = modal.querySelectorAll('.project-images img');
+              const modalImages = modal.querySelectorAll('.project-images .lightbox-image');
               expect(modalImages.length).toBe(project.images.length);
               project.images.forEach((image, index) => {
-                expect(modalImages[index].src).toMatch(new RegExp(image.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$'));
+                expect(modalImages[index].dataset.src || modalImages[index].src).toMatch(new RegExp(image.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$'));
                 expect(modalImages[index].alt).toBe(project.title);
               });
               
@@ -399,4 +400,163 @@ describe('ProjectGallery', () => {
     expect(projectCard).toBeTruthy();
     expect(projectCard.dataset.projectId).toBe('test-project');
   });
-});
\ No newline at end of file
+});
+
+describe('ProjectGallery technology facets', () => {
+  let container;
+
+  const project = (id, technologies, category = 'web-development') => ({
+    id,
+    title: `Project ${id}`,
+    description: `About ${id}`,
+    category,
+    technologies,
+    thumbnail: '/images/projects/placeholder.svg',
+    images: [],
+    completedDate: '2024-01-01'
+  });
+
+  const projectsData = {
+    projects: [
+      project('shop', ['React', 'Node.js', 'MongoDB']),
+      project('dashboard', ['React', 'TypeScript']),
+      project('api', ['Node.js', 'PostgreSQL'], 'apis'),
+      project('app', ['react', 'Expo'], 'mobile-apps')
+    ],
+    categories: [
+      { id: 'web-development', name: 'Web Development' },
+      { id: 'mobile-apps', name: 'Mobile Apps' },
+      { id: 'apis', name: 'APIs & Backend' }
+    ]
+  };
+
+  const displayedIds = () => Array.from(container.querySelectorAll('.project-card'), card => card.dataset.projectId);
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    container.id = 'projects';
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  // Property 40: Technology Facet Filtering
+  // The grid shows exactly the projects that use all (or any) of the selected
+  // technologies, ignoring case
+  it('should show exactly the projects matching the selected technologies', () => {
+    const technologies = ['React', 'Vue', 'Node.js', 'CSS', 'Go'];
+
+    fc.assert(fc.property(
+      fc.array(fc.subarray(technologies, { minLength: 1 }), { minLength: 1, maxLength: 8 }),
+      fc.subarray(technologies),
+      fc.constantFrom('all', 'any'),
+      (stacks, selected, mode) => {
+        container.innerHTML = '';
+        const projects = stacks.map((stack, index) => project(`project-${index}`, stack.map(tech => (index % 2 ? tech.toLowerCase() : tech))));
+        const gallery = new ProjectGallery(container, { projects, categories: [] }, { featured: { autoplay: false } });
+
+        gallery.filterByTechnologies(selected, mode);
+
+        const known = gallery.getTechnologyCounts().map(entry => entry.technology.toLowerCase());
+        const wanted = selected.map(tech => tech.toLowerCase()).filter(tech => known.includes(tech));
+        const expected = projects
+          .filter(item => {
+            const used = item.technologies.map(tech => tech.toLowerCase());
+            if (wanted.length === 0) return true;
+            return mode === 'any' ? wanted.some(tech => used.includes(tech)) : wanted.every(tech => used.includes(tech));
+          })
+          .map(item => item.id);
+
+        expect(displayedIds()).toEqual(expected);
+        expect(container.querySelectorAll('.active-filter[data-filter="tech"]')).toHaveLength(wanted.length);
+      }
+    ), { numRuns: 100 });
+  });
+
+  it('should list technologies with project counts', () => {
+    new ProjectGallery(container, structuredClone(projectsData));
+
+    const facets = Array.from(container.querySelectorAll('.tech-facet'));
+    expect(facets.map(facet => facet.dataset.tech)).toEqual(['React', 'Node.js', 'Expo', 'MongoDB', 'PostgreSQL', 'TypeScript']);
+    expect(facets[0].querySelector('.tag-count').textContent).toBe('3');
+    expect(facets[1].querySelector('.tag-count').getAttribute('aria-label')).toBe('2 projects');
+  });
+
+  it('should combine technologies with AND or OR', () => {
+    const gallery = new ProjectGallery(container, structuredClone(projectsData));
+
+    gallery.filterByTechnologies(['React', 'Node.js']);
+    expect(displayedIds()).toEqual(['shop']);
+
+    container.querySelector('.tech-mode-btn[data-mode="any"]').click();
+    expect(displayedIds()).toEqual(['shop', 'dashboard', 'api', 'app']);
+    expect(container.querySelector('.tech-mode-btn[data-mode="any"]').getAttribute('aria-pressed')).toBe('true');
+
+    gallery.filterByTechnologies(['TypeScript', 'Expo'], 'all');
+    expect(displayedIds()).toEqual([]);
+    expect(container.querySelector('.no-projects')).toBeTruthy();
+  });
+
+  it('should filter from a technology on a card and combine with the category', () => {
+    const gallery = new ProjectGallery(container, structuredClone(projectsData));
+
+    container.querySelector('.project-card[data-project-id="api"] .tech-tag[data-tech="Node.js"]').click();
+    expect(displayedIds()).toEqual(['shop', 'api']);
+    expect(container.querySelector('.tech-facet[data-tech="Node.js"]').getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('.project-card[data-project-id="shop"] .tech-tag[data-tech="Node.js"]').classList.contains('active')).toBe(true);
+
+    gallery.filterByCategory('apis');
+    expect(displayedIds()).toEqual(['api']);
+  });
+
+  it('should show removable chips for active filters', () => {
+    const gallery = new ProjectGallery(container, structuredClone(projectsData));
+    const bar = container.querySelector('.active-filters');
+    expect(bar.hidden).toBe(true);
+
+    gallery.filterByCategory('web-development');
+    gallery.filterByTechnologies(['React', 'TypeScript'], 'any');
+    expect(bar.hidden).toBe(false);
+    expect(bar.querySelector('.active-filters-summary').textContent).toBe('2 projects');
+    expect(Array.from(bar.querySelectorAll('.active-filter'), chip => chip.getAttribute('aria-label')))
+      .toEqual(['Remove filter: Web Development', 'Remove filter: React', 'Remove filter: TypeScript']);
+    expect(bar.querySelector('.active-filters-joiner').textContent).toBe('or');
+
+    bar.querySelector('.active-filter[data-tech="React"]').click();
+    expect(gallery.selectedTechnologies).toEqual(['TypeScript']);
+    expect(displayedIds()).toEqual(['dashboard']);
+
+    bar.querySelector('.active-filter[data-filter="category"]').click();
+    expect(gallery.currentFilter).toBe('all');
+
+    bar.querySelector('.clear-filters-btn').click();
+    expect(bar.hidden).toBe(true);
+    expect(displayedIds()).toEqual(['shop', 'dashboard', 'api', 'app']);
+  });
+
+  it('should keep the filters in the URL and restore them', () => {
+    const gallery = new ProjectGallery(container, structuredClone(projectsData), { router: new Router() });
+
+    gallery.filterByCategory('web-development');
+    gallery.filterByTechnologies(['react', 'Node.js'], 'any');
+    expect(window.location.search).toBe('?project-category=web-development&tech=React&tech=Node.js&tech-match=any');
+
+    container.innerHTML = '';
+    const shared = new ProjectGallery(container, structuredClone(projectsData), { router: new Router() });
+    expect(shared.currentFilter).toBe('web-development');
+    expect(shared.selectedTechnologies).toEqual(['React', 'Node.js']);
+    expect(shared.techMode).toBe('any');
+    expect(container.querySelector('.filter-btn.active').dataset.category).toBe('web-development');
+    expect(displayedIds()).toEqual(['shop', 'dashboard']);
+
+    // Unknown technologies in a shared link are ignored
+    window.history.replaceState(null, '', '/?tech=COBOL');
+    container.innerHTML = '';
+    const stale = new ProjectGallery(container, structuredClone(projectsData), { router: new Router() });
+    expect(stale.selectedTechnologies).toEqual([]);
+    expect(displayedIds()).toHaveLength(4);
+  });
+});
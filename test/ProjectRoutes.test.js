@@ -0,0 +1,234 @@
+// Feature: portfolio-enhancement, Property 43: Project Deep Links Round-Trip
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Router } from '../js/components/Router.js';
+import { Dialog } from '../js/components/Dialog.js';
+import { renderProjectPage, writeProjectPages, getProjectMeta } from '../scripts/project-pages.js';
+
+const project = (id, extra = {}) => ({
+  id,
+  title: `Project ${id}`,
+  description: `About ${id}`,
+  category: 'web-development',
+  technologies: ['React'],
+  thumbnail: '/images/projects/placeholder.svg',
+  images: [],
+  completedDate: '2024-01-01',
+  ...extra
+});
+
+const projectsData = {
+  projects: [project('shop'), project('api'), project('café & bar')],
+  categories: [{ id: 'web-development', name: 'Web Development' }]
+};
+
+// history.back() is asynchronous, so wait for the popstate it triggers
+const nextPopState = () => new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+
+const pressEscape = () => {
+  (document.activeElement || document.body).dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+};
+
+describe('Project deep links', () => {
+  let container;
+  let router;
+  let gallery;
+
+  const createGallery = () => {
+    gallery = new ProjectGallery(container, structuredClone(projectsData), { router, featured: { autoplay: false } });
+    router.start();
+    return gallery;
+  };
+
+  const viewButton = id => container.querySelector(`.project-card[data-project-id="${id}"] .view-project-btn`);
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.title = 'Portfolio';
+    container = document.createElement('section');
+    container.id = 'projects';
+    document.body.appendChild(container);
+    router = new Router();
+  });
+
+  afterEach(() => {
+    Dialog.getOpenDialogs().reverse().forEach(dialog => dialog.close());
+    if (gallery?.handleHashChange) window.removeEventListener('hashchange', gallery.handleHashChange);
+    router.destroy();
+    window.history.replaceState(null, '', '/');
+  });
+
+  // Property 43: Project Deep Links Round-Trip
+  // For any project and any filtered list URL, opening the project gives it
+  // its own /projects/:id URL, and closing the dialog brings back the exact
+  // URL, title and focus the reader had before
+  it('should give each opened project its own URL and restore the page on close', async () => {
+    await fc.assert(fc.asyncProperty(
+      fc.constantFrom('shop', 'api', 'café & bar'),
+      fc.constantFrom('', '?project-sort=title', '?tech=React&project-category=web-development'),
+      async (id, search) => {
+        // A fresh container so earlier runs' click listeners do not fire
+        container.remove();
+        container = document.createElement('section');
+        container.id = 'projects';
+        document.body.appendChild(container);
+        if (gallery?.handleHashChange) window.removeEventListener('hashchange', gallery.handleHashChange);
+        router.destroy();
+        router = new Router();
+        window.history.replaceState(null, '', `/${search}`);
+        createGallery();
+        const before = `${window.location.pathname}${window.location.search}`;
+
+        const button = viewButton(id);
+        button.focus();
+        button.click();
+
+        expect(window.location.pathname).toBe(`/projects/${encodeURIComponent(id)}`);
+        expect(window.location.search).toBe(before.slice(1));
+        expect(gallery.modal.querySelector('h2').textContent).toBe(`Project ${id}`);
+        expect(document.title).toBe(`Project ${id} | Projects`);
+
+        const popped = nextPopState();
+        pressEscape();
+        await popped;
+
+        expect(`${window.location.pathname}${window.location.search}`).toBe(before);
+        expect(gallery.modal).toBeNull();
+        expect(document.title).toBe('Portfolio');
+        expect(document.activeElement).toBe(button);
+      }
+    ), { numRuns: 20 });
+  });
+
+  it('should open the project when landing on its URL', () => {
+    window.history.replaceState(null, '', '/projects/api?project-sort=title');
+    createGallery();
+
+    expect(gallery.modal.querySelector('h2').textContent).toBe('Project api');
+    expect(gallery.sortMode).toBe('title');
+
+    // There is no gallery entry to go back to, so closing moves to the gallery
+    document.querySelector('.project-modal .modal-close').click();
+    expect(window.location.pathname).toBe('/');
+    expect(window.location.search).toBe('?project-sort=title');
+    expect(window.location.hash).toBe('#projects');
+    expect(document.querySelector('.project-modal')).toBeNull();
+  });
+
+  it('should move #project=<id> links to the project path', () => {
+    window.history.replaceState(null, '', '/#project=caf%C3%A9%20%26%20bar');
+    createGallery();
+
+    expect(window.location.pathname).toBe('/projects/caf%C3%A9%20%26%20bar');
+    expect(window.location.hash).toBe('');
+    expect(gallery.modal.querySelector('h2').textContent).toBe('Project café & bar');
+  });
+
+  it('should close the dialog with the back button', async () => {
+    createGallery();
+    viewButton('shop').click();
+    expect(document.querySelector('.project-modal')).toBeTruthy();
+
+    const popped = nextPopState();
+    window.history.back();
+    await popped;
+
+    expect(window.location.pathname).toBe('/');
+    expect(document.querySelector('.project-modal')).toBeNull();
+    expect(gallery.modal).toBeNull();
+
+    // Forward opens it again
+    const forward = nextPopState();
+    window.history.forward();
+    await forward;
+    expect(gallery.modal.querySelector('h2').textContent).toBe('Project shop');
+  });
+
+  it('should drop links to unknown projects', () => {
+    window.history.replaceState(null, '', '/projects/missing');
+    createGallery();
+
+    expect(window.location.pathname).toBe('/');
+    expect(gallery.modal).toBeNull();
+  });
+
+  it('should open #project=<id> links without a router', () => {
+    window.history.replaceState(null, '', '/#project=shop');
+    gallery = new ProjectGallery(container, structuredClone(projectsData), { featured: { autoplay: false } });
+
+    expect(gallery.modal.querySelector('h2').textContent).toBe('Project shop');
+    gallery.closeModal();
+    expect(window.location.hash).toBe('#project=shop');
+  });
+});
+
+describe('Project pages', () => {
+  const site = {
+    url: 'https://example.com/',
+    author: { name: 'Example Author' },
+    projectsPath: '/projects'
+  };
+
+  const indexHtml = readFileSync(join(process.cwd(), 'index.html'), 'utf8');
+  const parse = page => new DOMParser().parseFromString(page, 'text/html');
+  const meta = (doc, attribute, name) => doc.head.querySelector(`meta[${attribute}="${name}"]`)?.getAttribute('content');
+
+  it('should point the title, canonical URL and social meta at the project', () => {
+    const shop = project('shop', {
+      title: 'Shop <Beta> & "More"',
+      description: 'A shop.\n\nWith   payments.',
+      thumbnail: '/images/projects/shop.png'
+    });
+    const doc = parse(renderProjectPage(indexHtml, shop, site));
+
+    expect(doc.title).toBe('Shop <Beta> & "More" | Example Author');
+    expect(doc.head.querySelector('link[rel="canonical"]').getAttribute('href')).toBe('https://example.com/projects/shop');
+    expect(meta(doc, 'name', 'description')).toBe('A shop. With payments.');
+    ['og', 'twitter'].forEach(prefix => {
+      expect(meta(doc, 'property', `${prefix}:url`)).toBe('https://example.com/projects/shop');
+      expect(meta(doc, 'property', `${prefix}:title`)).toBe('Shop <Beta> & "More" | Example Author');
+      expect(meta(doc, 'property', `${prefix}:description`)).toBe('A shop. With payments.');
+      expect(meta(doc, 'property', `${prefix}:image`)).toBe('https://example.com/images/projects/shop.png');
+    });
+    expect(meta(doc, 'property', 'og:type')).toBe('article');
+    expect(meta(doc, 'property', 'og:image:width')).toBeUndefined();
+    // Everything else is the normal page
+    expect(doc.querySelector('script[src="/js/main.js"]')).toBeTruthy();
+    expect(doc.head.querySelectorAll('meta[property="og:title"]')).toHaveLength(1);
+  });
+
+  it('should keep the site image when a project only has SVG images', () => {
+    const doc = parse(renderProjectPage(indexHtml, project('api', {
+      images: [{ src: '/images/projects/diagram.svg', caption: 'Diagram' }]
+    }), site));
+    expect(meta(doc, 'property', 'og:image')).toBe('https://rasyaandrean.dev/images/og-image.jpg');
+    expect(meta(doc, 'property', 'og:image:width')).toBe('1200');
+
+    expect(getProjectMeta(project('api', { images: ['/images/a.svg', { src: 'images/b.jpg' }] }), site).image)
+      .toBe('https://example.com/images/b.jpg');
+  });
+
+  it('should shorten long descriptions on a word boundary', () => {
+    const description = getProjectMeta(project('long', { description: 'word '.repeat(100) }), site).description;
+    expect(description.length).toBeLessThanOrEqual(200);
+    expect(description.endsWith('word…')).toBe(true);
+  });
+
+  it('should write one page per project with a path-safe id', () => {
+    const dist = mkdtempSync(join(tmpdir(), 'project-pages-'));
+    try {
+      const skipped = writeProjectPages(dist, indexHtml, [project('shop'), project('../escape'), project('café & bar')], site);
+
+      expect(skipped).toEqual(['../escape', 'café & bar']);
+      const page = readFileSync(join(dist, 'projects', 'shop', 'index.html'), 'utf8');
+      expect(page).toContain('<meta property="og:url" content="https://example.com/projects/shop">');
+      expect(existsSync(join(dist, 'escape'))).toBe(false);
+    } finally {
+      rmSync(dist, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,290 @@
+// Feature: portfolio-enhancement, Property 38: Reading History Persistence
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { ReadingHistory } from '../js/components/ReadingHistory.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+
+const STORAGE_KEY = 'portfolio-reading-history';
+
+// localStorage backed by a Map so a second instance sees what the first saved
+const useMemoryStorage = () => {
+  const store = new Map();
+  localStorage.getItem.mockImplementation(key => (store.has(key) ? store.get(key) : null));
+  localStorage.setItem.mockImplementation((key, value) => store.set(key, String(value)));
+  localStorage.removeItem.mockImplementation(key => store.delete(key));
+  return store;
+};
+
+const failingStorage = () => {
+  const error = new Error('The operation is insecure.');
+  ['getItem', 'setItem', 'removeItem'].forEach(method => {
+    localStorage[method].mockImplementation(() => { throw error; });
+  });
+};
+
+afterEach(() => {
+  ['getItem', 'setItem', 'removeItem'].forEach(method => localStorage[method].mockReset());
+  vi.restoreAllMocks();
+});
+
+describe('ReadingHistory', () => {
+  // Property 38: Reading History Persistence
+  // Whatever the reader opens and scrolls, a fresh page load restores the
+  // same history, with positions in 0-1 and "read" never being undone
+  it('should restore the same history after a reload', () => {
+    fc.assert(fc.property(
+      fc.array(fc.oneof(
+        fc.record({ type: fc.constant('open'), id: fc.constantFrom('a', 'b', 'c', 'constructor'), at: fc.integer({ min: 1, max: 1e6 }) }),
+        fc.record({ type: fc.constant('progress'), id: fc.constantFrom('a', 'b', 'c', 'constructor'), progress: fc.double({ min: -1, max: 2, noNaN: true }) })
+      ), { maxLength: 30 }),
+      (actions) => {
+        useMemoryStorage();
+        const history = new ReadingHistory();
+        const everRead = new Set();
+
+        actions.forEach(action => {
+          if (action.type === 'open') {
+            history.markOpened(action.id, action.at);
+          } else {
+            history.saveProgress(action.id, action.progress);
+          }
+          if (history.hasRead(action.id)) everRead.add(action.id);
+        });
+
+        const reloaded = new ReadingHistory();
+        expect({ ...reloaded.entries }).toEqual({ ...history.entries });
+        Object.values(reloaded.entries).forEach(entry => {
+          expect(entry.progress).toBeGreaterThanOrEqual(0);
+          expect(entry.progress).toBeLessThanOrEqual(1);
+        });
+        everRead.forEach(id => expect(reloaded.hasRead(id)).toBe(true));
+      }
+    ), { numRuns: 100 });
+  });
+
+  it('should only record progress for opened articles', () => {
+    useMemoryStorage();
+    const history = new ReadingHistory();
+
+    history.saveProgress('unopened', 0.5);
+    expect(history.hasOpened('unopened')).toBe(false);
+
+    history.markOpened('a');
+    history.saveProgress('a', 0.42);
+    expect(history.getEntry('a').progress).toBe(0.42);
+    expect(history.hasRead('a')).toBe(false);
+
+    history.saveProgress('a', 0.95);
+    history.saveProgress('a', 0.1);
+    expect(history.hasRead('a')).toBe(true);
+    expect(history.getEntry('a').progress).toBe(0.1);
+  });
+
+  it('should suggest the latest unfinished article to continue', () => {
+    useMemoryStorage();
+    const history = new ReadingHistory();
+
+    history.markOpened('old', 1);
+    history.saveProgress('old', 0.3);
+    history.markOpened('finished', 2);
+    history.saveProgress('finished', 1);
+    history.markOpened('bounced', 3);
+    history.markOpened('recent', 4);
+    history.saveProgress('recent', 0.6);
+
+    expect(history.getContinueReading()).toEqual({ id: 'recent', progress: 0.6 });
+    expect(history.getContinueReading(id => id !== 'recent')).toEqual({ id: 'old', progress: 0.3 });
+  });
+
+  it('should keep only the newest entries', () => {
+    useMemoryStorage();
+    const history = new ReadingHistory({ maxEntries: 2 });
+
+    history.markOpened('a', 1);
+    history.markOpened('b', 2);
+    history.markOpened('c', 3);
+    expect(Object.keys(history.entries).sort()).toEqual(['b', 'c']);
+  });
+
+  it('should store nothing but ids, times and positions', () => {
+    const store = useMemoryStorage();
+    const history = new ReadingHistory();
+    history.markOpened('a', 1000);
+    history.saveProgress('a', 0.5);
+
+    expect(JSON.parse(store.get(STORAGE_KEY))).toEqual({
+      version: 1,
+      articles: { a: { openedAt: 1000, progress: 0.5, completed: false } }
+    });
+
+    history.clear();
+    expect(store.has(STORAGE_KEY)).toBe(false);
+    expect(history.isEmpty()).toBe(true);
+  });
+
+  it('should start empty when localStorage cannot be read', () => {
+    failingStorage();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const history = new ReadingHistory();
+    expect(history.isEmpty()).toBe(true);
+    expect(warn).toHaveBeenCalledWith('Failed to read reading history from localStorage:', expect.any(Error));
+  });
+
+  it('should keep working for the page view when localStorage cannot be written', () => {
+    failingStorage();
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const history = new ReadingHistory();
+    history.markOpened('a');
+    history.saveProgress('a', 0.5);
+    expect(history.getContinueReading()).toEqual({ id: 'a', progress: 0.5 });
+    expect(warn).toHaveBeenCalledWith('Failed to save reading history to localStorage:', expect.any(Error));
+
+    expect(() => history.clear()).not.toThrow();
+    expect(history.isEmpty()).toBe(true);
+  });
+
+  it('should ignore corrupt or foreign data', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    localStorage.getItem.mockReturnValue('{not json');
+    expect(new ReadingHistory().isEmpty()).toBe(true);
+    expect(warn).toHaveBeenCalledWith('Ignoring unreadable reading history:', expect.any(SyntaxError));
+
+    localStorage.getItem.mockReturnValue(JSON.stringify({
+      articles: { good: { openedAt: 5, progress: 7 }, bad: { progress: 0.5 }, worse: null }
+    }));
+    const history = new ReadingHistory();
+    expect(Object.keys(history.entries)).toEqual(['good']);
+    expect(history.getEntry('good')).toEqual({ openedAt: 5, progress: 1, completed: false });
+
+    localStorage.getItem.mockReturnValue('[1, 2, 3]');
+    expect(new ReadingHistory().isEmpty()).toBe(true);
+  });
+});
+
+describe('BlogSystem reading history', () => {
+  let container;
+
+  const articlesData = {
+    articles: ['first', 'second', 'third'].map((id, index) => ({
+      id,
+      slug: id,
+      title: `Article ${id}`,
+      excerpt: `About ${id}`,
+      content: `Body of ${id}.`,
+      category: 'tutorials',
+      tags: ['JavaScript'],
+      publishedDate: `2024-0${index + 1}-01`
+    })),
+    categories: [{ id: 'tutorials', name: 'Tutorials' }]
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'blog';
+    document.body.appendChild(container);
+  });
+
+  const createBlog = () => new BlogSystem(container, structuredClone(articlesData));
+  const openCard = id => container.querySelector(`.article-card[data-article-id="${id}"] .read-article-btn`).click();
+  const backToList = () => container.querySelector('.back-to-list-btn').click();
+
+  // Lay the open article out as 3000px tall, starting `top` px above the viewport
+  const layoutArticle = (top) => {
+    const article = container.querySelector('.full-article');
+    article.getBoundingClientRect = () => ({ top: -top, bottom: 3000 - top, height: 3000 });
+  };
+
+  it('should show nothing until an article has been opened', () => {
+    useMemoryStorage();
+    createBlog();
+
+    expect(container.querySelector('.reading-history').innerHTML).toBe('');
+    expect(container.querySelector('.read-badge')).toBeNull();
+  });
+
+  it('should mark articles read once scrolled to the end', () => {
+    useMemoryStorage();
+    createBlog();
+
+    openCard('second');
+    layoutArticle(3000 - window.innerHeight);
+    window.dispatchEvent(new Event('scroll'));
+    backToList();
+
+    const badge = container.querySelector('.article-card[data-article-id="second"] .read-badge');
+    expect(badge.textContent).toBe('Read');
+    expect(container.querySelectorAll('.read-badge')).toHaveLength(1);
+
+    // A new visit remembers it
+    container.innerHTML = '';
+    createBlog();
+    expect(container.querySelector('.article-card[data-article-id="second"] .read-badge')).toBeTruthy();
+  });
+
+  it('should offer to continue the unfinished article at the same position', () => {
+    useMemoryStorage();
+    createBlog();
+    const scrollTo = vi.spyOn(window, 'scrollTo').mockImplementation(() => {});
+
+    openCard('first');
+    const scrollable = 3000 - window.innerHeight;
+    layoutArticle(scrollable * 0.4);
+    window.dispatchEvent(new Event('scroll'));
+    backToList();
+
+    const link = container.querySelector('.continue-reading-link');
+    expect(link.dataset.articleId).toBe('first');
+    expect(link.getAttribute('href')).toBe('/blog/first');
+    expect(container.querySelector('.continue-reading-progress').textContent).toBe('40% read');
+    expect(container.querySelector('.article-card[data-article-id="first"] .read-badge')).toBeNull();
+
+    scrollTo.mockClear();
+    HTMLElement.prototype.getBoundingClientRect = function () {
+      return this.classList.contains('full-article')
+        ? { top: 100, bottom: 3100, height: 3000 }
+        : { top: 0, bottom: 0, height: 0 };
+    };
+    try {
+      link.click();
+    } finally {
+      delete HTMLElement.prototype.getBoundingClientRect;
+    }
+
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Article first');
+    expect(scrollTo).toHaveBeenCalledWith(0, Math.round(100 + scrollable * 0.4));
+  });
+
+  it('should forget everything when the history is cleared', () => {
+    const store = useMemoryStorage();
+    createBlog();
+
+    openCard('third');
+    layoutArticle(3000);
+    window.dispatchEvent(new Event('scroll'));
+    backToList();
+    expect(container.querySelector('.read-badge')).toBeTruthy();
+
+    container.querySelector('.clear-history-btn').click();
+    expect(container.querySelector('.read-badge')).toBeNull();
+    expect(container.querySelector('.reading-history').innerHTML).toBe('');
+    expect(store.has(STORAGE_KEY)).toBe(false);
+  });
+
+  it('should keep reading articles when localStorage is unavailable', () => {
+    failingStorage();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    createBlog();
+
+    openCard('first');
+    expect(container.querySelector('.full-article')).toBeTruthy();
+    layoutArticle(3000);
+    window.dispatchEvent(new Event('scroll'));
+    backToList();
+
+    expect(container.querySelector('.article-card[data-article-id="first"] .read-badge')).toBeTruthy();
+    expect(() => container.querySelector('.clear-history-btn').click()).not.toThrow();
+  });
+});
@@ -0,0 +1,92 @@
+// Feature: portfolio-enhancement, Property 32: Reading Time Grows With Content
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { ReadingTime } from '../js/components/ReadingTime.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+describe('ReadingTime', () => {
+  const readingTime = new ReadingTime();
+
+  it('counts words in rendered text rather than Markdown syntax', () => {
+    const stats = readingTime.analyze('# Title here\n\nSome **bold**text and a [link](https://example.com/a-b-c).\n\n- one\n- two');
+    // Title here / Some boldtext and a link / one two
+    expect(stats.words).toBe(9);
+    expect(stats.codeWords).toBe(0);
+  });
+
+  it('counts code blocks and images separately', () => {
+    const stats = readingTime.analyze('Intro text.\n\n```js\nconst answer = 42;\n```\n\n![Diagram](a.png) ![Chart](b.png)');
+    expect(stats).toMatchObject({ words: 2, codeWords: 3, images: 2, wordCount: 5 });
+  });
+
+  it('reads prose at wordsPerMinute and code at codeWordsPerMinute', () => {
+    expect(readingTime.analyze(words(1000)).minutes).toBe(5);
+    expect(readingTime.analyze(`\`\`\`\n${words(1000)}\n\`\`\``).minutes).toBe(10);
+    expect(new ReadingTime({ wordsPerMinute: 100 }).analyze(words(1000)).minutes).toBe(10);
+  });
+
+  it('adds decreasing time per image', () => {
+    const images = Array.from({ length: 12 }, (_, i) => `![image ${i}](${i}.png)`).join('\n\n');
+    // 12 + 11 + ... + 3 + 3 = 78 seconds
+    expect(readingTime.estimateMinutes({ words: 0, codeWords: 0, images: 12 })).toBe(1);
+    expect(readingTime.estimateMinutes({ words: 200, codeWords: 0, images: 12 })).toBe(2);
+    expect(readingTime.analyze(images).images).toBe(12);
+  });
+
+  it('never reports less than a minute', () => {
+    expect(readingTime.analyze('').minutes).toBe(1);
+  });
+
+  it('reports stored reading times that disagree with the content', () => {
+    const mismatches = readingTime.findMismatches([
+      { id: 'accurate', content: words(400), readingTime: 2 },
+      { id: 'stale', content: words(400), readingTime: 8 },
+      { id: 'computed', content: words(400) }
+    ]);
+    expect(mismatches).toEqual([{ id: 'stale', stored: 8, computed: 2 }]);
+  });
+
+  it('shows computed values in BlogSystem', () => {
+    const container = document.createElement('div');
+    document.body.appendChild(container);
+    const blog = new BlogSystem(container, {
+      articles: [{
+        id: 'long',
+        title: 'Long read',
+        excerpt: 'Excerpt',
+        content: words(1200),
+        category: 'notes',
+        tags: [],
+        publishedDate: '2024-01-01',
+        readingTime: 1
+      }],
+      categories: [],
+      readingSpeed: { wordsPerMinute: 300 }
+    });
+
+    expect(container.querySelector('.article-card .reading-time').textContent).toBe('4 min read');
+
+    blog.renderArticle('long');
+    expect(container.querySelector('.full-article .word-count').textContent).toBe(`${(1200).toLocaleString()} words`);
+  });
+
+  // Property 32: Reading Time Grows With Content
+  // Adding prose, code or images never makes the estimate shorter
+  it('should never decrease when content is added', () => {
+    fc.assert(fc.property(
+      fc.nat(3000), fc.nat(3000), fc.nat(20),
+      fc.constantFrom('prose', 'code', 'image'),
+      (proseWords, codeWords, images, addition) => {
+        const base = { words: proseWords, codeWords, images };
+        const more = {
+          words: proseWords + (addition === 'prose' ? 150 : 0),
+          codeWords: codeWords + (addition === 'code' ? 150 : 0),
+          images: images + (addition === 'image' ? 1 : 0)
+        };
+        expect(readingTime.estimateMinutes(more)).toBeGreaterThanOrEqual(readingTime.estimateMinutes(base));
+      }
+    ), { numRuns: 100 });
+  });
+});
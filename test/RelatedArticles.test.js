@@ -0,0 +1,92 @@
+// Feature: portfolio-enhancement, Property 34: Related Article Ranking
+import { describe, it, expect } from 'vitest';
+import fc from 'fast-check';
+import { RelatedArticles } from '../js/components/RelatedArticles.js';
+import articlesData from '../data/articles.json';
+
+const makeArticle = (id, overrides = {}) => ({
+  id,
+  title: `Article ${id}`,
+  excerpt: '',
+  content: '',
+  category: 'misc',
+  tags: [],
+  publishedDate: '2024-01-01',
+  ...overrides
+});
+
+describe('RelatedArticles', () => {
+  it('ranks articles sharing rare tags above ones sharing common tags', () => {
+    const articles = [
+      makeArticle('source', { tags: ['JavaScript', 'WebGL'] }),
+      makeArticle('common', { tags: ['javascript'] }),
+      makeArticle('rare', { tags: ['WebGL'] }),
+      makeArticle('other-js', { tags: ['JavaScript'] })
+    ];
+    const related = new RelatedArticles(articles).getRelated(articles[0]);
+
+    expect(related.map(result => result.article.id)).toEqual(['rare', 'common', 'other-js']);
+    expect(related[1].sharedTags).toEqual(['JavaScript']);
+  });
+
+  it('uses category and text similarity when no tags are shared', () => {
+    const articles = [
+      makeArticle('source', { title: 'Caching service workers', content: 'Cache strategies for offline service workers.' }),
+      makeArticle('similar', { title: 'Offline first', content: 'Service workers cache requests for offline use.', category: 'other' }),
+      makeArticle('category-only', { title: 'Typography', content: 'Choosing fonts.' }),
+      makeArticle('unrelated', { title: 'Typography', content: 'Kerning.', category: 'other' })
+    ];
+    const related = new RelatedArticles(articles).getRelated(articles[0]);
+
+    expect(related.map(result => result.article.id)).toEqual(['similar', 'category-only']);
+  });
+
+  it('honours the limit and excluded ids', () => {
+    const articles = Array.from({ length: 6 }, (_, i) => makeArticle(`a${i}`, { tags: ['shared'] }));
+    const relatedArticles = new RelatedArticles(articles);
+
+    expect(relatedArticles.getRelated(articles[0], { limit: 2 })).toHaveLength(2);
+    expect(relatedArticles.getRelated(articles[0], { limit: 10, exclude: ['a1', 'a2'] }).map(result => result.article.id))
+      .toEqual(['a3', 'a4', 'a5']);
+  });
+
+  it('finds related posts for the bundled articles', () => {
+    const relatedArticles = new RelatedArticles(articlesData.articles);
+    const react = articlesData.articles.find(article => article.id === 'building-scalable-react-apps');
+    const ids = relatedArticles.getRelated(react).map(result => result.article.id);
+
+    expect(ids).toContain('javascript-performance-tips');
+    expect(ids).not.toContain(react.id);
+  });
+
+  // Property 34: Related Article Ranking
+  // Scores are symmetric, results never include the article itself, are
+  // sorted by score and all have something in common with it
+  it('should rank related articles consistently', () => {
+    const articleArbitrary = fc.record({
+      tags: fc.subarray(['React', 'CSS', 'API', 'Node.js', 'Testing']),
+      category: fc.constantFrom('tutorials', 'insights'),
+      title: fc.constantFrom('Testing React', 'CSS layouts', 'API design', 'Node streams'),
+      content: fc.constantFrom('', 'Components and hooks.', 'Grid and flexbox layouts.', 'Designing REST endpoints.')
+    });
+
+    fc.assert(fc.property(
+      fc.array(articleArbitrary, { minLength: 2, maxLength: 8 }),
+      (records) => {
+        const articles = records.map((record, i) => makeArticle(`a${i}`, record));
+        const relatedArticles = new RelatedArticles(articles);
+
+        articles.forEach(article => {
+          const related = relatedArticles.getRelated(article, { limit: articles.length });
+          expect(related.some(result => result.article.id === article.id)).toBe(false);
+
+          related.forEach((result, i) => {
+            expect(result.score).toBeGreaterThan(0);
+            if (i > 0) expect(result.score).toBeLessThanOrEqual(related[i - 1].score);
+            expect(relatedArticles.score(result.article, article)).toBeCloseTo(result.score, 10);
+          });
+        });
+      }
+    ), { numRuns: 100 });
+  });
+});
@@ -0,0 +1,227 @@
+// Feature: portfolio-enhancement, Property 28: Article Routes Round-Trip List State
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { Router } from '../js/components/Router.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+
+const articlesData = {
+  articles: [
+    {
+      id: 'react',
+      slug: 'building-react-apps',
+      title: 'Building React Apps',
+      excerpt: 'Components and state',
+      content: '# React\n\nComponents.',
+      category: 'tutorials',
+      tags: ['React'],
+      publishedDate: '2024-02-01',
+      readingTime: 5
+    },
+    {
+      id: 'css',
+      slug: 'modern-css',
+      title: 'Modern CSS',
+      excerpt: 'Grid and container queries',
+      content: '# CSS\n\nGrid.',
+      category: 'insights',
+      tags: ['CSS'],
+      publishedDate: '2024-01-01',
+      readingTime: 3
+    }
+  ],
+  categories: [
+    { id: 'tutorials', name: 'Tutorials' },
+    { id: 'insights', name: 'Insights' }
+  ]
+};
+
+// history.back() is asynchronous, so wait for the popstate it triggers
+function goBack() {
+  return new Promise(resolve => {
+    window.addEventListener('popstate', resolve, { once: true });
+    window.history.back();
+  });
+}
+
+describe('Router', () => {
+  let router;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    router = new Router();
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  it('matches patterns and decodes params', () => {
+    router.add('/blog/:slug', () => {});
+
+    expect(router.match('/blog/hello%20world').params).toEqual({ slug: 'hello world' });
+    expect(router.match('/blog/post/').params).toEqual({ slug: 'post' });
+    expect(router.match('/blog/post?ref=feed#intro').params).toEqual({ slug: 'post' });
+    expect(router.match('/blog')).toBeNull();
+    expect(router.match('/blog/a/b')).toBeNull();
+  });
+
+  it('calls enter on navigation and leave when the route stops matching', () => {
+    const enter = vi.fn();
+    const leave = vi.fn();
+    router.add('/blog/:slug', enter, leave).start();
+
+    expect(enter).not.toHaveBeenCalled();
+
+    router.navigate('/blog/first', { from: 'test' });
+    expect(window.location.pathname).toBe('/blog/first');
+    expect(enter).toHaveBeenCalledWith({ slug: 'first' }, { from: 'test' });
+
+    router.navigate('/');
+    expect(leave).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves the current URL on start', () => {
+    window.history.replaceState({ fromList: true }, '', '/blog/deep-link');
+    const enter = vi.fn();
+    router.add('/blog/:slug', enter).start();
+
+    expect(enter).toHaveBeenCalledWith({ slug: 'deep-link' }, { fromList: true });
+  });
+
+  it('merges saved state into the current entry without navigating', () => {
+    router.navigate('/', { a: 1 });
+    router.saveState({ b: 2 });
+
+    expect(window.history.state).toEqual({ a: 1, b: 2 });
+    expect(window.location.pathname).toBe('/');
+  });
+
+  it('responds to browser back navigation', async () => {
+    const enter = vi.fn();
+    const leave = vi.fn();
+    router.add('/blog/:slug', enter, leave).start();
+
+    router.navigate('/blog/first');
+    await goBack();
+
+    expect(window.location.pathname).toBe('/');
+    expect(leave).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('BlogSystem routing', () => {
+  let container;
+  let router;
+  let blog;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    window.scrollTo = vi.fn();
+    container = document.createElement('section');
+    container.className = 'blog';
+    document.body.appendChild(container);
+    router = new Router();
+  });
+
+  afterEach(() => {
+    router.destroy();
+  });
+
+  const createBlog = () => {
+    blog = new BlogSystem(container, articlesData, { router });
+    router.start();
+    return blog;
+  };
+
+  it('links article cards to /blog/:slug', () => {
+    createBlog();
+    const link = container.querySelector('[data-article-id="css"] .article-link');
+    expect(link.getAttribute('href')).toBe('/blog/modern-css');
+  });
+
+  it('pushes the article URL when an article is opened', () => {
+    createBlog();
+    container.querySelector('[data-article-id="react"] .read-article-btn').click();
+
+    expect(window.location.pathname).toBe('/blog/building-react-apps');
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Building React Apps');
+    expect(container.querySelector('.blog-controls').hidden).toBe(true);
+  });
+
+  it('renders the article when landing on a deep link', () => {
+    window.history.replaceState(null, '', '/blog/modern-css');
+    createBlog();
+
+    expect(container.querySelector('.full-article .article-title').textContent).toBe('Modern CSS');
+  });
+
+  it('falls back to the list for unknown slugs', () => {
+    window.history.replaceState(null, '', '/blog/does-not-exist');
+    createBlog();
+
+    expect(window.location.pathname).toBe('/');
+    expect(container.querySelector('.article-view')).toBeNull();
+    expect(container.querySelectorAll('.article-card')).toHaveLength(2);
+  });
+
+  it('returns to the home page from a deep-linked article', () => {
+    window.history.replaceState(null, '', '/blog/modern-css');
+    createBlog();
+
+    container.querySelector('.back-to-list-btn').click();
+
+    expect(window.location.pathname).toBe('/');
+    expect(window.location.hash).toBe('#blog');
+    expect(container.querySelector('.article-view')).toBeNull();
+  });
+
+  // Property 28: Article Routes Round-Trip List State
+  // For any filter, query and scroll position, opening an article and going back restores them
+  it('should restore filter, query and scroll position on back navigation', async () => {
+    await fc.assert(fc.asyncProperty(
+      fc.constantFrom('all', 'tutorials', 'insights'),
+      fc.constantFrom('', 'r', 'css', 'grid'),
+      fc.integer({ min: 0, max: 5000 }),
+      async (filter, query, scrollY) => {
+        // A fresh container so earlier runs' click listeners do not fire
+        container.remove();
+        container = document.createElement('section');
+        container.className = 'blog';
+        document.body.appendChild(container);
+        router.destroy();
+        router = new Router();
+        window.history.replaceState(null, '', '/');
+        createBlog();
+
+        blog.filterByCategory(filter);
+        blog.searchArticles(query);
+        container.querySelector('.blog-search').value = query;
+        window.scrollY = scrollY;
+
+        const visibleIds = Array.from(container.querySelectorAll('.article-card'))
+          .map(card => card.dataset.articleId);
+        if (visibleIds.length === 0) return;
+
+        blog.openArticle(visibleIds[0]);
+        expect(container.querySelector('.article-view')).not.toBeNull();
+
+        // Simulate the list being reset while the article was open
+        blog.currentFilter = 'all';
+        blog.searchQuery = '';
+
+        container.querySelector('.back-to-list-btn').click();
+        await new Promise(resolve => window.addEventListener('popstate', resolve, { once: true }));
+
+        expect(window.location.pathname).toBe('/');
+        expect(container.querySelector('.article-view')).toBeNull();
+        expect(blog.currentFilter).toBe(filter);
+        expect(blog.searchQuery).toBe(query);
+        expect(container.querySelector('.blog-search').value).toBe(query);
+        expect(container.querySelector('.blog-filter-btn.active').dataset.category).toBe(filter);
+        expect(Array.from(container.querySelectorAll('.article-card')).map(card => card.dataset.articleId))
+          .toEqual(visibleIds);
+        expect(window.scrollTo).toHaveBeenLastCalledWith(0, scrollY);
+      }
+    ), { numRuns: 20 });
+  });
+});
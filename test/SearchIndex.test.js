@@ -0,0 +1,204 @@
+// Feature: portfolio-enhancement, Property 29: Search Ranking Follows Field Boosts
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { SearchIndex } from '../js/components/SearchIndex.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+
+const article = (id, fields = {}) => ({
+  id,
+  slug: id,
+  title: 'Untitled',
+  excerpt: 'Nothing here',
+  content: 'Plain body text.',
+  category: 'notes',
+  tags: ['misc'],
+  publishedDate: '2024-01-01',
+  readingTime: 1,
+  ...fields
+});
+
+const articles = [
+  article('react', {
+    title: 'Building Scalable React Applications',
+    excerpt: 'Architecture patterns for large apps',
+    content: '## State\n\nKeep renders cheap to improve **performance** in big trees.',
+    tags: ['React', 'Architecture'],
+    publishedDate: '2023-01-01'
+  }),
+  article('perf', {
+    title: 'JavaScript Performance Tips',
+    excerpt: 'Make pages faster',
+    content: 'Measure first. React is mentioned once.',
+    tags: ['JavaScript', 'Performance'],
+    publishedDate: '2024-05-01'
+  }),
+  article('css', {
+    title: 'Modern CSS Techniques',
+    excerpt: 'Grid and container queries',
+    content: 'Use [grid](https://example.com/grid-performance) for layouts.',
+    tags: ['CSS'],
+    publishedDate: '2024-03-01'
+  })
+];
+
+describe('SearchIndex', () => {
+  describe('text processing', () => {
+    it('stems words with the Porter algorithm', () => {
+      const stems = ['caresses', 'ponies', 'hopping', 'relational', 'generalization', 'performance', 'performing']
+        .map(word => SearchIndex.stem(word));
+      expect(stems).toEqual(['caress', 'poni', 'hop', 'relat', 'gener', 'perform', 'perform']);
+    });
+
+    it('tokenizes case-insensitively and drops stop words', () => {
+      expect(SearchIndex.tokenize('The State of Node.js in 2024')).toEqual(['state', 'node', 'js', '2024']);
+    });
+
+    it('strips Markdown syntax and link URLs', () => {
+      expect(SearchIndex.stripMarkdown('## Title\n\n- **bold** [link](https://x.dev/secret)\n\n```js\ncode\n```'))
+        .toBe('Title bold link code');
+    });
+  });
+
+  describe('search', () => {
+    const index = SearchIndex.build(articles);
+
+    it('requires every query word to match and ranks by relevance', () => {
+      expect(index.search('perf').map(result => result.id)).toEqual(['perf', 'react']);
+      expect(index.search('react').map(result => result.id)).toEqual(['react', 'perf']);
+
+      const results = index.search('react perf');
+      expect(results.map(result => result.id).sort()).toEqual(['perf', 'react']);
+      expect(results[0].terms).toEqual(expect.arrayContaining(['react', 'perform']));
+      expect(index.search('react grid')).toEqual([]);
+    });
+
+    it('tolerates typos', () => {
+      expect(index.search('javascirpt').map(result => result.id)).toEqual(['perf']);
+      expect(index.search('gird').map(result => result.id)).toEqual(['css']);
+    });
+
+    it('does not index link URLs', () => {
+      expect(index.search('example')).toEqual([]);
+    });
+
+    it('returns null for queries without searchable words', () => {
+      expect(index.search('  the of ')).toBeNull();
+    });
+
+    it('produces the same results after a JSON round trip', () => {
+      const restored = SearchIndex.fromJSON(JSON.stringify(index));
+      expect(restored.search('react perf')).toEqual(index.search('react perf'));
+    });
+  });
+
+  describe('highlighting', () => {
+    it('marks words whose stems matched', () => {
+      expect(SearchIndex.highlight('Performing React', ['perform'])).toEqual([
+        { text: 'Performing', match: true },
+        { text: ' React', match: false }
+      ]);
+    });
+
+    it('cuts snippets around the first match', () => {
+      const text = `${'lorem '.repeat(60)}needle ${'ipsum '.repeat(60)}`.trim();
+      const snippet = SearchIndex.snippet(text, ['needl'], 80);
+      const joined = snippet.map(segment => segment.text).join('');
+
+      expect(snippet.find(segment => segment.match).text).toBe('needle');
+      expect(joined.startsWith('… ')).toBe(true);
+      expect(joined.endsWith(' …')).toBe(true);
+      expect(joined.length).toBeLessThan(90);
+    });
+  });
+
+  // Property 29: Search Ranking Follows Field Boosts
+  // A word appearing once in the title outranks the same word in tags, excerpt or content
+  it('should rank title matches above tags, excerpt and content matches', () => {
+    const fieldOrder = ['title', 'tags', 'excerpt', 'content'];
+    fc.assert(fc.property(
+      fc.stringMatching(/^[a-z]{4,8}$/),
+      fc.shuffledSubarray(fieldOrder, { minLength: 2 }),
+      (word, fields) => {
+        fc.pre(SearchIndex.tokenize(word).length === 1 && !/^(plain|bodi|text|untitl|noth|misc)/.test(word));
+
+        const docs = fields.map(field => article(field, {
+          [field]: field === 'tags' ? [word] : `${field === 'title' ? 'Untitled' : 'Plain text'} ${word}`
+        }));
+        const results = SearchIndex.build(docs).search(word);
+        const expected = fieldOrder.filter(field => fields.includes(field));
+
+        expect(results.map(result => result.id)).toEqual(expected);
+      }
+    ), { numRuns: 100 });
+  });
+
+  describe('BlogSystem integration', () => {
+    let container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+    });
+
+    it('orders results by relevance and highlights matches', () => {
+      const blog = new BlogSystem(container, { articles, categories: [] });
+      blog.searchArticles('performance');
+
+      const cards = container.querySelectorAll('.article-card');
+      expect(Array.from(cards).map(card => card.dataset.articleId)).toEqual(['perf', 'react']);
+      expect(cards[0].querySelector('.article-title mark').textContent).toBe('Performance');
+      expect(cards[1].querySelector('.article-snippet mark').textContent).toBe('performance');
+    });
+
+    it('lazily loads the prebuilt index', async () => {
+      const prebuilt = JSON.parse(JSON.stringify(SearchIndex.build(articles)));
+      global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(prebuilt) });
+
+      const blog = new BlogSystem(container, { articles, categories: [] }, {
+        searchIndexUrl: '/data/search-index.json'
+      });
+      expect(global.fetch).not.toHaveBeenCalled();
+
+      blog.searchArticles('grid');
+      expect(container.querySelector('.no-articles').textContent).toBe('Searching…');
+
+      await blog.loadSearchIndex();
+      await Promise.resolve();
+      expect(global.fetch).toHaveBeenCalledWith('/data/search-index.json');
+      expect(Array.from(container.querySelectorAll('.article-card')).map(card => card.dataset.articleId))
+        .toEqual(['css']);
+    });
+
+    it('accepts a prebuilt index that leaves out drafts', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const withDraft = [...articles, { ...articles[0], id: 'draft', slug: 'draft', status: 'draft' }];
+      const prebuilt = JSON.parse(JSON.stringify(SearchIndex.build(articles)));
+      global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(prebuilt) });
+
+      const blog = new BlogSystem(container, { articles: withDraft, categories: [] }, {
+        searchIndexUrl: '/data/search-index.json'
+      });
+      const index = await blog.loadSearchIndex();
+
+      expect(warn).not.toHaveBeenCalled();
+      expect(index.documents.map(doc => doc.id)).not.toContain('draft');
+      warn.mockRestore();
+    });
+
+    it('indexes the loaded articles when the prebuilt index is unavailable', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      global.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+      const blog = new BlogSystem(container, { articles, categories: [] }, {
+        searchIndexUrl: '/data/search-index.json'
+      });
+      blog.searchArticles('grid');
+      await blog.loadSearchIndex();
+      await Promise.resolve();
+
+      expect(warn).toHaveBeenCalled();
+      expect(container.querySelectorAll('.article-card')).toHaveLength(1);
+      warn.mockRestore();
+    });
+  });
+});
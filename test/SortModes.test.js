@@ -0,0 +1,228 @@
+// Feature: portfolio-enhancement, Property 39: Sort Order Consistency
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fc from 'fast-check';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+import { ProjectGallery } from '../js/components/ProjectGallery.js';
+import { Router } from '../js/components/Router.js';
+
+const isSorted = (items, compare) => items.every((item, index) => index === 0 || compare(items[index - 1], item) <= 0);
+
+const articleArbitrary = fc.record({
+  title: fc.string({ minLength: 1, maxLength: 12 }),
+  content: fc.array(fc.constantFrom('word', 'more words here', '```\ncode\n```'), { maxLength: 400 }).map(parts => parts.join('\n\n')),
+  publishedDate: fc.date({ min: new Date('2020-01-01'), max: new Date('2025-01-01'), noInvalidDate: true }).map(date => date.toISOString().slice(0, 10)),
+  featured: fc.boolean()
+});
+
+const projectArbitrary = fc.record({
+  title: fc.string({ minLength: 1, maxLength: 12 }),
+  technologies: fc.array(fc.constantFrom('React', 'Node.js', 'CSS', 'Go'), { maxLength: 4 }),
+  completedDate: fc.date({ min: new Date('2020-01-01'), max: new Date('2025-01-01'), noInvalidDate: true }).map(date => date.toISOString().slice(0, 10)),
+  featured: fc.boolean()
+});
+
+const cardIds = (container, selector) => Array.from(container.querySelectorAll(selector), card => card.dataset.articleId || card.dataset.projectId);
+
+describe('Sort modes', () => {
+  let container;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  // Property 39: Sort Order Consistency
+  // Every sort mode shows each article exactly once, in the order it promises
+  it('should list every article once, ordered by the chosen mode', () => {
+    fc.assert(fc.property(
+      fc.array(articleArbitrary, { minLength: 1, maxLength: 8 }),
+      fc.constantFrom('newest', 'oldest', 'title', 'reading-time', 'featured'),
+      (records, mode) => {
+        container.innerHTML = '';
+        const articles = records.map((record, index) => ({
+          id: `article-${index}`,
+          slug: `article-${index}`,
+          excerpt: 'Excerpt',
+          category: 'tutorials',
+          tags: [],
+          ...record
+        }));
+        const blog = new BlogSystem(container, { articles, categories: [] }, { pageSize: 50, featured: { autoplay: false } });
+        blog.sortBy(mode);
+
+        const shown = cardIds(container, '.article-card').map(id => blog.getArticleById(id));
+        expect(shown.map(article => article.id).sort()).toEqual(articles.map(article => article.id).sort());
+
+        const date = article => new Date(article.publishedDate).getTime();
+        const compare = {
+          newest: (a, b) => date(b) - date(a),
+          oldest: (a, b) => date(a) - date(b),
+          title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+          'reading-time': (a, b) => blog.getReadingStats(a).minutes - blog.getReadingStats(b).minutes,
+          featured: (a, b) => Number(b.featured) - Number(a.featured)
+        }[mode];
+        expect(isSorted(shown, compare)).toBe(true);
+      }
+    ), { numRuns: 50 });
+  });
+
+  it('should keep every project once, ordered by the chosen mode', () => {
+    fc.assert(fc.property(
+      fc.array(projectArbitrary, { minLength: 1, maxLength: 8 }),
+      fc.constantFrom('curated', 'newest', 'oldest', 'title', 'technologies', 'featured'),
+      (records, mode) => {
+        container.innerHTML = '';
+        const projects = records.map((record, index) => ({
+          id: `project-${index}`,
+          description: 'Description',
+          category: 'web-development',
+          thumbnail: '/images/projects/placeholder.svg',
+          images: [],
+          ...record
+        }));
+        const gallery = new ProjectGallery(container, { projects, categories: [] }, { featured: { autoplay: false } });
+        gallery.sortBy(mode);
+
+        const shown = cardIds(container, '.project-card').map(id => projects.find(project => project.id === id));
+        expect(shown).toHaveLength(projects.length);
+
+        const date = project => new Date(project.completedDate).getTime();
+        const curated = project => projects.indexOf(project);
+        const compare = {
+          curated: (a, b) => curated(a) - curated(b),
+          newest: (a, b) => date(b) - date(a) || curated(a) - curated(b),
+          oldest: (a, b) => date(a) - date(b) || curated(a) - curated(b),
+          title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }),
+          technologies: (a, b) => b.technologies.length - a.technologies.length || curated(a) - curated(b),
+          featured: (a, b) => Number(b.featured) - Number(a.featured) || curated(a) - curated(b)
+        }[mode];
+        expect(isSorted(shown, compare)).toBe(true);
+      }
+    ), { numRuns: 50 });
+  });
+
+  describe('BlogSystem', () => {
+    const articlesData = {
+      articles: [
+        { id: 'react-hooks', title: 'React hooks', content: 'React hooks in depth. '.repeat(200), publishedDate: '2024-01-10', featured: false },
+        { id: 'css-grid', title: 'CSS grid', content: 'Grid layout with a little React.', publishedDate: '2024-03-10', featured: true },
+        { id: 'async-js', title: 'Async JavaScript', content: 'Promises and async functions.', publishedDate: '2024-02-10', featured: false }
+      ].map(article => ({ slug: article.id, excerpt: article.title, category: 'tutorials', tags: [], ...article })),
+      categories: [{ id: 'tutorials', name: 'Tutorials' }]
+    };
+
+    const createBlog = (options = {}) => new BlogSystem(container, structuredClone(articlesData), { featured: { autoplay: false }, ...options });
+
+    it('should sort newest first by default and from the selector', () => {
+      createBlog();
+      const select = container.querySelector('.blog-sort');
+      expect(select.value).toBe('newest');
+      expect(cardIds(container, '.article-card')).toEqual(['css-grid', 'async-js', 'react-hooks']);
+
+      select.value = 'title';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(cardIds(container, '.article-card')).toEqual(['async-js', 'css-grid', 'react-hooks']);
+
+      select.value = 'reading-time';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(cardIds(container, '.article-card').pop()).toBe('react-hooks');
+    });
+
+    it('should offer relevance only while searching', () => {
+      const blog = createBlog();
+      const select = container.querySelector('.blog-sort');
+      const relevance = select.querySelector('option[value="relevance"]');
+      expect(relevance.disabled).toBe(true);
+
+      blog.searchArticles('react');
+      expect(relevance.disabled).toBe(false);
+      expect(select.value).toBe('relevance');
+      expect(cardIds(container, '.article-card')).toEqual(['react-hooks', 'css-grid']);
+
+      blog.sortBy('oldest');
+      expect(cardIds(container, '.article-card')).toEqual(['react-hooks', 'css-grid']);
+      blog.sortBy('newest');
+      expect(cardIds(container, '.article-card')).toEqual(['css-grid', 'react-hooks']);
+
+      // A chosen relevance sort falls back to newest once the query is cleared
+      blog.sortBy('relevance');
+      blog.searchArticles('');
+      expect(blog.getSortMode()).toBe('newest');
+      expect(select.value).toBe('newest');
+    });
+
+    it('should keep the sort in the URL and restore it', () => {
+      const blog = createBlog({ router: new Router() });
+      blog.sortBy('featured');
+      expect(window.location.search).toBe('?sort=featured');
+
+      blog.sortBy('unknown');
+      expect(window.location.search).toBe('');
+
+      window.history.replaceState(null, '', '/?sort=oldest');
+      container.innerHTML = '';
+      const shared = createBlog({ router: new Router() });
+      expect(shared.getSortMode()).toBe('oldest');
+      expect(container.querySelector('.blog-sort').value).toBe('oldest');
+      expect(cardIds(container, '.article-card')).toEqual(['react-hooks', 'async-js', 'css-grid']);
+    });
+  });
+
+  describe('ProjectGallery', () => {
+    const projectsData = {
+      projects: [
+        { id: 'shop', title: 'Shop', completedDate: '2024-02-01', technologies: ['React', 'Node.js'], featured: true },
+        { id: 'api', title: 'API', completedDate: '2024-06-01', technologies: ['Go', 'PostgreSQL', 'Docker'], featured: false },
+        { id: 'blog', title: 'Blog', completedDate: '2023-11-01', technologies: ['CSS'], featured: false }
+      ].map(project => ({ description: project.title, category: 'web-development', thumbnail: '/images/projects/placeholder.svg', images: [], ...project })),
+      categories: [{ id: 'web-development', name: 'Web Development' }]
+    };
+
+    const createGallery = (options = {}) => new ProjectGallery(container, structuredClone(projectsData), { featured: { autoplay: false }, ...options });
+
+    it('should keep the data order until another sort is chosen', () => {
+      createGallery();
+      const select = container.querySelector('.project-sort');
+      expect(select.value).toBe('curated');
+      expect(cardIds(container, '.project-card')).toEqual(['shop', 'api', 'blog']);
+
+      select.value = 'newest';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(cardIds(container, '.project-card')).toEqual(['api', 'shop', 'blog']);
+
+      select.value = 'technologies';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(cardIds(container, '.project-card')).toEqual(['api', 'shop', 'blog']);
+
+      select.value = 'title';
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      expect(cardIds(container, '.project-card')).toEqual(['api', 'blog', 'shop']);
+    });
+
+    it('should sort within the active category filter', () => {
+      const gallery = createGallery();
+      gallery.sortBy('oldest');
+      gallery.filterByCategory('web-development');
+      expect(cardIds(container, '.project-card')).toEqual(['blog', 'shop', 'api']);
+    });
+
+    it('should keep the sort in the URL and restore it', () => {
+      const gallery = createGallery({ router: new Router() });
+      gallery.sortBy('featured');
+      expect(window.location.search).toBe('?project-sort=featured');
+
+      container.innerHTML = '';
+      const shared = createGallery({ router: new Router() });
+      expect(shared.sortMode).toBe('featured');
+      expect(container.querySelector('.project-sort').value).toBe('featured');
+
+      shared.sortBy('curated');
+      expect(window.location.search).toBe('');
+    });
+  });
+});
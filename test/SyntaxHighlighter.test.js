@@ -0,0 +1,148 @@
+// Feature: portfolio-enhancement, Property 27: Highlighting Preserves Code Text
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fc from 'fast-check';
+import { SyntaxHighlighter } from '../js/components/SyntaxHighlighter.js';
+import { BlogSystem } from '../js/components/BlogSystem.js';
+
+const tokenTypes = (highlighter, code, language) =>
+  highlighter.tokenize(code, language).filter(token => token.type).map(token => `${token.type}:${token.text}`);
+
+describe('SyntaxHighlighter', () => {
+  const highlighter = new SyntaxHighlighter();
+
+  describe('tokenize', () => {
+    it('recognises JavaScript keywords, strings, comments and functions', () => {
+      expect(tokenTypes(highlighter, 'const x = fetch(`a`); // hi', 'js')).toEqual([
+        'keyword:const', 'operator:=', 'function:fetch', 'punctuation:(', 'string:`a`',
+        'punctuation:)', 'punctuation:;', 'comment:// hi'
+      ]);
+    });
+
+    it('does not match keywords inside identifiers', () => {
+      expect(tokenTypes(highlighter, 'constant', 'javascript')).toEqual([]);
+    });
+
+    it('highlights HTML tags, attributes and entities', () => {
+      expect(tokenTypes(highlighter, '<a class="x">&amp;</a>', 'html')).toEqual([
+        'tag:<a', 'tag: ', 'attr-name:class', 'attr-value:="x"', 'tag:>', 'entity:&amp;', 'tag:</a', 'tag:>'
+      ]);
+    });
+
+    it('distinguishes JSON keys from string values', () => {
+      expect(tokenTypes(highlighter, '{"a": "b"}', 'json')).toEqual([
+        'punctuation:{', 'property:"a"', 'punctuation::', 'string:"b"', 'punctuation:}'
+      ]);
+    });
+
+    it('supports aliases and falls back to plain text for unknown languages', () => {
+      expect(highlighter.getLanguage('py')).toBe('python');
+      expect(highlighter.getLanguage('sh')).toBe('bash');
+      expect(highlighter.getLanguage('brainfuck')).toBeNull();
+      expect(highlighter.tokenize('a < b', 'brainfuck')).toEqual([{ type: null, text: 'a < b' }]);
+    });
+  });
+
+  describe('code blocks', () => {
+    it('parses line ranges', () => {
+      expect([...SyntaxHighlighter.parseLineRanges('1,3-5', 5)]).toEqual([1, 3, 4, 5]);
+      expect([...SyntaxHighlighter.parseLineRanges('', 5)]).toEqual([]);
+    });
+
+    it('limits line ranges to the lines in the block', () => {
+      expect([...SyntaxHighlighter.parseLineRanges('0-2,3-999999999', 4)]).toEqual([1, 2, 3, 4]);
+      expect([...SyntaxHighlighter.parseLineRanges('7,10-12', 4)]).toEqual([]);
+
+      const container = document.createElement('div');
+      container.innerHTML = highlighter.renderCodeBlock('a\nb\n', 'js {2-999999999}');
+      expect([...container.querySelectorAll('.code-line.highlighted')].map(line => line.dataset.line)).toEqual(['2']);
+    });
+
+    it('marks highlighted lines from the info string', () => {
+      const container = document.createElement('div');
+      container.innerHTML = highlighter.renderCodeBlock('a\nb\nc\n', 'js {2}');
+
+      const lines = container.querySelectorAll('.code-line');
+      expect(lines).toHaveLength(3);
+      expect(lines[1].classList.contains('highlighted')).toBe(true);
+      expect(lines[0].classList.contains('highlighted')).toBe(false);
+      expect(container.querySelector('.code-block').dataset.language).toBe('js');
+      expect(container.querySelector('code').className).toBe('language-javascript');
+    });
+
+    it('escapes code in unknown languages', () => {
+      expect(highlighter.renderCodeBlock('<b>', 'unknown')).toContain('&lt;b&gt;');
+    });
+  });
+
+  // Property 27: Highlighting Preserves Code Text
+  // For any code in any supported language, the highlighted block's text equals the original code
+  it('should preserve the original code text when highlighting', () => {
+    const languages = highlighter.getSupportedLanguages();
+    fc.assert(fc.property(fc.constantFrom(...languages), fc.string({ maxLength: 80 }), (language, code) => {
+      expect(highlighter.tokenize(code, language).map(token => token.text).join('')).toBe(code);
+
+      const container = document.createElement('div');
+      container.innerHTML = highlighter.renderCodeBlock(code, language);
+      expect(container.querySelector('code').textContent).toBe(code.replace(/\n$/, ''));
+    }), { numRuns: 200 });
+  });
+
+  describe('BlogSystem integration', () => {
+    let container;
+    let blog;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      document.body.appendChild(container);
+      blog = new BlogSystem(container, {
+        articles: [{
+          id: 'code',
+          title: 'Code',
+          excerpt: 'Code sample',
+          content: 'Intro\n\n```js {1}\nconst a = 1;\n```\n',
+          category: 'notes',
+          tags: [],
+          publishedDate: '2024-01-01',
+          readingTime: 1
+        }],
+        categories: [{ id: 'notes', name: 'Notes' }]
+      });
+      blog.renderArticle('code');
+    });
+
+    afterEach(() => {
+      container.remove();
+      vi.unstubAllGlobals();
+    });
+
+    it('renders highlighted code blocks with a copy button', () => {
+      const block = container.querySelector('.article-content .code-block');
+      expect(block).not.toBeNull();
+      expect(block.querySelector('.token.keyword').textContent).toBe('const');
+      expect(block.querySelector('.code-line.highlighted')).not.toBeNull();
+      expect(block.querySelector('.copy-code-btn')).not.toBeNull();
+    });
+
+    it('copies the code to the clipboard', async () => {
+      const writeText = vi.fn(() => Promise.resolve());
+      vi.stubGlobal('navigator', { clipboard: { writeText } });
+
+      const button = container.querySelector('.copy-code-btn');
+      const copied = await blog.copyCodeBlock(button);
+
+      expect(copied).toBe(true);
+      expect(writeText).toHaveBeenCalledWith('const a = 1;');
+      expect(button.textContent).toBe('Copied!');
+    });
+
+    it('falls back to a text selection when the Clipboard API is unavailable', async () => {
+      vi.stubGlobal('navigator', {});
+      document.execCommand = vi.fn(() => true);
+
+      const button = container.querySelector('.copy-code-btn');
+      expect(await blog.copyCodeBlock(button)).toBe(true);
+      expect(document.execCommand).toHaveBeenCalledWith('copy');
+      expect(container.querySelector('textarea')).toBeNull();
+    });
+  });
+});